@@ -16,6 +16,27 @@ CREATE TABLE IF NOT EXISTS market_data (
   technical_indicators JSONB,
   order_book JSONB,
   market_data JSONB,
+  data_sources JSONB,
+  quality_flags JSONB DEFAULT '[]',
+  is_flagged BOOLEAN DEFAULT FALSE,
+  regime VARCHAR(20),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Colunas adicionadas depois da criação original das tabelas
+ALTER TABLE market_data ADD COLUMN IF NOT EXISTS data_sources JSONB;
+ALTER TABLE market_data ADD COLUMN IF NOT EXISTS quality_flags JSONB DEFAULT '[]';
+ALTER TABLE market_data ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN DEFAULT FALSE;
+ALTER TABLE market_data ADD COLUMN IF NOT EXISTS regime VARCHAR(20);
+
+-- Registros rejeitados pela validação de qualidade
+CREATE TABLE IF NOT EXISTS market_data_quarantine (
+  id SERIAL PRIMARY KEY,
+  pair VARCHAR(20) NOT NULL,
+  source VARCHAR(50),
+  reason_codes TEXT[] NOT NULL,
+  issues JSONB NOT NULL,
+  payload JSONB NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -32,9 +53,18 @@ CREATE TABLE IF NOT EXISTS trading_signals (
   timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   executed BOOLEAN DEFAULT FALSE,
   result VARCHAR(20),
+  target_open_time TIMESTAMP WITH TIME ZONE,
+  target_close_time TIMESTAMP WITH TIME ZONE,
+  entry_deadline TIMESTAMP WITH TIME ZONE,
+  model_version VARCHAR(64),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS target_open_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS target_close_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS entry_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS model_version VARCHAR(64);
+
 -- Tabela para performance do sistema
 CREATE TABLE IF NOT EXISTS system_performance (
   id SERIAL PRIMARY KEY,
@@ -57,6 +87,70 @@ CREATE TABLE IF NOT EXISTS ai_training_data (
   actual_result VARCHAR(10),
   confidence DECIMAL(5,2),
   is_correct BOOLEAN,
+  signal_id INTEGER,
+  interval VARCHAR(5),
+  target_open_time TIMESTAMP WITH TIME ZONE,
+  target_close_time TIMESTAMP WITH TIME ZONE,
+  model_version VARCHAR(64),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS signal_id INTEGER;
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS interval VARCHAR(5);
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS target_open_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS target_close_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS model_version VARCHAR(64);
+ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+
+-- Tabela para velas históricas (open_time/close_time em ms, como na Binance)
+CREATE TABLE IF NOT EXISTS candles (
+  id SERIAL PRIMARY KEY,
+  pair VARCHAR(20) NOT NULL,
+  interval VARCHAR(5) NOT NULL,
+  open_time BIGINT NOT NULL,
+  close_time BIGINT NOT NULL,
+  open DECIMAL(20,8) NOT NULL,
+  high DECIMAL(20,8) NOT NULL,
+  low DECIMAL(20,8) NOT NULL,
+  close DECIMAL(20,8) NOT NULL,
+  volume DECIMAL(30,8),
+  quote_volume DECIMAL(30,8),
+  trades INTEGER,
+  taker_buy_base_volume DECIMAL(30,8),
+  taker_buy_quote_volume DECIMAL(30,8),
+  source VARCHAR(50) DEFAULT 'binance',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (pair, interval, open_time)
+);
+
+-- Versões de modelos treinados (id derivado do conteúdo); uma ativa por par
+CREATE TABLE IF NOT EXISTS model_registry (
+  id SERIAL PRIMARY KEY,
+  version VARCHAR(64) UNIQUE NOT NULL,
+  pair VARCHAR(20) NOT NULL,
+  model_type VARCHAR(20) NOT NULL,
+  parameters JSONB NOT NULL,
+  feature_schema JSONB NOT NULL,
+  calibration JSONB,
+  data_from TIMESTAMP WITH TIME ZONE,
+  data_to TIMESTAMP WITH TIME ZONE,
+  metrics JSONB,
+  is_active BOOLEAN DEFAULT FALSE,
+  activated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE model_registry ADD COLUMN IF NOT EXISTS calibration JSONB;
+
+-- Deriva detectada pelo DriftMonitor e a resposta a ela
+CREATE TABLE IF NOT EXISTS drift_events (
+  id SERIAL PRIMARY KEY,
+  pair VARCHAR(20) NOT NULL,
+  model_version VARCHAR(64),
+  drift_type VARCHAR(30) NOT NULL,
+  details JSONB,
+  action VARCHAR(20) NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -72,14 +166,26 @@ CREATE TABLE IF NOT EXISTS system_config (
 -- Índices para performance
 CREATE INDEX IF NOT EXISTS idx_market_data_pair_timestamp ON market_data(pair, timestamp);
 CREATE INDEX IF NOT EXISTS idx_trading_signals_pair_timestamp ON trading_signals(pair, timestamp);
+-- Um sinal por par e vela alvo
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trading_signals_pair_target ON trading_signals(pair, target_open_time);
 CREATE INDEX IF NOT EXISTS idx_system_performance_date_pair ON system_performance(date, pair);
 CREATE INDEX IF NOT EXISTS idx_ai_training_data_pair_created ON ai_training_data(pair, created_at);
+-- Registros de sinais aguardando o fechamento da vela alvo
+CREATE INDEX IF NOT EXISTS idx_ai_training_data_pending ON ai_training_data(target_close_time) WHERE actual_result IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ai_training_data_target ON ai_training_data(target_open_time);
+CREATE INDEX IF NOT EXISTS idx_candles_pair_interval_open_time ON candles(pair, interval, open_time);
+CREATE INDEX IF NOT EXISTS idx_market_data_quarantine_pair_created ON market_data_quarantine(pair, created_at);
+-- Uma versão ativa por par
+CREATE UNIQUE INDEX IF NOT EXISTS idx_model_registry_active_pair ON model_registry(pair) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_model_registry_pair_created ON model_registry(pair, created_at);
+CREATE INDEX IF NOT EXISTS idx_drift_events_pair_created ON drift_events(pair, created_at);
 
 -- Inserir configurações padrão
 INSERT INTO system_config (config_key, config_value, description) VALUES
 ('ai_training_results', '{"accuracy": 0, "correct": 0, "total": 0, "epochs": 0, "lastTrained": null}', 'Resultados do último treinamento da IA'),
 ('system_settings', '{"confidence_threshold": 85, "pullback_min_depth": 0.02, "collection_interval": 60000}', 'Configurações do sistema'),
-('trading_pairs', '["SOLUSDT", "ETHUSDT", "BTCUSDT", "ADAUSDT", "DOGEUSDT"]', 'Pares configurados para análise')
+('trading_pairs', '["SOLUSDT", "ETHUSDT", "BTCUSDT", "ADAUSDT", "DOGEUSDT"]', 'Pares configurados para análise'),
+('coingecko_id_overrides', '{}', 'IDs do CoinGecko fixados por par (SOLUSDT) ou ativo base (SOL)')
 ON CONFLICT (config_key) DO NOTHING;
 
 -- Comentários das tabelas
@@ -87,6 +193,9 @@ COMMENT ON TABLE market_data IS 'Dados de mercado coletados de múltiplas fontes
 COMMENT ON TABLE trading_signals IS 'Sinais de trading gerados pela IA';
 COMMENT ON TABLE system_performance IS 'Métricas de performance do sistema';
 COMMENT ON TABLE ai_training_data IS 'Dados para treinamento da IA';
+COMMENT ON TABLE market_data_quarantine IS 'Dados de mercado rejeitados pela validação, com os códigos do problema';
+COMMENT ON TABLE candles IS 'Velas históricas por par e timeframe (backfill e coleta)';
+COMMENT ON TABLE model_registry IS 'Versões de modelos treinados: parâmetros, esquema de features, período e métricas';
 COMMENT ON TABLE system_config IS 'Configurações do sistema';
 
 -- RLS (Row Level Security) - opcional
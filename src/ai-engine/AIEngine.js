@@ -1,37 +1,71 @@
 const DatabaseManager = require('../utils/DatabaseManager');
+const FeaturePipeline = require('./FeaturePipeline');
+const ModelRegistry = require('./ModelRegistry');
+const CandleLabeler = require('./CandleLabeler');
+const ProbabilityCalibrator = require('./ProbabilityCalibrator');
+const StrategyEnsemble = require('./StrategyEnsemble');
+const LogisticRegression = require('./models/LogisticRegression');
+const GradientBoostedTrees = require('./models/GradientBoostedTrees');
+const CandleReplay = require('../backtesting/CandleReplay');
+const { evaluateBinary, buildDistribution } = require('./metrics');
+const { intervalToMs } = require('../utils/timeframes');
+
+const HOUR = 3600000;
 
 class AIEngine {
-  constructor() {
+  constructor(options = {}) {
     this.databaseManager = new DatabaseManager();
-    this.model = null;
+    // Registros reconstruídos das velas do backfill, para o período do
+    // treino anterior à coleta (ver `loadTrainingData`)
+    this.candleReplay = options.candleReplay || new CandleReplay({
+      databaseManager: this.databaseManager,
+      dataCollector: options.dataCollector
+    });
     this.isInitialized = false;
     this.learningRate = parseFloat(process.env.AI_LEARNING_RATE) || 0.01;
     this.epochs = parseInt(process.env.AI_EPOCHS) || 100;
     this.batchSize = parseInt(process.env.AI_BATCH_SIZE) || 32;
-    
-    // Pesos do modelo (simulado)
-    this.weights = {
-      technical: {
-        rsi: 0.15,
-        macd: 0.20,
-        bollinger: 0.15,
-        sma: 0.10,
-        ema: 0.10
-      },
-      priceAction: {
-        patterns: 0.25,
-        pullbacks: 0.30,
-        volume: 0.15
-      },
-      market: {
-        volatility: 0.10,
-        trend: 0.15,
-        momentum: 0.20
-      }
+    this.l2 = parseFloat(process.env.AI_L2) || 0.01;
+    // logistic, gbt ou auto (o de menor log-loss na validação)
+    this.modelType = process.env.AI_MODEL_TYPE || 'auto';
+    this.validationSplit = parseFloat(process.env.AI_VALIDATION_SPLIT) || 0.2;
+    // Histórico de cada par usado no treino (ver `loadTrainingData`)
+    this.trainingHours = parseFloat(process.env.AI_TRAINING_HOURS) || 72;
+    this.gbtOptions = {
+      trees: parseInt(process.env.AI_GBT_TREES) || 100,
+      maxDepth: parseInt(process.env.AI_GBT_MAX_DEPTH) || 3,
+      learningRate: parseFloat(process.env.AI_GBT_LEARNING_RATE) || 0.1,
+      minSamplesLeaf: parseInt(process.env.AI_GBT_MIN_SAMPLES_LEAF) || 20
     };
+    // Registros por amostra (janela usada no treino e nos sinais)
+    this.sequenceLength = 20;
+    // Extração de features das janelas; cada modelo guarda o próprio
+    // pipeline, com as estatísticas do treino dele
+    this.featurePipeline = new FeaturePipeline();
+    // Ignorar janelas com dados sinalizados pela validação de qualidade
+    this.excludeFlaggedData = process.env.EXCLUDE_FLAGGED_DATA === 'true';
+    // Rótulos pela vela seguinte (tabela `candles`), com a regra de empate
+    this.labeler = new CandleLabeler();
+    
+    // Modelos em uso por par (ver `applyModel`); o global (`ALL`) atende os
+    // pares sem modelo próprio e, até o primeiro treino, `predict` usa as
+    // regras de `calculateScore`
+    this.models = {};
+    // Versões suspensas por deriva, por par (ver `suspend`)
+    this.suspensions = {};
+    // Amostras mínimas para um par ganhar modelo próprio
+    this.pairMinSamples = parseInt(process.env.AI_PAIR_MIN_SAMPLES) || 500;
+    // Votos do modelo e das heurísticas, pesados pela acurácia no par
+    this.ensemble = new StrategyEnsemble();
+    this.registry = new ModelRegistry(this.databaseManager);
+    // Ativar automaticamente a versão recém-treinada quando a validação não
+    // for pior que a da versão ativa
+    this.autoPromote = process.env.AI_AUTO_PROMOTE !== 'false';
+    // Features que mais pesaram, guardadas na explicação de cada sinal
+    this.explanationSize = parseInt(process.env.AI_EXPLANATION_SIZE) || 5;
   }
 
-  async initialize() {
+  async initialize(pairs = process.env.TRADING_PAIRS?.split(',') || []) {
     console.log('🧠 Inicializando motor de IA...');
     
     try {
@@ -39,7 +73,7 @@ class AIEngine {
       await this.loadModel();
       
       // Treinar com dados históricos
-      const historicalData = await this.databaseManager.getHistoricalData(5000);
+      const historicalData = await this.loadTrainingData(pairs);
       if (historicalData.length > 0) {
         await this.train(historicalData, { focusOnPullbacks: true });
       }
@@ -53,37 +87,105 @@ class AIEngine {
   }
 
   async loadModel() {
-    // Simular carregamento de modelo
-    // Em produção, aqui carregaria um modelo treinado
     console.log('📥 Carregando modelo de IA...');
-    this.model = {
-      loaded: true,
-      version: '1.0.0',
-      lastTrained: new Date()
+    
+    try {
+      const active = await this.registry.loadAllActive();
+      if (active.length === 0) {
+        console.log('ℹ️ Nenhuma versão ativa no registro, usando regras até o primeiro treino');
+        return;
+      }
+      
+      active.forEach(model => {
+        this.applyModel(model);
+        console.log(`✅ Modelo ${model.version} (${model.modelType}) de ${model.pair} carregado do registro`);
+      });
+    } catch (error) {
+      console.error('❌ Erro ao carregar modelo do registro:', error);
+    }
+  }
+
+  /**
+   * Passa a usar a versão (recém-treinada ou restaurada do registro) nas
+   * predições do par dela. `classifier` é o usado nas predições;
+   * `baseClassifier`, o registrado, de que o OnlineLearner ajusta cópias.
+   */
+  applyModel(artifact) {
+    const pair = artifact.pair || ModelRegistry.GLOBAL_PAIR;
+    this.models[pair] = {
+      version: artifact.version,
+      pair,
+      type: artifact.modelType,
+      dataFrom: artifact.dataFrom,
+      dataTo: artifact.dataTo,
+      metrics: artifact.metrics,
+      classifier: artifact.classifier,
+      baseClassifier: artifact.classifier,
+      pipeline: artifact.pipeline,
+      calibrator: artifact.calibrator || null
     };
   }
 
+  // Modelo próprio do par ou, sem ele, o global; null antes do primeiro treino
+  getModel(pair = null) {
+    return this.models[pair] || this.models[ModelRegistry.GLOBAL_PAIR] || null;
+  }
+
+  /**
+   * Suspende os sinais do par enquanto a versão em uso for `version`; uma
+   * nova versão ativada para o par (ou no global, para quem o usa) encerra
+   * a suspensão.
+   */
+  suspend(pair, version, reason) {
+    this.suspensions[pair] = { version, reason, since: new Date().toISOString() };
+  }
+
+  resume(pair) {
+    delete this.suspensions[pair];
+  }
+
+  // Suspensão em vigor para o modelo atual do par, ou null
+  getSuspension(pair) {
+    const suspension = this.suspensions[pair];
+    if (!suspension) return null;
+    if (suspension.version !== (this.getModel(pair)?.version || 'rules')) {
+      this.resume(pair);
+      return null;
+    }
+    return suspension;
+  }
+
   async train(data, options = {}) {
     console.log('🎓 Iniciando treinamento da IA...');
     
     try {
-      const trainingData = this.prepareTrainingData(data, options);
+      const candles = options.candles || await this.loadLabelCandles(data);
+      const trained = this.buildModel(data, { ...options, candles });
       
-      if (trainingData.length < 100) {
+      if (!trained) {
         console.warn('⚠️ Poucos dados para treinamento efetivo');
         return;
       }
 
-      // Simular treinamento (em produção usaria TensorFlow.js ou similar)
-      const results = await this.simulateTraining(trainingData);
-      
-      // Atualizar pesos baseado no treinamento
-      this.updateWeights(results);
-      
-      console.log(`✅ Treinamento concluído - Acurácia: ${results.accuracy.toFixed(2)}%`);
+      for (const { artifact, results, holdout } of trained) {
+        const validation = results.validation;
+        
+        console.log(`✅ Treinamento de ${artifact.pair} concluído (${results.modelType} ${artifact.version}, ${results.trainSamples} amostras de treino, ${results.validationSamples} de validação)`);
+        console.log(`   Validação: acurácia ${this.formatPercent(validation.accuracy)}, precisão GREEN ${this.formatPercent(validation.precision)}, precisão RED ${this.formatPercent(validation.precisionRed)}, log-loss ${validation.logLoss.toFixed(4)}`);
+        const calibration = results.calibration;
+        if (calibration.method !== 'none') {
+          console.log(`   Calibração: ${calibration.method}, log-loss ${calibration.rawLogLoss.toFixed(4)} → ${calibration.calibratedLogLoss.toFixed(4)} (${calibration.evaluationSamples} previsões fora da amostra)`);
+        }
+        
+        await this.registerModel(artifact, holdout);
+      }
       
-      // Salvar dados de treinamento
-      await this.saveTrainingResults(results);
+      // Salvar dados de treinamento (modelo global e os dos pares)
+      const [global, ...pairModels] = trained;
+      await this.saveTrainingResults({
+        ...global.results,
+        pairModels: Object.fromEntries(pairModels.map(({ artifact, results }) => [artifact.pair, results]))
+      });
       
     } catch (error) {
       console.error('❌ Erro durante treinamento:', error);
@@ -91,271 +193,497 @@ class AIEngine {
     }
   }
 
-  prepareTrainingData(data, options) {
-    const trainingData = [];
-    
-    // Agrupar dados por par
-    const groupedData = this.groupDataByPair(data);
-    
-    Object.entries(groupedData).forEach(([pair, pairData]) => {
-      // Ordenar por timestamp
-      pairData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      
-      // Criar sequências de treinamento
-      for (let i = 20; i < pairData.length - 1; i++) {
-        const sequence = pairData.slice(i - 20, i);
-        const nextCandle = pairData[i + 1];
-        
-        if (sequence.length === 20 && nextCandle) {
-          const features = this.extractFeatures(sequence, options);
-          const target = this.determineNextCandleColor(sequence, nextCandle);
-          
-          if (features && target) {
-            trainingData.push({
-              pair,
-              features,
-              target,
-              timestamp: nextCandle.timestamp
-            });
-          }
-        }
-      }
-    });
-    
-    return trainingData;
+  /**
+   * Treina sem gravar nada; registrar e ativar as versões fica com quem
+   * chama. Devolve `{ artifact, results, holdout }` do modelo global seguido dos
+   * pares com pelo menos `pairMinSamples` amostras, ou null com poucos dados.
+   * Os modelos por par só existem quando os dados têm mais de um par.
+   */
+  buildModel(data, options = {}) {
+    const trainingData = this.prepareTrainingData(data, options);
+    if (trainingData.length < 100) return null;
+
+    const trained = [this.buildPairModel(ModelRegistry.GLOBAL_PAIR, trainingData)];
+    const byPair = Object.entries(this.groupDataByPair(trainingData));
+    if (byPair.length > 1) {
+      byPair.forEach(([pair, samples]) => {
+        if (samples.length >= this.pairMinSamples) trained.push(this.buildPairModel(pair, samples));
+      });
+    }
+
+    return trained;
   }
 
-  groupDataByPair(data) {
-    return data.reduce((groups, item) => {
-      const pair = item.pair;
-      if (!groups[pair]) {
-        groups[pair] = [];
+  buildPairModel(pair, trainingData) {
+    const { classifier, pipeline, calibrator, featureDistribution, holdout, ...results } = this.fitModel(trainingData);
+    const artifact = this.registry.createArtifact({
+      pair,
+      classifier,
+      pipeline,
+      calibrator,
+      dataFrom: results.trainFrom,
+      dataTo: results.validationTo || results.trainTo,
+      metrics: {
+        training: results.training,
+        validation: results.validation,
+        calibration: results.calibration,
+        ensemble: results.ensemble,
+        confidenceReliability: results.confidenceReliability,
+        featureDistribution
       }
-      groups[pair].push(item);
-      return groups;
-    }, {});
+    });
+    results.version = artifact.version;
+
+    return { artifact, results, holdout };
   }
 
-  extractFeatures(sequence, options) {
-    try {
-      const features = {
-        technical: {},
-        priceAction: {},
-        market: {},
-        pullback: {}
-      };
+  /**
+   * Treina com as amostras mais antigas e avalia nas `validationSplit` mais
+   * recentes, sem embaralhar: o modelo nunca vê o período da validação. As
+   * estatísticas do pipeline de features também vêm só do treino. A
+   * validação é dividida em partes cronológicas, cada uma usada uma vez:
+   * - com `AI_MODEL_TYPE=auto`, o primeiro terço escolhe o modelo de menor
+   *   log-loss (com um tipo só, essa parte não existe);
+   * - metade do restante ajusta a calibração;
+   * - a outra metade mede, nas probabilidades já calibradas (como nas
+   *   predições), a acurácia de cada votante do `StrategyEnsemble` por par
+   *   e a confiabilidade da confiança dos sinais (ver `evaluateEnsemble`).
+   * As métricas de `validation` são do modelo escolhido depois da escolha.
+   * A distribuição de cada feature no treino, por par, é a referência do
+   * `DriftMonitor`.
+   */
+  fitModel(trainingData) {
+    const samples = [...trainingData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const splitIndex = Math.floor(samples.length * (1 - this.validationSplit));
+    const train = samples.slice(0, splitIndex);
+    const validation = samples.slice(splitIndex);
 
-      // Extrair indicadores técnicos
-      const lastData = sequence[sequence.length - 1];
-      if (lastData.technical_indicators) {
-        const tech = lastData.technical_indicators;
-        
-        features.technical = {
-          rsi: tech.rsi || 50,
-          macd: tech.macd?.macdLine || 0,
-          macdSignal: tech.macd?.signalLine || 0,
-          macdHistogram: tech.macd?.histogram || 0,
-          sma20: tech.sma20 || 0,
-          sma50: tech.sma50 || 0,
-          ema12: tech.ema12 || 0,
-          ema26: tech.ema26 || 0,
-          bollingerUpper: tech.bollingerBands?.upper || 0,
-          bollingerMiddle: tech.bollingerBands?.middle || 0,
-          bollingerLower: tech.bollingerBands?.lower || 0
-        };
-      }
+    const types = this.modelType === 'auto' ? ['logistic', 'gbt'] : [this.modelType];
+    const selectionSize = types.length > 1 ? Math.floor(validation.length / 3) : 0;
+    const calibrationSize = Math.floor((validation.length - selectionSize) / 2);
+    const selection = validation.slice(0, selectionSize);
+    const heldOut = validation.slice(selectionSize);
+    const calibration = heldOut.slice(0, calibrationSize);
+    const voting = heldOut.slice(calibrationSize);
 
-      // Extrair price action
-      if (lastData.technical_indicators?.priceAction) {
-        const pa = lastData.technical_indicators.priceAction;
-        
-        features.priceAction = {
-          patterns: pa.patterns || [],
-          recentCandles: pa.recentCandles || [],
-          bodyRatio: pa.recentCandles?.[pa.recentCandles.length - 1]?.bodyRatio || 0
-        };
-      }
+    const pipeline = new FeaturePipeline().fit(train.map(s => s.features));
+    const toDataset = set => ({
+      X: set.map(s => pipeline.transform(s.features)),
+      y: set.map(s => (s.target === 'GREEN' ? 1 : 0))
+    });
+    const trainSet = toDataset(train);
+    const selectionSet = toDataset(selection);
+    const heldOutSet = toDataset(heldOut);
 
-      // Extrair análise de pullbacks
-      if (lastData.technical_indicators?.pullbackAnalysis) {
-        const pb = lastData.technical_indicators.pullbackAnalysis;
-        
-        features.pullback = {
-          peaks: pb.peaks || 0,
-          valleys: pb.valleys || 0,
-          pullbacks: pb.pullbacks || 0,
-          trend: pb.trend || 'neutral',
-          recentPullbacks: pb.recentPullbacks || []
-        };
-      }
+    const candidates = types.map(type => {
+      const classifier = this.createClassifier(type).fit(trainSet.X, trainSet.y);
+      const evaluate = set => evaluateBinary(set.y, set.X.map(x => classifier.predictProba(x)));
+      return { type, classifier, training: evaluate(trainSet), selection: selectionSize > 0 ? evaluate(selectionSet) : null };
+    });
+    const best = candidates.length > 1
+      ? candidates.reduce((a, b) => (b.selection.logLoss < a.selection.logLoss ? b : a))
+      : candidates[0];
+    const heldOutProbabilities = heldOutSet.X.map(x => best.classifier.predictProba(x));
+    const calibrator = new ProbabilityCalibrator().fit(calibration.map((s, i) => ({
+      pair: s.pair,
+      probability: heldOutProbabilities[i],
+      label: heldOutSet.y[i]
+    })));
+    const { stats: ensemble, reliability: confidenceReliability } = this.evaluateEnsemble(voting.map((s, i) => ({
+      pair: s.pair,
+      features: s.features,
+      probability: calibrator.calibrate(heldOutProbabilities[calibrationSize + i], s.pair),
+      label: s.target
+    })), calibrator);
 
-      // Extrair dados de mercado
-      if (lastData.market_data) {
-        const market = lastData.market_data;
-        
-        features.market = {
-          marketCap: market.marketCap || 0,
-          volume24h: market.totalVolume || 0,
-          priceChange24h: market.priceChange24h || 0,
-          volatility: Math.abs(market.priceChange24h) || 0
-        };
-      }
+    return {
+      classifier: best.classifier,
+      pipeline,
+      calibrator,
+      modelType: best.type,
+      features: pipeline.getFeatureNames().length,
+      featureSchema: FeaturePipeline.SCHEMA_VERSION,
+      trainSamples: train.length,
+      validationSamples: validation.length,
+      trainFrom: train[0].timestamp,
+      trainTo: train[train.length - 1].timestamp,
+      validationFrom: validation[0]?.timestamp || null,
+      validationTo: validation[validation.length - 1]?.timestamp || null,
+      training: best.training,
+      validation: evaluateBinary(heldOutSet.y, heldOutProbabilities),
+      candidates: candidates.map(c => ({ type: c.type, selection: c.selection })),
+      calibration: calibrator.report,
+      ensemble,
+      confidenceReliability,
+      featureDistribution: this.buildFeatureDistribution(train, trainSet.X, pipeline.getFeatureNames()),
+      // Amostras da validação, para comparar com a versão ativa (ver `registerModel`)
+      holdout: heldOut
+    };
+  }
 
-      // Calcular features derivadas
-      features.derived = this.calculateDerivedFeatures(sequence, features);
+  /**
+   * Votos e acertos de cada votante por par (`StrategyEnsemble.evaluate`),
+   * com `probability` já calibrada. A confiabilidade é a do número comparado
+   * com `SIGNAL_CONFIDENCE_THRESHOLD`: com as estatísticas ajustadas só na
+   * primeira metade das amostras, a confiança de cada voto da segunda e se a
+   * cor escolhida acertou, geral e por par.
+   */
+  evaluateEnsemble(samples, calibrator) {
+    const half = Math.floor(samples.length / 2);
+    const firstHalfStats = this.ensemble.evaluate(samples.slice(0, half));
+    const outcomes = samples.slice(half).map(sample => {
+      const { color } = this.ensemble.vote(sample.features, sample.probability, firstHalfStats[sample.pair] || null);
+      return {
+        pair: sample.pair,
+        confidence: this.ensemble.confidence(color, sample.probability),
+        hit: color === sample.label
+      };
+    });
 
-      return features;
-    } catch (error) {
-      console.error('❌ Erro ao extrair features:', error);
-      return null;
-    }
-  }
+    const byPair = {};
+    new Set(outcomes.map(o => o.pair)).forEach(pair => {
+      byPair[pair] = calibrator.buckets(outcomes.filter(o => o.pair === pair));
+    });
 
-  calculateDerivedFeatures(sequence, features) {
-    const prices = sequence.map(s => s.price);
-    const volumes = sequence.map(s => s.volume || 0);
-    
     return {
-      priceVolatility: this.calculateVolatility(prices),
-      volumeTrend: this.calculateVolumeTrend(volumes),
-      priceMomentum: this.calculateMomentum(prices),
-      supportResistance: this.calculateSupportResistance(prices),
-      trendStrength: this.calculateTrendStrength(prices)
+      stats: this.ensemble.evaluate(samples),
+      reliability: { samples: outcomes.length, buckets: calibrator.buckets(outcomes), byPair }
     };
   }
 
-  calculateVolatility(prices) {
-    if (prices.length < 2) return 0;
+  // `{ par: { samples, features: { nome: { edges, proportions } } } }`
+  buildFeatureDistribution(samples, vectors, featureNames) {
+    const byPair = {};
+    samples.forEach((sample, i) => {
+      (byPair[sample.pair] = byPair[sample.pair] || []).push(vectors[i]);
+    });
+
+    return Object.fromEntries(Object.entries(byPair).map(([pair, pairVectors]) => [pair, {
+      samples: pairVectors.length,
+      features: Object.fromEntries(featureNames.map((name, j) => [name, buildDistribution(pairVectors.map(x => x[j]))]))
+    }]));
+  }
+
+  /**
+   * Grava a versão no registro e decide se ela passa a ser a ativa. Sem
+   * registro (erro no banco), a versão é usada só em memória. A comparação de
+   * log-loss é aproximada: cada treino valida no seu período mais recente.
+   */
+  /**
+   * Registra a versão e, com `autoPromote`, ativa se o log-loss dela não for
+   * pior que o da versão ativa do par. As duas são medidas em `holdout` (a
+   * validação da nova); sem ele, valem os log-loss gravados de cada versão,
+   * medidos em períodos diferentes.
+   */
+  async registerModel(artifact, holdout = null) {
+    const pair = artifact.pair;
+    
+    try {
+      await this.registry.register(artifact);
+    } catch (error) {
+      console.warn(`⚠️ Versão ${artifact.version} não registrada, usando apenas em memória`);
+      this.applyModel(artifact);
+      return;
+    }
     
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) {
-      returns.push((prices[i] - prices[i-1]) / prices[i-1]);
+    if (!this.autoPromote) {
+      console.log(`📦 Versão ${artifact.version} registrada; promova com "npm run models -- promote --version ${artifact.version}"`);
+      return;
     }
     
-    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
+    const active = this.models[pair] || null;
+    const current = active?.version === artifact.version ? null : active;
+    const comparison = current ? this.compareLogLoss(artifact, current, holdout) : null;
+    if (comparison && comparison.candidate > comparison.current) {
+      console.log(`📦 Versão ${artifact.version} registrada; ${current.version} continua ativa (log-loss ${comparison.current.toFixed(4)} contra ${comparison.candidate.toFixed(4)})`);
+      return;
+    }
     
-    return Math.sqrt(variance);
+    try {
+      await this.registry.promote(pair, artifact.version);
+      console.log(`🚀 Versão ${artifact.version} ativada para ${pair}`);
+    } catch (error) {
+      console.error(`❌ Erro ao ativar versão ${artifact.version}:`, error);
+    }
+    this.applyModel(artifact);
   }
 
-  calculateVolumeTrend(volumes) {
-    if (volumes.length < 2) return 0;
-    
-    const recent = volumes.slice(-5);
-    const older = volumes.slice(-10, -5);
-    
-    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
-    
-    return olderAvg > 0 ? (recentAvg - olderAvg) / olderAvg : 0;
+  // Log-loss das duas versões nas mesmas amostras, sem a calibração (como na
+  // validação); a ativa pode ter treinado com parte delas, o que só a favorece
+  compareLogLoss(candidate, current, holdout) {
+    if (!holdout || holdout.length === 0) {
+      const currentLogLoss = current.metrics?.validation?.logLoss;
+      return currentLogLoss !== undefined
+        ? { candidate: candidate.metrics.validation.logLoss, current: currentLogLoss }
+        : null;
+    }
+
+    const labels = holdout.map(s => (s.target === 'GREEN' ? 1 : 0));
+    const logLossOf = model => evaluateBinary(labels, holdout.map(s => model.classifier.predictProba(model.pipeline.transform(s.features)))).logLoss;
+    return { candidate: logLossOf(candidate), current: logLossOf(current) };
   }
 
-  calculateMomentum(prices) {
-    if (prices.length < 5) return 0;
-    
-    const recent = prices.slice(-5);
-    const older = prices.slice(-10, -5);
-    
-    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
-    
-    return olderAvg > 0 ? (recentAvg - olderAvg) / olderAvg : 0;
+  createClassifier(type) {
+    switch (type) {
+      case 'logistic':
+        return new LogisticRegression({
+          learningRate: this.learningRate,
+          epochs: this.epochs,
+          batchSize: this.batchSize,
+          l2: this.l2
+        });
+      case 'gbt':
+        return new GradientBoostedTrees(this.gbtOptions);
+      default:
+        throw new Error(`Tipo de modelo desconhecido: ${type}`);
+    }
   }
 
-  calculateSupportResistance(prices) {
-    const high = Math.max(...prices);
-    const low = Math.min(...prices);
-    const current = prices[prices.length - 1];
-    
-    return {
-      distanceToHigh: (high - current) / high,
-      distanceToLow: (current - low) / low,
-      range: (high - low) / low
-    };
+  formatPercent(value) {
+    return value === null ? 'n/d' : `${(value * 100).toFixed(2)}%`;
   }
 
-  calculateTrendStrength(prices) {
-    if (prices.length < 10) return 0;
+  /**
+   * Uma amostra por janela de `sequenceLength` registros, rotulada pela vela
+   * seguinte ao último registro (`options.candles`: velas por par, no
+   * timeframe dos registros). Janelas com velas faltando e velas sem corpo
+   * ficam fora (ver CandleLabeler); velas alvo que fecham depois de
+   * `options.now` ainda não têm rótulo.
+   */
+  prepareTrainingData(data, options) {
+    const trainingData = [];
+    const excludeFlagged = options.excludeFlagged ?? this.excludeFlaggedData;
+    const rejected = { flagged: 0, gap: 0, missing: 0, doji: 0 };
     
-    const first = prices[0];
-    const last = prices[prices.length - 1];
-    const change = (last - first) / first;
+    // Agrupar dados por par
+    const groupedData = this.groupDataByPair(data);
+    
+    Object.entries(groupedData).forEach(([pair, pairData]) => {
+      // Ordenar por timestamp
+      pairData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const interval = this.getDataInterval(pairData);
+      const candlesByOpen = this.labeler.indexCandles(options.candles?.[pair]);
+      
+      // Criar sequências de treinamento (a janela termina no registro end - 1)
+      for (let end = this.sequenceLength; end <= pairData.length; end++) {
+        const sequence = pairData.slice(end - this.sequenceLength, end);
+        
+        if (excludeFlagged && sequence.some(item => item.is_flagged)) {
+          rejected.flagged++;
+          continue;
+        }
+        
+        const label = this.labeler.label(sequence, candlesByOpen, interval, options.now);
+        if (label.status === 'pending') continue;
+        if (label.status !== 'ok') {
+          rejected[label.status]++;
+          continue;
+        }
+        if (label.color === 'DOJI') {
+          rejected.doji++;
+          continue;
+        }
+        
+        const features = this.featurePipeline.extract(sequence);
+        if (features) {
+          trainingData.push({
+            pair,
+            features,
+            target: label.color,
+            timestamp: new Date(label.target.openTime).toISOString()
+          });
+        }
+      }
+    });
     
-    return Math.abs(change);
+    if (rejected.flagged > 0) {
+      console.log(`🧹 ${rejected.flagged} janelas com dados sinalizados ignoradas no treinamento`);
+    }
+    if (rejected.gap + rejected.missing > 0) {
+      console.log(`🧹 ${rejected.gap} janelas com registros faltando e ${rejected.missing} sem a vela seguinte ignoradas no treinamento`);
+    }
+    if (rejected.doji > 0) {
+      console.log(`➖ ${rejected.doji} janelas com vela seguinte sem corpo (DOJI) fora do treinamento`);
+    }
+    
+    return trainingData;
   }
 
-  determineNextCandleColor(sequence, nextCandle) {
-    if (!nextCandle.price || !sequence.length) return null;
+  /**
+   * Registros das últimas `trainingHours` horas de cada par: os de
+   * `market_data`, lidos em páginas (uma consulta só traria no máximo 1000
+   * linhas, somadas entre os pares), e, antes do primeiro deles, os
+   * reconstruídos das velas do backfill (tabela `candles`) pelo
+   * `CandleReplay`.
+   */
+  async loadTrainingData(pairs, now = Date.now()) {
+    const from = now - this.trainingHours * HOUR;
+    const data = [];
     
-    const currentPrice = sequence[sequence.length - 1].price;
-    const nextPrice = nextCandle.price;
+    for (const pair of pairs) {
+      const records = await this.databaseManager.getMarketDataBetween(pair, from, now);
+      const collectedFrom = records.length > 0 ? new Date(records[0].timestamp).getTime() : now;
+      const replayed = collectedFrom > from ? await this.candleReplay.buildRecords(pair, from, collectedFrom - 1) : [];
+      console.log(`📥 ${pair}: ${records.length} registros coletados e ${replayed.length} reconstruídos das velas para o treino`);
+      data.push(...replayed, ...records);
+    }
     
-    return nextPrice > currentPrice ? 'GREEN' : 'RED';
+    return data;
   }
 
-  async simulateTraining(trainingData) {
-    console.log(`🎯 Treinando com ${trainingData.length} amostras...`);
-    
-    let correct = 0;
-    let total = 0;
+  // Timeframe principal dos registros (gravado pela coleta nos indicadores)
+  getDataInterval(records) {
+    const latest = records[records.length - 1];
+    return latest?.technical_indicators?.interval || '1m';
+  }
+
+  // Velas da tabela `candles` que cobrem os registros de cada par, para os rótulos
+  async loadLabelCandles(data) {
+    const candles = {};
     
-    // Simular treinamento por épocas
-    for (let epoch = 0; epoch < this.epochs; epoch++) {
-      let epochCorrect = 0;
-      let epochTotal = 0;
-      
-      // Processar em lotes
-      for (let i = 0; i < trainingData.length; i += this.batchSize) {
-        const batch = trainingData.slice(i, i + this.batchSize);
-        
-        for (const sample of batch) {
-          const prediction = this.predict(sample.features);
-          const actual = sample.target;
-          
-          if (prediction === actual) {
-            epochCorrect++;
-            correct++;
-          }
-          
-          epochTotal++;
-          total++;
-        }
-      }
-      
-      if (epoch % 20 === 0) {
-        const accuracy = (epochCorrect / epochTotal) * 100;
-        console.log(`Época ${epoch}: Acurácia = ${accuracy.toFixed(2)}%`);
-      }
+    for (const [pair, pairData] of Object.entries(this.groupDataByPair(data))) {
+      const times = pairData.map(item => new Date(item.timestamp).getTime());
+      const interval = this.getDataInterval(pairData);
+      const from = Math.min(...times);
+      const to = Math.max(...times) + 2 * intervalToMs(interval);
+      candles[pair] = await this.databaseManager.getCandles(pair, interval, from, to);
     }
     
-    return {
-      accuracy: (correct / total) * 100,
-      correct,
-      total,
-      epochs: this.epochs
-    };
+    return candles;
+  }
+
+  groupDataByPair(data) {
+    return data.reduce((groups, item) => {
+      const pair = item.pair;
+      if (!groups[pair]) {
+        groups[pair] = [];
+      }
+      groups[pair].push(item);
+      return groups;
+    }, {});
   }
 
-  predict(features) {
+  predict(features, pair = null) {
     if (!this.isInitialized) {
       console.warn('⚠️ IA não inicializada, usando predição aleatória');
       return Math.random() > 0.5 ? 'GREEN' : 'RED';
     }
 
     try {
-      // Calcular score para cada cor
-      const greenScore = this.calculateScore(features, 'GREEN');
-      const redScore = this.calculateScore(features, 'RED');
-      
-      return greenScore > redScore ? 'GREEN' : 'RED';
+      return this.vote(features, pair).color;
     } catch (error) {
       console.error('❌ Erro na predição:', error);
       return Math.random() > 0.5 ? 'GREEN' : 'RED';
     }
   }
 
-  calculateScore(features, color) {
+  // Probabilidade de GREEN pelo modelo do par (calibrada), ou null sem modelo treinado
+  predictProbability(features, pair = null) {
+    const model = this.getModel(pair);
+    if (!model) return null;
+    const probability = model.classifier.predictProba(model.pipeline.transform(features));
+    return model.calibrator ? model.calibrator.calibrate(probability, pair) : probability;
+  }
+
+  /**
+   * Decisão do `StrategyEnsemble` para o par: `{ probability, color,
+   * confidence, votes }`. Sem modelo treinado, o voto do classificador é a
+   * fração do score de regras que ficou com GREEN.
+   */
+  vote(features, pair = null) {
+    let probability = this.predictProbability(features, pair);
+    if (probability === null) {
+      const greenScore = this.calculateScore(features, 'GREEN');
+      const redScore = this.calculateScore(features, 'RED');
+      const totalScore = greenScore + redScore;
+      probability = totalScore > 0 ? greenScore / totalScore : 0.5;
+    }
+
+    const stats = this.getModel(pair)?.metrics?.ensemble?.[pair] || null;
+    return this.ensemble.vote(features, probability, stats);
+  }
+
+  /**
+   * Quanto cada feature empurrou a previsão para GREEN (positivo) ou RED
+   * (negativo), com as `explanationSize` de maior peso em `contributors`:
+   * - `linear`: contribuições exatas da regressão logística (peso × valor
+   *   padronizado), em log-odds;
+   * - `tree_shap`: valores SHAP exatos do gradient boosting, em log-odds;
+   * - `rules`: sem modelo treinado, o que cada regra somou ao score de GREEN
+   *   menos o que somou ao de RED.
+   *
+   * Nos modelos, `baseValue` mais a soma de todas as contribuições é o
+   * log-odds antes da calibração, que não muda a ordem das contribuições.
+   * `value` é o valor original da feature; em colunas de categoria, se ela
+   * estava presente.
+   */
+  explain(features, pair = null) {
+    let method = 'rules';
+    let baseValue = 0;
+    const contributions = {};
+    const model = this.getModel(pair);
+
+    if (model && model.classifier.explain) {
+      const x = model.pipeline.transform(features);
+      const explanation = model.classifier.explain(x);
+      const names = model.pipeline.getFeatureNames();
+      method = model.classifier instanceof GradientBoostedTrees ? 'tree_shap' : 'linear';
+      baseValue = explanation.baseValue;
+      explanation.contributions.forEach((contribution, f) => {
+        if (contribution !== 0) contributions[names[f]] = contribution;
+      });
+    } else {
+      const green = {};
+      const red = {};
+      this.calculateScore(features, 'GREEN', green);
+      this.calculateScore(features, 'RED', red);
+      new Set([...Object.keys(green), ...Object.keys(red)]).forEach(feature => {
+        const contribution = (green[feature] || 0) - (red[feature] || 0);
+        if (contribution !== 0) contributions[feature] = contribution;
+      });
+    }
+
+    const round = value => Math.round(value * 10000) / 10000;
+    const contributors = Object.entries(contributions)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .slice(0, this.explanationSize)
+      .map(([feature, contribution]) => ({
+        feature,
+        value: this.getFeatureValue(features, feature),
+        contribution: round(contribution),
+        favors: contribution > 0 ? 'GREEN' : 'RED'
+      }));
+
+    return {
+      method,
+      baseValue: round(baseValue),
+      total: round(Object.values(contributions).reduce((sum, c) => sum + c, 0)),
+      contributors
+    };
+  }
+
+  // Valor original de uma coluna (`technical.rsi`) ou presença de uma categoria (`regime.regime=ranging`)
+  getFeatureValue(features, feature) {
+    const [path, category] = feature.split('=');
+    const value = path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), features);
+
+    if (category !== undefined) {
+      return Array.isArray(value) ? value.includes(category) : value === category;
+    }
+    if (typeof value === 'number') return Math.round(value * 1e6) / 1e6;
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Score de regras de `color` (0 a 1). Com `contributions`, acumula nele
+   * quanto cada feature somou ao score (antes do limite de 0 a 1).
+   */
+  calculateScore(features, color, contributions = null) {
     let score = 0;
+    const add = (feature, value) => {
+      score += value;
+      if (contributions && value !== 0) contributions[feature] = (contributions[feature] || 0) + value;
+    };
     
     // Score baseado em indicadores técnicos
     if (features.technical) {
@@ -363,21 +691,37 @@ class AIEngine {
       
       // RSI
       if (tech.rsi !== undefined) {
-        if (color === 'GREEN' && tech.rsi < 70) score += 0.1;
-        if (color === 'RED' && tech.rsi > 30) score += 0.1;
+        if (color === 'GREEN' && tech.rsi < 70) add('technical.rsi', 0.1);
+        if (color === 'RED' && tech.rsi > 30) add('technical.rsi', 0.1);
       }
       
       // MACD
       if (tech.macd !== undefined && tech.macdSignal !== undefined) {
-        if (color === 'GREEN' && tech.macd > tech.macdSignal) score += 0.15;
-        if (color === 'RED' && tech.macd < tech.macdSignal) score += 0.15;
+        if (color === 'GREEN' && tech.macd > tech.macdSignal) add('technical.macd', 0.15);
+        if (color === 'RED' && tech.macd < tech.macdSignal) add('technical.macd', 0.15);
+      }
+      
+      // Cruzamento recente do MACD com a linha de sinal
+      if (color === 'GREEN' && tech.macdCross > 0) add('technical.macdCross', 0.1);
+      if (color === 'RED' && tech.macdCross < 0) add('technical.macdCross', 0.1);
+      
+      // Estocástico cruzando em zona extrema
+      if (tech.stochasticK !== null && tech.stochasticK !== undefined) {
+        if (color === 'GREEN' && tech.stochasticCross > 0 && tech.stochasticK < 20) add('technical.stochasticCross', 0.1);
+        if (color === 'RED' && tech.stochasticCross < 0 && tech.stochasticK > 80) add('technical.stochasticCross', 0.1);
+      }
+      
+      // Direção confirmada pelo DMI quando há tendência (ADX > 25)
+      if (tech.adx !== null && tech.adx !== undefined && tech.adx > 25) {
+        if (color === 'GREEN' && tech.plusDI > tech.minusDI) add('technical.adx', 0.05);
+        if (color === 'RED' && tech.minusDI > tech.plusDI) add('technical.adx', 0.05);
       }
       
       // Bollinger Bands
       if (tech.bollingerLower && tech.bollingerUpper && features.market?.price) {
         const price = features.market.price;
-        if (color === 'GREEN' && price < tech.bollingerLower) score += 0.2; // Oversold
-        if (color === 'RED' && price > tech.bollingerUpper) score += 0.2; // Overbought
+        if (color === 'GREEN' && price < tech.bollingerLower) add('technical.bollingerPercentB', 0.2); // Oversold
+        if (color === 'RED' && price > tech.bollingerUpper) add('technical.bollingerPercentB', 0.2); // Overbought
       }
     }
     
@@ -385,10 +729,19 @@ class AIEngine {
     if (features.priceAction) {
       const pa = features.priceAction;
       
-      // Padrões de velas
-      if (pa.patterns) {
-        if (color === 'GREEN' && pa.patterns.includes('hammer')) score += 0.2;
-        if (color === 'RED' && pa.patterns.includes('shooting_star')) score += 0.2;
+      // Padrões de velas em contexto válido, ponderados pela força
+      if (pa.bullishPatternScore !== undefined) {
+        if (color === 'GREEN') {
+          add('priceAction.bullishPatternScore', 0.25 * pa.bullishPatternScore);
+          add('priceAction.bearishPatternScore', -0.1 * pa.bearishPatternScore);
+        }
+        if (color === 'RED') {
+          add('priceAction.bearishPatternScore', 0.25 * pa.bearishPatternScore);
+          add('priceAction.bullishPatternScore', -0.1 * pa.bullishPatternScore);
+        }
+      } else if (pa.patterns) {
+        if (color === 'GREEN' && pa.patterns.includes('hammer')) add('priceAction.patterns=hammer', 0.2);
+        if (color === 'RED' && pa.patterns.includes('shooting_star')) add('priceAction.patterns=shooting_star', 0.2);
       }
     }
     
@@ -396,10 +749,80 @@ class AIEngine {
     if (features.pullback) {
       const pb = features.pullback;
       
-      if (pb.trend === 'uptrend' && color === 'GREEN') score += 0.15;
-      if (pb.trend === 'downtrend' && color === 'RED') score += 0.15;
+      if (pb.trend === 'uptrend' && color === 'GREEN') add('pullback.trend', 0.15);
+      if (pb.trend === 'downtrend' && color === 'RED') add('pullback.trend', 0.15);
+      
+      // Pullback válido: aposta na retomada do impulso
+      const withTrend = (pb.trend === 'uptrend' && color === 'GREEN') || (pb.trend === 'downtrend' && color === 'RED');
+      if (pb.hasValidPullback && withTrend) {
+        add('pullback.hasValidPullback', 0.1);
+        
+        // Retrações entre 38,2% e 61,8% são as mais confiáveis
+        if (pb.retracement >= 0.382 && pb.retracement <= 0.618) add('pullback.retracement', 0.05);
+      }
+    }
+    
+    // Score baseado no regime de mercado
+    if (features.regime?.regime) {
+      const regime = features.regime.regime;
+      
+      if (color === 'GREEN' && regime === 'trending_up') add('regime.regime', 0.1);
+      if (color === 'RED' && regime === 'trending_down') add('regime.regime', 0.1);
+    }
+    
+    // Score baseado em suportes e resistências
+    if (features.supportResistance?.interaction) {
+      const sr = features.supportResistance;
+      const strength = sr.interactionStrength;
+      
+      // Rejeição de suporte ou rompimento de resistência favorecem alta (e vice-versa)
+      if (color === 'GREEN' && sr.interactionZone === 'support' && sr.interaction === 'rejecting') add('supportResistance.interaction', 0.15 * strength);
+      if (color === 'GREEN' && sr.interactionZone === 'resistance' && sr.interaction === 'breaking') add('supportResistance.interaction', 0.1 * strength);
+      if (color === 'RED' && sr.interactionZone === 'resistance' && sr.interaction === 'rejecting') add('supportResistance.interaction', 0.15 * strength);
+      if (color === 'RED' && sr.interactionZone === 'support' && sr.interaction === 'breaking') add('supportResistance.interaction', 0.1 * strength);
+      
+      // Zona forte logo à frente limita o movimento
+      if (color === 'GREEN' && sr.resistanceDistanceAtr !== null && sr.resistanceDistanceAtr < 0.5) add('supportResistance.resistanceDistanceAtr', -0.1 * sr.resistanceStrength);
+      if (color === 'RED' && sr.supportDistanceAtr !== null && sr.supportDistanceAtr < 0.5) add('supportResistance.supportDistanceAtr', -0.1 * sr.supportStrength);
+    }
+    
+    // Score baseado no timeframe maior
+    if (features.multiTimeframe?.htfInterval) {
+      const mtf = features.multiTimeframe;
+      
+      if (color === 'GREEN' && mtf.htfTrend > 0) add('multiTimeframe.htfTrend', 0.15);
+      if (color === 'RED' && mtf.htfTrend < 0) add('multiTimeframe.htfTrend', 0.15);
+      
+      // Evitar operar contra extremos do RSI do timeframe maior
+      if (color === 'GREEN' && mtf.htfRsi > 75) add('multiTimeframe.htfRsi', -0.1);
+      if (color === 'RED' && mtf.htfRsi < 25) add('multiTimeframe.htfRsi', -0.1);
+    }
+    
+    // Score baseado no order book e no fluxo agressor
+    if (features.orderFlow) {
+      const flow = features.orderFlow;
+      
+      // Pressão no book
+      if (flow.imbalance5 !== null) {
+        if (color === 'GREEN' && flow.imbalance5 > 0.2) add('orderFlow.imbalance5', 0.1);
+        if (color === 'RED' && flow.imbalance5 < -0.2) add('orderFlow.imbalance5', 0.1);
+      }
+      
+      // Microprice acima/abaixo do meio do spread
+      if (flow.micropriceOffsetBps !== null) {
+        if (color === 'GREEN' && flow.micropriceOffsetBps > 0) add('orderFlow.micropriceOffsetBps', 0.05);
+        if (color === 'RED' && flow.micropriceOffsetBps < 0) add('orderFlow.micropriceOffsetBps', 0.05);
+      }
+      
+      // Muro próximo no lado oposto limita o movimento
+      if (color === 'GREEN' && flow.askWallDistanceBps !== null && flow.askWallDistanceBps < 10) add('orderFlow.askWallDistanceBps', -0.1);
+      if (color === 'RED' && flow.bidWallDistanceBps !== null && flow.bidWallDistanceBps < 10) add('orderFlow.bidWallDistanceBps', -0.1);
       
-      if (pb.pullbacks > 0 && color === 'GREEN') score += 0.1; // Pullback em uptrend
+      // Agressão compradora/vendedora
+      if (flow.takerBuyRatio !== null) {
+        if (color === 'GREEN' && flow.takerBuyRatio > 0.55) add('orderFlow.takerBuyRatio', 0.05);
+        if (color === 'RED' && flow.takerBuyRatio < 0.45) add('orderFlow.takerBuyRatio', 0.05);
+      }
     }
     
     // Score baseado em features derivadas
@@ -407,38 +830,17 @@ class AIEngine {
       const derived = features.derived;
       
       // Momentum
-      if (color === 'GREEN' && derived.priceMomentum > 0) score += 0.1;
-      if (color === 'RED' && derived.priceMomentum < 0) score += 0.1;
+      if (color === 'GREEN' && derived.priceMomentum > 0) add('derived.priceMomentum', 0.1);
+      if (color === 'RED' && derived.priceMomentum < 0) add('derived.priceMomentum', 0.1);
       
       // Volume
-      if (color === 'GREEN' && derived.volumeTrend > 0) score += 0.05;
-      if (color === 'RED' && derived.volumeTrend < 0) score += 0.05;
+      if (color === 'GREEN' && derived.volumeTrend > 0) add('derived.volumeTrend', 0.05);
+      if (color === 'RED' && derived.volumeTrend < 0) add('derived.volumeTrend', 0.05);
     }
     
     return Math.max(0, Math.min(1, score));
   }
 
-  updateWeights(results) {
-    // Simular atualização de pesos baseada nos resultados
-    // Em produção, usaria backpropagation ou similar
-    
-    if (results.accuracy > 80) {
-      // Aumentar confiança nos pesos atuais
-      Object.keys(this.weights).forEach(category => {
-        Object.keys(this.weights[category]).forEach(feature => {
-          this.weights[category][feature] *= 1.01;
-        });
-      });
-    } else if (results.accuracy < 60) {
-      // Ajustar pesos para melhorar performance
-      Object.keys(this.weights).forEach(category => {
-        Object.keys(this.weights[category]).forEach(feature => {
-          this.weights[category][feature] *= 0.99;
-        });
-      });
-    }
-  }
-
   async saveTrainingResults(results) {
     try {
       // Salvar resultados no banco de dados
@@ -447,10 +849,7 @@ class AIEngine {
         .upsert({
           config_key: 'ai_training_results',
           config_value: {
-            accuracy: results.accuracy,
-            correct: results.correct,
-            total: results.total,
-            epochs: results.epochs,
+            ...results,
             lastTrained: new Date().toISOString()
           },
           description: 'Resultados do último treinamento da IA'
@@ -464,16 +863,10 @@ class AIEngine {
     }
   }
 
-  async getConfidence(features) {
+  // Probabilidade calibrada da cor escolhida pelo ensemble (em %)
+  async getConfidence(features, pair = null) {
     try {
-      const greenScore = this.calculateScore(features, 'GREEN');
-      const redScore = this.calculateScore(features, 'RED');
-      
-      const totalScore = greenScore + redScore;
-      if (totalScore === 0) return 50; // Confiança neutra
-      
-      const maxScore = Math.max(greenScore, redScore);
-      return Math.round((maxScore / totalScore) * 100);
+      return this.vote(features, pair).confidence;
     } catch (error) {
       console.error('❌ Erro ao calcular confiança:', error);
       return 50;
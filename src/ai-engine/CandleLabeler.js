@@ -0,0 +1,69 @@
+const { intervalToMs, alignToInterval, getNextCandle } = require('../utils/timeframes');
+
+const TIE_RULES = ['refund', 'loss'];
+
+/**
+ * Rótulo de uma janela de registros: a cor da vela seguinte ao último
+ * registro, pela abertura e fechamento da própria vela (tabela `candles`),
+ * e não pela diferença de preço entre dois registros.
+ *
+ * Vela sem corpo (fechamento igual à abertura) é `DOJI`. Pela regra de
+ * empate `refund` (a da Ebinex) a entrada é devolvida; com `loss`, conta
+ * como erro para as duas cores. Nos dois casos o DOJI não diz qual cor
+ * venceria, então fica fora do treino.
+ *
+ * A janela é rejeitada se falta vela entre os registros dela (`gap`) ou se
+ * a vela alvo não está nas velas armazenadas (`missing`). Velas alvo ainda
+ * abertas ficam como `pending`.
+ */
+class CandleLabeler {
+  constructor(options = {}) {
+    this.tieRule = options.tieRule || process.env.TIE_RULE || 'refund';
+    if (!TIE_RULES.includes(this.tieRule)) {
+      throw new Error(`TIE_RULE inválida: ${this.tieRule} (use ${TIE_RULES.join(' ou ')})`);
+    }
+  }
+
+  // Velas por horário de abertura
+  indexCandles(candles) {
+    return new Map((candles || []).map(candle => [candle.timestamp, candle]));
+  }
+
+  colorOf(candle) {
+    if (candle.close > candle.open) return 'GREEN';
+    if (candle.close < candle.open) return 'RED';
+    return 'DOJI';
+  }
+
+  /**
+   * `sequence` em ordem cronológica; `candlesByOpen` vem de `indexCandles`.
+   * Devolve `{ status, target, color, candle }`, com `status` `ok`, `gap`,
+   * `missing` ou `pending`.
+   */
+  label(sequence, candlesByOpen, interval, now = Date.now()) {
+    const intervalMs = intervalToMs(interval);
+    const openTimes = sequence.map(record => alignToInterval(new Date(record.timestamp).getTime(), interval));
+    const target = getNextCandle(openTimes[openTimes.length - 1], interval);
+
+    for (let i = 1; i < openTimes.length; i++) {
+      if (openTimes[i] - openTimes[i - 1] > intervalMs) return { status: 'gap', target };
+    }
+
+    const candle = candlesByOpen.get(target.openTime);
+    if (!candle) {
+      return { status: target.closeTime >= now ? 'pending' : 'missing', target };
+    }
+
+    return { status: 'ok', target, color: this.colorOf(candle), candle };
+  }
+
+  // Resultado de um sinal de `color` quando a vela alvo fecha `actual`
+  settle(color, actual) {
+    if (actual === 'DOJI') return this.tieRule === 'refund' ? 'TIE' : 'LOSS';
+    return actual === color ? 'WIN' : 'LOSS';
+  }
+}
+
+CandleLabeler.TIE_RULES = TIE_RULES;
+
+module.exports = CandleLabeler;
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CandleLabeler = require('./CandleLabeler');
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+// Registros datados no meio de cada vela de 1m, a partir da vela `first`
+function records(first, count) {
+  return Array.from({ length: count }, (_, i) => ({ timestamp: new Date(START + (first + i) * MINUTE + 30000).toISOString() }));
+}
+
+function candle(index, open, close) {
+  return { timestamp: START + index * MINUTE, open, close, high: Math.max(open, close), low: Math.min(open, close) };
+}
+
+test('rotula pela abertura e fechamento da vela seguinte', () => {
+  const labeler = new CandleLabeler();
+  const candles = labeler.indexCandles([candle(3, 10, 11), candle(4, 10, 9)]);
+
+  const green = labeler.label(records(0, 3), candles, '1m', START + 10 * MINUTE);
+  assert.equal(green.status, 'ok');
+  assert.equal(green.color, 'GREEN');
+  assert.deepEqual(green.target, { interval: '1m', openTime: START + 3 * MINUTE, closeTime: START + 4 * MINUTE - 1 });
+
+  assert.equal(labeler.label(records(1, 3), candles, '1m', START + 10 * MINUTE).color, 'RED');
+});
+
+test('vela sem corpo é DOJI e a regra de empate decide o resultado', () => {
+  const refund = new CandleLabeler({ tieRule: 'refund' });
+  const candles = refund.indexCandles([candle(3, 10, 10)]);
+  assert.equal(refund.label(records(0, 3), candles, '1m', START + 10 * MINUTE).color, 'DOJI');
+
+  assert.equal(refund.settle('GREEN', 'DOJI'), 'TIE');
+  assert.equal(new CandleLabeler({ tieRule: 'loss' }).settle('GREEN', 'DOJI'), 'LOSS');
+  assert.equal(refund.settle('RED', 'RED'), 'WIN');
+  assert.equal(refund.settle('RED', 'GREEN'), 'LOSS');
+  assert.throws(() => new CandleLabeler({ tieRule: 'push' }), /TIE_RULE inválida/);
+});
+
+test('janela com vela faltando entre os registros é gap', () => {
+  const labeler = new CandleLabeler();
+  const sequence = [...records(0, 2), ...records(3, 1)];
+  const candles = labeler.indexCandles([candle(4, 10, 11)]);
+
+  assert.equal(labeler.label(sequence, candles, '1m', START + 10 * MINUTE).status, 'gap');
+  // Dois registros na mesma vela não são lacuna
+  assert.equal(labeler.label([...records(0, 3), ...records(2, 1)], labeler.indexCandles([candle(3, 1, 2)]), '1m', START + 10 * MINUTE).status, 'ok');
+});
+
+test('vela alvo ausente é pending enquanto não fecha e missing depois', () => {
+  const labeler = new CandleLabeler();
+  const empty = labeler.indexCandles([]);
+  const targetClose = START + 4 * MINUTE;
+
+  assert.equal(labeler.label(records(0, 3), empty, '1m', targetClose - 1).status, 'pending');
+  assert.equal(labeler.label(records(0, 3), empty, '1m', targetClose).status, 'missing');
+});
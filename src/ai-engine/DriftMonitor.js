@@ -0,0 +1,225 @@
+const { populationStabilityIndex, ksStatistic } = require('./metrics');
+const { SETTINGS_KEY } = require('../utils/systemSettings');
+
+const HOUR = 60 * 60 * 1000;
+// Valor crítico do KS de duas amostras a 1% de significância
+const KS_CRITICAL = 1.63;
+// Desvios-padrão abaixo do esperado para a queda de acurácia contar
+const ACCURACY_Z_LIMIT = -2;
+
+/**
+ * Monitoramento de deriva do modelo em uso em cada par.
+ *
+ * - Features: as janelas das últimas `windowHours` horas passam pelo
+ *   pipeline de features do modelo e cada feature é comparada com a distribuição dela
+ *   no treino, no mesmo par (PSI e KS). Uma feature derivou quando o PSI
+ *   chega a `psiLimit` e o KS é significativo a 1%.
+ * - Acurácia: os sinais do modelo resolvidos nas últimas
+ *   `accuracyWindowHours` horas contra a acurácia esperada, que é a do
+ *   backtest salvo pela busca de hiperparâmetros (`system_settings.tuning`)
+ *   ou, sem ele, a confiança média dos próprios sinais. A queda conta a
+ *   partir de `maxAccuracyDrop` e com z ≤ -2.
+ *
+ * Resposta: qualquer deriva pede novo treino, no máximo um a cada
+ * `retrainCooldownMinutes`; acima dos limites de suspensão
+ * (`suspendFeatureShare`, `suspendAccuracyDrop`) os sinais do par também
+ * param até uma nova versão ou até a deriva sumir. Sem deriva, um modelo
+ * com dados de mais de `maxModelAgeHours` horas também pede treino. Par sem
+ * modelo só pede treino se chegaram registros dele desde a última tentativa.
+ * Cada evento vai para o log e para a tabela `drift_events`.
+ */
+class DriftMonitor {
+  constructor(options = {}) {
+    this.aiEngine = options.aiEngine;
+    this.databaseManager = options.databaseManager || this.aiEngine.databaseManager;
+    this.windowHours = parseFloat(process.env.DRIFT_WINDOW_HOURS) || 24;
+    this.psiLimit = parseFloat(process.env.DRIFT_PSI_LIMIT) || 0.25;
+    this.featureShare = parseFloat(process.env.DRIFT_FEATURE_SHARE) || 0.25;
+    this.suspendFeatureShare = parseFloat(process.env.DRIFT_SUSPEND_FEATURE_SHARE) || 0.5;
+    this.accuracyWindowHours = parseFloat(process.env.DRIFT_ACCURACY_WINDOW_HOURS) || 24;
+    this.minSignals = parseInt(process.env.DRIFT_MIN_SIGNALS) || 30;
+    this.maxAccuracyDrop = parseFloat(process.env.DRIFT_ACCURACY_DROP) || 0.1;
+    this.suspendAccuracyDrop = parseFloat(process.env.DRIFT_SUSPEND_ACCURACY_DROP) || 0.2;
+    this.retrainCooldownMinutes = parseFloat(process.env.DRIFT_RETRAIN_COOLDOWN_MINUTES) || 60;
+    this.maxModelAgeHours = parseFloat(process.env.DRIFT_MAX_MODEL_AGE_HOURS) || 24;
+    // Janelas mínimas no período para comparar as features
+    this.minWindows = 50;
+    this.lastRetrainAt = 0;
+  }
+
+  /**
+   * Verifica cada par, aplica as suspensões e registra os eventos. Devolve
+   * `{ pairs, retrain, reasons }`: com `retrain` true, quem chama treina de
+   * novo (o intervalo mínimo já conta a partir de agora).
+   */
+  async check(pairs, now = Date.now()) {
+    const settings = await this.databaseManager.getConfig(SETTINGS_KEY);
+    const expectedAccuracy = settings?.tuning?.accuracy ?? null;
+    const records = await this.databaseManager.getResolvedTrainingData(now - this.accuracyWindowHours * HOUR);
+    const canRetrain = now - this.lastRetrainAt >= this.retrainCooldownMinutes * 60000;
+    const reasons = [];
+    const results = {};
+    const agedVersions = new Set();
+
+    for (const pair of pairs) {
+      const model = this.aiEngine.getModel(pair);
+      if (!model) {
+        if (!canRetrain) continue;
+        const fresh = await this.databaseManager.getMarketDataSince(pair, new Date(this.lastRetrainAt));
+        if (fresh.length > 0) {
+          reasons.push(`${pair} sem modelo treinado, com ${fresh.length} registros novos`);
+        } else {
+          console.log(`⚪ ${pair} sem modelo treinado e sem registros novos desde o último treino`);
+        }
+        continue;
+      }
+
+      const features = await this.checkFeatures(pair, model, now);
+      const accuracy = this.checkAccuracy(pair, model, records, expectedAccuracy);
+      results[pair] = { modelVersion: model.version, features, accuracy };
+
+      const drifts = [['feature_shift', features], ['accuracy_drop', accuracy]].filter(([, result]) => result?.drift);
+      if (drifts.length === 0) {
+        await this.resumeIfSuspended(pair, model);
+        const age = now - new Date(model.dataTo).getTime();
+        if (age > this.maxModelAgeHours * HOUR && !agedVersions.has(model.version)) {
+          agedVersions.add(model.version);
+          reasons.push(`modelo ${model.version} de ${model.pair} com dados de ${(age / HOUR).toFixed(1)}h atrás`);
+        }
+        continue;
+      }
+
+      const suspend = drifts.some(([, result]) => result.suspend);
+      const description = drifts.map(([type, result]) => this.describe(type, result)).join('; ');
+      if (suspend && !this.aiEngine.getSuspension(pair)) {
+        this.aiEngine.suspend(pair, model.version, description);
+      }
+      const action = suspend ? 'suspend' : canRetrain ? 'retrain' : 'wait';
+      reasons.push(`deriva em ${pair}`);
+
+      console.warn(`🌊 Deriva em ${pair} (modelo ${model.version}): ${description}`);
+      console.warn(`   Resposta: ${this.describeAction(action, canRetrain)}`);
+      for (const [type, result] of drifts) {
+        await this.storeEvent({ pair, modelVersion: model.version, type, details: { ...result, retrain: canRetrain }, action });
+      }
+    }
+
+    const retrain = canRetrain && reasons.length > 0;
+    if (retrain) this.markRetrained(now);
+    return { pairs: results, retrain, reasons };
+  }
+
+  markRetrained(now = Date.now()) {
+    this.lastRetrainAt = now;
+  }
+
+  // PSI e KS de cada feature das janelas recentes do par contra o treino
+  async checkFeatures(pair, model, now) {
+    const reference = model.metrics?.featureDistribution?.[pair];
+    if (!reference) return null;
+
+    const records = await this.databaseManager.getMarketDataBetween(pair, now - this.windowHours * HOUR, now);
+    const vectors = this.buildVectors(records, model.pipeline);
+    if (vectors.length < this.minWindows) return null;
+
+    const ksLimit = KS_CRITICAL * Math.sqrt((reference.samples + vectors.length) / (reference.samples * vectors.length));
+    const measured = model.pipeline.getFeatureNames()
+      .map((name, j) => {
+        const distribution = reference.features[name];
+        if (!distribution) return null;
+        const values = vectors.map(x => x[j]);
+        return { feature: name, psi: populationStabilityIndex(distribution, values), ks: ksStatistic(distribution, values) };
+      })
+      .filter(Boolean);
+    const drifted = measured
+      .filter(m => m.psi >= this.psiLimit && m.ks > ksLimit)
+      .sort((a, b) => b.psi - a.psi);
+    const share = measured.length > 0 ? drifted.length / measured.length : 0;
+    const round = value => Math.round(value * 10000) / 10000;
+
+    return {
+      windows: vectors.length,
+      referenceSamples: reference.samples,
+      features: measured.length,
+      drifted: drifted.length,
+      share: round(share),
+      ksLimit: round(ksLimit),
+      top: drifted.slice(0, 5).map(m => ({ feature: m.feature, psi: round(m.psi), ks: round(m.ks) })),
+      drift: share >= this.featureShare,
+      suspend: share >= this.suspendFeatureShare
+    };
+  }
+
+  // Uma janela por registro, como as do treino e dos sinais
+  buildVectors(records, pipeline) {
+    const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const length = this.aiEngine.sequenceLength;
+    const vectors = [];
+
+    for (let end = length; end <= sorted.length; end++) {
+      const features = pipeline.extract(sorted.slice(end - length, end));
+      if (features) vectors.push(pipeline.transform(features));
+    }
+    return vectors;
+  }
+
+  // Acurácia dos sinais resolvidos do modelo no par contra a esperada (empates fora)
+  checkAccuracy(pair, model, records, expectedAccuracy) {
+    const own = records.filter(r => r.pair === pair && r.model_version === model.version && r.is_correct !== null);
+    if (own.length < this.minSignals) return null;
+
+    const accuracy = own.filter(r => r.is_correct).length / own.length;
+    const expected = expectedAccuracy ?? own.reduce((sum, r) => sum + parseFloat(r.confidence), 0) / own.length / 100;
+    const drop = expected - accuracy;
+    const z = -drop / Math.sqrt(Math.max(expected * (1 - expected), 1e-6) / own.length);
+    const significant = z <= ACCURACY_Z_LIMIT;
+    const round = value => Math.round(value * 10000) / 10000;
+
+    return {
+      signals: own.length,
+      accuracy: round(accuracy),
+      expected: round(expected),
+      expectedSource: expectedAccuracy !== null ? 'backtest' : 'confidence',
+      drop: round(drop),
+      z: round(z),
+      drift: significant && drop >= this.maxAccuracyDrop,
+      suspend: significant && drop >= this.suspendAccuracyDrop
+    };
+  }
+
+  // Sem deriva, a suspensão do par (se ainda valer para o modelo) é encerrada
+  async resumeIfSuspended(pair, model) {
+    const suspension = this.aiEngine.getSuspension(pair);
+    if (!suspension) return;
+
+    this.aiEngine.resume(pair);
+    console.log(`▶️ Sinais de ${pair} retomados: sem deriva no modelo ${model.version} (suspenso desde ${suspension.since})`);
+    await this.storeEvent({ pair, modelVersion: model.version, type: 'recovered', details: { suspendedSince: suspension.since }, action: 'resume' });
+  }
+
+  describe(type, result) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    if (type === 'feature_shift') {
+      const top = result.top.map(m => `${m.feature} ${m.psi.toFixed(2)}`).join(', ');
+      return `${result.drifted}/${result.features} features com PSI ≥ ${this.psiLimit} em ${result.windows} janelas (${top})`;
+    }
+    const source = result.expectedSource === 'backtest' ? 'do backtest' : 'pela confiança';
+    return `acurácia de ${percent(result.accuracy)} em ${result.signals} sinais contra ${percent(result.expected)} esperada ${source} (z ${result.z.toFixed(2)})`;
+  }
+
+  describeAction(action, canRetrain) {
+    const retrain = canRetrain ? 'novo treino' : `novo treino após o intervalo de ${this.retrainCooldownMinutes} min`;
+    if (action === 'suspend') return `sinais do par suspensos e ${retrain}`;
+    return retrain;
+  }
+
+  async storeEvent(event) {
+    try {
+      await this.databaseManager.storeDriftEvent(event);
+    } catch (error) {
+      console.error(`❌ Erro ao registrar evento de deriva de ${event.pair}:`, error.message);
+    }
+  }
+}
+
+module.exports = DriftMonitor;
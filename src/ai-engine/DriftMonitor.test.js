@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DriftMonitor = require('./DriftMonitor');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const HOUR = 3600000;
+const NOW = Date.UTC(2024, 0, 10);
+
+// Sinais resolvidos do modelo `v1` em SOLUSDT, `wins` deles corretos
+function signals(count, wins, confidence = 80) {
+  return Array.from({ length: count }, (_, i) => ({ pair: 'SOLUSDT', model_version: 'v1', is_correct: i < wins, confidence: String(confidence) }));
+}
+
+function createMonitor({ records = [], tuning = null, dataTo = NOW - HOUR, trained = true, marketData = [] } = {}) {
+  const suspensions = {};
+  const events = [];
+  const model = { version: 'v1', pair: 'SOLUSDT', dataTo: new Date(dataTo).toISOString(), metrics: {} };
+  const aiEngine = {
+    getModel: () => (trained ? model : null),
+    getSuspension: pair => suspensions[pair] || null,
+    suspend: (pair, version, reason) => { suspensions[pair] = { version, reason, since: new Date(NOW).toISOString() }; },
+    resume: pair => { delete suspensions[pair]; }
+  };
+  const databaseManager = {
+    getConfig: async () => (tuning ? { tuning } : null),
+    getResolvedTrainingData: async () => records,
+    getMarketDataSince: async (pair, since) => marketData.filter(r => new Date(r.timestamp) >= since),
+    storeDriftEvent: async event => { events.push(event); }
+  };
+  return { monitor: new DriftMonitor({ aiEngine, databaseManager }), suspensions, events };
+}
+
+test('queda de acurácia pequena ou com poucos sinais não é deriva', () => {
+  const { monitor } = createMonitor();
+  assert.equal(monitor.checkAccuracy('SOLUSDT', { version: 'v1' }, signals(10, 2), 0.6), null);
+
+  const result = monitor.checkAccuracy('SOLUSDT', { version: 'v1' }, signals(100, 55), 0.6);
+  assert.equal(result.drift, false);
+  assert.equal(result.expectedSource, 'backtest');
+});
+
+test('sem backtest salvo, a esperada é a confiança média dos sinais', () => {
+  const { monitor } = createMonitor();
+  const result = monitor.checkAccuracy('SOLUSDT', { version: 'v1' }, signals(100, 45, 70), null);
+
+  assert.equal(result.expected, 0.7);
+  assert.equal(result.expectedSource, 'confidence');
+  assert.ok(result.z <= -2);
+  assert.equal(result.drift, true);
+  assert.equal(result.suspend, true);
+});
+
+test('queda forte suspende o par, registra o evento e pede treino uma vez por intervalo', async () => {
+  const { monitor, suspensions, events } = createMonitor({ records: signals(100, 40), tuning: { accuracy: 0.7 } });
+
+  const first = await monitor.check(['SOLUSDT'], NOW);
+  assert.equal(first.retrain, true);
+  assert.equal(suspensions.SOLUSDT.version, 'v1');
+  assert.deepEqual(events.map(e => [e.type, e.action]), [['accuracy_drop', 'suspend']]);
+
+  const second = await monitor.check(['SOLUSDT'], NOW + 10 * 60000);
+  assert.equal(second.retrain, false);
+});
+
+test('sem deriva, a suspensão é encerrada e um modelo antigo pede treino', async () => {
+  const { monitor, suspensions, events } = createMonitor({ records: signals(100, 70), tuning: { accuracy: 0.7 }, dataTo: NOW - 30 * HOUR });
+  suspensions.SOLUSDT = { version: 'v1', reason: 'teste', since: new Date(NOW - HOUR).toISOString() };
+
+  const result = await monitor.check(['SOLUSDT'], NOW);
+  assert.equal(suspensions.SOLUSDT, undefined);
+  assert.deepEqual(events.map(e => e.action), ['resume']);
+  assert.equal(result.retrain, true);
+  assert.match(result.reasons[0], /30\.0h/);
+});
+
+test('par sem modelo só pede treino quando chegaram registros desde a última tentativa', async () => {
+  const marketData = [];
+  const { monitor } = createMonitor({ trained: false, marketData });
+  monitor.markRetrained(NOW - 2 * HOUR);
+
+  assert.deepEqual(await monitor.check(['SOLUSDT'], NOW), { pairs: {}, retrain: false, reasons: [] });
+
+  marketData.push({ pair: 'SOLUSDT', timestamp: new Date(NOW - HOUR).toISOString() });
+  const first = await monitor.check(['SOLUSDT'], NOW);
+  assert.equal(first.retrain, true);
+  assert.match(first.reasons[0], /SOLUSDT sem modelo treinado, com 1 registros novos/);
+
+  // Depois do intervalo mínimo, o mesmo registro não pede outro treino
+  const later = await monitor.check(['SOLUSDT'], NOW + 2 * HOUR);
+  assert.equal(later.retrain, false);
+});
@@ -0,0 +1,484 @@
+const OrderBookAnalyzer = require('./OrderBookAnalyzer');
+const CandlePatternDetector = require('../data-collectors/CandlePatternDetector');
+const RegimeClassifier = require('../data-collectors/RegimeClassifier');
+const { intervalToMs } = require('../utils/timeframes');
+
+// Muda sempre que as colunas abaixo ou o cálculo de alguma delas mudar
+const SCHEMA_VERSION = 2;
+
+// Colunas numéricas por grupo, na ordem do vetor. Valores em unidades de
+// preço (médias, bandas, MACD, ATR, market cap) ficam de fora: entram as
+// versões relativas ao preço, comparáveis entre pares
+const NUMERIC_FEATURES = {
+  technical: [
+    'rsi', 'adx', 'plusDI', 'minusDI', 'stochasticK', 'stochasticD', 'cci', 'williamsR',
+    'vwapDistance', 'priceToSma20', 'priceToSma50', 'emaSpread', 'macdHistogramPct',
+    'bollingerPercentB', 'bollingerBandwidth', 'atrPct',
+    'rsiSlope', 'macdHistogramSlope', 'adxSlope', 'macdCross', 'stochasticCross', 'emaCross'
+  ],
+  priceAction: ['bodyRatio', 'bullishPatternScore', 'bearishPatternScore', 'strongestPatternStrength'],
+  pullback: ['hasValidPullback', 'retracement', 'fibLevel', 'candlesSince', 'impulseSizePct'],
+  supportResistance: [
+    'supportDistancePct', 'supportDistanceAtr', 'supportStrength', 'supportTouches',
+    'resistanceDistancePct', 'resistanceDistanceAtr', 'resistanceStrength', 'resistanceTouches',
+    'interactionStrength', 'pocDistancePct'
+  ],
+  regime: ['atrPercentile', 'bandwidthPercentile', 'efficiencyRatio', 'hurst'],
+  multiTimeframe: ['htfTrend', 'htfRsi', 'htfMacdHistogram'],
+  orderFlow: [
+    'spreadBps', 'imbalance1', 'imbalance5', 'imbalance10', 'imbalance20', 'imbalanceChange',
+    'micropriceOffsetBps', 'bidWallDistanceBps', 'bidWallSizeRatio', 'askWallDistanceBps',
+    'askWallSizeRatio', 'takerBuyRatio', 'takerBuyRatio5'
+  ],
+  market: ['priceChange24h', 'volatility'],
+  derived: ['priceVolatility', 'volumeTrend', 'priceMomentum', 'trendStrength']
+};
+
+// Colunas one-hot: uma por valor conhecido, depois das numéricas
+const CATEGORICAL_FEATURES = {
+  'priceAction.patterns': CandlePatternDetector.PATTERNS,
+  'priceAction.strongestPattern': CandlePatternDetector.PATTERNS,
+  'priceAction.strongestPatternDirection': ['bullish', 'bearish', 'neutral'],
+  'pullback.trend': ['uptrend', 'downtrend', 'neutral'],
+  'pullback.status': ['none', 'in_progress', 'completed', 'failed'],
+  'regime.regime': [...RegimeClassifier.REGIMES, 'unknown'],
+  'supportResistance.interaction': ['none', 'testing', 'rejecting', 'breaking'],
+  'supportResistance.interactionZone': ['support', 'resistance'],
+  'supportResistance.valueAreaPosition': ['above', 'inside', 'below']
+};
+
+const COLUMNS = [
+  ...Object.entries(NUMERIC_FEATURES).flatMap(([group, names]) => names.map(name => ({ key: `${group}.${name}`, type: 'numeric' }))),
+  ...Object.entries(CATEGORICAL_FEATURES).flatMap(([key, values]) => values.map(value => ({ key: `${key}=${value}`, path: key, value, type: 'category' })))
+];
+
+/**
+ * Pipeline único de features, usado no treino, nos sinais ao vivo, no
+ * backtest, no ajuste online e no monitor de deriva: janela de registros →
+ * `extract` (objeto de features) → `transform` (vetor numérico).
+ *
+ * O vetor tem sempre as mesmas colunas, na mesma ordem (`COLUMNS`):
+ * - numéricas e booleanas, padronizadas com média e desvio do treino
+ *   (`fit`); valor ausente fica em 0, ou seja, na média;
+ * - categóricas em one-hot sobre os valores conhecidos; valor fora da lista
+ *   zera todas as colunas da feature.
+ *
+ * `toJSON` guarda a versão do esquema e as estatísticas junto com o modelo;
+ * `fromJSON` recusa versões de outro esquema, que precisam de novo treino.
+ */
+class FeaturePipeline {
+  constructor(stats = null) {
+    // `{ coluna: { mean, std } }` das colunas numéricas, de `fit`
+    this.stats = stats;
+    this.higherTimeframe = process.env.AI_HTF_INTERVAL || '15m';
+    this.orderBookAnalyzer = new OrderBookAnalyzer();
+  }
+
+  /**
+   * Features da janela (registros em ordem, o último é o atual) como objeto
+   * por grupo; é o que as heurísticas, as regras e as explicações leem, e o
+   * que `transform` converte em vetor.
+   */
+  extract(sequence) {
+    try {
+      const features = {
+        technical: {},
+        priceAction: {},
+        market: {},
+        pullback: {},
+        multiTimeframe: {},
+        orderFlow: {},
+        supportResistance: {},
+        regime: {}
+      };
+
+      // Extrair indicadores técnicos
+      const lastData = sequence[sequence.length - 1];
+      if (lastData.technical_indicators) {
+        const tech = lastData.technical_indicators;
+        const price = parseFloat(lastData.price);
+        
+        features.technical = {
+          rsi: tech.rsi ?? 50,
+          macd: tech.macd?.macdLine ?? 0,
+          macdSignal: tech.macd?.signalLine ?? 0,
+          macdHistogram: tech.macd?.histogram ?? 0,
+          sma20: tech.sma20 ?? 0,
+          sma50: tech.sma50 ?? 0,
+          ema12: tech.ema12 ?? 0,
+          ema26: tech.ema26 ?? 0,
+          bollingerUpper: tech.bollingerBands?.upper ?? 0,
+          bollingerMiddle: tech.bollingerBands?.middle ?? 0,
+          bollingerLower: tech.bollingerBands?.lower ?? 0,
+          atr: tech.atr ?? null,
+          adx: tech.adx?.adx ?? null,
+          plusDI: tech.adx?.plusDI ?? null,
+          minusDI: tech.adx?.minusDI ?? null,
+          stochasticK: tech.stochastic?.k ?? null,
+          stochasticD: tech.stochastic?.d ?? null,
+          cci: tech.cci ?? null,
+          williamsR: tech.williamsR ?? null,
+          vwapDistance: tech.vwap && price ? (price - tech.vwap) / tech.vwap : null,
+          // Versões relativas ao preço, comparáveis entre pares
+          priceToSma20: tech.sma20 && price ? (price - tech.sma20) / tech.sma20 : null,
+          priceToSma50: tech.sma50 && price ? (price - tech.sma50) / tech.sma50 : null,
+          emaSpread: tech.ema12 && tech.ema26 ? (tech.ema12 - tech.ema26) / tech.ema26 : null,
+          macdHistogramPct: tech.macd && price ? tech.macd.histogram / price : null,
+          bollingerPercentB: tech.bollingerBands?.percentB ?? null,
+          bollingerBandwidth: tech.bollingerBands?.bandwidth ?? null,
+          atrPct: tech.atr && price ? tech.atr / price : null,
+          ...this.extractIndicatorDynamics(tech.series)
+        };
+      }
+
+      // Extrair price action
+      if (lastData.technical_indicators?.priceAction) {
+        features.priceAction = this.extractPriceActionFeatures(lastData.technical_indicators.priceAction);
+      }
+
+      // Extrair análise de pullbacks
+      if (lastData.technical_indicators?.pullbackAnalysis) {
+        features.pullback = this.extractPullbackFeatures(lastData.technical_indicators.pullbackAnalysis);
+      }
+
+      // Extrair zonas de suporte e resistência
+      if (lastData.technical_indicators?.supportResistance) {
+        features.supportResistance = this.extractSupportResistanceFeatures(lastData.technical_indicators.supportResistance);
+      }
+
+      // Extrair regime de mercado
+      features.regime = this.extractRegimeFeatures(lastData.technical_indicators?.regime);
+
+      // Extrair contexto de timeframe maior
+      features.multiTimeframe = this.extractMultiTimeframeFeatures(lastData.technical_indicators);
+
+      // Extrair microestrutura do order book e fluxo agressor
+      features.orderFlow = this.extractOrderFlowFeatures(lastData, sequence[sequence.length - 2]);
+
+      // Extrair dados de mercado
+      if (lastData.market_data) {
+        const market = lastData.market_data;
+        
+        features.market = {
+          marketCap: market.marketCap ?? 0,
+          volume24h: market.totalVolume ?? 0,
+          priceChange24h: market.priceChange24h ?? 0,
+          volatility: Math.abs(market.priceChange24h ?? 0)
+        };
+      }
+
+      // Calcular features derivadas
+      features.derived = this.calculateDerivedFeatures(sequence, features);
+
+      return features;
+    } catch (error) {
+      console.error('❌ Erro ao extrair features:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Pullback atual do `SwingDetector`: estado, retração (fração do impulso)
+   * e tamanho do impulso. Registros antigos só têm a contagem `pullbacks`.
+   */
+  extractPullbackFeatures(pullbackAnalysis) {
+    const pb = pullbackAnalysis || {};
+
+    return {
+      trend: pb.trend || 'neutral',
+      hasValidPullback: pb.hasValidPullback ?? (pb.pullbacks > 0),
+      status: pb.pullback?.status || 'none',
+      retracement: pb.pullback?.retracement ?? 0,
+      fibLevel: pb.pullback?.fibLevel ?? null,
+      candlesSince: pb.pullback?.candlesSince ?? 0,
+      impulseSizePct: pb.impulse?.sizePct ?? 0
+    };
+  }
+
+  /**
+   * Regime do `RegimeClassifier` e as métricas usadas para decidi-lo.
+   * Registros anteriores ao classificador ficam como `unknown`.
+   */
+  extractRegimeFeatures(regime) {
+    const metrics = regime?.metrics || {};
+
+    return {
+      regime: regime?.regime || 'unknown',
+      atrPercentile: metrics.atrPercentile ?? null,
+      bandwidthPercentile: metrics.bandwidthPercentile ?? null,
+      efficiencyRatio: metrics.efficiencyRatio ?? null,
+      hurst: metrics.hurst ?? null
+    };
+  }
+
+  /**
+   * Zonas de suporte/resistência mais próximas: distância (em % do preço e em
+   * ATRs), força e toques, a interação da última vela com elas e a posição
+   * em relação à value area do perfil de volume.
+   */
+  extractSupportResistanceFeatures(supportResistance) {
+    const sr = supportResistance || {};
+    const support = sr.nearestSupport || null;
+    const resistance = sr.nearestResistance || null;
+    const vp = sr.volumeProfile || null;
+
+    let valueAreaPosition = null;
+    if (vp && sr.price) {
+      if (sr.price > vp.valueAreaHigh) valueAreaPosition = 'above';
+      else if (sr.price < vp.valueAreaLow) valueAreaPosition = 'below';
+      else valueAreaPosition = 'inside';
+    }
+
+    return {
+      supportDistancePct: support ? support.distancePct : null,
+      supportDistanceAtr: support ? support.distanceAtr : null,
+      supportStrength: support ? support.strength : 0,
+      supportTouches: support ? support.touches : 0,
+      resistanceDistancePct: resistance ? resistance.distancePct : null,
+      resistanceDistanceAtr: resistance ? resistance.distanceAtr : null,
+      resistanceStrength: resistance ? resistance.strength : 0,
+      resistanceTouches: resistance ? resistance.touches : 0,
+      interaction: sr.interaction?.state || 'none',
+      interactionZone: sr.interaction?.zone || null,
+      interactionStrength: sr.interaction?.strength ?? 0,
+      valueAreaPosition,
+      pocDistancePct: vp && sr.price ? (sr.price - vp.poc) / vp.poc : null
+    };
+  }
+
+  /**
+   * Padrões de velas como features: nomes dos padrões em contexto válido,
+   * força de cada lado e o padrão mais forte.
+   */
+  extractPriceActionFeatures(priceAction) {
+    const pa = priceAction || {};
+    const strongest = pa.strongest || null;
+
+    return {
+      patterns: pa.patterns || [],
+      bodyRatio: pa.recentCandles?.[pa.recentCandles.length - 1]?.bodyRatio ?? 0,
+      bullishPatternScore: pa.bullishScore ?? 0,
+      bearishPatternScore: pa.bearishScore ?? 0,
+      strongestPattern: strongest ? strongest.name : null,
+      strongestPatternDirection: strongest ? strongest.direction : null,
+      strongestPatternStrength: strongest ? strongest.strength : 0
+    };
+  }
+
+  /**
+   * Inclinações e cruzamentos a partir das séries dos indicadores.
+   * Cruzamentos: 1 para cima, -1 para baixo, 0 sem cruzamento na última vela.
+   */
+  extractIndicatorDynamics(series) {
+    const slope = (values, lookback = 3) => {
+      if (!values) return null;
+      const recent = values.filter(v => v !== null);
+      if (recent.length <= lookback) return null;
+      return (recent[recent.length - 1] - recent[recent.length - 1 - lookback]) / lookback;
+    };
+    const cross = (a, b) => {
+      if (!a || !b || a.length < 2) return 0;
+      const [prevA, lastA] = a.slice(-2);
+      const [prevB, lastB] = b.slice(-2);
+      if ([prevA, lastA, prevB, lastB].some(v => v === null)) return 0;
+      if (prevA <= prevB && lastA > lastB) return 1;
+      if (prevA >= prevB && lastA < lastB) return -1;
+      return 0;
+    };
+
+    return {
+      rsiSlope: slope(series?.rsi),
+      macdHistogramSlope: slope(series?.macd?.histogram),
+      adxSlope: slope(series?.adx?.adx),
+      macdCross: cross(series?.macd?.macdLine, series?.macd?.signalLine),
+      stochasticCross: cross(series?.stochastic?.k, series?.stochastic?.d),
+      emaCross: cross(series?.ema12, series?.ema26)
+    };
+  }
+
+  /**
+   * Tendência e RSI do timeframe maior (`AI_HTF_INTERVAL`, padrão 15m).
+   * Se ele não foi coletado, usa o maior timeframe disponível acima do principal.
+   */
+  extractMultiTimeframeFeatures(technicalIndicators) {
+    const timeframes = technicalIndicators?.timeframes;
+    if (!timeframes) return {};
+
+    let interval = this.higherTimeframe;
+    if (!timeframes[interval]) {
+      const available = Object.keys(timeframes)
+        .filter(i => timeframes[i] && i !== technicalIndicators.interval)
+        .sort((a, b) => intervalToMs(a) - intervalToMs(b));
+      interval = available[available.length - 1];
+    }
+
+    const htf = interval ? timeframes[interval] : null;
+    if (!htf) return {};
+
+    const htfTrend = htf.trend === 'uptrend' ? 1 : htf.trend === 'downtrend' ? -1 : 0;
+
+    return {
+      htfInterval: interval,
+      htfTrend,
+      htfRsi: htf.rsi ?? 50,
+      htfMacdHistogram: htf.macd?.histogram ?? 0
+    };
+  }
+
+  /**
+   * Features do order book (imbalance, spread, microprice, muros) e do fluxo
+   * agressor. A variação de imbalance usa o snapshot do registro anterior.
+   */
+  extractOrderFlowFeatures(latest, previous = null) {
+    const book = this.orderBookAnalyzer.analyze(latest?.order_book, previous?.order_book);
+    const tech = latest?.technical_indicators || {};
+
+    return {
+      spreadBps: book ? book.spreadBps : null,
+      imbalance1: book ? book.imbalance[1] : null,
+      imbalance5: book ? book.imbalance[5] : null,
+      imbalance10: book ? book.imbalance[10] : null,
+      imbalance20: book ? book.imbalance[20] : null,
+      imbalanceChange: book ? book.imbalanceChange : null,
+      micropriceOffsetBps: book ? book.micropriceOffsetBps : null,
+      bidWallDistanceBps: book?.bidWall ? book.bidWall.distanceBps : null,
+      bidWallSizeRatio: book?.bidWall ? book.bidWall.sizeRatio : null,
+      askWallDistanceBps: book?.askWall ? book.askWall.distanceBps : null,
+      askWallSizeRatio: book?.askWall ? book.askWall.sizeRatio : null,
+      takerBuyRatio: tech.takerBuyRatio ?? null,
+      takerBuyRatio5: tech.takerBuyRatio5 ?? null
+    };
+  }
+
+  calculateDerivedFeatures(sequence, features) {
+    const prices = sequence.map(s => s.price);
+    const volumes = sequence.map(s => s.volume ?? 0);
+    
+    return {
+      priceVolatility: this.calculateVolatility(prices),
+      volumeTrend: this.calculateVolumeTrend(volumes),
+      priceMomentum: this.calculateMomentum(prices),
+      trendStrength: this.calculateTrendStrength(prices)
+    };
+  }
+
+  calculateVolatility(prices) {
+    if (prices.length < 2) return 0;
+    
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push((prices[i] - prices[i-1]) / prices[i-1]);
+    }
+    
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
+    
+    return Math.sqrt(variance);
+  }
+
+  calculateVolumeTrend(volumes) {
+    if (volumes.length < 2) return 0;
+    
+    const recent = volumes.slice(-5);
+    const older = volumes.slice(-10, -5);
+    
+    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
+    
+    return olderAvg > 0 ? (recentAvg - olderAvg) / olderAvg : 0;
+  }
+
+  calculateMomentum(prices) {
+    if (prices.length < 5) return 0;
+    
+    const recent = prices.slice(-5);
+    const older = prices.slice(-10, -5);
+    
+    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
+    
+    return olderAvg > 0 ? (recentAvg - olderAvg) / olderAvg : 0;
+  }
+
+  calculateTrendStrength(prices) {
+    if (prices.length < 10) return 0;
+    
+    const first = prices[0];
+    const last = prices[prices.length - 1];
+    const change = (last - first) / first;
+    
+    return Math.abs(change);
+  }
+
+  // Média e desvio de cada coluna numérica nas features de treino
+  fit(samples) {
+    this.stats = {};
+    COLUMNS.filter(column => column.type === 'numeric').forEach(column => {
+      const values = samples.map(features => this.getNumber(features, column.key)).filter(value => value !== null);
+      const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+      const std = values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length) : 0;
+      // Coluna constante no treino fica sempre em 0
+      this.stats[column.key] = { mean, std: std > 0 ? std : 1 };
+    });
+    return this;
+  }
+
+  transform(features) {
+    if (!this.stats) throw new Error('FeaturePipeline sem estatísticas: chame fit antes');
+
+    return COLUMNS.map(column => {
+      if (column.type === 'category') {
+        const value = this.getValue(features, column.path);
+        return (Array.isArray(value) ? value.includes(column.value) : value === column.value) ? 1 : 0;
+      }
+      const value = this.getNumber(features, column.key);
+      const { mean, std } = this.stats[column.key];
+      return value === null ? 0 : (value - mean) / std;
+    });
+  }
+
+  getFeatureNames() {
+    return COLUMNS.map(column => column.key);
+  }
+
+  getValue(features, path) {
+    return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), features);
+  }
+
+  // Número finito da coluna (booleanos como 0/1), ou null
+  getNumber(features, key) {
+    const value = this.getValue(features, key);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      columns: COLUMNS.map(column => (column.type === 'numeric' ? { key: column.key, ...this.stats[column.key] } : { key: column.key }))
+    };
+  }
+
+  static fromJSON(json) {
+    const version = json?.version ?? 0;
+    if (version !== SCHEMA_VERSION) {
+      throw new Error(`esquema de features v${version} incompatível com o atual (v${SCHEMA_VERSION}); treine o modelo de novo`);
+    }
+    // Mesma versão com outras colunas: o vetor não teria as colunas do modelo
+    const keys = (json.columns || []).map(column => column.key);
+    if (keys.length !== COLUMNS.length || COLUMNS.some((column, i) => column.key !== keys[i])) {
+      throw new Error(`colunas do esquema de features v${version} diferentes das atuais; treine o modelo de novo`);
+    }
+
+    const stats = {};
+    json.columns.forEach(column => {
+      if (column.mean !== undefined) stats[column.key] = { mean: column.mean, std: column.std };
+    });
+    return new FeaturePipeline(stats);
+  }
+}
+
+FeaturePipeline.SCHEMA_VERSION = SCHEMA_VERSION;
+FeaturePipeline.COLUMNS = COLUMNS;
+
+module.exports = FeaturePipeline;
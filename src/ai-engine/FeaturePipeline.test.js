@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FeaturePipeline = require('./FeaturePipeline');
+const { createRandom } = require('./metrics');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+// Janela de 20 registros com os indicadores do último
+function createSequence(technical, seed = 1) {
+  const random = createRandom(seed);
+  return Array.from({ length: 20 }, (_, i) => ({
+    pair: 'SOLUSDT',
+    timestamp: new Date(Date.UTC(2024, 0, 1) + i * 60000).toISOString(),
+    price: 100 + random() * 2,
+    volume: 10 + random() * 5,
+    technical_indicators: i === 19 ? technical : {}
+  }));
+}
+
+const technical = {
+  interval: '1m',
+  rsi: 41.5,
+  macd: { macdLine: 0.2, signalLine: 0.1, histogram: 0.1 },
+  sma20: 100.5,
+  bollingerBands: { upper: 103, middle: 100, lower: 97, percentB: 0.6, bandwidth: 0.06 },
+  atr: 0.8,
+  regime: { regime: 'ranging', metrics: { atrPercentile: 40, bandwidthPercentile: 30, efficiencyRatio: 0.2, hurst: 0.45 } },
+  pullbackAnalysis: { trend: 'uptrend', hasValidPullback: true, pullback: { status: 'in_progress', retracement: 0.5, fibLevel: 0.5, candlesSince: 3 }, impulse: { sizePct: 1.2 } }
+};
+
+test('zeros reais não viram o valor padrão', () => {
+  const features = new FeaturePipeline().extract(createSequence({
+    ...technical,
+    rsi: 0,
+    pullbackAnalysis: { ...technical.pullbackAnalysis, pullback: { status: 'in_progress', retracement: 0, fibLevel: 0, candlesSince: 0 } }
+  }));
+
+  assert.equal(features.technical.rsi, 0);
+  assert.equal(features.pullback.retracement, 0);
+  assert.equal(features.pullback.fibLevel, 0);
+  assert.equal(new FeaturePipeline().extract(createSequence({ interval: '1m' })).technical.rsi, 50);
+});
+
+test('vetor com colunas fixas: numéricas padronizadas e categorias em one-hot', () => {
+  const samples = [1, 2, 3, 4].map(seed => new FeaturePipeline().extract(createSequence({ ...technical, rsi: 30 + seed * 10 }, seed)));
+  const pipeline = new FeaturePipeline().fit(samples);
+  const names = pipeline.getFeatureNames();
+  const x = pipeline.transform(samples[0]);
+
+  // Mudou as colunas? Suba SCHEMA_VERSION
+  assert.equal(names.length, 134);
+  assert.equal(x.length, names.length);
+  assert.ok(x[names.indexOf('technical.rsi')] < 0);
+  assert.equal(x[names.indexOf('regime.regime=ranging')], 1);
+  assert.equal(x[names.indexOf('pullback.trend=downtrend')], 0);
+  assert.equal(x[names.indexOf('orderFlow.spreadBps')], 0);
+});
+
+test('toJSON/fromJSON preservam o vetor', () => {
+  const samples = [1, 2, 3].map(seed => new FeaturePipeline().extract(createSequence({ ...technical, rsi: 20 * seed }, seed)));
+  const pipeline = new FeaturePipeline().fit(samples);
+  const restored = FeaturePipeline.fromJSON(JSON.parse(JSON.stringify(pipeline.toJSON())));
+
+  samples.forEach(features => assert.deepEqual(restored.transform(features), pipeline.transform(features)));
+});
+
+test('fromJSON recusa outro esquema ou outras colunas e transform exige fit', () => {
+  const json = new FeaturePipeline().fit([]).toJSON();
+
+  assert.throws(() => FeaturePipeline.fromJSON({ ...json, version: FeaturePipeline.SCHEMA_VERSION - 1 }), /incompatível/);
+  assert.throws(() => FeaturePipeline.fromJSON({ columns: json.columns }), /v0/);
+  assert.throws(() => FeaturePipeline.fromJSON({ ...json, columns: json.columns.slice(1) }), /colunas/);
+  assert.throws(() => FeaturePipeline.fromJSON({ ...json, columns: [json.columns[1], json.columns[0], ...json.columns.slice(2)] }), /colunas/);
+  assert.throws(() => new FeaturePipeline().transform({}), /fit/);
+});
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const FeaturePipeline = require('./FeaturePipeline');
+const LogisticRegression = require('./models/LogisticRegression');
+const GradientBoostedTrees = require('./models/GradientBoostedTrees');
+const ProbabilityCalibrator = require('./ProbabilityCalibrator');
+
+const CLASSIFIERS = {
+  logistic: LogisticRegression,
+  gbt: GradientBoostedTrees
+};
+
+/**
+ * Registro de versões dos modelos treinados (tabela `model_registry`).
+ *
+ * Cada versão guarda os parâmetros do classificador, o esquema de features
+ * (versão e estatísticas do `FeaturePipeline`), a calibração, o período dos
+ * dados e as métricas. O id é o
+ * início do SHA-256 do conteúdo (tudo menos as métricas): o mesmo treino
+ * gera sempre a mesma versão.
+ *
+ * Cada par tem no máximo uma versão ativa; `ALL` é o modelo global.
+ * `rollback` volta para a última versão ativada entre as criadas antes da
+ * atual, então rollbacks seguidos andam para trás no histórico.
+ */
+class ModelRegistry {
+  constructor(databaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  // Versão pronta para registrar a partir do classificador e do pipeline de features treinados
+  createArtifact({ pair, classifier, pipeline, calibrator = null, dataFrom, dataTo, metrics }) {
+    const parameters = classifier.toJSON();
+    const content = {
+      pair,
+      modelType: parameters.type,
+      parameters,
+      featureSchema: pipeline.toJSON(),
+      calibration: calibrator ? calibrator.toJSON() : null,
+      dataFrom: dataFrom ? new Date(dataFrom).toISOString() : null,
+      dataTo: dataTo ? new Date(dataTo).toISOString() : null
+    };
+
+    return {
+      version: this.computeVersion(content),
+      ...content,
+      metrics,
+      classifier,
+      pipeline,
+      calibrator
+    };
+  }
+
+  computeVersion(content) {
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+  }
+
+  async register(artifact) {
+    await this.databaseManager.storeModelVersion(artifact);
+    return artifact.version;
+  }
+
+  // Versão ativa do par já com classificador e pipeline de features prontos, ou null
+  async loadActive(pair) {
+    const record = await this.databaseManager.getActiveModel(pair);
+    return record ? this.restore(record) : null;
+  }
+
+  // Versões ativas de todos os pares (o global e os modelos próprios); as de
+  // outro esquema de features ficam de fora até um novo treino
+  async loadAllActive() {
+    const records = await this.databaseManager.getActiveModels();
+    return records.flatMap(record => {
+      try {
+        return [this.restore(record)];
+      } catch (error) {
+        console.warn(`⚠️ Versão ${record.version} de ${record.pair} ignorada: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  restore(record) {
+    const Classifier = CLASSIFIERS[record.model_type];
+    if (!Classifier) throw new Error(`Tipo de modelo desconhecido: ${record.model_type}`);
+
+    return {
+      version: record.version,
+      pair: record.pair,
+      modelType: record.model_type,
+      dataFrom: record.data_from,
+      dataTo: record.data_to,
+      metrics: record.metrics,
+      activatedAt: record.activated_at,
+      createdAt: record.created_at,
+      classifier: Classifier.fromJSON(record.parameters),
+      pipeline: FeaturePipeline.fromJSON(record.feature_schema),
+      calibrator: record.calibration ? ProbabilityCalibrator.fromJSON(record.calibration) : null
+    };
+  }
+
+  async promote(pair, version) {
+    const record = await this.databaseManager.getModelVersion(version);
+    if (!record) throw new Error(`Versão ${version} não encontrada no registro`);
+    if (record.pair !== pair) throw new Error(`Versão ${version} pertence a ${record.pair}, não a ${pair}`);
+
+    await this.databaseManager.setActiveModel(pair, version);
+    return this.restore(record);
+  }
+
+  async rollback(pair) {
+    const current = await this.databaseManager.getActiveModel(pair);
+    if (!current) throw new Error(`Nenhuma versão ativa para ${pair}`);
+
+    const previous = await this.databaseManager.getPreviousActiveModel(pair, current.created_at);
+    if (!previous) throw new Error(`Nenhuma versão anterior a ${current.version} para ${pair}`);
+
+    await this.databaseManager.setActiveModel(pair, previous.version);
+    return this.restore(previous);
+  }
+
+  async list(pair, limit = 20) {
+    return this.databaseManager.listModelVersions(pair, limit);
+  }
+}
+
+ModelRegistry.GLOBAL_PAIR = 'ALL';
+
+module.exports = ModelRegistry;
@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Só o cliente do Supabase é criado; nenhum teste consulta o banco
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+const ModelRegistry = require('./ModelRegistry');
+const AIEngine = require('./AIEngine');
+const FeaturePipeline = require('./FeaturePipeline');
+const LogisticRegression = require('./models/LogisticRegression');
+const { createRandom } = require('./metrics');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+// `model_registry` em memória, com as mesmas regras do DatabaseManager
+function createDatabase() {
+  const rows = [];
+  let clock = Date.UTC(2024, 0, 1);
+  const now = () => new Date(clock++).toISOString();
+
+  return {
+    rows,
+    async storeModelVersion(model) {
+      if (rows.some(row => row.version === model.version)) return;
+      rows.push({
+        version: model.version,
+        pair: model.pair,
+        model_type: model.modelType,
+        parameters: model.parameters,
+        feature_schema: model.featureSchema,
+        calibration: model.calibration,
+        data_from: model.dataFrom,
+        data_to: model.dataTo,
+        metrics: model.metrics,
+        is_active: false,
+        activated_at: null,
+        created_at: now()
+      });
+    },
+    async getModelVersion(version) {
+      return rows.find(row => row.version === version) || null;
+    },
+    async getActiveModel(pair) {
+      return rows.find(row => row.pair === pair && row.is_active) || null;
+    },
+    async getActiveModels() {
+      return rows.filter(row => row.is_active);
+    },
+    async getPreviousActiveModel(pair, createdBefore) {
+      return rows
+        .filter(row => row.pair === pair && !row.is_active && row.activated_at && row.created_at < createdBefore)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))[0] || null;
+    },
+    async setActiveModel(pair, version) {
+      rows.filter(row => row.pair === pair).forEach(row => { row.is_active = false; });
+      const row = rows.find(r => r.pair === pair && r.version === version);
+      row.is_active = true;
+      row.activated_at = now();
+    }
+  };
+}
+
+// Amostras em que o RSI decide a cor: GREEN abaixo de 50
+function createSamples(count, seed) {
+  const random = createRandom(seed);
+  const pipeline = new FeaturePipeline();
+  return Array.from({ length: count }, (_, i) => {
+    const rsi = 20 + random() * 60;
+    const sequence = Array.from({ length: 20 }, (_, j) => ({
+      pair: 'SOLUSDT',
+      timestamp: new Date(Date.UTC(2024, 0, 1) + (i * 20 + j) * 60000).toISOString(),
+      price: 100 + random(),
+      volume: 10,
+      technical_indicators: j === 19 ? { interval: '1m', rsi } : {}
+    }));
+    return { pair: 'SOLUSDT', features: pipeline.extract(sequence), target: rsi < 50 ? 'GREEN' : 'RED' };
+  });
+}
+
+// `invert` treina com os rótulos trocados, para um modelo ruim
+function createArtifact(registry, samples, { invert = false, epochs = 50, logLoss = 0.5 } = {}) {
+  const pipeline = new FeaturePipeline().fit(samples.map(s => s.features));
+  const X = samples.map(s => pipeline.transform(s.features));
+  const y = samples.map(s => ((s.target === 'GREEN') !== invert ? 1 : 0));
+  const classifier = new LogisticRegression({ learningRate: 0.5, epochs, l2: 0 }).fit(X, y);
+
+  return registry.createArtifact({
+    pair: 'SOLUSDT',
+    classifier,
+    pipeline,
+    dataFrom: Date.UTC(2024, 0, 1),
+    dataTo: Date.UTC(2024, 0, 2),
+    metrics: { validation: { logLoss } }
+  });
+}
+
+const TRAIN = createSamples(200, 1);
+const HOLDOUT = createSamples(80, 2);
+
+test('versão é o hash do conteúdo: o mesmo treino gera a mesma versão', () => {
+  const registry = new ModelRegistry(createDatabase());
+  const a = createArtifact(registry, TRAIN, { logLoss: 0.4 });
+  const b = createArtifact(registry, TRAIN, { logLoss: 0.6 });
+  const c = createArtifact(registry, TRAIN, { epochs: 10 });
+
+  assert.match(a.version, /^[0-9a-f]{16}$/);
+  assert.equal(a.version, b.version);
+  assert.notEqual(a.version, c.version);
+});
+
+test('registra, ativa e restaura a versão com classificador e pipeline prontos', async () => {
+  const database = createDatabase();
+  const registry = new ModelRegistry(database);
+  const artifact = createArtifact(registry, TRAIN);
+
+  assert.equal(await registry.register(artifact), artifact.version);
+  assert.equal(await registry.loadActive('SOLUSDT'), null);
+
+  await registry.promote('SOLUSDT', artifact.version);
+  const loaded = await registry.loadActive('SOLUSDT');
+  const sample = HOLDOUT[0];
+
+  assert.equal(loaded.version, artifact.version);
+  assert.equal(loaded.modelType, 'logistic');
+  assert.equal(
+    loaded.classifier.predictProba(loaded.pipeline.transform(sample.features)),
+    artifact.classifier.predictProba(artifact.pipeline.transform(sample.features))
+  );
+});
+
+test('promote recusa versão inexistente ou de outro par', async () => {
+  const registry = new ModelRegistry(createDatabase());
+  const artifact = createArtifact(registry, TRAIN);
+  await registry.register(artifact);
+
+  await assert.rejects(registry.promote('SOLUSDT', 'nao-existe'), /não encontrada/);
+  await assert.rejects(registry.promote('BTCUSDT', artifact.version), /pertence a SOLUSDT/);
+});
+
+test('rollback volta para a última versão ativada antes da atual', async () => {
+  const registry = new ModelRegistry(createDatabase());
+  const [first, second, third] = [10, 20, 30].map(epochs => createArtifact(registry, TRAIN, { epochs }));
+  for (const artifact of [first, second, third]) {
+    await registry.register(artifact);
+  }
+  await registry.promote('SOLUSDT', first.version);
+  await registry.promote('SOLUSDT', third.version);
+
+  assert.equal((await registry.rollback('SOLUSDT')).version, first.version);
+  await assert.rejects(registry.rollback('SOLUSDT'), /Nenhuma versão anterior/);
+});
+
+test('loadAllActive ignora versões que não dá para restaurar', async () => {
+  const database = createDatabase();
+  const registry = new ModelRegistry(database);
+  const artifact = createArtifact(registry, TRAIN);
+  await registry.register(artifact);
+  await registry.promote('SOLUSDT', artifact.version);
+  database.rows.push({ ...database.rows[0], version: 'antiga', pair: 'BTCUSDT', feature_schema: { version: 0 } });
+
+  assert.deepEqual((await registry.loadAllActive()).map(m => m.version), [artifact.version]);
+});
+
+function createEngine(database) {
+  const engine = new AIEngine({ candleReplay: {} });
+  engine.registry = new ModelRegistry(database);
+  engine.autoPromote = true;
+  return engine;
+}
+
+test('versão nova só é ativada se não piorar o log-loss na mesma validação', async () => {
+  const database = createDatabase();
+  const engine = createEngine(database);
+  const good = createArtifact(engine.registry, TRAIN);
+  const bad = createArtifact(engine.registry, TRAIN, { invert: true });
+
+  await engine.registerModel(good, HOLDOUT);
+  assert.equal(engine.getModel('SOLUSDT').version, good.version);
+
+  await engine.registerModel(bad, HOLDOUT);
+  assert.equal(engine.getModel('SOLUSDT').version, good.version);
+  assert.equal((await database.getActiveModel('SOLUSDT')).version, good.version);
+  assert.ok(database.rows.some(row => row.version === bad.version));
+});
+
+test('compara na validação da nova, não nos log-loss gravados de períodos diferentes', async () => {
+  const database = createDatabase();
+  const engine = createEngine(database);
+  // A ativa registrou um log-loss ótimo na validação dela, mas erra nesta
+  const current = createArtifact(engine.registry, TRAIN, { invert: true, logLoss: 0.1 });
+  const candidate = createArtifact(engine.registry, TRAIN, { logLoss: 0.5 });
+  await engine.registerModel(current, HOLDOUT);
+
+  await engine.registerModel(candidate, HOLDOUT);
+  assert.equal(engine.getModel('SOLUSDT').version, candidate.version);
+
+  // Sem amostras em comum, vale a comparação dos log-loss gravados
+  const fallback = createArtifact(engine.registry, TRAIN, { epochs: 10, logLoss: 0.7 });
+  await engine.registerModel(fallback);
+  assert.equal(engine.getModel('SOLUSDT').version, candidate.version);
+});
@@ -0,0 +1,227 @@
+const ModelRegistry = require('./ModelRegistry');
+const { logLoss } = require('./metrics');
+const { intervalToMs } = require('../utils/timeframes');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Aprendizado com os resultados dos sinais emitidos (tabela `ai_training_data`).
+ *
+ * - `record`: cada sinal gravado vira um registro com as features, a cor
+ *   prevista e a confiança, pendente até a vela alvo fechar.
+ * - `resolve`: com a vela alvo na tabela `candles`, o registro recebe a cor
+ *   real e `is_correct` (empates pela regra do `CandleLabeler`); a vela que
+ *   não aparecer depois de `missingAfterCandles` velas fica como `MISSING`.
+ * - `update`: ajusta uma cópia de cada modelo em uso (o registrado, sem
+ *   ajustes anteriores) com os registros resolvidos das últimas
+ *   `windowHours` horas posteriores aos dados do treino dele: os do próprio
+ *   par ou, no modelo global, os de todos os pares.
+ *
+ * Proteções para uma hora ruim não apagar o que o modelo aprendeu:
+ * - peso das amostras cai pela metade a cada `halfLifeHours`;
+ * - nenhuma hora passa de `maxHourShare` do peso total;
+ * - o ajuste parte sempre do modelo registrado, sem acumular desvios, e a
+ *   regressão logística é puxada de volta para os pesos dele;
+ * - o ajuste feito sem a parte mais recente dos registros precisa ter
+ *   log-loss nela não pior que o modelo registrado;
+ * - a probabilidade média não pode mudar mais que `maxShift`.
+ *
+ * Se alguma verificação falhar, o modelo registrado segue em uso.
+ *
+ * O calibrador do registro não é reajustado: os sinais da janela são poucos
+ * para a calibração (ela pede `AI_CALIBRATION_MIN_SAMPLES` previsões por
+ * par) e vêm só dos que passaram pela confiança mínima. Como a probabilidade
+ * crua muda no máximo `maxShift` em média, o calibrador continua valendo.
+ */
+class OnlineLearner {
+  constructor(options = {}) {
+    this.aiEngine = options.aiEngine;
+    this.databaseManager = options.databaseManager || this.aiEngine.databaseManager;
+    // Registrar e resolver acontece sempre; `enabled` controla só o ajuste
+    this.enabled = process.env.ONLINE_LEARNING !== 'false';
+    this.windowHours = parseFloat(process.env.ONLINE_WINDOW_HOURS) || 72;
+    this.halfLifeHours = parseFloat(process.env.ONLINE_HALF_LIFE_HOURS) || 24;
+    // Registros mais recentes usados para aceitar ou não o ajuste: a fração
+    // `holdoutShare`, com pelo menos `minHoldout`
+    this.holdoutShare = 0.2;
+    this.minHoldout = 10;
+    // Sempre sobra ao menos a validação inteira para o ajuste de teste
+    this.minSamples = Math.max(parseInt(process.env.ONLINE_MIN_SAMPLES) || 30, 2 * this.minHoldout);
+    this.maxHourShare = parseFloat(process.env.ONLINE_MAX_HOUR_SHARE) || 0.2;
+    this.maxShift = parseFloat(process.env.ONLINE_MAX_SHIFT) || 0.1;
+    this.missingAfterCandles = 5;
+    this.updateOptions = {
+      epochs: parseInt(process.env.ONLINE_EPOCHS) || 50,
+      learningRate: parseFloat(process.env.ONLINE_LEARNING_RATE) || 0.05,
+      anchorStrength: parseFloat(process.env.ONLINE_ANCHOR_STRENGTH) || 1,
+      trees: parseInt(process.env.ONLINE_GBT_TREES) || 10
+    };
+  }
+
+  // Registro pendente de um sinal gravado; `features` sem arredondamento
+  async record(signal, signalId, features) {
+    try {
+      await this.databaseManager.storeTrainingData(signal.pair, features, signal.color, null, signal.confidence, {
+        signalId,
+        interval: signal.target.interval,
+        targetOpenTime: signal.target.openTime,
+        targetCloseTime: signal.target.closeTime,
+        modelVersion: signal.aiAnalysis?.modelVersion
+      });
+    } catch (error) {
+      console.error(`❌ Erro ao registrar sinal de ${signal.pair} para aprendizado:`, error.message);
+    }
+  }
+
+  // Preenche o resultado dos registros cuja vela alvo já fechou; devolve quantos
+  async resolve(now = Date.now()) {
+    const pending = await this.databaseManager.getPendingTrainingData(now);
+    const labeler = this.aiEngine.labeler;
+    let resolved = 0;
+
+    const groups = {};
+    pending.forEach(record => {
+      const key = `${record.pair}|${record.interval}`;
+      (groups[key] = groups[key] || []).push(record);
+    });
+
+    for (const records of Object.values(groups)) {
+      const { pair, interval } = records[0];
+      const openTimes = records.map(r => new Date(r.target_open_time).getTime());
+      const candles = await this.databaseManager.getCandles(pair, interval, Math.min(...openTimes), Math.max(...openTimes));
+      const byOpen = labeler.indexCandles(candles);
+
+      for (const record of records) {
+        try {
+          const candle = byOpen.get(new Date(record.target_open_time).getTime());
+          if (!candle) {
+            const waited = now - new Date(record.target_close_time).getTime();
+            if (waited > this.missingAfterCandles * intervalToMs(interval)) {
+              await this.databaseManager.resolveTrainingData(record.id, 'MISSING', null);
+            }
+            continue;
+          }
+
+          const color = labeler.colorOf(candle);
+          const result = labeler.settle(record.target_output, color);
+          await this.databaseManager.resolveTrainingData(record.id, color, result === 'TIE' ? null : result === 'WIN');
+          if (record.signal_id) {
+            await this.databaseManager.updateSignalResult(record.signal_id, color);
+          }
+          resolved++;
+        } catch (error) {
+          console.error(`❌ Erro ao resolver registro ${record.id} de ${pair}:`, error.message);
+        }
+      }
+    }
+
+    if (resolved > 0) console.log(`🧾 ${resolved} sinais resolvidos com a cor da vela alvo`);
+    return resolved;
+  }
+
+  /**
+   * Ajusta os modelos em uso com os registros resolvidos. Devolve, por par
+   * do modelo, o resumo do ajuste aplicado ou null se não houve ajuste.
+   */
+  async update(now = Date.now()) {
+    const models = Object.values(this.aiEngine.models).filter(model => model.baseClassifier.partialFit);
+    if (models.length === 0) return {};
+
+    const records = await this.databaseManager.getResolvedTrainingData(now - this.windowHours * HOUR);
+    const updates = {};
+    models.forEach(model => {
+      updates[model.pair] = this.updateModel(model, records, now);
+    });
+    return updates;
+  }
+
+  updateModel(model, records, now) {
+    const base = model.baseClassifier;
+
+    // Registros antes do fim dos dados do treino já entraram no modelo
+    const trainedUntil = model.dataTo ? new Date(model.dataTo).getTime() : 0;
+    const own = records.filter(r => (model.pair === ModelRegistry.GLOBAL_PAIR || r.pair === model.pair) &&
+      new Date(r.target_open_time).getTime() > trainedUntil);
+    if (own.length < this.minSamples) return null;
+
+    const times = own.map(r => new Date(r.target_open_time).getTime());
+    const X = own.map(r => model.pipeline.transform(r.input_features));
+    const y = own.map(r => (r.actual_result === 'GREEN' ? 1 : 0));
+    const weights = this.buildWeights(times, now);
+
+    // Validação: ajuste sem os registros mais recentes, avaliado neles
+    const split = own.length - Math.max(this.minHoldout, Math.floor(own.length * this.holdoutShare));
+    const holdoutY = y.slice(split);
+    const holdoutX = X.slice(split);
+    const trial = this.clone(base).partialFit(X.slice(0, split), y.slice(0, split), weights.slice(0, split), this.updateOptions);
+    const baseLoss = logLoss(holdoutY, holdoutX.map(x => base.predictProba(x)));
+    const trialLoss = logLoss(holdoutY, holdoutX.map(x => trial.predictProba(x)));
+    if (trialLoss > baseLoss) {
+      this.reset(model, `log-loss recente ${trialLoss.toFixed(4)} com ajuste contra ${baseLoss.toFixed(4)} sem`);
+      return null;
+    }
+
+    const updated = this.clone(base).partialFit(X, y, weights, this.updateOptions);
+    const shift = X.reduce((sum, x) => sum + Math.abs(updated.predictProba(x) - base.predictProba(x)), 0) / X.length;
+    if (shift > this.maxShift) {
+      this.reset(model, `mudança média de ${(shift * 100).toFixed(1)} pontos na probabilidade`);
+      return null;
+    }
+
+    const summary = {
+      samples: own.length,
+      from: new Date(Math.min(...times)).toISOString(),
+      to: new Date(Math.max(...times)).toISOString(),
+      holdoutLogLoss: { base: baseLoss, updated: trialLoss },
+      shift,
+      updatedAt: new Date(now).toISOString()
+    };
+    model.classifier = updated;
+    model.online = summary;
+    console.log(`🔁 Modelo ${model.version} de ${model.pair} ajustado com ${own.length} sinais resolvidos (log-loss recente ${baseLoss.toFixed(4)} → ${trialLoss.toFixed(4)})`);
+    return summary;
+  }
+
+  /**
+   * Meia-vida exponencial pela idade e teto de peso por hora: o teto `cap`
+   * satisfaz `cap = share × Σ min(peso da hora, cap)`, ou seja, vale sobre o
+   * total já limitado. Com menos de 1/`maxHourShare` horas, o teto é a
+   * divisão igual entre elas.
+   */
+  buildWeights(times, now) {
+    const weights = times.map(time => Math.pow(0.5, Math.max(0, now - time) / (this.halfLifeHours * HOUR)));
+
+    const byHour = {};
+    times.forEach((time, i) => {
+      const hour = Math.floor(time / HOUR);
+      byHour[hour] = (byHour[hour] || 0) + weights[i];
+    });
+    const hourWeights = Object.values(byHour);
+    const share = Math.max(this.maxHourShare, 1 / hourWeights.length);
+
+    let cap = share * hourWeights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < 50; i++) {
+      const next = share * hourWeights.reduce((sum, w) => sum + Math.min(w, cap), 0);
+      if (Math.abs(next - cap) < 1e-12) break;
+      cap = next;
+    }
+
+    return weights.map((weight, i) => {
+      const hourWeight = byHour[Math.floor(times[i] / HOUR)];
+      return hourWeight > cap ? weight * cap / hourWeight : weight;
+    });
+  }
+
+  clone(classifier) {
+    return classifier.constructor.fromJSON(JSON.parse(JSON.stringify(classifier.toJSON())));
+  }
+
+  // Volta para o classificador registrado
+  reset(model, reason) {
+    model.classifier = model.baseClassifier;
+    delete model.online;
+    console.log(`⏸️ Ajuste online de ${model.pair} descartado: ${reason}`);
+  }
+}
+
+module.exports = OnlineLearner;
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OnlineLearner = require('./OnlineLearner');
+const CandleLabeler = require('./CandleLabeler');
+const LogisticRegression = require('./models/LogisticRegression');
+const { createRandom } = require('./metrics');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const HOUR = 3600000;
+const MINUTE = 60000;
+const NOW = Date.UTC(2024, 0, 10);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+function createLearner(databaseManager = {}) {
+  return new OnlineLearner({ aiEngine: { labeler: new CandleLabeler({ tieRule: 'refund' }), models: {} }, databaseManager });
+}
+
+// Registros resolvidos em que GREEN vem de 2·x0 - x1 > 0, um por minuto até `NOW`
+function createRecords(count, { seed = 3, invert = false } = {}) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (_, i) => {
+    const x = [random() * 2 - 1, random() * 2 - 1];
+    const green = (2 * x[0] - x[1] > 0) !== invert;
+    return {
+      pair: 'SOLUSDT',
+      target_open_time: new Date(NOW - (count - i) * MINUTE).toISOString(),
+      input_features: x,
+      actual_result: green ? 'GREEN' : 'RED'
+    };
+  });
+}
+
+// Modelo registrado que mal começou a aprender a mesma regra
+function createModel() {
+  const records = createRecords(200, { seed: 9 });
+  const base = new LogisticRegression({ learningRate: 0.01, epochs: 1, l2: 0 }).fit(
+    records.map(r => r.input_features),
+    records.map(r => (r.actual_result === 'GREEN' ? 1 : 0))
+  );
+  return {
+    pair: 'SOLUSDT',
+    version: 'v1',
+    dataTo: new Date(NOW - 24 * HOUR).toISOString(),
+    baseClassifier: base,
+    classifier: base,
+    pipeline: { transform: features => features }
+  };
+}
+
+test('peso cai pela metade a cada meia-vida', () => {
+  const learner = createLearner();
+  learner.maxHourShare = 1;
+  const weights = learner.buildWeights([NOW, NOW - 24 * HOUR, NOW - 48 * HOUR, NOW + MINUTE], NOW);
+
+  assert.deepEqual(weights, [1, 0.5, 0.25, 1]);
+});
+
+test('nenhuma hora passa de maxHourShare do peso total', () => {
+  const learner = createLearner();
+  // Sem meia-vida, só o teto muda os pesos
+  learner.halfLifeHours = Infinity;
+  // Dez sinais numa hora e um em cada uma das outras cinco
+  const busy = Array.from({ length: 10 }, (_, i) => NOW - 30 * MINUTE + i);
+  const quiet = [1, 2, 3, 4, 5].map(h => NOW - h * HOUR - 30 * MINUTE);
+  const weights = learner.buildWeights([...busy, ...quiet], NOW);
+  const busyWeight = weights.slice(0, 10).reduce((a, b) => a + b, 0);
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  // cap = 0,2 × (cap + 5)
+  close(busyWeight, 1.25);
+  close(busyWeight / total, 0.2);
+  weights.slice(10).forEach(w => close(w, 1));
+
+  // Com só duas horas, cada uma fica com metade
+  const split = learner.buildWeights([NOW - 30 * MINUTE, NOW - 30 * MINUTE, NOW - 30 * MINUTE, NOW - 90 * MINUTE], NOW);
+  close(split.slice(0, 3).reduce((a, b) => a + b, 0), 1);
+  close(split[3], 1);
+});
+
+test('resolve grava a cor da vela alvo, empates sem acerto e velas que não chegaram', async () => {
+  const target = i => ({ target_open_time: new Date(NOW - (10 - i) * MINUTE).toISOString(), target_close_time: new Date(NOW - (9 - i) * MINUTE - 1).toISOString() });
+  const pending = [
+    { id: 1, signal_id: 11, pair: 'SOLUSDT', interval: '1m', target_output: 'GREEN', ...target(0) },
+    { id: 2, signal_id: 12, pair: 'SOLUSDT', interval: '1m', target_output: 'GREEN', ...target(1) },
+    { id: 3, signal_id: null, pair: 'SOLUSDT', interval: '1m', target_output: 'RED', ...target(2) },
+    { id: 4, pair: 'SOLUSDT', interval: '1m', target_output: 'RED', ...target(3) },
+    { id: 5, pair: 'SOLUSDT', interval: '1m', target_output: 'RED', ...target(8) }
+  ];
+  const candles = [
+    { timestamp: NOW - 10 * MINUTE, open: 100, close: 101 },
+    { timestamp: NOW - 9 * MINUTE, open: 101, close: 100 },
+    { timestamp: NOW - 8 * MINUTE, open: 100, close: 100 }
+  ];
+  const resolved = [];
+  const signals = [];
+  const learner = createLearner({
+    getPendingTrainingData: async () => pending,
+    getCandles: async (pair, interval, from, to) => candles.filter(c => c.timestamp >= from && c.timestamp <= to),
+    resolveTrainingData: async (...args) => resolved.push(args),
+    updateSignalResult: async (...args) => signals.push(args)
+  });
+
+  assert.equal(await learner.resolve(NOW), 3);
+  // Vela 3 fechou há mais de 5 velas; a 8 ainda pode chegar
+  assert.deepEqual(resolved, [[1, 'GREEN', true], [2, 'RED', false], [3, 'DOJI', null], [4, 'MISSING', null]]);
+  assert.deepEqual(signals, [[11, 'GREEN'], [12, 'RED']]);
+});
+
+test('ajuste com sinais da mesma regra é aplicado; os anteriores ao treino ficam fora', () => {
+  const learner = createLearner();
+  learner.updateOptions.learningRate = 0.5;
+  const model = createModel();
+  const old = createRecords(100, { seed: 5, invert: true }).map(r => ({ ...r, target_open_time: new Date(NOW - 48 * HOUR).toISOString() }));
+
+  const summary = learner.updateModel(model, [...old, ...createRecords(60)], NOW);
+
+  assert.equal(summary.samples, 60);
+  assert.ok(summary.holdoutLogLoss.updated < summary.holdoutLogLoss.base);
+  assert.notEqual(model.classifier, model.baseClassifier);
+  assert.deepEqual(model.online, summary);
+});
+
+test('ajuste que piora os sinais recentes ou muda demais a probabilidade é descartado', () => {
+  const learner = createLearner();
+  learner.updateOptions.learningRate = 0.5;
+  const model = createModel();
+
+  // Os 48 mais antigos (o ajuste de teste) com a regra invertida; os 12 da validação, não
+  const flipped = createRecords(60).map((r, i) => (i < 48 ? { ...r, actual_result: r.actual_result === 'GREEN' ? 'RED' : 'GREEN' } : r));
+  assert.equal(learner.updateModel(model, flipped, NOW), null);
+  assert.equal(model.classifier, model.baseClassifier);
+
+  learner.maxShift = 1e-6;
+  model.online = { samples: 1 };
+  assert.equal(learner.updateModel(model, createRecords(60), NOW), null);
+  assert.equal(model.classifier, model.baseClassifier);
+  assert.equal(model.online, undefined);
+});
+
+test('poucos sinais não ajustam, e o mínimo sempre deixa sinais para a validação e o ajuste', () => {
+  process.env.ONLINE_MIN_SAMPLES = '5';
+  const learner = createLearner();
+  delete process.env.ONLINE_MIN_SAMPLES;
+  const model = createModel();
+
+  assert.equal(learner.minSamples, 2 * learner.minHoldout);
+  assert.equal(learner.updateModel(model, createRecords(learner.minSamples - 1), NOW), null);
+  assert.equal(model.classifier, model.baseClassifier);
+});
@@ -0,0 +1,87 @@
+/**
+ * Features de microestrutura do order book (snapshot de `depth` da Binance).
+ *
+ * Preços e quantidades seguem o formato armazenado em `order_book`:
+ * `{ bids: [{ price, quantity }], asks: [{ price, quantity }] }`, com o
+ * melhor preço primeiro.
+ */
+class OrderBookAnalyzer {
+  constructor(options = {}) {
+    this.depths = options.depths || [1, 5, 10, 20];
+    // Um nível é "muro" quando tem N vezes a quantidade mediana do lado
+    this.wallMultiplier = options.wallMultiplier || parseFloat(process.env.ORDER_BOOK_WALL_MULTIPLIER) || 3;
+  }
+
+  analyze(orderBook, previousOrderBook = null) {
+    if (!this.isValid(orderBook)) return null;
+
+    const bestBid = orderBook.bids[0];
+    const bestAsk = orderBook.asks[0];
+    const mid = (bestBid.price + bestAsk.price) / 2;
+
+    const imbalance = {};
+    this.depths.forEach(depth => {
+      imbalance[depth] = this.calculateImbalance(orderBook, depth);
+    });
+
+    const microprice = this.calculateMicroprice(bestBid, bestAsk);
+    const bidWall = this.findWall(orderBook.bids, mid);
+    const askWall = this.findWall(orderBook.asks, mid);
+
+    let imbalanceChange = 0;
+    if (this.isValid(previousOrderBook)) {
+      imbalanceChange = imbalance[5] - this.calculateImbalance(previousOrderBook, 5);
+    }
+
+    return {
+      midPrice: mid,
+      spreadBps: ((bestAsk.price - bestBid.price) / mid) * 10000,
+      imbalance,
+      microprice,
+      micropriceOffsetBps: ((microprice - mid) / mid) * 10000,
+      bidWall,
+      askWall,
+      imbalanceChange
+    };
+  }
+
+  isValid(orderBook) {
+    return Boolean(orderBook?.bids?.length && orderBook?.asks?.length);
+  }
+
+  // (bid - ask) / (bid + ask) nos N primeiros níveis: +1 só compra, -1 só venda
+  calculateImbalance(orderBook, depth) {
+    const bidQty = orderBook.bids.slice(0, depth).reduce((sum, level) => sum + level.quantity, 0);
+    const askQty = orderBook.asks.slice(0, depth).reduce((sum, level) => sum + level.quantity, 0);
+    const total = bidQty + askQty;
+    return total > 0 ? (bidQty - askQty) / total : 0;
+  }
+
+  // Preço médio ponderado pela quantidade do lado oposto no topo do book
+  calculateMicroprice(bestBid, bestAsk) {
+    const total = bestBid.quantity + bestAsk.quantity;
+    if (total === 0) return (bestBid.price + bestAsk.price) / 2;
+    return (bestBid.price * bestAsk.quantity + bestAsk.price * bestBid.quantity) / total;
+  }
+
+  findWall(levels, mid) {
+    if (levels.length < 3) return null;
+
+    const quantities = levels.map(level => level.quantity).sort((a, b) => a - b);
+    const median = quantities[Math.floor(quantities.length / 2)];
+    if (median === 0) return null;
+
+    // O muro mais próximo do preço é o que mais afeta a próxima vela
+    const wall = levels.find(level => level.quantity >= median * this.wallMultiplier);
+    if (!wall) return null;
+
+    return {
+      price: wall.price,
+      quantity: wall.quantity,
+      sizeRatio: wall.quantity / median,
+      distanceBps: (Math.abs(wall.price - mid) / mid) * 10000
+    };
+  }
+}
+
+module.exports = OrderBookAnalyzer;
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrderBookAnalyzer = require('./OrderBookAnalyzer');
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+
+function levels(prices, quantities) {
+  return prices.map((price, i) => ({ price, quantity: quantities[i] }));
+}
+
+// Book de 5 níveis com um muro de compra no terceiro nível
+const BOOK = {
+  bids: levels([99.9, 99.8, 99.7, 99.6, 99.5], [3, 2, 20, 2, 2]),
+  asks: levels([100.1, 100.2, 100.3, 100.4, 100.5], [1, 2, 2, 3, 2])
+};
+
+test('spread, microprice e desequilíbrio por profundidade', () => {
+  const result = new OrderBookAnalyzer({ depths: [1, 5] }).analyze(BOOK);
+
+  close(result.midPrice, 100);
+  close(result.spreadBps, 20);
+  // Mais compra no topo puxa o microprice para o ask
+  close(result.microprice, (99.9 * 1 + 100.1 * 3) / 4);
+  close(result.micropriceOffsetBps, 5);
+  close(result.imbalance[1], (3 - 1) / 4);
+  close(result.imbalance[5], (29 - 10) / 39);
+  assert.equal(result.imbalanceChange, 0);
+});
+
+test('muro mais próximo com N vezes a mediana e sua distância', () => {
+  const result = new OrderBookAnalyzer({ wallMultiplier: 3 }).analyze(BOOK);
+
+  assert.equal(result.bidWall.price, 99.7);
+  close(result.bidWall.sizeRatio, 10);
+  close(result.bidWall.distanceBps, 30);
+  assert.equal(result.askWall, null);
+});
+
+test('variação do desequilíbrio em relação ao snapshot anterior', () => {
+  const previous = {
+    bids: levels([99.9, 99.8], [1, 1]),
+    asks: levels([100.1, 100.2], [1, 1])
+  };
+  const result = new OrderBookAnalyzer().analyze(BOOK, previous);
+
+  close(result.imbalanceChange, (29 - 10) / 39);
+});
+
+test('book vazio ou de um lado só não gera features', () => {
+  const analyzer = new OrderBookAnalyzer();
+
+  assert.equal(analyzer.analyze(null), null);
+  assert.equal(analyzer.analyze({ bids: BOOK.bids, asks: [] }), null);
+});
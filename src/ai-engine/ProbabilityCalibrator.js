@@ -0,0 +1,164 @@
+const PlattScaling = require('./calibrators/PlattScaling');
+const IsotonicRegression = require('./calibrators/IsotonicRegression');
+const { logLoss } = require('./metrics');
+
+const CALIBRATORS = {
+  platt: PlattScaling,
+  isotonic: IsotonicRegression
+};
+
+// Chave do calibrador usado pelos pares sem amostras suficientes
+const GLOBAL = 'ALL';
+
+/**
+ * Calibração da probabilidade de GREEN do classificador, ajustada nas
+ * previsões fora da amostra (a validação temporal do treino).
+ *
+ * - Método: `AI_CALIBRATION` (`platt`, `isotonic`, `none` ou `auto`). Em
+ *   `auto`, os dois são ajustados na primeira metade cronológica das
+ *   previsões e fica o de menor log-loss na segunda.
+ * - Um calibrador por par com pelo menos `minSamples` previsões; os demais
+ *   pares usam o global.
+ * - Relatório de confiabilidade: com o método ajustado só na primeira
+ *   metade, as previsões da segunda são agrupadas por faixa de confiança
+ *   (probabilidade da cor prevista), com a taxa de acerto prevista e a
+ *   observada.
+ *
+ * Escolhido o método, os calibradores são reajustados com todas as previsões.
+ */
+class ProbabilityCalibrator {
+  constructor(options = {}) {
+    this.method = options.method || process.env.AI_CALIBRATION || 'auto';
+    this.minSamples = options.minSamples || parseInt(process.env.AI_CALIBRATION_MIN_SAMPLES) || 100;
+    this.bucketSize = options.bucketSize || 5;
+    this.calibrators = {};
+    this.report = null;
+  }
+
+  // `samples`: `{ pair, probability, label }` em ordem cronológica (label 1 = GREEN)
+  fit(samples) {
+    const half = Math.floor(samples.length / 2);
+    const fitSet = samples.slice(0, half);
+    const evaluationSet = samples.slice(half);
+    const labelsOf = set => set.map(s => s.label);
+
+    const candidates = {};
+    let method = fitSet.length >= 10 ? this.method : 'none';
+    if (method === 'auto') {
+      Object.keys(CALIBRATORS).forEach(type => {
+        const group = this.fitGroup(type, fitSet);
+        candidates[type] = logLoss(labelsOf(evaluationSet), evaluationSet.map(s => this.apply(group, s)));
+      });
+      method = Object.keys(candidates).reduce((a, b) => (candidates[b] < candidates[a] ? b : a));
+    }
+    if (method !== 'none' && !CALIBRATORS[method]) {
+      throw new Error(`Método de calibração desconhecido: ${method}`);
+    }
+
+    const holdout = method !== 'none' ? this.fitGroup(method, fitSet) : null;
+    const calibrateHoldout = s => (holdout ? this.apply(holdout, s) : s.probability);
+    const byPair = {};
+    new Set(evaluationSet.map(s => s.pair)).forEach(pair => {
+      byPair[pair] = this.reliability(evaluationSet.filter(s => s.pair === pair), calibrateHoldout);
+    });
+
+    this.method = method;
+    this.calibrators = method !== 'none' ? this.fitGroup(method, samples) : {};
+    this.report = {
+      method,
+      candidates,
+      samples: samples.length,
+      evaluationSamples: evaluationSet.length,
+      rawLogLoss: logLoss(labelsOf(evaluationSet), evaluationSet.map(s => s.probability)),
+      calibratedLogLoss: logLoss(labelsOf(evaluationSet), evaluationSet.map(calibrateHoldout)),
+      pairCalibrators: Object.keys(this.calibrators).filter(pair => pair !== GLOBAL),
+      buckets: this.reliability(evaluationSet, calibrateHoldout),
+      byPair
+    };
+    return this;
+  }
+
+  // Calibrador global e um por par com amostras suficientes
+  fitGroup(type, samples) {
+    const fit = set => new CALIBRATORS[type]().fit(set.map(s => s.probability), set.map(s => s.label));
+    const group = { [GLOBAL]: fit(samples) };
+
+    const pairs = {};
+    samples.forEach(s => {
+      (pairs[s.pair] = pairs[s.pair] || []).push(s);
+    });
+    Object.entries(pairs).forEach(([pair, set]) => {
+      if (set.length >= this.minSamples) group[pair] = fit(set);
+    });
+
+    return group;
+  }
+
+  apply(group, sample) {
+    return (group[sample.pair] || group[GLOBAL]).transform(sample.probability);
+  }
+
+  // Probabilidade calibrada de GREEN; sem calibrador, a própria probabilidade
+  calibrate(probability, pair = null) {
+    const calibrator = this.calibrators[pair] || this.calibrators[GLOBAL];
+    return calibrator ? calibrator.transform(probability) : probability;
+  }
+
+  // Faixas de confiança da cor prevista pela probabilidade de GREEN (ver `buckets`)
+  reliability(samples, calibrate) {
+    return this.buckets(samples.map(sample => {
+      const probability = calibrate(sample);
+      const color = probability >= 0.5 ? 1 : 0;
+      return { confidence: Math.max(probability, 1 - probability), hit: sample.label === color };
+    }));
+  }
+
+  /**
+   * Faixas de `bucketSize` pontos de confiança: quantas previsões, a
+   * confiança média (taxa prevista) e a taxa de acerto observada.
+   * `outcomes`: `{ confidence, hit }`, com a confiança de 0 a 1.
+   */
+  buckets(outcomes) {
+    const buckets = new Map();
+
+    outcomes.forEach(({ confidence, hit }) => {
+      const from = Math.min(100 - this.bucketSize, Math.floor(confidence * 100 / this.bucketSize) * this.bucketSize);
+
+      const bucket = buckets.get(from) || { from, to: from + this.bucketSize, count: 0, confidenceSum: 0, wins: 0 };
+      bucket.count++;
+      bucket.confidenceSum += confidence;
+      if (hit) bucket.wins++;
+      buckets.set(from, bucket);
+    });
+
+    return [...buckets.values()]
+      .sort((a, b) => a.from - b.from)
+      .map(bucket => ({
+        from: bucket.from,
+        to: bucket.to,
+        count: bucket.count,
+        predicted: bucket.confidenceSum / bucket.count,
+        observed: bucket.wins / bucket.count
+      }));
+  }
+
+  toJSON() {
+    const calibrators = {};
+    Object.entries(this.calibrators).forEach(([pair, calibrator]) => {
+      calibrators[pair] = calibrator.toJSON();
+    });
+    return { method: this.method, calibrators };
+  }
+
+  static fromJSON(json) {
+    const calibrator = new ProbabilityCalibrator({ method: json.method });
+    Object.entries(json.calibrators || {}).forEach(([pair, params]) => {
+      calibrator.calibrators[pair] = CALIBRATORS[params.type].fromJSON(params);
+    });
+    return calibrator;
+  }
+}
+
+ProbabilityCalibrator.GLOBAL = GLOBAL;
+
+module.exports = ProbabilityCalibrator;
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProbabilityCalibrator = require('./ProbabilityCalibrator');
+const { createRandom, sigmoid } = require('./metrics');
+
+// Previsões superconfiantes de dois pares, em ordem cronológica
+function createSamples(n, seed = 7) {
+  const random = createRandom(seed);
+  return Array.from({ length: n }, (_, i) => {
+    const z = random() * 4 - 2;
+    return { pair: i % 4 === 0 ? 'ETHUSDT' : 'SOLUSDT', probability: sigmoid(3 * z), label: random() < sigmoid(z) ? 1 : 0 };
+  });
+}
+
+test('auto escolhe o método pela log-loss da segunda metade', () => {
+  const calibrator = new ProbabilityCalibrator({ method: 'auto', minSamples: 1000 }).fit(createSamples(2000));
+  const { report } = calibrator;
+  const best = Object.keys(report.candidates).reduce((a, b) => (report.candidates[b] < report.candidates[a] ? b : a));
+
+  assert.equal(calibrator.method, best);
+  assert.equal(report.evaluationSamples, 1000);
+  assert.ok(report.calibratedLogLoss < report.rawLogLoss);
+  assert.deepEqual(report.pairCalibrators, ['SOLUSDT']);
+  assert.deepEqual(Object.keys(report.byPair).sort(), ['ETHUSDT', 'SOLUSDT']);
+});
+
+test('relatório de confiabilidade agrupa por faixa e acompanha a taxa observada', () => {
+  const { report } = new ProbabilityCalibrator({ method: 'platt', bucketSize: 10 }).fit(createSamples(4000));
+
+  assert.equal(report.buckets.reduce((sum, bucket) => sum + bucket.count, 0), 2000);
+  report.buckets.forEach(bucket => {
+    assert.ok(bucket.from >= 50 && bucket.to <= 100);
+    assert.ok(bucket.predicted * 100 >= bucket.from && bucket.predicted * 100 <= bucket.to);
+    if (bucket.count >= 200) assert.ok(Math.abs(bucket.predicted - bucket.observed) < 0.08);
+  });
+});
+
+test('poucas amostras ou none mantêm a probabilidade; método desconhecido é rejeitado', () => {
+  assert.equal(new ProbabilityCalibrator({ method: 'platt' }).fit(createSamples(10)).method, 'none');
+  assert.equal(new ProbabilityCalibrator({ method: 'none' }).fit(createSamples(200)).calibrate(0.9, 'SOLUSDT'), 0.9);
+  assert.throws(() => new ProbabilityCalibrator({ method: 'beta' }).fit(createSamples(200)), /beta/);
+});
+
+test('toJSON/fromJSON preservam os calibradores por par e o global', () => {
+  const calibrator = new ProbabilityCalibrator({ method: 'isotonic', minSamples: 1000 }).fit(createSamples(2000));
+  const restored = ProbabilityCalibrator.fromJSON(JSON.parse(JSON.stringify(calibrator.toJSON())));
+
+  ['SOLUSDT', 'ETHUSDT', 'BTCUSDT'].forEach(pair => {
+    assert.equal(restored.calibrate(0.8, pair), calibrator.calibrate(0.8, pair));
+  });
+  assert.notEqual(calibrator.calibrate(0.8, 'SOLUSDT'), calibrator.calibrate(0.8, 'ETHUSDT'));
+});
@@ -0,0 +1,135 @@
+/**
+ * Votantes heurísticos: cor pedida pelas features, ou null quando não há
+ * setup (o votante se abstém).
+ */
+const HEURISTIC_VOTERS = {
+  // Retomada da tendência depois de um pullback válido
+  pullback: features => {
+    const pb = features.pullback || {};
+    if (!pb.hasValidPullback) return null;
+    if (pb.trend === 'uptrend') return 'GREEN';
+    if (pb.trend === 'downtrend') return 'RED';
+    return null;
+  },
+  // Lado com mais força nos padrões de vela em contexto válido
+  candlePatterns: features => {
+    const pa = features.priceAction || {};
+    const bullish = pa.bullishPatternScore || 0;
+    const bearish = pa.bearishPatternScore || 0;
+    if (bullish === bearish) return null;
+    return bullish > bearish ? 'GREEN' : 'RED';
+  },
+  // Rejeição ou rompimento da zona de suporte/resistência mais próxima
+  supportResistance: features => {
+    const sr = features.supportResistance || {};
+    if (sr.interaction === 'rejecting') return sr.interactionZone === 'support' ? 'GREEN' : 'RED';
+    if (sr.interaction === 'breaking') return sr.interactionZone === 'resistance' ? 'GREEN' : 'RED';
+    return null;
+  }
+};
+
+/**
+ * Combinação dos votos do classificador (`model`: probabilidade calibrada
+ * do modelo do par ou, sem modelo treinado, o score das regras) e dos
+ * votantes heurísticos na cor do sinal.
+ *
+ * Cada votante é pesado pela acurácia fora da amostra no par, medida na
+ * validação do último treino e puxada para 50% com `priorVotes` votos
+ * fictícios: o peso é a vantagem sobre 50%, então votante sem vantagem não
+ * pesa. A probabilidade de GREEN de uma heurística é a acurácia dela na cor
+ * votada. Sem acurácia medida para o par (ou sem vantagem de nenhum), vale
+ * só o classificador.
+ *
+ * A média ponderada só escolhe a cor: ela mistura probabilidades com taxas
+ * de acerto e não é calibrada. A confiança, comparada com
+ * `SIGNAL_CONFIDENCE_THRESHOLD`, é a probabilidade calibrada do
+ * classificador para a cor escolhida; abaixo de 50% quando as heurísticas
+ * contrariam o modelo.
+ */
+class StrategyEnsemble {
+  constructor(options = {}) {
+    this.priorVotes = options.priorVotes ?? (parseInt(process.env.ENSEMBLE_PRIOR_VOTES) || 20);
+  }
+
+  getVoterNames() {
+    return ['model', ...Object.keys(HEURISTIC_VOTERS)];
+  }
+
+  // `stats`: `{ votante: { votes, wins } }` do par, de `evaluate`
+  vote(features, modelProbability, stats = null) {
+    const votes = this.getVoterNames().map(voter => {
+      const color = voter === 'model'
+        ? (modelProbability >= 0.5 ? 'GREEN' : 'RED')
+        : HEURISTIC_VOTERS[voter](features);
+      const accuracy = stats?.[voter] ? this.smoothedAccuracy(stats[voter]) : null;
+
+      let probability = null;
+      if (voter === 'model') probability = modelProbability;
+      else if (color && accuracy !== null) probability = color === 'GREEN' ? accuracy : 1 - accuracy;
+
+      return {
+        voter,
+        color,
+        probability,
+        accuracy,
+        weight: color && probability !== null && accuracy !== null ? Math.max(0, accuracy - 0.5) : 0
+      };
+    });
+
+    const totalWeight = votes.reduce((sum, v) => sum + v.weight, 0);
+    const probability = totalWeight > 0
+      ? votes.reduce((sum, v) => sum + v.weight * v.probability, 0) / totalWeight
+      : modelProbability;
+
+    const color = probability >= 0.5 ? 'GREEN' : 'RED';
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+    return {
+      probability,
+      color,
+      confidence: Math.round(this.confidence(color, modelProbability) * 100),
+      votes: votes.map(v => ({
+        voter: v.voter,
+        color: v.color,
+        probability: round(v.probability),
+        accuracy: round(v.accuracy),
+        weight: totalWeight > 0 ? round(v.weight / totalWeight) : v.voter === 'model' ? 1 : 0
+      }))
+    };
+  }
+
+  /**
+   * Votos e acertos de cada votante por par. `samples`: `{ pair, features,
+   * probability, label }`, com `probability` do classificador fora da
+   * amostra e `label` `GREEN` ou `RED`.
+   */
+  evaluate(samples) {
+    const stats = {};
+
+    samples.forEach(sample => {
+      const pairStats = stats[sample.pair] = stats[sample.pair] || {};
+      this.getVoterNames().forEach(voter => {
+        const color = voter === 'model'
+          ? (sample.probability >= 0.5 ? 'GREEN' : 'RED')
+          : HEURISTIC_VOTERS[voter](sample.features);
+        if (!color) return;
+
+        const voterStats = pairStats[voter] = pairStats[voter] || { votes: 0, wins: 0 };
+        voterStats.votes++;
+        if (color === sample.label) voterStats.wins++;
+      });
+    });
+
+    return stats;
+  }
+
+  // Probabilidade do classificador para `color` (0 a 1)
+  confidence(color, modelProbability) {
+    return color === 'GREEN' ? modelProbability : 1 - modelProbability;
+  }
+
+  smoothedAccuracy({ votes, wins }) {
+    return (wins + this.priorVotes / 2) / (votes + this.priorVotes);
+  }
+}
+
+module.exports = StrategyEnsemble;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StrategyEnsemble = require('./StrategyEnsemble');
+
+// Pullback de alta válido: a heurística `pullback` vota GREEN
+const features = { pullback: { hasValidPullback: true, trend: 'uptrend' } };
+
+test('sem acurácias medidas vale só o modelo', () => {
+  const decision = new StrategyEnsemble({ priorVotes: 20 }).vote(features, 0.3);
+  assert.equal(decision.color, 'RED');
+  assert.equal(decision.confidence, 70);
+  assert.equal(decision.votes.find(v => v.voter === 'model').weight, 1);
+});
+
+test('heurística com vantagem pode virar a cor, mas a confiança segue a probabilidade do modelo', () => {
+  const stats = { model: { votes: 100, wins: 52 }, pullback: { votes: 100, wins: 90 } };
+  const decision = new StrategyEnsemble({ priorVotes: 20 }).vote(features, 0.45, stats);
+
+  assert.ok(decision.probability > 0.5);
+  assert.equal(decision.color, 'GREEN');
+  assert.equal(decision.confidence, 45);
+});
+
+test('evaluate conta votos e acertos por par, sem votos das heurísticas que se abstêm', () => {
+  const stats = new StrategyEnsemble().evaluate([
+    { pair: 'SOLUSDT', features, probability: 0.7, label: 'GREEN' },
+    { pair: 'SOLUSDT', features: {}, probability: 0.2, label: 'GREEN' },
+    { pair: 'ETHUSDT', features, probability: 0.6, label: 'RED' }
+  ]);
+
+  assert.deepEqual(stats.SOLUSDT.model, { votes: 2, wins: 1 });
+  assert.deepEqual(stats.SOLUSDT.pullback, { votes: 1, wins: 1 });
+  assert.deepEqual(stats.ETHUSDT.pullback, { votes: 1, wins: 0 });
+  assert.equal(stats.SOLUSDT.candlePatterns, undefined);
+});
@@ -0,0 +1,65 @@
+/**
+ * Regressão isotônica (pool adjacent violators): a função não decrescente de
+ * `p` mais próxima da taxa observada. Cada bloco guarda a média das
+ * probabilidades e a taxa de acerto; entre blocos, o valor é interpolado
+ * linearmente, e fora deles fica no bloco da ponta.
+ */
+class IsotonicRegression {
+  constructor() {
+    this.x = [];
+    this.y = [];
+  }
+
+  fit(probabilities, labels) {
+    const order = probabilities.map((_, i) => i).sort((i, j) => probabilities[i] - probabilities[j]);
+    const blocks = [];
+
+    order.forEach(i => {
+      blocks.push({ sumX: probabilities[i], sumY: labels[i], count: 1 });
+      // Junta blocos enquanto a taxa do anterior for maior que a do último
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const previous = blocks[blocks.length - 2];
+        if (previous.sumY / previous.count <= last.sumY / last.count) break;
+        previous.sumX += last.sumX;
+        previous.sumY += last.sumY;
+        previous.count += last.count;
+        blocks.pop();
+      }
+    });
+
+    this.x = blocks.map(block => block.sumX / block.count);
+    this.y = blocks.map(block => block.sumY / block.count);
+    return this;
+  }
+
+  transform(probability) {
+    const { x, y } = this;
+    if (x.length === 0) return probability;
+    if (probability <= x[0]) return y[0];
+    if (probability >= x[x.length - 1]) return y[y.length - 1];
+
+    let low = 0;
+    let high = x.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (x[mid] <= probability) low = mid;
+      else high = mid;
+    }
+    const share = (probability - x[low]) / (x[high] - x[low]);
+    return y[low] + share * (y[high] - y[low]);
+  }
+
+  toJSON() {
+    return { type: 'isotonic', x: this.x, y: this.y };
+  }
+
+  static fromJSON(json) {
+    const calibrator = new IsotonicRegression();
+    calibrator.x = json.x;
+    calibrator.y = json.y;
+    return calibrator;
+  }
+}
+
+module.exports = IsotonicRegression;
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IsotonicRegression = require('./IsotonicRegression');
+const { createRandom } = require('../metrics');
+
+test('junta blocos que violam a ordem e interpola entre eles', () => {
+  const isotonic = new IsotonicRegression().fit([0.4, 0.1, 0.3, 0.2], [1, 0, 0, 1]);
+
+  assert.deepEqual(isotonic.x, [0.1, 0.25, 0.4]);
+  assert.deepEqual(isotonic.y, [0, 0.5, 1]);
+  assert.ok(Math.abs(isotonic.transform(0.175) - 0.25) < 1e-12);
+  assert.equal(isotonic.transform(0), 0);
+  assert.equal(isotonic.transform(1), 1);
+});
+
+test('a saída não decresce com a probabilidade', () => {
+  const random = createRandom(17);
+  const probabilities = Array.from({ length: 1000 }, () => random());
+  const labels = probabilities.map(p => (random() < p * p ? 1 : 0));
+  const isotonic = new IsotonicRegression().fit(probabilities, labels);
+
+  let previous = -Infinity;
+  for (let p = 0; p <= 1; p += 0.01) {
+    const value = isotonic.transform(p);
+    assert.ok(value >= previous);
+    previous = value;
+  }
+});
+
+test('sem ajuste devolve a própria probabilidade e toJSON/fromJSON preservam os blocos', () => {
+  assert.equal(new IsotonicRegression().transform(0.37), 0.37);
+
+  const isotonic = new IsotonicRegression().fit([0.2, 0.6, 0.8], [0, 1, 1]);
+  const restored = IsotonicRegression.fromJSON(JSON.parse(JSON.stringify(isotonic.toJSON())));
+  assert.equal(restored.transform(0.5), isotonic.transform(0.5));
+});
@@ -0,0 +1,91 @@
+const { sigmoid } = require('../metrics');
+
+const EPSILON = 1e-6;
+
+/**
+ * Platt scaling: `sigmoid(a · logit(p) + b)`, com `a` e `b` ajustados por
+ * Newton-Raphson sobre a log-loss, com o passo reduzido à metade enquanto a
+ * perda não cair. Os alvos são suavizados como no artigo original
+ * (`(n₊ + 1) / (n₊ + 2)` e `1 / (n₋ + 2)`), o que evita probabilidades 0 ou
+ * 1 com poucas amostras.
+ */
+class PlattScaling {
+  constructor(options = {}) {
+    this.iterations = options.iterations || 100;
+    this.a = 1;
+    this.b = 0;
+  }
+
+  fit(probabilities, labels) {
+    const positives = labels.filter(label => label === 1).length;
+    const negatives = labels.length - positives;
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+    const x = probabilities.map(p => this.logit(p));
+    const t = labels.map(label => (label === 1 ? high : low));
+
+    const loss = (a, b) => x.reduce((sum, xi, i) => {
+      const p = Math.min(1 - EPSILON, Math.max(EPSILON, sigmoid(a * xi + b)));
+      return sum - t[i] * Math.log(p) - (1 - t[i]) * Math.log(1 - p);
+    }, 0);
+
+    this.a = 1;
+    this.b = 0;
+    let current = loss(this.a, this.b);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      let ga = 0;
+      let gb = 0;
+      let haa = 1e-9;
+      let hab = 0;
+      let hbb = 1e-9;
+      x.forEach((xi, i) => {
+        const p = sigmoid(this.a * xi + this.b);
+        const d = p - t[i];
+        const w = p * (1 - p);
+        ga += d * xi;
+        gb += d;
+        haa += w * xi * xi;
+        hab += w * xi;
+        hbb += w;
+      });
+
+      const det = haa * hbb - hab * hab;
+      if (Math.abs(det) < 1e-12) break;
+      const stepA = (hbb * ga - hab * gb) / det;
+      const stepB = (haa * gb - hab * ga) / det;
+
+      let size = 1;
+      while (size >= 1e-10 && loss(this.a - size * stepA, this.b - size * stepB) > current) size /= 2;
+      if (size < 1e-10) break;
+
+      this.a -= size * stepA;
+      this.b -= size * stepB;
+      current = loss(this.a, this.b);
+      if (Math.abs(size * stepA) < 1e-8 && Math.abs(size * stepB) < 1e-8) break;
+    }
+
+    return this;
+  }
+
+  transform(probability) {
+    return sigmoid(this.a * this.logit(probability) + this.b);
+  }
+
+  logit(probability) {
+    const p = Math.min(1 - EPSILON, Math.max(EPSILON, probability));
+    return Math.log(p / (1 - p));
+  }
+
+  toJSON() {
+    return { type: 'platt', a: this.a, b: this.b };
+  }
+
+  static fromJSON(json) {
+    const calibrator = new PlattScaling();
+    calibrator.a = json.a;
+    calibrator.b = json.b;
+    return calibrator;
+  }
+}
+
+module.exports = PlattScaling;
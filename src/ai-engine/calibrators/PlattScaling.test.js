@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlattScaling = require('./PlattScaling');
+const { createRandom, sigmoid, logLoss } = require('../metrics');
+
+// Modelo superconfiante: relata sigmoid(3·z) quando a probabilidade real é sigmoid(z)
+function createOverconfident(n, seed = 5) {
+  const random = createRandom(seed);
+  const probabilities = [];
+  const labels = [];
+  for (let i = 0; i < n; i++) {
+    const z = random() * 4 - 2;
+    probabilities.push(sigmoid(3 * z));
+    labels.push(random() < sigmoid(z) ? 1 : 0);
+  }
+  return { probabilities, labels };
+}
+
+test('corrige a superconfiança e reduz a log-loss', () => {
+  const train = createOverconfident(4000);
+  const check = createOverconfident(2000, 11);
+  const platt = new PlattScaling().fit(train.probabilities, train.labels);
+
+  assert.ok(Math.abs(platt.a - 1 / 3) < 0.05);
+  assert.ok(Math.abs(platt.b) < 0.15);
+  assert.ok(logLoss(check.labels, check.probabilities.map(p => platt.transform(p))) < logLoss(check.labels, check.probabilities));
+});
+
+test('alvos suavizados: classes separadas não empurram as probabilidades para 0 ou 1', () => {
+  const platt = new PlattScaling().fit([0.1, 0.2, 0.3, 0.7, 0.8, 0.9], [0, 0, 0, 1, 1, 1]);
+  assert.ok(platt.a > 0 && platt.a < 1);
+  assert.ok(platt.transform(0.9) < 0.9);
+  assert.ok(platt.transform(0.1) > 0.1);
+});
+
+test('toJSON/fromJSON preservam a transformação', () => {
+  const { probabilities, labels } = createOverconfident(500);
+  const platt = new PlattScaling().fit(probabilities, labels);
+  const restored = PlattScaling.fromJSON(JSON.parse(JSON.stringify(platt.toJSON())));
+  [0.05, 0.5, 0.93].forEach(p => assert.equal(restored.transform(p), platt.transform(p)));
+});
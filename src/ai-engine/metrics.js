@@ -0,0 +1,132 @@
+const EPSILON = 1e-15;
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// Gerador pseudoaleatório com semente (mulberry32), para treinos reproduzíveis
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function logLoss(labels, probabilities) {
+  if (labels.length === 0) return null;
+
+  const total = labels.reduce((sum, label, i) => {
+    const p = Math.min(1 - EPSILON, Math.max(EPSILON, probabilities[i]));
+    return sum - (label * Math.log(p) + (1 - label) * Math.log(1 - p));
+  }, 0);
+  return total / labels.length;
+}
+
+/**
+ * Métricas de classificação binária (1 = GREEN, 0 = RED). `precision` é a
+ * fração de acertos entre as previsões GREEN e `precisionRed` entre as RED;
+ * `baseRate` é a fração de GREEN nos rótulos.
+ */
+function evaluateBinary(labels, probabilities, threshold = 0.5) {
+  let tp = 0;
+  let fp = 0;
+  let tn = 0;
+  let fn = 0;
+
+  labels.forEach((label, i) => {
+    const predicted = probabilities[i] >= threshold ? 1 : 0;
+    if (predicted === 1 && label === 1) tp++;
+    else if (predicted === 1) fp++;
+    else if (label === 0) tn++;
+    else fn++;
+  });
+
+  const total = labels.length;
+  return {
+    samples: total,
+    accuracy: total > 0 ? (tp + tn) / total : null,
+    precision: tp + fp > 0 ? tp / (tp + fp) : null,
+    precisionRed: tn + fn > 0 ? tn / (tn + fn) : null,
+    recall: tp + fn > 0 ? tp / (tp + fn) : null,
+    logLoss: logLoss(labels, probabilities),
+    baseRate: total > 0 ? (tp + fn) / total : null
+  };
+}
+
+// Menor faixa i com `value <= edges[i]`; acima do último limite, a última
+function binIndex(edges, value) {
+  let low = 0;
+  let high = edges.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (value <= edges[mid]) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+// Fração dos valores em cada uma das `edges.length + 1` faixas
+function binProportions(edges, values) {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach(value => { counts[binIndex(edges, value)]++; });
+  return counts.map(count => (values.length > 0 ? count / values.length : 0));
+}
+
+/**
+ * Distribuição de referência de uma feature para medir deriva: os limites
+ * dos quantis (sem repetição, então features discretas têm poucas faixas)
+ * e a fração dos valores em cada faixa.
+ */
+function buildDistribution(values, bins = 10) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = value => Math.round(value * 10000) / 10000;
+  const edges = [];
+  for (let i = 1; i < bins; i++) {
+    const edge = round(sorted[Math.floor((i / bins) * (sorted.length - 1))]);
+    if (edges[edges.length - 1] !== edge) edges.push(edge);
+  }
+
+  return { edges, proportions: binProportions(edges, values).map(round) };
+}
+
+/**
+ * Population Stability Index dos valores contra a referência, nas faixas
+ * dela: abaixo de 0,1 estável, acima de 0,25 mudança forte.
+ */
+function populationStabilityIndex(reference, values) {
+  const floor = 1e-4;
+  const actual = binProportions(reference.edges, values);
+  return reference.proportions.reduce((sum, expected, i) => {
+    const e = Math.max(expected, floor);
+    const a = Math.max(actual[i], floor);
+    return sum + (a - e) * Math.log(a / e);
+  }, 0);
+}
+
+// Estatística de Kolmogorov-Smirnov avaliada nos limites das faixas da referência
+function ksStatistic(reference, values) {
+  const actual = binProportions(reference.edges, values);
+  let expectedCdf = 0;
+  let actualCdf = 0;
+  let statistic = 0;
+  for (let i = 0; i < reference.edges.length; i++) {
+    expectedCdf += reference.proportions[i];
+    actualCdf += actual[i];
+    statistic = Math.max(statistic, Math.abs(actualCdf - expectedCdf));
+  }
+  return statistic;
+}
+
+module.exports = {
+  sigmoid,
+  createRandom,
+  logLoss,
+  evaluateBinary,
+  buildDistribution,
+  populationStabilityIndex,
+  ksStatistic
+};
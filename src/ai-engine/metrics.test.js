@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, buildDistribution, populationStabilityIndex, ksStatistic } = require('./metrics');
+
+function uniform(n, seed, from = 0, to = 1) {
+  const random = createRandom(seed);
+  return Array.from({ length: n }, () => from + random() * (to - from));
+}
+
+test('distribuição de referência em decis, sem limites repetidos em features discretas', () => {
+  const reference = buildDistribution(uniform(1000, 1));
+  assert.equal(reference.edges.length, 9);
+  reference.proportions.forEach(p => assert.ok(Math.abs(p - 0.1) < 0.01));
+
+  const discrete = buildDistribution([0, 0, 0, 0, 0, 0, 1, 1, 1, 1]);
+  assert.deepEqual(discrete.edges, [...new Set(discrete.edges)]);
+  assert.ok(Math.abs(discrete.proportions.reduce((sum, p) => sum + p, 0) - 1) < 1e-9);
+});
+
+test('PSI e KS perto de zero para a mesma distribuição', () => {
+  const reference = buildDistribution(uniform(2000, 2));
+  const values = uniform(2000, 3);
+
+  assert.ok(populationStabilityIndex(reference, values) < 0.02);
+  assert.ok(ksStatistic(reference, values) < 0.05);
+});
+
+test('PSI e KS crescem com o deslocamento da distribuição', () => {
+  const reference = buildDistribution(uniform(2000, 4));
+  const slight = uniform(2000, 5, 0.05, 1.05);
+  const strong = uniform(2000, 6, 0.5, 1.5);
+
+  const psiSlight = populationStabilityIndex(reference, slight);
+  const psiStrong = populationStabilityIndex(reference, strong);
+  assert.ok(psiSlight < 0.1);
+  assert.ok(psiStrong > 0.25 && psiStrong > psiSlight);
+  assert.ok(ksStatistic(reference, strong) > 0.45);
+});
+
+test('tudo numa faixa só: KS igual à massa da referência abaixo dela', () => {
+  const reference = buildDistribution(uniform(1000, 7));
+  const last = reference.proportions[reference.proportions.length - 1];
+
+  assert.ok(Math.abs(ksStatistic(reference, new Array(100).fill(2)) - (1 - last)) < 1e-9);
+  assert.ok(Number.isFinite(populationStabilityIndex(reference, new Array(100).fill(2))));
+});
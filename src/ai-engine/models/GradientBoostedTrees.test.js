@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GradientBoostedTrees = require('./GradientBoostedTrees');
+const { createRandom, evaluateBinary } = require('../metrics');
+
+// Classe 1 quando x0 > 0 e x1 > 0; x2 é ruído
+function createDataset(n, seed = 7) {
+  const random = createRandom(seed);
+  const X = Array.from({ length: n }, () => [random() * 2 - 1, random() * 2 - 1, random() * 2 - 1]);
+  return { X, y: X.map(x => (x[0] > 0 && x[1] > 0 ? 1 : 0)) };
+}
+
+test('aprende uma interação que um modelo linear não separa', () => {
+  const train = createDataset(600);
+  const test = createDataset(300, 11);
+  const model = new GradientBoostedTrees({ trees: 60, maxDepth: 2, minSamplesLeaf: 5 }).fit(train.X, train.y);
+
+  const metrics = evaluateBinary(test.y, test.X.map(x => model.predictProba(x)));
+  assert.ok(metrics.accuracy > 0.95, `acurácia ${metrics.accuracy}`);
+  assert.ok(model.predictProba([0.5, 0.5, 0]) > 0.9);
+  assert.ok(model.predictProba([-0.5, 0.5, 0]) < 0.1);
+});
+
+test('respeita a profundidade máxima e o mínimo de amostras por folha', () => {
+  const { X, y } = createDataset(200);
+  const model = new GradientBoostedTrees({ trees: 5, maxDepth: 2, minSamplesLeaf: 30 }).fit(X, y);
+
+  const check = (node, depth) => {
+    assert.ok(node.cover >= 30);
+    if (node.value !== undefined) return;
+    assert.ok(depth < 2);
+    assert.equal(node.left.cover + node.right.cover, node.cover);
+    check(node.left, depth + 1);
+    check(node.right, depth + 1);
+  };
+  model.ensemble.forEach(tree => check(tree, 0));
+});
+
+test('sem árvores a previsão é a taxa de positivos', () => {
+  // `trees: 0` nas opções cairia no padrão
+  const model = new GradientBoostedTrees();
+  model.trees = 0;
+  model.fit([[0], [1], [2], [3]], [1, 0, 0, 0]);
+  assert.ok(Math.abs(model.predictProba([5]) - 0.25) < 1e-12);
+});
+
+test('partialFit acrescenta árvores e move a previsão para os novos rótulos', () => {
+  const { X, y } = createDataset(300);
+  const model = new GradientBoostedTrees({ trees: 20, maxDepth: 2, minSamplesLeaf: 5 }).fit(X, y);
+  const x = [0.5, 0.5, 0];
+  const before = model.predictProba(x);
+
+  const inverted = y.map(label => 1 - label);
+  model.partialFit(X, inverted, X.map(() => 1), { trees: 10 });
+
+  assert.equal(model.ensemble.length, 30);
+  assert.ok(model.predictProba(x) < before);
+});
+
+test('toJSON/fromJSON preserva as previsões', () => {
+  const { X, y } = createDataset(200);
+  const model = new GradientBoostedTrees({ trees: 10, maxDepth: 3, minSamplesLeaf: 5 }).fit(X, y);
+  const restored = GradientBoostedTrees.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+
+  X.slice(0, 20).forEach(x => assert.equal(restored.predictProba(x), model.predictProba(x)));
+  assert.deepEqual(restored.toJSON().params, model.toJSON().params);
+});
+
+// v(S): valor esperado da árvore conhecendo só as features de S; nas demais, média pelo `cover`
+function conditionalValue(node, x, known) {
+  if (node.value !== undefined) return node.value;
+  if (known.has(node.feature)) return conditionalValue(x[node.feature] <= node.threshold ? node.left : node.right, x, known);
+  return (node.left.cover * conditionalValue(node.left, x, known) + node.right.cover * conditionalValue(node.right, x, known)) / node.cover;
+}
+
+// Valores de Shapley por enumeração de todos os subconjuntos
+function bruteForceShapley(model, x) {
+  const n = x.length;
+  const factorial = k => (k <= 1 ? 1 : k * factorial(k - 1));
+  const value = known => model.ensemble.reduce((sum, tree) => sum + conditionalValue(tree, x, known), model.baseScore);
+
+  return x.map((_, feature) => {
+    let phi = 0;
+    for (let mask = 0; mask < 1 << n; mask++) {
+      if (mask & (1 << feature)) continue;
+      const known = new Set([...Array(n).keys()].filter(f => mask & (1 << f)));
+      const weight = factorial(known.size) * factorial(n - known.size - 1) / factorial(n);
+      phi += weight * (value(new Set([...known, feature])) - value(known));
+    }
+    return phi;
+  });
+}
+
+test('explain: base mais contribuições dá o log-odds e coincide com Shapley por enumeração', () => {
+  const { X, y } = createDataset(400);
+  const model = new GradientBoostedTrees({ trees: 15, maxDepth: 3, minSamplesLeaf: 5 }).fit(X, y);
+
+  [[0.5, 0.5, 0.2], [-0.3, 0.8, -0.9], [0.1, -0.6, 0.4]].forEach(x => {
+    const { baseValue, contributions } = model.explain(x);
+    const total = contributions.reduce((sum, value) => sum + value, baseValue);
+    assert.ok(Math.abs(total - model.rawScore(x)) < 1e-9);
+    assert.ok(Math.abs(baseValue - model.ensemble.reduce((sum, tree) => sum + conditionalValue(tree, x, new Set()), model.baseScore)) < 1e-9);
+
+    bruteForceShapley(model, x).forEach((expected, feature) => {
+      assert.ok(Math.abs(contributions[feature] - expected) < 1e-9, `feature ${feature}: ${contributions[feature]} ≠ ${expected}`);
+    });
+  });
+});
+
+test('explain: feature que nenhuma árvore usa contribui zero', () => {
+  const random = createRandom(21);
+  const X = Array.from({ length: 300 }, () => [random() * 2 - 1, random() * 2 - 1, 7]);
+  const y = X.map(x => (x[0] > 0 && x[1] > 0 ? 1 : 0));
+  const model = new GradientBoostedTrees({ trees: 10, maxDepth: 2, minSamplesLeaf: 5 }).fit(X, y);
+
+  assert.equal(model.explain([0.4, 0.4, 7]).contributions[2], 0);
+});
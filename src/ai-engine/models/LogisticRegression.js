@@ -0,0 +1,124 @@
+const { sigmoid, createRandom } = require('../metrics');
+
+/**
+ * Regressão logística binária com regularização L2, treinada por gradiente
+ * descendente em mini-lotes. As entradas devem vir padronizadas (ver
+ * FeaturePipeline). A ordem dos lotes é embaralhada com semente fixa, então
+ * o mesmo conjunto de dados gera sempre o mesmo modelo.
+ */
+class LogisticRegression {
+  constructor(options = {}) {
+    this.learningRate = options.learningRate || 0.01;
+    this.epochs = options.epochs || 100;
+    this.batchSize = options.batchSize || 32;
+    this.l2 = options.l2 ?? 0.01;
+    this.seed = options.seed || 42;
+    this.weights = null;
+    this.bias = 0;
+  }
+
+  fit(X, y) {
+    const features = X[0].length;
+    const random = createRandom(this.seed);
+    const order = X.map((_, i) => i);
+    this.weights = new Array(features).fill(0);
+    this.bias = 0;
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      // Fisher-Yates com a semente do modelo
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+
+      for (let start = 0; start < order.length; start += this.batchSize) {
+        const batch = order.slice(start, start + this.batchSize);
+        const gradient = new Array(features).fill(0);
+        let biasGradient = 0;
+
+        batch.forEach(index => {
+          const error = this.predictProba(X[index]) - y[index];
+          const row = X[index];
+          for (let f = 0; f < features; f++) gradient[f] += error * row[f];
+          biasGradient += error;
+        });
+
+        for (let f = 0; f < features; f++) {
+          this.weights[f] -= this.learningRate * (gradient[f] / batch.length + this.l2 * this.weights[f]);
+        }
+        this.bias -= this.learningRate * biasGradient / batch.length;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Ajuste incremental a partir dos pesos atuais, com peso por amostra. A
+   * regularização puxa para os pesos de partida (e não para zero): poucas
+   * amostras deslocam o modelo aos poucos em vez de reescrevê-lo.
+   */
+  partialFit(X, y, sampleWeights, options = {}) {
+    const epochs = options.epochs || 50;
+    const learningRate = options.learningRate || this.learningRate;
+    const anchorStrength = options.anchorStrength ?? 1;
+    const anchor = [...this.weights];
+    const anchorBias = this.bias;
+    const total = sampleWeights.reduce((a, b) => a + b, 0);
+    if (total === 0) return this;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradient = new Array(this.weights.length).fill(0);
+      let biasGradient = 0;
+
+      X.forEach((row, i) => {
+        const error = sampleWeights[i] * (this.predictProba(row) - y[i]);
+        for (let f = 0; f < row.length; f++) gradient[f] += error * row[f];
+        biasGradient += error;
+      });
+
+      for (let f = 0; f < this.weights.length; f++) {
+        this.weights[f] -= learningRate * (gradient[f] / total + anchorStrength * (this.weights[f] - anchor[f]));
+      }
+      this.bias -= learningRate * (biasGradient / total + anchorStrength * (this.bias - anchorBias));
+    }
+
+    return this;
+  }
+
+  // Probabilidade da classe 1
+  predictProba(x) {
+    let z = this.bias;
+    for (let f = 0; f < this.weights.length; f++) z += this.weights[f] * x[f];
+    return sigmoid(z);
+  }
+
+  /**
+   * Contribuição exata de cada coluna para o log-odds da classe 1: peso ×
+   * valor padronizado. Somadas ao viés, dão o log-odds da previsão.
+   */
+  explain(x) {
+    return {
+      baseValue: this.bias,
+      contributions: this.weights.map((weight, f) => weight * x[f])
+    };
+  }
+
+  toJSON() {
+    return {
+      type: 'logistic',
+      params: { learningRate: this.learningRate, epochs: this.epochs, batchSize: this.batchSize, l2: this.l2, seed: this.seed },
+      weights: this.weights,
+      bias: this.bias
+    };
+  }
+
+  static fromJSON(json) {
+    const model = new LogisticRegression(json.params);
+    model.weights = json.weights;
+    model.bias = json.bias;
+    return model;
+  }
+}
+
+module.exports = LogisticRegression;
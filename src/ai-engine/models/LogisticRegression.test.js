@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LogisticRegression = require('./LogisticRegression');
+const { createRandom, evaluateBinary } = require('../metrics');
+
+// Classe 1 quando 2·x0 - x1 > 0
+function createDataset(n, seed = 3) {
+  const random = createRandom(seed);
+  const X = Array.from({ length: n }, () => [random() * 2 - 1, random() * 2 - 1]);
+  return { X, y: X.map(x => (2 * x[0] - x[1] > 0 ? 1 : 0)) };
+}
+
+test('separa classes linearmente separáveis', () => {
+  const train = createDataset(500);
+  const test = createDataset(200, 9);
+  const model = new LogisticRegression({ learningRate: 0.5, epochs: 200, l2: 0 }).fit(train.X, train.y);
+
+  assert.ok(evaluateBinary(test.y, test.X.map(x => model.predictProba(x))).accuracy > 0.95);
+  assert.ok(model.weights[0] > 0 && model.weights[1] < 0);
+});
+
+test('mesma semente e mesmos dados geram o mesmo modelo', () => {
+  const { X, y } = createDataset(200);
+  const a = new LogisticRegression({ epochs: 20 }).fit(X, y);
+  const b = new LogisticRegression({ epochs: 20 }).fit(X, y);
+  assert.deepEqual(a.toJSON(), b.toJSON());
+});
+
+test('partialFit com peso zero não muda o modelo', () => {
+  const { X, y } = createDataset(200);
+  const model = new LogisticRegression({ epochs: 20 }).fit(X, y);
+  const before = model.toJSON();
+  model.partialFit(X, y, X.map(() => 0));
+  assert.deepEqual(model.toJSON(), before);
+});
+
+test('toJSON/fromJSON preserva as previsões', () => {
+  const { X, y } = createDataset(100);
+  const model = new LogisticRegression({ epochs: 10 }).fit(X, y);
+  const restored = LogisticRegression.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+  X.slice(0, 10).forEach(x => assert.equal(restored.predictProba(x), model.predictProba(x)));
+});
+
+test('explain: viés mais contribuições dá o log-odds da previsão', () => {
+  const { X, y } = createDataset(200);
+  const model = new LogisticRegression({ epochs: 20 }).fit(X, y);
+  const x = [0.3, -0.7];
+  const { baseValue, contributions } = model.explain(x);
+
+  const total = contributions.reduce((sum, value) => sum + value, baseValue);
+  assert.ok(Math.abs(1 / (1 + Math.exp(-total)) - model.predictProba(x)) < 1e-12);
+});
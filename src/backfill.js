@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+const HistoricalBackfill = require('./data-collectors/HistoricalBackfill');
+const { parseArgs } = require('./utils/cli');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+/**
+ * Uso:
+ *   node src/backfill.js --from 2024-01-01 [--to 2024-02-01] [--pairs SOLUSDT,ETHUSDT] [--interval 1m] [--no-resume]
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from) {
+    console.error('❌ Informe o início do período com --from (ex.: --from 2024-01-01)');
+    process.exit(1);
+  }
+
+  const startTime = new Date(args.from).getTime();
+  const endTime = args.to ? new Date(args.to).getTime() : Date.now();
+  if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+    console.error('❌ Período inválido');
+    process.exit(1);
+  }
+
+  const pairs = (args.pairs || process.env.TRADING_PAIRS).split(',');
+  const backfill = new HistoricalBackfill();
+
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Interrompendo backfill, o progresso salvo será retomado na próxima execução...');
+    backfill.stop();
+  });
+
+  const summary = await backfill.run({
+    pairs,
+    interval: args.interval || '1m',
+    startTime,
+    endTime,
+    resume: !args['no-resume']
+  });
+
+  console.log('📊 Resumo do backfill:', JSON.stringify(summary, null, 2));
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Erro fatal no backfill:', error);
+  process.exit(1);
+});
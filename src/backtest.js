@@ -0,0 +1,83 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const Backtester = require('./backtesting/Backtester');
+const { parseArgs } = require('./utils/cli');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+/**
+ * Uso:
+ *   node src/backtest.js --from 2024-01-01 [--to 2024-01-15] [--pairs SOLUSDT,ETHUSDT]
+ *     [--source market_data|candles] [--mode rolling|expanding] [--train-hours 72] [--test-hours 24]
+ *     [--purge-candles 20] [--threshold 85] [--payout 0.85] [--output backtest.json]
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from) {
+    console.error('❌ Informe o início do período com --from (ex.: --from 2024-01-01)');
+    process.exit(1);
+  }
+
+  const startTime = new Date(args.from).getTime();
+  const endTime = args.to ? new Date(args.to).getTime() : Date.now();
+  if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+    console.error('❌ Período inválido');
+    process.exit(1);
+  }
+
+  const source = args.source || 'market_data';
+  const mode = args.mode || 'rolling';
+  if (!['market_data', 'candles'].includes(source) || !['rolling', 'expanding'].includes(mode)) {
+    console.error('❌ Use --source market_data|candles e --mode rolling|expanding');
+    process.exit(1);
+  }
+
+  const backtester = new Backtester({
+    confidenceThreshold: parseInt(args.threshold) || null,
+    payout: parseFloat(args.payout) || null
+  });
+
+  const report = await backtester.run({
+    pairs: (args.pairs || process.env.TRADING_PAIRS).split(','),
+    startTime,
+    endTime,
+    source,
+    mode,
+    trainHours: parseFloat(args['train-hours']) || 72,
+    testHours: parseFloat(args['test-hours']) || 24,
+    purgeCandles: args['purge-candles'] !== undefined ? parseInt(args['purge-candles']) : 20
+  });
+
+  const percent = value => backtester.formatPercent(value);
+  const line = (name, s) => `   ${name}: ${s.signals} sinais em ${s.decisions} velas (cobertura ${percent(s.coverage)}), acurácia ${percent(s.accuracy)}, P&L ${s.pnl.toFixed(2)}, pior sequência ${s.maxLosingStreak}`;
+  const { summary, config } = report;
+
+  console.log(`📊 Backtest ${config.mode} (${config.source}) de ${config.from} a ${config.to}:`);
+  console.log(`   Sinais: ${summary.signals} em ${summary.decisions} velas (cobertura ${percent(summary.coverage)})`);
+  console.log(`   Resultado: ${summary.wins} acertos, ${summary.losses} erros, ${summary.ties} empates, ${summary.unresolved} sem vela`);
+  console.log(`   Acurácia: ${percent(summary.accuracy)} (empate técnico com payout ${config.payout}: ${percent(config.breakEvenAccuracy)})`);
+  console.log(`   P&L: ${summary.pnl.toFixed(2)} entradas (ROI ${percent(summary.roi)})`);
+  console.log(`   Pior sequência de erros: ${summary.maxLosingStreak}`);
+  console.log('📈 Por par:');
+  Object.entries(report.byPair).forEach(([pair, s]) => console.log(line(pair, s)));
+  console.log('🕐 Por hora (UTC):');
+  Object.entries(report.byHour).forEach(([hour, s]) => console.log(line(`${hour}h`, s)));
+  console.log('🎯 Por faixa de confiança:');
+  Object.entries(report.byConfidence).forEach(([bucket, s]) => {
+    console.log(`   ${bucket}%: ${s.signals} sinais, acurácia ${percent(s.accuracy)}, P&L ${s.pnl.toFixed(2)}`);
+  });
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(report, null, 2));
+    console.log(`💾 Relatório completo (com o ledger de sinais) salvo em ${args.output}`);
+  }
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Erro fatal no backtest:', error);
+  process.exit(1);
+});
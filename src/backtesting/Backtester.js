@@ -0,0 +1,308 @@
+const AIEngine = require('../ai-engine/AIEngine');
+const SignalGenerator = require('../signal-generator/SignalGenerator');
+const SignalScheduler = require('../signal-generator/SignalScheduler');
+const DatabaseManager = require('../utils/DatabaseManager');
+const CandleReplay = require('./CandleReplay');
+const { intervalToMs } = require('../utils/timeframes');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Backtest walk-forward sobre o histórico gravado.
+ *
+ * O período é dividido em janelas de teste de `testHours`. Antes de cada
+ * uma, o modelo é treinado só com os dados anteriores a ela: as últimas
+ * `trainHours` horas (`rolling`) ou tudo desde o início (`expanding`). Com
+ * `purgeCandles`, o treino termina essa quantidade de velas antes do teste,
+ * para as janelas de features do teste não reaproveitarem registros do
+ * treino. Na
+ * janela de teste, o relógio é simulado: em cada vela, no mesmo horário do
+ * `SignalScheduler`, o `SignalGenerator` recebe os registros que existiriam
+ * naquele momento, mais o da vela em formação, e decide com a mesma extração
+ * de features, validação e confiança mínima da operação ao vivo. O alvo é a
+ * vela seguinte à do último registro, como nos rótulos do treino.
+ *
+ * O resultado de cada sinal é a cor da vela alvo na tabela `candles`: acerto
+ * paga `payout` sobre a entrada e erro perde a entrada. Vela sem corpo
+ * (DOJI) segue a regra de empate do `CandleLabeler`: devolve a entrada
+ * (`refund`) ou conta como erro (`loss`).
+ */
+class Backtester {
+  constructor(options = {}) {
+    this.databaseManager = options.databaseManager || new DatabaseManager();
+    this.aiEngine = options.aiEngine || new AIEngine();
+    this.signalGenerator = new SignalGenerator({
+      aiEngine: this.aiEngine,
+      logger: { log: () => {} }
+    });
+    this.scheduler = new SignalScheduler();
+    this.candleReplay = options.candleReplay || new CandleReplay({ databaseManager: this.databaseManager });
+    this.payout = options.payout || parseFloat(process.env.BACKTEST_PAYOUT) || 0.85;
+    this.stake = options.stake || 1;
+    // Registros entregues a cada decisão, como `getCurrentData` na operação ao vivo
+    this.historyLength = options.historyLength || 100;
+    if (options.confidenceThreshold) {
+      this.signalGenerator.confidenceThreshold = options.confidenceThreshold;
+    }
+  }
+
+  /**
+   * `source`: `market_data` (registros gravados pela coleta) ou `candles`
+   * (registros reconstruídos a partir do backfill). `data` (de `loadData`)
+   * evita carregar os mesmos dados de novo a cada execução.
+   */
+  async run({ pairs, startTime, endTime, source = 'market_data', mode = 'rolling', trainHours = 72, testHours = 24, purgeCandles = 20, data = null }) {
+    const purgeMs = purgeCandles * Math.max(...pairs.map(pair => intervalToMs(this.candleReplay.dataCollector.getIntervals(pair)[0])));
+    const folds = this.buildFolds(startTime, endTime, mode, trainHours, testHours, purgeMs);
+    if (folds.length === 0) {
+      throw new Error('Período menor que a janela de treino: nenhuma janela de teste');
+    }
+
+    data = data || await this.loadData(pairs, startTime, endTime, source);
+
+    await this.signalGenerator.start();
+    this.signalGenerator.signalTargets.clear();
+    this.aiEngine.isInitialized = true;
+
+    const ledger = [];
+    const decisions = { total: 0, byPair: {}, byHour: {} };
+    const foldReports = [];
+
+    for (const [index, fold] of folds.entries()) {
+      const inTraining = time => time >= fold.trainFrom && time < fold.trainTo;
+      const model = this.trainFold(
+        pairs.flatMap(pair => data[pair].records.filter(r => inTraining(this.timeOf(r)))),
+        // Só velas que fecharam antes do fim do treino servem de rótulo
+        Object.fromEntries(pairs.map(pair => [pair, data[pair].candles.filter(c => c.closeTime < fold.trainTo)])),
+        fold.trainTo
+      );
+
+      const foldLedger = [];
+      for (const pair of pairs) {
+        foldLedger.push(...await this.evaluatePair(pair, data[pair], fold, decisions));
+      }
+      foldLedger.forEach(entry => {
+        entry.fold = index + 1;
+      });
+      ledger.push(...foldLedger);
+
+      const summary = this.summarize(foldLedger);
+      foldReports.push({
+        fold: index + 1,
+        trainFrom: new Date(fold.trainFrom).toISOString(),
+        trainTo: new Date(fold.trainTo).toISOString(),
+        testFrom: new Date(fold.testFrom).toISOString(),
+        testTo: new Date(fold.testTo).toISOString(),
+        ...model,
+        signals: summary.signals,
+        accuracy: summary.accuracy,
+        pnl: summary.pnl
+      });
+      console.log(`🔁 Janela ${index + 1}/${folds.length}: modelo ${model.version} (${model.samples} amostras), ${summary.signals} sinais, acurácia ${this.formatPercent(summary.accuracy)}, P&L ${summary.pnl.toFixed(2)}`);
+    }
+
+    ledger.sort((a, b) => new Date(a.targetOpenTime) - new Date(b.targetOpenTime));
+    let equity = 0;
+    ledger.forEach(entry => {
+      equity += entry.pnl;
+      entry.equity = Math.round(equity * 100) / 100;
+    });
+
+    const group = key => {
+      const groups = {};
+      ledger.forEach(entry => {
+        (groups[entry[key]] = groups[entry[key]] || []).push(entry);
+      });
+      return groups;
+    };
+    const breakdown = (groups, counts) => Object.fromEntries(Object.keys(counts).sort().map(name => [
+      name,
+      this.summarize(groups[name] || [], counts[name])
+    ]));
+
+    return {
+      config: {
+        pairs,
+        from: new Date(startTime).toISOString(),
+        to: new Date(endTime).toISOString(),
+        source,
+        mode,
+        trainHours,
+        testHours,
+        purgeCandles,
+        confidenceThreshold: this.signalGenerator.confidenceThreshold,
+        payout: this.payout,
+        tieRule: this.aiEngine.labeler.tieRule,
+        breakEvenAccuracy: 1 / (1 + this.payout)
+      },
+      summary: this.summarize(ledger, decisions.total),
+      byPair: breakdown(group('pair'), decisions.byPair),
+      byHour: breakdown(group('hour'), decisions.byHour),
+      // Acurácia observada por faixa de confiança, para comparar com a confiança prevista
+      byConfidence: Object.fromEntries(Object.entries(group('confidenceBucket'))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, entries]) => [name, this.summarize(entries)])),
+      folds: foldReports,
+      ledger
+    };
+  }
+
+  // Registros e velas de cada par no período
+  async loadData(pairs, startTime, endTime, source = 'market_data') {
+    const data = {};
+    for (const pair of pairs) {
+      const interval = this.candleReplay.dataCollector.getIntervals(pair)[0];
+      const records = source === 'candles'
+        ? await this.candleReplay.buildRecords(pair, startTime, endTime)
+        : await this.databaseManager.getMarketDataBetween(pair, startTime, endTime);
+      const candles = await this.databaseManager.getCandles(pair, interval, startTime, endTime);
+      data[pair] = {
+        interval,
+        records,
+        candles,
+        outcomes: this.aiEngine.labeler.indexCandles(candles)
+      };
+      console.log(`📥 ${pair}: ${records.length} registros e ${candles.length} velas ${interval}`);
+    }
+    return data;
+  }
+
+  buildFolds(startTime, endTime, mode, trainHours, testHours, purgeMs = 0) {
+    const folds = [];
+    for (let testFrom = startTime + trainHours * HOUR; testFrom < endTime; testFrom += testHours * HOUR) {
+      folds.push({
+        trainFrom: mode === 'expanding' ? startTime : testFrom - trainHours * HOUR,
+        trainTo: testFrom - purgeMs,
+        testFrom,
+        testTo: Math.min(testFrom + testHours * HOUR, endTime)
+      });
+    }
+    return folds;
+  }
+
+  // Mesmo treino da operação ao vivo, sem gravar a versão no registro
+  // `version` e `samples` são do modelo global; `pairModels`, dos pares com modelo próprio
+  trainFold(records, candles, trainTo) {
+    this.aiEngine.models = {};
+
+    const trained = this.aiEngine.buildModel(records, { candles, now: trainTo });
+    if (!trained) return { version: 'rules', samples: 0, validation: null, pairModels: {} };
+
+    trained.forEach(({ artifact }) => this.aiEngine.applyModel(artifact));
+    const [{ artifact, results }, ...pairModels] = trained;
+    return {
+      version: artifact.version,
+      modelType: results.modelType,
+      samples: results.trainSamples + results.validationSamples,
+      validation: results.validation,
+      pairModels: Object.fromEntries(pairModels.map(m => [m.artifact.pair, {
+        version: m.artifact.version,
+        modelType: m.results.modelType,
+        samples: m.results.trainSamples + m.results.validationSamples,
+        validation: m.results.validation
+      }]))
+    };
+  }
+
+  // Uma decisão por vela da janela de teste, no horário do agendador
+  async evaluatePair(pair, { interval, records, outcomes }, fold, decisions) {
+    const entries = [];
+    let available = 0;
+    let now = fold.testFrom;
+
+    for (;;) {
+      const { runAt, target } = this.scheduler.getNextRun(interval, now);
+      if (runAt >= fold.testTo) break;
+      now = runAt;
+
+      // Registros até o fechamento da vela em formação (a anterior ao alvo)
+      while (available < records.length && this.timeOf(records[available]) < target.openTime) available++;
+      if (available === 0) continue;
+
+      const hour = String(new Date(target.openTime).getUTCHours()).padStart(2, '0');
+      decisions.total++;
+      decisions.byPair[pair] = (decisions.byPair[pair] || 0) + 1;
+      decisions.byHour[hour] = (decisions.byHour[hour] || 0) + 1;
+
+      // Mais recentes primeiro, como `getCurrentData`. O registro da vela em
+      // formação é o do fechamento dela, datado em `runAt` como o de
+      // `collectCurrentRecord`; inclui os últimos `leadSeconds` da vela, que a
+      // operação ao vivo ainda não vê, mas nada da vela alvo
+      const history = records.slice(Math.max(0, available - this.historyLength), available).reverse();
+      if (this.timeOf(history[0]) > runAt) {
+        history[0] = { ...history[0], timestamp: new Date(runAt).toISOString() };
+      }
+      const signal = await this.signalGenerator.generateSignal(pair, history, target, runAt);
+      if (!signal) continue;
+
+      const candle = outcomes.get(target.openTime);
+      const actual = candle ? this.aiEngine.labeler.colorOf(candle) : null;
+      const result = actual ? this.aiEngine.labeler.settle(signal.color, actual) : 'UNRESOLVED';
+
+      entries.push({
+        pair,
+        hour,
+        confidenceBucket: this.confidenceBucket(signal.confidence),
+        decidedAt: signal.timestamp,
+        targetOpenTime: signal.target.openTime,
+        color: signal.color,
+        confidence: signal.confidence,
+        modelVersion: signal.aiAnalysis.modelVersion,
+        votes: signal.aiAnalysis.ensemble.votes,
+        strategy: signal.technicalAnalysis.strategy,
+        regime: signal.technicalAnalysis.regime,
+        actual,
+        result,
+        pnl: result === 'WIN' ? this.stake * this.payout : result === 'LOSS' ? -this.stake : 0
+      });
+    }
+
+    return entries;
+  }
+
+  // `decisions` é o número de velas avaliadas, base da cobertura
+  summarize(entries, decisions = null) {
+    const count = result => entries.filter(e => e.result === result).length;
+    const wins = count('WIN');
+    const losses = count('LOSS');
+    const pnl = entries.reduce((sum, e) => sum + e.pnl, 0);
+
+    let streak = 0;
+    let maxLosingStreak = 0;
+    entries.forEach(e => {
+      if (e.result === 'LOSS') streak++;
+      else if (e.result === 'WIN') streak = 0;
+      maxLosingStreak = Math.max(maxLosingStreak, streak);
+    });
+
+    return {
+      decisions,
+      signals: entries.length,
+      coverage: decisions ? entries.length / decisions : null,
+      wins,
+      losses,
+      ties: count('TIE'),
+      unresolved: count('UNRESOLVED'),
+      accuracy: wins + losses > 0 ? wins / (wins + losses) : null,
+      pnl: Math.round(pnl * 100) / 100,
+      roi: entries.length > 0 ? pnl / (entries.length * this.stake) : null,
+      maxLosingStreak
+    };
+  }
+
+  // Faixa de 5 pontos da confiança do sinal, ex.: `85-90`
+  confidenceBucket(confidence) {
+    const from = Math.min(95, Math.floor(confidence / 5) * 5);
+    return `${String(from).padStart(2, '0')}-${from + 5}`;
+  }
+
+  timeOf(record) {
+    return new Date(record.timestamp).getTime();
+  }
+
+  formatPercent(value) {
+    return value === null ? 'n/d' : `${(value * 100).toFixed(2)}%`;
+  }
+}
+
+module.exports = Backtester;
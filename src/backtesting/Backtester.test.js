@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Só o cliente do Supabase é criado; nenhum teste consulta o banco
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+const Backtester = require('./Backtester');
+
+const HOUR = 3600000;
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+function createBacktester(intervals = {}) {
+  return new Backtester({
+    databaseManager: {},
+    candleReplay: { dataCollector: { getIntervals: pair => [intervals[pair] || '1m'] } }
+  });
+}
+
+test('janelas rolling: treino purgado antes de cada teste e última janela cortada no fim', () => {
+  const folds = createBacktester().buildFolds(START, START + 11 * HOUR, 'rolling', 4, 3, 20 * MINUTE);
+
+  assert.deepEqual(folds.map(f => [(f.trainFrom - START) / HOUR, (f.testFrom - START) / HOUR, (f.testTo - START) / HOUR]), [[0, 4, 7], [3, 7, 10], [6, 10, 11]]);
+  folds.forEach(fold => {
+    assert.equal(fold.testFrom - fold.trainTo, 20 * MINUTE);
+    assert.ok(fold.trainTo - fold.trainFrom < 4 * HOUR);
+  });
+  folds.slice(1).forEach((fold, i) => assert.equal(fold.testFrom, folds[i].testTo));
+});
+
+test('janelas expanding começam sempre no início do período', () => {
+  const folds = createBacktester().buildFolds(START, START + 10 * HOUR, 'expanding', 4, 3, 0);
+
+  assert.ok(folds.every(fold => fold.trainFrom === START && fold.trainTo === fold.testFrom));
+  assert.equal(folds.length, 2);
+});
+
+test('a purga usa o maior intervalo principal entre os pares e vale 20 velas por padrão', async () => {
+  const backtester = createBacktester({ SOLUSDT: '1m', ETHUSDT: '5m' });
+  const purges = [];
+  backtester.buildFolds = (startTime, endTime, mode, trainHours, testHours, purgeMs) => {
+    purges.push(purgeMs);
+    return [];
+  };
+
+  const run = options => backtester.run({ pairs: ['SOLUSDT', 'ETHUSDT'], startTime: START, endTime: START + HOUR, ...options });
+  await assert.rejects(run(), /nenhuma janela de teste/);
+  await assert.rejects(run({ purgeCandles: 3 }), /nenhuma janela de teste/);
+  assert.deepEqual(purges, [20 * 5 * MINUTE, 3 * 5 * MINUTE]);
+});
+
+test('cada decisão recebe o registro da vela em formação e mira a vela seguinte a ele', async () => {
+  const backtester = createBacktester();
+  // Registros como os do CandleReplay: um por vela, datado no fechamento
+  const records = Array.from({ length: 20 }, (_, i) => ({ pair: 'SOLUSDT', timestamp: new Date(START + (i + 1) * MINUTE - 1).toISOString() }));
+  const calls = [];
+  backtester.signalGenerator.generateSignal = async (pair, history, target, runAt) => {
+    calls.push({ history, target, runAt });
+    return null;
+  };
+
+  const fold = { testFrom: START + 10 * MINUTE, testTo: START + 14 * MINUTE };
+  await backtester.evaluatePair('SOLUSDT', { interval: '1m', records, outcomes: new Map() }, fold, { total: 0, byPair: {}, byHour: {} });
+
+  assert.equal(calls.length, 4);
+  calls.forEach(({ history, target, runAt }) => {
+    assert.equal(history[0].timestamp, new Date(runAt).toISOString());
+    assert.equal(history[1].timestamp, new Date(target.openTime - MINUTE - 1).toISOString());
+    // O mesmo alvo que o rótulo de treino daria a esta janela
+    const label = backtester.aiEngine.labeler.label([...history].reverse(), new Map(), '1m', START);
+    assert.equal(label.target.openTime, target.openTime);
+  });
+});
@@ -0,0 +1,102 @@
+const DataCollector = require('../data-collectors/DataCollector');
+const DatabaseManager = require('../utils/DatabaseManager');
+const { intervalToMs } = require('../utils/timeframes');
+
+/**
+ * Reconstrói registros no formato de `market_data` a partir das velas do
+ * backfill (tabela `candles`), com os mesmos cálculos da coleta: indicadores,
+ * timeframes maiores, price action, pullbacks, regime e suportes/resistências.
+ *
+ * Cada registro corresponde ao fechamento de uma vela do timeframe principal
+ * e é datado nesse fechamento, como os gravados pelo modo stream
+ * (`candleClosed` do DataCollector). Cada timeframe usa as
+ * últimas `windowSize` velas já fechadas. Order book e metadados de mercado
+ * não existem no histórico e ficam vazios.
+ */
+class CandleReplay {
+  constructor(options = {}) {
+    this.databaseManager = options.databaseManager || new DatabaseManager();
+    this.dataCollector = options.dataCollector || new DataCollector();
+    // Velas por timeframe, como o limite padrão das fontes na coleta
+    this.windowSize = options.windowSize || 100;
+  }
+
+  async buildRecords(pair, startTime, endTime) {
+    const intervals = this.dataCollector.getIntervals(pair);
+    const primary = intervals[0];
+    const primaryMs = intervalToMs(primary);
+    const sr = this.dataCollector.supportResistance;
+
+    const series = {};
+    for (const interval of intervals) {
+      const from = startTime - this.windowSize * intervalToMs(interval);
+      series[interval] = await this.databaseManager.getCandles(pair, interval, from, endTime);
+    }
+    if (series[primary].length === 0) return [];
+
+    const contextStart = sr.getContextStart(startTime);
+    const profileCandles = sr.profileInterval === primary && contextStart >= startTime - this.windowSize * primaryMs
+      ? series[primary]
+      : await this.databaseManager.getCandles(pair, sr.profileInterval, contextStart, endTime);
+
+    const closed = Object.fromEntries(intervals.map(interval => [interval, 0]));
+    const records = [];
+    let context = null;
+
+    for (const candle of series[primary]) {
+      const closeTime = candle.closeTime || candle.timestamp + primaryMs - 1;
+      if (candle.timestamp < startTime || closeTime > endTime) continue;
+
+      // Velas de cada timeframe já fechadas neste momento
+      const timeframes = {};
+      intervals.forEach(interval => {
+        const candles = series[interval];
+        const ms = intervalToMs(interval);
+        while (closed[interval] < candles.length && candles[closed[interval]].timestamp + ms - 1 <= closeTime) {
+          closed[interval]++;
+        }
+        timeframes[interval] = candles.slice(Math.max(0, closed[interval] - this.windowSize), closed[interval]);
+      });
+
+      const window = timeframes[primary];
+      if (window.length < this.windowSize) continue;
+
+      // Contexto de sessão recalculado com a mesma validade da coleta
+      const dayStart = Math.floor(closeTime / 86400000) * 86400000;
+      if (!context || context.dayStart !== dayStart || closeTime - context.loadedAt >= sr.contextTtl) {
+        const from = sr.getContextStart(closeTime);
+        context = sr.buildSessionContext(profileCandles.filter(c => c.timestamp >= from && c.timestamp < closeTime), closeTime);
+      }
+
+      const data = {
+        pair,
+        price: candle.close,
+        candles: window,
+        technicalIndicators: this.dataCollector.calculateMultiTimeframeIndicators(primary, timeframes)
+      };
+      await this.dataCollector.addSupportResistance(data, context);
+
+      records.push({
+        pair,
+        source: 'candles',
+        timestamp: new Date(closeTime).toISOString(),
+        price: candle.close,
+        volume: candle.volume,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        technical_indicators: data.technicalIndicators,
+        order_book: null,
+        market_data: null,
+        quality_flags: [],
+        is_flagged: false,
+        regime: data.technicalIndicators.regime?.regime || null
+      });
+    }
+
+    return records;
+  }
+}
+
+module.exports = CandleReplay;
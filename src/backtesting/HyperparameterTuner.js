@@ -0,0 +1,278 @@
+const Backtester = require('./Backtester');
+const { SETTINGS_KEY, applySystemSettings, readSystemSettings } = require('../utils/systemSettings');
+
+const HOUR = 3600000;
+
+// Valores sorteados em cada tentativa (chaves de `system_settings`)
+const SEARCH_SPACE = {
+  learning_rate: [0.003, 0.01, 0.03, 0.1],
+  epochs: [50, 100, 200],
+  batch_size: [16, 32, 64],
+  pullback_analysis_depth: [10, 20, 30],
+  indicator_periods: {
+    rsi: [7, 14, 21],
+    macdFast: [8, 12],
+    macdSlow: [21, 26],
+    bollinger: [14, 20, 30],
+    atr: [7, 14, 21],
+    stochasticK: [9, 14],
+    adx: [10, 14, 20],
+    cci: [14, 20],
+    williamsR: [10, 14]
+  }
+};
+
+// Limiares avaliados em todas as tentativas, além do que está em uso
+const CONFIDENCE_THRESHOLDS = [55, 60, 65, 70, 75, 80, 85, 90];
+
+// Métrica a maximizar a partir do resumo do `Backtester`
+const OBJECTIVES = {
+  // Resultado médio por entrada com o payout (empates valem zero)
+  expectancy: summary => summary.roi,
+  accuracy: summary => summary.accuracy,
+  pnl: summary => summary.pnl
+};
+
+/**
+ * Busca aleatória de hiperparâmetros, períodos de indicador e limiar de
+ * confiança com validação cruzada temporal: cada tentativa é um backtest
+ * walk-forward (sempre treino antes do teste) com `purgeCandles` velas de
+ * intervalo entre eles.
+ *
+ * A primeira tentativa é a configuração em uso. Com `source=candles`, os
+ * registros são reconstruídos das velas com os períodos de indicador da
+ * tentativa; com `market_data`, os indicadores já estão gravados e os
+ * períodos ficam fixos.
+ *
+ * O limiar não muda o treino nem a decisão sobre os demais sinais, então
+ * cada tentativa roda com o menor limiar e cada limiar vira uma linha,
+ * filtrando os sinais pela confiança. Linhas com menos de `minSignals`
+ * sinais ou cobertura abaixo de `minCoverage` ficam no fim do ranking, como
+ * não elegíveis.
+ *
+ * A melhor linha é o máximo de tentativas × limiares nas mesmas janelas de
+ * teste, então o score dela é otimista. As últimas `holdoutHours` horas do
+ * período ficam fora da busca: a melhor linha elegível é avaliada uma única
+ * vez nelas, e é esse resultado que `save` grava.
+ */
+class HyperparameterTuner {
+  constructor(options = {}) {
+    this.backtester = options.backtester || new Backtester(options);
+    this.objective = options.objective || 'expectancy';
+    if (!OBJECTIVES[this.objective]) {
+      throw new Error(`Objetivo desconhecido: ${this.objective} (use ${Object.keys(OBJECTIVES).join(', ')})`);
+    }
+    this.trials = options.trials || 20;
+    this.minSignals = options.minSignals ?? 30;
+    this.minCoverage = options.minCoverage ?? 0;
+    this.searchSpace = options.searchSpace || SEARCH_SPACE;
+    this.thresholds = options.thresholds || CONFIDENCE_THRESHOLDS;
+    // Semente do sorteio: a mesma semente repete as tentativas
+    this.seed = options.seed || 1;
+  }
+
+  getComponents() {
+    return {
+      aiEngine: this.backtester.aiEngine,
+      signalGenerator: this.backtester.signalGenerator,
+      dataCollector: this.backtester.candleReplay.dataCollector
+    };
+  }
+
+  async run({ pairs, startTime, endTime, source = 'candles', mode = 'rolling', trainHours = 72, testHours = 24, purgeCandles = 20, holdoutHours = 48 }) {
+    const searchEnd = endTime - holdoutHours * HOUR;
+    if (searchEnd - startTime <= trainHours * HOUR) {
+      throw new Error('Período menor que a janela de treino mais o período reservado: nenhuma janela de teste para a busca');
+    }
+
+    const components = this.getComponents();
+    const baseline = readSystemSettings(components);
+    const thresholds = [...new Set([...this.thresholds, baseline.confidence_threshold])].sort((a, b) => a - b);
+    const candidates = this.sampleSettings(baseline, source === 'candles');
+    const rows = [];
+    let cached = null;
+    let holdout = null;
+
+    try {
+      for (const [index, settings] of candidates.entries()) {
+        applySystemSettings({ ...settings, confidence_threshold: thresholds[0] }, components, { overrideEnv: true });
+
+        // Registros dependem dos períodos só quando reconstruídos das velas
+        const dataKey = source === 'candles' ? JSON.stringify(settings.indicator_periods) : source;
+        if (cached?.key !== dataKey) {
+          // Libera os registros da tentativa anterior antes de reconstruir
+          cached = null;
+          cached = { key: dataKey, data: await this.backtester.loadData(pairs, startTime, searchEnd, source) };
+        }
+
+        const report = await this.backtester.run({ pairs, startTime, endTime: searchEnd, source, mode, trainHours, testHours, purgeCandles, data: cached.data });
+        const trialRows = thresholds.map(threshold => this.evaluate(index + 1, { ...settings, confidence_threshold: threshold }, report));
+        rows.push(...trialRows);
+
+        const best = trialRows.filter(row => row.eligible).sort((a, b) => b.score - a.score)[0];
+        console.log(`🔎 Tentativa ${index + 1}/${candidates.length}: ${best ? `melhor limiar ${best.settings.confidence_threshold}%, ${this.objective} ${this.formatScore(best.score)} (${best.summary.signals} sinais)` : 'nenhum limiar elegível'}`);
+      }
+
+      rows.sort((a, b) => (Number(b.eligible) - Number(a.eligible)) || ((b.score ?? -Infinity) - (a.score ?? -Infinity)));
+      rows.forEach((row, i) => { row.rank = i + 1; });
+
+      const best = rows.find(row => row.eligible);
+      if (best && holdoutHours > 0) {
+        cached = null;
+        holdout = await this.evaluateHoldout(best, { pairs, startTime, searchEnd, endTime, source, mode, trainHours, testHours, purgeCandles }, components);
+        console.log(`🔒 Período reservado: tentativa ${best.trial} com limiar ${best.settings.confidence_threshold}%, ${this.objective} ${this.formatScore(holdout.score)} (${holdout.summary.signals} sinais)`);
+      }
+    } finally {
+      applySystemSettings(baseline, components, { overrideEnv: true });
+    }
+
+    return {
+      config: {
+        pairs,
+        from: new Date(startTime).toISOString(),
+        to: new Date(endTime).toISOString(),
+        searchTo: new Date(searchEnd).toISOString(),
+        source,
+        mode,
+        trainHours,
+        testHours,
+        purgeCandles,
+        holdoutHours,
+        objective: this.objective,
+        minSignals: this.minSignals,
+        minCoverage: this.minCoverage,
+        trials: candidates.length,
+        seed: this.seed,
+        payout: this.backtester.payout
+      },
+      baseline,
+      rows,
+      holdout
+    };
+  }
+
+  /**
+   * Backtest da linha com as janelas de teste só no período reservado
+   * (`searchEnd` a `endTime`); o treino de cada janela usa os dados
+   * anteriores a ela, como na busca. `searchScore` é o score da linha na
+   * busca, para comparar.
+   */
+  async evaluateHoldout(row, { pairs, startTime, searchEnd, endTime, source, mode, trainHours, testHours, purgeCandles }, components) {
+    applySystemSettings(row.settings, components, { overrideEnv: true });
+    const from = mode === 'expanding' ? startTime : searchEnd - trainHours * HOUR;
+    const report = await this.backtester.run({
+      pairs,
+      startTime: from,
+      endTime,
+      source,
+      mode,
+      trainHours: (searchEnd - from) / HOUR,
+      testHours,
+      purgeCandles
+    });
+    return { ...this.evaluate(row.trial, row.settings, report), searchScore: row.score };
+  }
+
+  // Uma linha do ranking: o ledger da tentativa filtrado pelo limiar
+  evaluate(trial, settings, report) {
+    const entries = report.ledger.filter(entry => entry.confidence >= settings.confidence_threshold);
+    const summary = this.backtester.summarize(entries, report.summary.decisions);
+    const score = OBJECTIVES[this.objective](summary);
+
+    // A mesma métrica em cada janela de teste, para ver a estabilidade
+    const foldScores = report.folds.map(fold => {
+      const foldEntries = entries.filter(entry => entry.fold === fold.fold);
+      return foldEntries.length > 0 ? OBJECTIVES[this.objective](this.backtester.summarize(foldEntries)) : null;
+    });
+    const scored = foldScores.filter(value => value !== null);
+
+    return {
+      trial,
+      settings,
+      summary,
+      score,
+      worstFold: scored.length > 0 ? Math.min(...scored) : null,
+      foldScores,
+      eligible: score !== null && summary.signals >= this.minSignals && summary.coverage >= this.minCoverage
+    };
+  }
+
+  // Configuração em uso e até `trials - 1` combinações sorteadas, sem repetir
+  sampleSettings(baseline, tunePeriods) {
+    const random = this.createRandom(this.seed);
+    const pick = values => values[Math.floor(random() * values.length)];
+    const base = { ...baseline };
+    delete base.confidence_threshold;
+    const candidates = [base];
+    const seen = new Set([JSON.stringify(base)]);
+
+    for (let attempt = 0; candidates.length < this.trials && attempt < this.trials * 50; attempt++) {
+      const settings = {};
+      Object.entries(this.searchSpace).forEach(([key, values]) => {
+        if (key !== 'indicator_periods') {
+          settings[key] = pick(values);
+        } else if (tunePeriods) {
+          settings[key] = { ...base.indicator_periods };
+          Object.entries(values).forEach(([period, options]) => { settings[key][period] = pick(options); });
+        } else {
+          settings[key] = base.indicator_periods;
+        }
+      });
+
+      const key = JSON.stringify(settings);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push(settings);
+    }
+
+    return candidates;
+  }
+
+  // Park-Miller: sequência reprodutível a partir da semente
+  createRandom(seed) {
+    let state = seed % 2147483647 || 1;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647;
+    };
+  }
+
+  /**
+   * Grava como `system_settings` a configuração escolhida pela busca,
+   * mantendo as demais chaves. O resumo em `tuning` é o do período
+   * reservado; o score da busca fica em `searchScore`.
+   */
+  async save(result) {
+    const { holdout, config } = result;
+    const databaseManager = this.backtester.databaseManager;
+    const current = await databaseManager.getConfig(SETTINGS_KEY) || {};
+
+    await databaseManager.setConfig(SETTINGS_KEY, {
+      ...current,
+      ...holdout.settings,
+      tuning: {
+        objective: this.objective,
+        score: holdout.score,
+        signals: holdout.summary.signals,
+        coverage: holdout.summary.coverage,
+        accuracy: holdout.summary.accuracy,
+        searchScore: holdout.searchScore,
+        trial: holdout.trial,
+        period: { from: config.from, to: config.searchTo },
+        holdout: { from: config.searchTo, to: config.to },
+        pairs: config.pairs,
+        savedAt: new Date().toISOString()
+      }
+    }, 'Configurações do sistema');
+  }
+
+  formatScore(score) {
+    if (score === null) return 'n/d';
+    return this.objective === 'pnl' ? score.toFixed(2) : `${(score * 100).toFixed(2)}%`;
+  }
+}
+
+HyperparameterTuner.SEARCH_SPACE = SEARCH_SPACE;
+HyperparameterTuner.OBJECTIVES = Object.keys(OBJECTIVES);
+
+module.exports = HyperparameterTuner;
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Só o cliente do Supabase é criado; nenhum teste consulta o banco
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+const Backtester = require('./Backtester');
+const HyperparameterTuner = require('./HyperparameterTuner');
+const { SETTINGS_KEY } = require('../utils/systemSettings');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 0, 1);
+const END = START + 10 * 24 * HOUR;
+
+/**
+ * Backtester com `run` falso: na busca, os sinais de 90% acertam (a busca
+ * acha um limiar "ótimo"); no período reservado, todos erram.
+ */
+function createBacktester() {
+  const backtester = new Backtester({ databaseManager: {}, payout: 0.85 });
+  const config = {};
+  backtester.databaseManager = {
+    async getConfig(key) { return config[key] || null; },
+    async setConfig(key, value) { config[key] = value; }
+  };
+  backtester.config = config;
+  backtester.runs = [];
+  backtester.loadData = async () => ({});
+  backtester.run = async options => {
+    backtester.runs.push(options);
+    const holdout = options.endTime === END;
+    const ledger = Array.from({ length: 40 }, (_, i) => {
+      const confidence = i % 2 === 0 ? 90 : 60;
+      const win = holdout ? false : confidence === 90 || i % 4 === 1;
+      return { fold: 1, confidence, result: win ? 'WIN' : 'LOSS', pnl: win ? 0.85 : -1 };
+    });
+    return { ledger, summary: { decisions: 100 }, folds: [{ fold: 1 }] };
+  };
+  return backtester;
+}
+
+test('a melhor linha é avaliada só no período reservado, fora da busca', async () => {
+  const backtester = createBacktester();
+  const tuner = new HyperparameterTuner({ backtester, trials: 3, minSignals: 10 });
+  const result = await tuner.run({ pairs: ['SOLUSDT'], startTime: START, endTime: END, trainHours: 72, testHours: 24, holdoutHours: 48 });
+  const searchEnd = END - 48 * HOUR;
+
+  const searches = backtester.runs.slice(0, -1);
+  assert.equal(searches.length, 3);
+  assert.ok(searches.every(run => run.endTime === searchEnd && run.startTime === START));
+
+  const holdoutRun = backtester.runs.at(-1);
+  assert.equal(holdoutRun.startTime, searchEnd - 72 * HOUR);
+  assert.equal(holdoutRun.trainHours, 72);
+  assert.equal(holdoutRun.purgeCandles, 20);
+
+  const best = result.rows[0];
+  assert.ok(best.settings.confidence_threshold > 60);
+  assert.ok(best.score > 0.8);
+  assert.equal(result.holdout.trial, best.trial);
+  assert.deepEqual(result.holdout.settings, best.settings);
+  assert.equal(result.holdout.searchScore, best.score);
+  assert.equal(result.holdout.score, -1);
+  assert.equal(result.config.searchTo, new Date(searchEnd).toISOString());
+});
+
+test('expanding treina o período reservado desde o início', async () => {
+  const backtester = createBacktester();
+  const tuner = new HyperparameterTuner({ backtester, trials: 1, minSignals: 10 });
+  await tuner.run({ pairs: ['SOLUSDT'], startTime: START, endTime: END, mode: 'expanding', holdoutHours: 48 });
+
+  const holdoutRun = backtester.runs.at(-1);
+  assert.equal(holdoutRun.startTime, START);
+  assert.equal(holdoutRun.trainHours, (END - 48 * HOUR - START) / HOUR);
+});
+
+test('save grava o resultado do período reservado, não o da busca', async () => {
+  const backtester = createBacktester();
+  const tuner = new HyperparameterTuner({ backtester, trials: 2, minSignals: 10 });
+  const result = await tuner.run({ pairs: ['SOLUSDT'], startTime: START, endTime: END });
+  await tuner.save(result);
+
+  const saved = backtester.config[SETTINGS_KEY];
+  assert.equal(saved.confidence_threshold, result.rows[0].settings.confidence_threshold);
+  assert.equal(saved.tuning.score, -1);
+  assert.equal(saved.tuning.accuracy, 0);
+  assert.equal(saved.tuning.searchScore, result.rows[0].score);
+  assert.deepEqual(saved.tuning.holdout, { from: result.config.searchTo, to: result.config.to });
+});
+
+test('período sem espaço para a busca antes do reservado é rejeitado', async () => {
+  const tuner = new HyperparameterTuner({ backtester: createBacktester(), trials: 1 });
+  await assert.rejects(
+    tuner.run({ pairs: ['SOLUSDT'], startTime: START, endTime: START + 100 * HOUR, trainHours: 72, holdoutHours: 48 }),
+    /período reservado/
+  );
+});
@@ -0,0 +1,412 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const BinanceAdapter = require('./adapters/BinanceAdapter');
+const HttpClient = require('../utils/HttpClient');
+
+/**
+ * Stream de mercado da Binance via WebSocket.
+ *
+ * Assina kline, bookTicker e profundidade parcial de cada par, mantém uma
+ * janela de velas em memória e emite `candleClosed` assim que a Binance
+ * marca a vela como fechada (`k.x === true`). Após uma queda, reconecta,
+ * reassina os streams e preenche as velas perdidas via REST, paginando
+ * `/klines` para frente. Velas fechadas que chegam ao vivo durante esse
+ * preenchimento ficam em espera e só são emitidas depois dele, em ordem.
+ *
+ * Cada par pode ter vários timeframes (`options.intervals`); o primeiro da
+ * lista é o timeframe principal, usado em `getSnapshot`.
+ *
+ * Eventos: `open`, `close`, `candle`, `candleClosed`, `bookTicker`,
+ * `orderBook`, `backfill`. Erros do socket são apenas registrados no log: o
+ * `close` que vem em seguida dispara a reconexão.
+ */
+class BinanceStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.wsUrl = options.wsUrl || process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443';
+    this.restUrl = options.restUrl || process.env.BINANCE_API_URL;
+    this.interval = options.interval || '1m';
+    this.intervals = options.intervals || {};
+    this.windowSize = options.windowSize || 100;
+    this.depthLevels = options.depthLevels || 20;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.staleTimeout = options.staleTimeout || 60000;
+    this.WebSocketImpl = options.WebSocketImpl || WebSocket;
+    this.http = options.httpClient || HttpClient.getDefault();
+    this.pageLimit = options.pageLimit || 1000;
+
+    this.pairs = [];
+    this.candles = new Map();
+    this.bookTickers = new Map();
+    this.orderBooks = new Map();
+    this.lastClosed = new Map();
+    this.pendingClosed = null;
+
+    this.ws = null;
+    this.isRunning = false;
+    this.hasConnected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.staleTimer = null;
+    this.requestId = 0;
+  }
+
+  async start(pairs) {
+    console.log('📡 Iniciando stream da Binance...');
+    this.pairs = pairs.map(pair => pair.toUpperCase());
+    this.isRunning = true;
+
+    // Carregar janela inicial via REST antes de abrir o stream
+    for (const pair of this.pairs) {
+      for (const interval of this.getIntervals(pair)) {
+        const key = this.getKey(pair, interval);
+        try {
+          const candles = await this.fetchKlines(pair, { limit: this.windowSize }, interval);
+          this.candles.set(key, candles.slice(-this.windowSize));
+          const closed = candles.filter(c => c.closeTime < Date.now());
+          if (closed.length > 0) {
+            this.lastClosed.set(key, closed[closed.length - 1].timestamp);
+          }
+        } catch (error) {
+          console.error(`❌ Erro ao carregar velas ${interval} iniciais para ${pair}:`, error.message);
+          this.candles.set(key, []);
+        }
+      }
+    }
+
+    this.connect();
+  }
+
+  connect() {
+    if (!this.isRunning) return;
+
+    const ws = new this.WebSocketImpl(`${this.wsUrl}/stream`);
+    this.ws = ws;
+
+    ws.on('open', () => this.handleOpen());
+    ws.on('message', raw => this.handleMessage(raw));
+    ws.on('error', error => {
+      // Socket já descartado (ex.: `stop()` durante a conexão)
+      if (ws !== this.ws) return;
+      console.error('❌ Erro no WebSocket da Binance:', error.message);
+    });
+    ws.on('close', () => this.handleClose(ws));
+  }
+
+  async handleOpen() {
+    const isReconnect = this.hasConnected;
+    this.hasConnected = true;
+    this.reconnectAttempts = 0;
+    this.resetStaleTimer();
+
+    this.subscribe(this.getStreamNames());
+    console.log(`✅ Stream da Binance conectado (${this.pairs.length} pares)`);
+    this.emit('open', { reconnect: isReconnect });
+
+    if (isReconnect) {
+      await this.backfillGaps();
+    }
+  }
+
+  handleClose(ws) {
+    if (ws !== this.ws) return;
+
+    this.ws = null;
+    this.clearStaleTimer();
+    this.emit('close');
+
+    if (!this.isRunning) return;
+
+    const delay = Math.min(
+      this.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+    console.warn(`⚠️ Stream da Binance desconectado, reconectando em ${delay}ms...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  getIntervals(pair) {
+    return this.intervals[pair] || [this.interval];
+  }
+
+  getKey(pair, interval) {
+    return `${pair}:${interval}`;
+  }
+
+  getStreamNames() {
+    return this.pairs.flatMap(pair => {
+      const symbol = pair.toLowerCase();
+      return [
+        ...this.getIntervals(pair).map(interval => `${symbol}@kline_${interval}`),
+        `${symbol}@bookTicker`,
+        `${symbol}@depth${this.depthLevels}@100ms`
+      ];
+    });
+  }
+
+  subscribe(streams) {
+    if (!this.ws || streams.length === 0) return;
+
+    this.ws.send(JSON.stringify({
+      method: 'SUBSCRIBE',
+      params: streams,
+      id: ++this.requestId
+    }));
+  }
+
+  handleMessage(raw) {
+    this.resetStaleTimer();
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      console.warn('⚠️ Mensagem inválida no stream da Binance');
+      return;
+    }
+
+    // Respostas de SUBSCRIBE não trazem dados de mercado
+    if (message.result !== undefined && message.id !== undefined) return;
+
+    const stream = message.stream || '';
+    const data = message.data || message;
+
+    if (data.e === 'kline') {
+      this.handleKline(data);
+    } else if (stream.includes('@bookTicker') || (data.u !== undefined && data.b !== undefined)) {
+      this.handleBookTicker(data);
+    } else if (stream.includes('@depth')) {
+      this.handleDepth(stream.split('@')[0].toUpperCase(), data);
+    }
+  }
+
+  handleKline(event) {
+    const pair = event.s;
+    const k = event.k;
+    const interval = k.i || this.getIntervals(pair)[0];
+    const candle = {
+      timestamp: k.t,
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v),
+      closeTime: k.T,
+      quoteVolume: parseFloat(k.q),
+      trades: k.n,
+      takerBuyBaseVolume: parseFloat(k.V),
+      takerBuyQuoteVolume: parseFloat(k.Q)
+    };
+
+    this.upsertCandle(pair, interval, candle);
+    this.emit('candle', pair, candle, interval);
+
+    if (k.x) {
+      if (this.pendingClosed) {
+        this.pendingClosed.push({ pair, interval, candle });
+      } else {
+        this.markClosed(pair, interval, candle);
+      }
+    }
+  }
+
+  handleBookTicker(data) {
+    const ticker = {
+      bidPrice: parseFloat(data.b),
+      bidQuantity: parseFloat(data.B),
+      askPrice: parseFloat(data.a),
+      askQuantity: parseFloat(data.A),
+      updateId: data.u
+    };
+
+    this.bookTickers.set(data.s, ticker);
+    this.emit('bookTicker', data.s, ticker);
+  }
+
+  handleDepth(pair, data) {
+    const orderBook = {
+      bids: (data.bids || []).map(bid => ({ price: parseFloat(bid[0]), quantity: parseFloat(bid[1]) })),
+      asks: (data.asks || []).map(ask => ({ price: parseFloat(ask[0]), quantity: parseFloat(ask[1]) })),
+      lastUpdateId: data.lastUpdateId
+    };
+
+    this.orderBooks.set(pair, orderBook);
+    this.emit('orderBook', pair, orderBook);
+  }
+
+  upsertCandle(pair, interval, candle) {
+    const key = this.getKey(pair, interval);
+    const candles = this.candles.get(key) || [];
+    const last = candles[candles.length - 1];
+
+    if (last && last.timestamp === candle.timestamp) {
+      candles[candles.length - 1] = candle;
+    } else if (!last || candle.timestamp > last.timestamp) {
+      candles.push(candle);
+    } else {
+      // Vela fora de ordem (ex.: backfill): inserir na posição correta
+      const index = candles.findIndex(c => c.timestamp >= candle.timestamp);
+      if (candles[index].timestamp === candle.timestamp) {
+        candles[index] = candle;
+      } else {
+        candles.splice(index, 0, candle);
+      }
+    }
+
+    if (candles.length > this.windowSize) {
+      candles.splice(0, candles.length - this.windowSize);
+    }
+    this.candles.set(key, candles);
+  }
+
+  markClosed(pair, interval, candle) {
+    const key = this.getKey(pair, interval);
+    const lastClosed = this.lastClosed.get(key);
+    if (lastClosed !== undefined && candle.timestamp <= lastClosed) return;
+
+    this.lastClosed.set(key, candle.timestamp);
+    this.emit('candleClosed', pair, candle, this.getSnapshot(pair), interval);
+  }
+
+  async backfillGaps() {
+    // Uma kline fechada ao vivo avançaria `lastClosed` e as velas recuperadas
+    // seriam descartadas como repetidas; por isso ela espera o backfill
+    this.pendingClosed = [];
+
+    try {
+      for (const pair of this.pairs) {
+        for (const interval of this.getIntervals(pair)) {
+          const lastClosed = this.lastClosed.get(this.getKey(pair, interval));
+          if (lastClosed === undefined) continue;
+
+          try {
+            const missed = await this.fetchMissed(pair, interval, lastClosed);
+            missed.forEach(candle => this.markClosed(pair, interval, candle));
+
+            if (missed.length > 0) {
+              console.log(`🔄 ${missed.length} velas ${interval} recuperadas para ${pair} após reconexão`);
+            }
+            this.emit('backfill', pair, missed, interval);
+          } catch (error) {
+            console.error(`❌ Erro ao preencher lacunas ${interval} para ${pair}:`, error.message);
+          }
+        }
+      }
+    } finally {
+      const pending = this.pendingClosed;
+      this.pendingClosed = null;
+      pending
+        .sort((a, b) => a.candle.timestamp - b.candle.timestamp)
+        .forEach(({ pair, interval, candle }) => this.markClosed(pair, interval, candle));
+    }
+  }
+
+  /**
+   * Velas fechadas depois de `lastClosed`, em páginas de `pageLimit` até a
+   * Binance devolver uma página incompleta.
+   */
+  async fetchMissed(pair, interval, lastClosed) {
+    const missed = [];
+    let cursor = lastClosed + 1;
+
+    while (this.isRunning) {
+      const candles = await this.fetchKlines(pair, { startTime: cursor, limit: this.pageLimit }, interval);
+      const now = Date.now();
+
+      candles.forEach(candle => this.upsertCandle(pair, interval, candle));
+      missed.push(...candles.filter(c => c.closeTime < now));
+
+      if (candles.length < this.pageLimit) break;
+      cursor = candles[candles.length - 1].timestamp + 1;
+    }
+
+    return missed;
+  }
+
+  async fetchKlines(pair, params = {}, interval = this.interval) {
+    const response = await this.http.get(`${this.restUrl}/klines`, {
+      weight: 2,
+      params: {
+        symbol: pair,
+        interval,
+        ...params
+      }
+    });
+
+    return response.data.map(kline => BinanceAdapter.parseKline(kline));
+  }
+
+  getCandles(pair, interval = this.getIntervals(pair)[0]) {
+    return [...(this.candles.get(this.getKey(pair, interval)) || [])];
+  }
+
+  /**
+   * Retorna o estado atual do par no mesmo formato de
+   * `DataCollector.collectFromBinance` (sem indicadores).
+   */
+  getSnapshot(pair) {
+    const intervals = this.getIntervals(pair);
+    const candles = this.getCandles(pair, intervals[0]);
+    const timeframes = {};
+    intervals.forEach(interval => {
+      timeframes[interval] = this.getCandles(pair, interval);
+    });
+    const last = candles[candles.length - 1];
+    const orderBook = this.orderBooks.get(pair) || { bids: [], asks: [] };
+
+    return {
+      pair,
+      source: 'binance',
+      timestamp: new Date().toISOString(),
+      price: last?.close || 0,
+      interval: intervals[0],
+      candles,
+      timeframes,
+      bookTicker: this.bookTickers.get(pair) || null,
+      orderBook: { bids: orderBook.bids, asks: orderBook.asks },
+      volume: last?.volume || 0
+    };
+  }
+
+  resetStaleTimer() {
+    this.clearStaleTimer();
+    this.staleTimer = setTimeout(() => {
+      console.warn('⚠️ Stream da Binance sem mensagens, forçando reconexão...');
+      if (this.ws) this.ws.terminate();
+    }, this.staleTimeout);
+  }
+
+  clearStaleTimer() {
+    if (this.staleTimer) {
+      clearTimeout(this.staleTimer);
+      this.staleTimer = null;
+    }
+  }
+
+  async stop() {
+    console.log('🛑 Parando stream da Binance...');
+    this.isRunning = false;
+    this.clearStaleTimer();
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+
+    console.log('✅ Stream da Binance parado');
+  }
+}
+
+module.exports = BinanceStream;
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const BinanceStream = require('./BinanceStream');
+
+// Logs do stream fora da saída do runner
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const MINUTE = 60000;
+const BASE = Math.floor(Date.now() / MINUTE) * MINUTE - 10 * MINUTE;
+
+function kline(timestamp, close) {
+  return [timestamp, '100', '101', '99', String(close), '10', timestamp + MINUTE - 1, '1000', 5, '6', '600', '0'];
+}
+
+// Cliente REST falso: janela inicial e velas perdidas a partir de `startTime`
+function createHttp() {
+  const calls = [];
+  return {
+    calls,
+    async get(url, { params }) {
+      calls.push(params);
+      if (params.startTime) return { data: [kline(BASE + 3 * MINUTE, 103)] };
+      return { data: [kline(BASE, 100), kline(BASE + MINUTE, 101)] };
+    }
+  };
+}
+
+// Servidor WebSocket local no lugar do da Binance
+async function createServer(port = 0) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port });
+  server.subscriptions = [];
+  server.on('connection', socket => {
+    socket.on('message', raw => {
+      server.subscriptions.push(JSON.parse(raw.toString()));
+      server.emit('subscription');
+    });
+  });
+  await once(server, 'listening');
+  return server;
+}
+
+async function closeServer(server) {
+  server.clients.forEach(client => client.terminate());
+  await new Promise(resolve => server.close(resolve));
+}
+
+function createStream(server, http) {
+  return new BinanceStream({
+    wsUrl: `ws://127.0.0.1:${server.address().port}`,
+    restUrl: 'http://binance.test',
+    httpClient: http,
+    reconnectDelay: 20,
+    maxReconnectDelay: 50
+  });
+}
+
+test('emite candleClosed quando a kline chega fechada', { timeout: 5000 }, async () => {
+  const server = await createServer();
+  const stream = createStream(server, createHttp());
+
+  try {
+    const subscribed = once(server, 'subscription');
+    await stream.start(['SOLUSDT']);
+    await subscribed;
+
+    const closed = once(stream, 'candleClosed');
+    [...server.clients][0].send(JSON.stringify({
+      stream: 'solusdt@kline_1m',
+      data: {
+        e: 'kline',
+        s: 'SOLUSDT',
+        k: { t: BASE + 2 * MINUTE, T: BASE + 3 * MINUTE - 1, i: '1m', o: '101', h: '103', l: '100', c: '102', v: '8', q: '800', n: 4, V: '5', Q: '500', x: true }
+      }
+    }));
+    const [pair, candle, snapshot, interval] = await closed;
+
+    assert.equal(pair, 'SOLUSDT');
+    assert.equal(interval, '1m');
+    assert.equal(candle.close, 102);
+    assert.deepEqual(snapshot.candles.map(c => c.timestamp), [BASE, BASE + MINUTE, BASE + 2 * MINUTE]);
+    assert.deepEqual(server.subscriptions[0].params, ['solusdt@kline_1m', 'solusdt@bookTicker', 'solusdt@depth20@100ms']);
+  } finally {
+    await stream.stop();
+    await closeServer(server);
+  }
+});
+
+test('reconecta após queda, reassina e recupera as velas perdidas', { timeout: 5000 }, async () => {
+  let server = await createServer();
+  const port = server.address().port;
+  const http = createHttp();
+  const stream = createStream(server, http);
+
+  try {
+    const opened = once(stream, 'open');
+    await stream.start(['SOLUSDT']);
+    await opened;
+
+    // Queda com o servidor fora do ar: as tentativas recusadas não derrubam o processo
+    let closes = 0;
+    const refused = new Promise(resolve => stream.on('close', () => { if (++closes === 2) resolve(); }));
+    await closeServer(server);
+    await refused;
+
+    const reopened = once(stream, 'open');
+    const backfill = once(stream, 'backfill');
+    server = await createServer(port);
+    const resubscribed = once(server, 'subscription');
+    const [info] = await reopened;
+    const [pair, missed] = await backfill;
+    await resubscribed;
+
+    assert.equal(info.reconnect, true);
+    assert.equal(server.subscriptions[0].method, 'SUBSCRIBE');
+    assert.equal(pair, 'SOLUSDT');
+    assert.deepEqual(missed.map(c => c.timestamp), [BASE + 3 * MINUTE]);
+    assert.equal(http.calls.at(-1).startTime, BASE + MINUTE + 1);
+    assert.equal(stream.getCandles('SOLUSDT').at(-1).close, 103);
+  } finally {
+    await stream.stop();
+    await closeServer(server);
+  }
+});
+
+test('stop() durante a conexão encerra sem erro e sem reconectar', { timeout: 5000 }, async () => {
+  const server = await createServer();
+  const stream = createStream(server, createHttp());
+  let opened = false;
+  stream.on('open', () => { opened = true; });
+
+  try {
+    await stream.start(['SOLUSDT']);
+    await stream.stop();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(opened, false);
+    assert.equal(stream.ws, null);
+    assert.equal(stream.reconnectTimer, null);
+  } finally {
+    await closeServer(server);
+  }
+});
+
+test('pagina o backfill e segura as velas ao vivo até ele terminar', { timeout: 5000 }, async () => {
+  let server = await createServer();
+  const port = server.address().port;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  // Duas páginas de velas perdidas (BASE+2 e +3, depois +4); a primeira só
+  // responde depois que a vela +5 chega fechada pelo socket
+  const http = {
+    calls: [],
+    async get(url, { params }) {
+      this.calls.push(params);
+      if (params.startTime === BASE + MINUTE + 1) {
+        await gate;
+        return { data: [kline(BASE + 2 * MINUTE, 102), kline(BASE + 3 * MINUTE, 103)] };
+      }
+      if (params.startTime) return { data: [kline(BASE + 4 * MINUTE, 104)] };
+      return { data: [kline(BASE, 100), kline(BASE + MINUTE, 101)] };
+    }
+  };
+  const stream = new BinanceStream({
+    wsUrl: `ws://127.0.0.1:${port}`,
+    restUrl: 'http://binance.test',
+    httpClient: http,
+    pageLimit: 2,
+    reconnectDelay: 20,
+    maxReconnectDelay: 50
+  });
+  const closed = [];
+  stream.on('candleClosed', (pair, candle) => closed.push(candle.timestamp));
+
+  try {
+    const opened = once(stream, 'open');
+    await stream.start(['SOLUSDT']);
+    await opened;
+
+    await closeServer(server);
+    const reopened = once(stream, 'open');
+    server = await createServer(port);
+    const resubscribed = once(server, 'subscription');
+    await reopened;
+    await resubscribed;
+
+    const live = once(stream, 'candle');
+    [...server.clients][0].send(JSON.stringify({
+      stream: 'solusdt@kline_1m',
+      data: {
+        e: 'kline',
+        s: 'SOLUSDT',
+        k: { t: BASE + 5 * MINUTE, T: BASE + 6 * MINUTE - 1, i: '1m', o: '104', h: '106', l: '103', c: '105', v: '8', q: '800', n: 4, V: '5', Q: '500', x: true }
+      }
+    }));
+    await live;
+    assert.deepEqual(closed, []);
+
+    const backfill = once(stream, 'backfill');
+    release();
+    await backfill;
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(closed, [2, 3, 4, 5].map(n => BASE + n * MINUTE));
+    assert.deepEqual(http.calls.slice(1).map(c => c.startTime), [BASE + MINUTE + 1, BASE + 3 * MINUTE + 1]);
+  } finally {
+    await stream.stop();
+    await closeServer(server);
+  }
+});
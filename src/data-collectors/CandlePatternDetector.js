@@ -0,0 +1,200 @@
+// Força base de cada padrão, antes dos ajustes por tamanho e volume
+const BASE_STRENGTH = {
+  doji: 0.3,
+  hammer: 0.55,
+  inverted_hammer: 0.45,
+  hanging_man: 0.45,
+  shooting_star: 0.55,
+  green_marubozu: 0.4,
+  red_marubozu: 0.4,
+  bullish_engulfing: 0.7,
+  bearish_engulfing: 0.7,
+  bullish_harami: 0.45,
+  bearish_harami: 0.45,
+  piercing_line: 0.6,
+  dark_cloud_cover: 0.6,
+  tweezer_bottom: 0.5,
+  tweezer_top: 0.5,
+  inside_bar: 0.3,
+  outside_bar: 0.4,
+  morning_star: 0.8,
+  evening_star: 0.8,
+  three_white_soldiers: 0.75,
+  three_black_crows: 0.75
+};
+
+/**
+ * Padrões de uma, duas e três velas terminando na última vela.
+ *
+ * Cada padrão tem direção (`bullish`, `bearish` ou `neutral`), força de 0 a 1
+ * e `contextValid`, que indica se o movimento anterior é o que o padrão
+ * pede (ex.: hammer só depois de queda, shooting star só depois de alta).
+ * Padrões fora de contexto continuam listados, com metade da força.
+ */
+class CandlePatternDetector {
+  constructor(options = {}) {
+    this.contextLookback = options.contextLookback || 5;
+    this.averageLookback = options.averageLookback || 20;
+    // Diferença máxima entre mínimas/máximas do tweezer, em fração do range médio
+    this.tweezerTolerance = options.tweezerTolerance || 0.05;
+  }
+
+  detect(candles) {
+    if (candles.length < 3) return [];
+
+    const last = candles.length - 1;
+    const stats = this.getAverages(candles);
+    const found = [];
+    const add = (name, direction, size, requiredTrend) => {
+      const start = last - size + 1;
+      const trend = this.getPriorTrend(candles, start, stats.range);
+      const contextValid = !requiredTrend || trend === requiredTrend;
+      found.push({
+        name,
+        direction,
+        candles: size,
+        strength: this.scoreStrength(name, candles.slice(start), stats, contextValid),
+        contextValid,
+        priorTrend: trend
+      });
+    };
+
+    const [c1, c2, c3] = candles.slice(-3);
+    const b1 = this.describe(c1);
+    const b2 = this.describe(c2);
+    const b3 = this.describe(c3);
+
+    // Uma vela
+    if (b3.bodyRatio < 0.1) {
+      add('doji', 'neutral', 1, null);
+    } else if (b3.bodyRatio < 0.3) {
+      const longLower = b3.lowerShadow > b3.body * 2 && b3.upperShadow < b3.body;
+      const longUpper = b3.upperShadow > b3.body * 2 && b3.lowerShadow < b3.body;
+      if (longLower) {
+        add('hammer', 'bullish', 1, 'down');
+        add('hanging_man', 'bearish', 1, 'up');
+      }
+      if (longUpper) {
+        add('shooting_star', 'bearish', 1, 'up');
+        add('inverted_hammer', 'bullish', 1, 'down');
+      }
+    } else if (b3.bodyRatio > 0.8) {
+      add(b3.isGreen ? 'green_marubozu' : 'red_marubozu', b3.isGreen ? 'bullish' : 'bearish', 1, null);
+    }
+
+    // Duas velas
+    const bodyTop2 = Math.max(c2.open, c2.close);
+    const bodyBottom2 = Math.min(c2.open, c2.close);
+    const bodyTop3 = Math.max(c3.open, c3.close);
+    const bodyBottom3 = Math.min(c3.open, c3.close);
+    const midpoint2 = (c2.open + c2.close) / 2;
+
+    if (b2.isRed && b3.isGreen && bodyBottom3 <= bodyBottom2 && bodyTop3 >= bodyTop2 && b3.body > b2.body) {
+      add('bullish_engulfing', 'bullish', 2, 'down');
+    }
+    if (b2.isGreen && b3.isRed && bodyBottom3 <= bodyBottom2 && bodyTop3 >= bodyTop2 && b3.body > b2.body) {
+      add('bearish_engulfing', 'bearish', 2, 'up');
+    }
+    if (b2.body > stats.body && bodyTop3 < bodyTop2 && bodyBottom3 > bodyBottom2) {
+      if (b2.isRed && b3.isGreen) add('bullish_harami', 'bullish', 2, 'down');
+      if (b2.isGreen && b3.isRed) add('bearish_harami', 'bearish', 2, 'up');
+    }
+    if (b2.isRed && b3.isGreen && c3.open <= c2.close && c3.close > midpoint2 && c3.close < c2.open) {
+      add('piercing_line', 'bullish', 2, 'down');
+    }
+    if (b2.isGreen && b3.isRed && c3.open >= c2.close && c3.close < midpoint2 && c3.close > c2.open) {
+      add('dark_cloud_cover', 'bearish', 2, 'up');
+    }
+
+    const tolerance = stats.range * this.tweezerTolerance;
+    if (b2.isRed && b3.isGreen && Math.abs(c2.low - c3.low) <= tolerance) {
+      add('tweezer_bottom', 'bullish', 2, 'down');
+    }
+    if (b2.isGreen && b3.isRed && Math.abs(c2.high - c3.high) <= tolerance) {
+      add('tweezer_top', 'bearish', 2, 'up');
+    }
+
+    if (c3.high < c2.high && c3.low > c2.low) {
+      add('inside_bar', 'neutral', 2, null);
+    } else if (c3.high > c2.high && c3.low < c2.low) {
+      add('outside_bar', b3.isGreen ? 'bullish' : 'bearish', 2, null);
+    }
+
+    // Três velas
+    const midpoint1 = (c1.open + c1.close) / 2;
+    const smallMiddle = b2.body < b1.body * 0.3;
+    if (b1.isRed && b1.body > stats.body && smallMiddle && b3.isGreen && c3.close > midpoint1) {
+      add('morning_star', 'bullish', 3, 'down');
+    }
+    if (b1.isGreen && b1.body > stats.body && smallMiddle && b3.isRed && c3.close < midpoint1) {
+      add('evening_star', 'bearish', 3, 'up');
+    }
+
+    const soldiers = [b1, b2, b3].every(b => b.isGreen && b.bodyRatio > 0.6 && b.upperShadow < b.body * 0.3) &&
+      c2.close > c1.close && c3.close > c2.close &&
+      c2.open >= c1.open && c2.open <= c1.close && c3.open >= c2.open && c3.open <= c2.close;
+    if (soldiers) add('three_white_soldiers', 'bullish', 3, 'down');
+
+    const crows = [b1, b2, b3].every(b => b.isRed && b.bodyRatio > 0.6 && b.lowerShadow < b.body * 0.3) &&
+      c2.close < c1.close && c3.close < c2.close &&
+      c2.open <= c1.open && c2.open >= c1.close && c3.open <= c2.open && c3.open >= c2.close;
+    if (crows) add('three_black_crows', 'bearish', 3, 'up');
+
+    return found.sort((a, b) => b.strength - a.strength);
+  }
+
+  describe(candle) {
+    const body = Math.abs(candle.close - candle.open);
+    const range = candle.high - candle.low;
+    return {
+      body,
+      range,
+      bodyRatio: range > 0 ? body / range : 0,
+      upperShadow: candle.high - Math.max(candle.open, candle.close),
+      lowerShadow: Math.min(candle.open, candle.close) - candle.low,
+      isGreen: candle.close > candle.open,
+      isRed: candle.close < candle.open
+    };
+  }
+
+  getAverages(candles) {
+    const recent = candles.slice(-this.averageLookback - 3, -3);
+    const sample = recent.length > 0 ? recent : candles;
+    const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+    return {
+      body: average(sample.map(c => Math.abs(c.close - c.open))),
+      range: average(sample.map(c => c.high - c.low)),
+      volume: average(sample.map(c => c.volume || 0))
+    };
+  }
+
+  // Movimento antes do padrão: queda/alta maior que um range médio
+  getPriorTrend(candles, start, averageRange) {
+    const end = start - 1;
+    const from = end - this.contextLookback;
+    if (from < 0) return 'flat';
+
+    const move = candles[end].close - candles[from].close;
+    if (move < -averageRange) return 'down';
+    if (move > averageRange) return 'up';
+    return 'flat';
+  }
+
+  // Força base ajustada pelo range das velas e pelo volume em relação à média
+  scoreStrength(name, patternCandles, stats, contextValid) {
+    const range = patternCandles.reduce((sum, c) => sum + (c.high - c.low), 0) / patternCandles.length;
+    const volume = patternCandles.reduce((sum, c) => sum + (c.volume || 0), 0) / patternCandles.length;
+    const relativeRange = stats.range > 0 ? Math.min(3, range / stats.range) : 1;
+    const relativeVolume = stats.volume > 0 ? Math.min(3, volume / stats.volume) : 1;
+
+    let strength = BASE_STRENGTH[name] + 0.1 * (relativeRange - 1) + 0.1 * (relativeVolume - 1);
+    if (!contextValid) strength *= 0.5;
+
+    return Math.round(Math.max(0, Math.min(1, strength)) * 100) / 100;
+  }
+}
+
+CandlePatternDetector.PATTERNS = Object.keys(BASE_STRENGTH);
+
+module.exports = CandlePatternDetector;
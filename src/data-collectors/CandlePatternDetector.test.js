@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CandlePatternDetector = require('./CandlePatternDetector');
+
+function candle(open, high, low, close, volume = 10) {
+  return { open, high, low, close, volume };
+}
+
+// Velas de corpo 1 e range 1.4 caindo (ou subindo) uma unidade por vela
+function downtrend(length, start = 100) {
+  return Array.from({ length }, (_, i) => candle(start - i, start - i + 0.2, start - i - 1.2, start - i - 1));
+}
+
+function uptrend(length, start = 100) {
+  return Array.from({ length }, (_, i) => candle(start + i, start + i + 1.2, start + i - 0.2, start + i + 1));
+}
+
+function flat(length, price = 100) {
+  return Array.from({ length }, (_, i) => (i % 2 === 0
+    ? candle(price, price + 1.2, price - 0.2, price + 1)
+    : candle(price + 1, price + 1.2, price - 0.2, price)));
+}
+
+const find = (patterns, name) => patterns.find(p => p.name === name);
+
+test('hammer depois de queda vale; o hanging man da mesma vela fica fora de contexto', () => {
+  const patterns = new CandlePatternDetector().detect([...downtrend(10), candle(90, 90.25, 88.5, 90.2)]);
+  const hammer = find(patterns, 'hammer');
+  const hangingMan = find(patterns, 'hanging_man');
+
+  assert.deepEqual(patterns.map(p => p.name).sort(), ['hammer', 'hanging_man']);
+  assert.equal(hammer.direction, 'bullish');
+  assert.equal(hammer.contextValid, true);
+  assert.equal(hammer.priorTrend, 'down');
+  assert.equal(hangingMan.contextValid, false);
+  assert.ok(hangingMan.strength < hammer.strength);
+});
+
+test('o mesmo hammer sem queda antes perde metade da força', () => {
+  const detector = new CandlePatternDetector();
+  const inContext = find(detector.detect([...downtrend(10), candle(90, 90.25, 88.5, 90.2)]), 'hammer');
+  const outOfContext = find(detector.detect([...flat(10), candle(100, 100.25, 98.5, 100.2)]), 'hammer');
+
+  assert.equal(outOfContext.priorTrend, 'flat');
+  assert.equal(outOfContext.contextValid, false);
+  assert.ok(Math.abs(outOfContext.strength - inContext.strength / 2) <= 0.01);
+});
+
+test('engolfo de alta depois de queda', () => {
+  const patterns = new CandlePatternDetector().detect([...downtrend(10), candle(89.9, 91.4, 89.8, 91.3)]);
+  const engulfing = find(patterns, 'bullish_engulfing');
+
+  assert.equal(engulfing.candles, 2);
+  assert.equal(engulfing.contextValid, true);
+  assert.ok(find(patterns, 'green_marubozu'));
+  assert.equal(find(patterns, 'bearish_engulfing'), undefined);
+});
+
+test('evening star depois de alta', () => {
+  const patterns = new CandlePatternDetector().detect([
+    ...uptrend(10),
+    candle(110, 112.1, 109.9, 112),
+    candle(112.2, 112.5, 112, 112.3),
+    candle(111.9, 112, 110.4, 110.5)
+  ]);
+  const star = find(patterns, 'evening_star');
+
+  assert.equal(star.direction, 'bearish');
+  assert.equal(star.candles, 3);
+  assert.equal(star.contextValid, true);
+  assert.equal(find(patterns, 'morning_star'), undefined);
+});
+
+test('três corvos pretos depois de alta', () => {
+  const patterns = new CandlePatternDetector().detect([
+    ...uptrend(10),
+    candle(110, 110.05, 108.95, 109),
+    candle(109.5, 109.55, 108.35, 108.4),
+    candle(108.8, 108.85, 107.65, 107.7)
+  ]);
+  const crows = find(patterns, 'three_black_crows');
+
+  assert.equal(crows.direction, 'bearish');
+  assert.equal(crows.contextValid, true);
+  assert.equal(find(patterns, 'three_white_soldiers'), undefined);
+});
+
+test('doji e inside bar são neutros', () => {
+  const patterns = new CandlePatternDetector().detect([...flat(10), candle(100.5, 100.9, 100.1, 100.52)]);
+
+  assert.equal(find(patterns, 'doji').direction, 'neutral');
+  assert.equal(find(patterns, 'inside_bar').direction, 'neutral');
+});
+
+test('padrões saem ordenados pela força e precisam de três velas', () => {
+  const detector = new CandlePatternDetector();
+  const patterns = detector.detect([...downtrend(10), candle(89.9, 91.4, 89.8, 91.3)]);
+
+  patterns.slice(1).forEach((pattern, i) => assert.ok(pattern.strength <= patterns[i].strength));
+  assert.deepEqual(detector.detect(downtrend(2)), []);
+});
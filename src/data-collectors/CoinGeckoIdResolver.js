@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('../utils/DatabaseManager');
+const HttpClient = require('../utils/HttpClient');
+
+const DAY = 24 * 60 * 60 * 1000;
+const KNOWN_QUOTE_ASSETS = ['USDT', 'FDUSD', 'USDC', 'BUSD', 'TUSD', 'BTC', 'ETH', 'BNB', 'EUR', 'BRL'];
+
+/**
+ * Resolve o ID do CoinGecko de cada par da Binance.
+ *
+ * O ativo base vem do `exchangeInfo` da Binance e é cruzado com a lista de
+ * moedas do CoinGecko pelo símbolo. O mapa fica em cache local
+ * (`CACHE_DIR/coingecko-ids.json`) e é refeito uma vez por dia.
+ *
+ * Precedência quando há mais de uma opção:
+ * 1. override em `system_config.coingecko_id_overrides`, pelo par (`SOLUSDT`)
+ *    ou pelo ativo base (`SOL`);
+ * 2. entre moedas com o mesmo símbolo, a de melhor `market_cap_rank`;
+ * 3. sem ranking, a moeda cujo ID é o próprio nome (ex.: `solana`) e, por
+ *    fim, a ordem alfabética do ID.
+ */
+class CoinGeckoIdResolver {
+  constructor(options = {}) {
+    this.binanceApiUrl = options.binanceApiUrl || process.env.BINANCE_API_URL;
+    this.coingeckoApiUrl = options.coingeckoApiUrl || process.env.COINGECKO_API_URL;
+    this.http = options.httpClient || HttpClient.getDefault();
+    this.databaseManager = options.databaseManager || new DatabaseManager();
+    this.cacheFile = options.cacheFile || path.join(process.env.CACHE_DIR || '.cache', 'coingecko-ids.json');
+    this.refreshInterval = options.refreshInterval || DAY;
+    this.overridesTtl = options.overridesTtl || 5 * 60 * 1000;
+    this.retryDelay = options.retryDelay || 10 * 60 * 1000;
+    // Páginas de /coins/markets (250 moedas cada) usadas para o ranking
+    this.rankPages = options.rankPages || 4;
+
+    this.mapping = null;
+    this.refreshing = null;
+    this.nextRetryAt = 0;
+    this.overrides = {};
+    this.overridesLoadedAt = 0;
+    this.unresolved = new Set();
+  }
+
+  async resolve(pair) {
+    const overrides = await this.getOverrides();
+    if (overrides[pair]) return overrides[pair];
+
+    const mapping = await this.getMapping();
+    const baseAsset = mapping.pairs[pair] || this.guessBaseAsset(pair);
+    if (baseAsset && overrides[baseAsset]) return overrides[baseAsset];
+
+    const id = baseAsset ? mapping.byBaseAsset[baseAsset] : null;
+    if (!id && !this.unresolved.has(pair)) {
+      this.unresolved.add(pair);
+      console.warn(`⚠️ ID do CoinGecko não encontrado para ${pair} (ativo base: ${baseAsset || '?'})`);
+    }
+    return id || null;
+  }
+
+  async getMapping() {
+    if (this.mapping && Date.now() - this.mapping.fetchedAt < this.refreshInterval) {
+      return this.mapping;
+    }
+
+    if (!this.mapping) {
+      const cached = this.readCache();
+      if (cached && Date.now() - cached.fetchedAt < this.refreshInterval) {
+        this.mapping = cached;
+        return this.mapping;
+      }
+      this.mapping = cached;
+    }
+
+    // Após uma falha, segue com o mapa antigo por um tempo antes de tentar de novo
+    if (this.mapping && Date.now() < this.nextRetryAt) {
+      return this.mapping;
+    }
+
+    // Evitar refreshes simultâneos quando vários pares resolvem ao mesmo tempo
+    if (!this.refreshing) {
+      this.refreshing = this.refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    try {
+      await this.refreshing;
+    } catch (error) {
+      console.error('❌ Erro ao atualizar IDs do CoinGecko:', error.message);
+      this.nextRetryAt = Date.now() + this.retryDelay;
+      // Sem mapa novo, segue com o cache antigo (se houver)
+      if (!this.mapping) {
+        this.mapping = { fetchedAt: 0, pairs: {}, byBaseAsset: {} };
+      }
+    }
+
+    return this.mapping;
+  }
+
+  async refresh() {
+    console.log('🔄 Atualizando mapa de IDs do CoinGecko...');
+
+    const [exchangeInfo, coinList, ranks] = await Promise.all([
+      this.http.get(`${this.binanceApiUrl}/exchangeInfo`, { weight: 20 }),
+      this.http.get(`${this.coingeckoApiUrl}/coins/list`),
+      this.fetchRanks()
+    ]);
+
+    const pairs = {};
+    const baseAssets = new Set();
+    (exchangeInfo.data.symbols || []).forEach(symbol => {
+      pairs[symbol.symbol] = symbol.baseAsset;
+      baseAssets.add(symbol.baseAsset);
+    });
+
+    const candidates = {};
+    coinList.data.forEach(coin => {
+      const symbol = coin.symbol.toUpperCase();
+      if (!baseAssets.has(symbol)) return;
+      (candidates[symbol] = candidates[symbol] || []).push(coin);
+    });
+
+    const byBaseAsset = {};
+    Object.entries(candidates).forEach(([symbol, coins]) => {
+      byBaseAsset[symbol] = this.pickCandidate(coins, ranks).id;
+    });
+
+    this.mapping = { fetchedAt: Date.now(), pairs, byBaseAsset };
+    this.unresolved.clear();
+    this.writeCache(this.mapping);
+
+    console.log(`✅ Mapa de IDs do CoinGecko atualizado (${Object.keys(byBaseAsset).length} ativos)`);
+    return this.mapping;
+  }
+
+  async fetchRanks() {
+    const ranks = {};
+
+    for (let page = 1; page <= this.rankPages; page++) {
+      try {
+        const response = await this.http.get(`${this.coingeckoApiUrl}/coins/markets`, {
+          params: { vs_currency: 'usd', order: 'market_cap_desc', per_page: 250, page }
+        });
+        response.data.forEach(coin => {
+          if (coin.market_cap_rank) ranks[coin.id] = coin.market_cap_rank;
+        });
+      } catch (error) {
+        // O ranking só desempata colisões; sem ele a regra de nome ainda vale
+        console.warn(`⚠️ Erro ao buscar ranking do CoinGecko (página ${page}):`, error.message);
+        break;
+      }
+    }
+
+    return ranks;
+  }
+
+  pickCandidate(coins, ranks) {
+    return [...coins].sort((a, b) => {
+      const rankA = ranks[a.id] || Infinity;
+      const rankB = ranks[b.id] || Infinity;
+      if (rankA !== rankB) return rankA - rankB;
+
+      const nameA = a.id === this.slugify(a.name) ? 0 : 1;
+      const nameB = b.id === this.slugify(b.name) ? 0 : 1;
+      if (nameA !== nameB) return nameA - nameB;
+
+      return a.id.localeCompare(b.id);
+    })[0];
+  }
+
+  slugify(name) {
+    return (name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  guessBaseAsset(pair) {
+    const quote = KNOWN_QUOTE_ASSETS.find(q => pair.endsWith(q) && pair.length > q.length);
+    return quote ? pair.slice(0, -quote.length) : null;
+  }
+
+  async getOverrides() {
+    if (Date.now() - this.overridesLoadedAt < this.overridesTtl) {
+      return this.overrides;
+    }
+
+    const overrides = await this.databaseManager.getConfig('coingecko_id_overrides');
+    this.overrides = overrides || {};
+    this.overridesLoadedAt = Date.now();
+    return this.overrides;
+  }
+
+  readCache() {
+    try {
+      if (!fs.existsSync(this.cacheFile)) return null;
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      console.warn('⚠️ Cache de IDs do CoinGecko inválido, ignorando:', error.message);
+      return null;
+    }
+  }
+
+  writeCache(mapping) {
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify(mapping));
+    } catch (error) {
+      console.warn('⚠️ Erro ao salvar cache de IDs do CoinGecko:', error.message);
+    }
+  }
+}
+
+module.exports = CoinGeckoIdResolver;
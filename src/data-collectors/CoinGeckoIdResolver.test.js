@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoinGeckoIdResolver = require('./CoinGeckoIdResolver');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const COINS = [
+  { id: 'solana', symbol: 'sol', name: 'Solana' },
+  { id: 'sol-wormhole', symbol: 'sol', name: 'SOL (Wormhole)' },
+  { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' },
+  { id: 'batcat', symbol: 'btc', name: 'BatCat' },
+  { id: 'zeta', symbol: 'zet', name: 'Zeta' },
+  { id: 'alpha-zet', symbol: 'zet', name: 'Alpha' }
+];
+
+// Cliente REST falso para exchangeInfo, lista de moedas e ranking
+function createHttp({ fail = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async get(url) {
+      calls.push(url);
+      if (fail) throw new Error('offline');
+      if (url.endsWith('/exchangeInfo')) {
+        return {
+          data: {
+            symbols: [
+              { symbol: 'SOLUSDT', baseAsset: 'SOL' },
+              { symbol: 'BTCUSDT', baseAsset: 'BTC' },
+              { symbol: 'ZETUSDT', baseAsset: 'ZET' }
+            ]
+          }
+        };
+      }
+      if (url.endsWith('/coins/list')) return { data: COINS };
+      return { data: [{ id: 'bitcoin', market_cap_rank: 1 }, { id: 'solana', market_cap_rank: 5 }, { id: 'sol-wormhole', market_cap_rank: 900 }] };
+    }
+  };
+}
+
+function createResolver(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coingecko-ids-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new CoinGeckoIdResolver({
+    binanceApiUrl: 'https://binance.test',
+    coingeckoApiUrl: 'https://coingecko.test',
+    httpClient: createHttp(),
+    databaseManager: { getConfig: async () => null },
+    cacheFile: path.join(dir, 'coingecko-ids.json'),
+    rankPages: 1,
+    ...options
+  });
+}
+
+test('resolve pelo ativo base e desempata colisões pelo ranking e depois pelo nome', async t => {
+  const resolver = createResolver(t);
+
+  assert.equal(await resolver.resolve('SOLUSDT'), 'solana');
+  assert.equal(await resolver.resolve('BTCUSDT'), 'bitcoin');
+  // Sem ranking: vence o ID igual ao nome, não a ordem alfabética
+  assert.equal(await resolver.resolve('ZETUSDT'), 'zeta');
+});
+
+test('overrides do system_config valem pelo par e pelo ativo base', async t => {
+  const overrides = { SOLUSDT: 'sol-wormhole', BTC: 'batcat' };
+  const resolver = createResolver(t, { databaseManager: { getConfig: async () => overrides } });
+
+  assert.equal(await resolver.resolve('SOLUSDT'), 'sol-wormhole');
+  assert.equal(await resolver.resolve('BTCFDUSD'), 'batcat');
+});
+
+test('par fora do exchangeInfo cai no ativo base deduzido pela moeda de cotação', async t => {
+  const resolver = createResolver(t);
+
+  assert.equal(await resolver.resolve('SOLBRL'), 'solana');
+  assert.equal(await resolver.resolve('XYZUSDT'), null);
+  assert.equal(await resolver.resolve('FOO'), null);
+});
+
+test('usa o cache local e, se a atualização falhar, segue com o mapa antigo', async t => {
+  const resolver = createResolver(t);
+  await resolver.resolve('SOLUSDT');
+
+  // Mesmo arquivo, ainda válido: nenhuma chamada nova
+  const cachedHttp = createHttp({ fail: true });
+  const cached = createResolver(t, { cacheFile: resolver.cacheFile, httpClient: cachedHttp });
+  assert.equal(await cached.resolve('BTCUSDT'), 'bitcoin');
+  assert.equal(cachedHttp.calls.length, 0);
+
+  // Cache vencido e API fora do ar: o mapa antigo continua valendo
+  const stale = createResolver(t, { cacheFile: resolver.cacheFile, httpClient: createHttp({ fail: true }), refreshInterval: 1 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await stale.resolve('SOLUSDT'), 'solana');
+  assert.ok(stale.nextRetryAt > Date.now());
+});
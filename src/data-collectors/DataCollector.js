@@ -1,16 +1,60 @@
-const axios = require('axios');
+const EventEmitter = require('events');
+const BinanceStream = require('./BinanceStream');
+const CandlePatternDetector = require('./CandlePatternDetector');
+const SwingDetector = require('./SwingDetector');
+const SupportResistanceAnalyzer = require('./SupportResistanceAnalyzer');
+const RegimeClassifier = require('./RegimeClassifier');
+const AdapterRegistry = require('./adapters/AdapterRegistry');
+const indicators = require('../indicators');
 
-class DataCollector {
+class DataCollector extends EventEmitter {
   constructor() {
+    super();
     this.binanceApiUrl = process.env.BINANCE_API_URL;
-    this.coingeckoApiUrl = process.env.COINGECKO_API_URL;
+    this.registry = new AdapterRegistry();
+    this.patternDetector = new CandlePatternDetector();
+    this.swingDetector = new SwingDetector();
+    this.regimeClassifier = new RegimeClassifier();
+    this.supportResistance = new SupportResistanceAnalyzer({
+      swingDetector: this.swingDetector,
+      fetchCandles: (pair, interval, startTime, endTime) => this.fetchCandles(pair, interval, startTime, endTime)
+    });
+    this.collectionMode = process.env.COLLECTION_MODE || 'poll';
+    this.defaultIntervals = (process.env.CANDLE_INTERVALS || '1m,5m,15m,1h').split(',').map(i => i.trim());
+    // Pontos de cada série de indicador guardados em `technical_indicators.series`
+    this.seriesLength = parseInt(process.env.INDICATOR_SERIES_LENGTH) || 20;
+    // Períodos dos indicadores (ver `indicators.DEFAULT_PERIODS`); ajustáveis
+    // em `system_settings.indicator_periods`
+    this.indicatorPeriods = { ...indicators.DEFAULT_PERIODS };
     this.isCollecting = false;
     this.collectionInterval = null;
+    this.stream = null;
+  }
+
+  isStreaming() {
+    return this.collectionMode === 'stream';
+  }
+
+  /**
+   * Timeframes coletados para o par. O primeiro é o principal (velas,
+   * indicadores de topo e preço armazenados); os demais são usados como
+   * contexto de timeframe maior. Pode ser sobrescrito por par com
+   * `CANDLE_INTERVALS_<PAR>` (ex.: `CANDLE_INTERVALS_BTCUSDT=1m,15m`).
+   */
+  getIntervals(pair) {
+    const override = process.env[`CANDLE_INTERVALS_${pair}`];
+    if (override) return override.split(',').map(i => i.trim());
+    return this.defaultIntervals;
   }
 
   async start(pairs) {
     console.log('📡 Iniciando coleta de dados...');
     this.isCollecting = true;
+
+    if (this.isStreaming()) {
+      await this.startStreaming(pairs);
+      return;
+    }
     
     // Coletar dados iniciais
     await this.collectInitialData(pairs);
@@ -35,6 +79,44 @@ class DataCollector {
     }
   }
 
+  async startStreaming(pairs, options = {}) {
+    const intervals = {};
+    pairs.forEach(pair => {
+      intervals[pair] = this.getIntervals(pair);
+    });
+
+    this.stream = new BinanceStream({ restUrl: this.binanceApiUrl, intervals, ...options });
+
+    this.stream.on('candleClosed', async (pair, candle, snapshot, interval) => {
+      // Apenas o fechamento do timeframe principal gera um novo registro
+      if (!this.isCollecting || interval !== snapshot.interval) return;
+
+      try {
+        // O stream substitui a Binance REST para velas, preço e order book;
+        // as demais fontes do par contribuem apenas com metadados
+        const streamResult = {
+          source: 'binance',
+          timeframes: snapshot.timeframes,
+          ticker: { price: candle.close },
+          bookTicker: snapshot.bookTicker,
+          orderBook: snapshot.orderBook.bids.length > 0 ? snapshot.orderBook : null
+        };
+        const adapters = this.registry.getAdaptersForPair(pair);
+        const metadataResults = await Promise.all(adapters.map(adapter => this.collectFromAdapter(adapter, pair, ['metadata'])));
+        const combinedData = this.combineDataSources(pair, [streamResult, ...metadataResults]);
+        // Datado no fechamento da vela, como os registros do CandleReplay: o
+        // rótulo de treino é a vela seguinte a ela, não a seguinte à gravação
+        combinedData.timestamp = new Date(candle.closeTime).toISOString();
+        await this.addSupportResistance(combinedData);
+        this.emit('candleClosed', combinedData);
+      } catch (error) {
+        console.error(`❌ Erro ao processar vela fechada de ${pair}:`, error.message);
+      }
+    });
+
+    await this.stream.start(pairs);
+  }
+
   async collectAllPairsData(pairs) {
     const promises = pairs.map(pair => this.collectPairData(pair));
     await Promise.allSettled(promises);
@@ -42,14 +124,13 @@ class DataCollector {
 
   async collectPairData(pair) {
     try {
-      // Coletar dados da Binance
-      const binanceData = await this.collectFromBinance(pair);
-      
-      // Coletar dados adicionais do CoinGecko
-      const coingeckoData = await this.collectFromCoinGecko(pair);
+      // Coletar dados de todas as fontes configuradas para o par
+      const adapters = this.registry.getAdaptersForPair(pair);
+      const results = await Promise.all(adapters.map(adapter => this.collectFromAdapter(adapter, pair)));
       
       // Combinar dados
-      const combinedData = this.combineDataSources(binanceData, coingeckoData);
+      const combinedData = this.combineDataSources(pair, results);
+      await this.addSupportResistance(combinedData);
       
       return combinedData;
     } catch (error) {
@@ -58,145 +139,141 @@ class DataCollector {
     }
   }
 
-  async collectFromBinance(pair) {
-    try {
-      const [klinesResponse, tickerResponse, orderBookResponse] = await Promise.all([
-        // Dados de velas (1m, 5m, 15m)
-        axios.get(`${this.binanceApiUrl}/klines`, {
-          params: {
-            symbol: pair,
-            interval: '1m',
-            limit: 100
-          }
-        }),
-        // Preço atual
-        axios.get(`${this.binanceApiUrl}/ticker/price`, {
-          params: { symbol: pair }
-        }),
-        // Order book (profundidade)
-        axios.get(`${this.binanceApiUrl}/depth`, {
-          params: { symbol: pair, limit: 20 }
-        })
-      ]);
-
-      const klines = klinesResponse.data;
-      const ticker = tickerResponse.data;
-      const orderBook = orderBookResponse.data;
-
-      // Processar dados de velas
-      const candles = klines.map(kline => ({
-        timestamp: kline[0],
-        open: parseFloat(kline[1]),
-        high: parseFloat(kline[2]),
-        low: parseFloat(kline[3]),
-        close: parseFloat(kline[4]),
-        volume: parseFloat(kline[5]),
-        closeTime: kline[6],
-        quoteVolume: parseFloat(kline[7]),
-        trades: kline[8],
-        takerBuyBaseVolume: parseFloat(kline[9]),
-        takerBuyQuoteVolume: parseFloat(kline[10])
-      }));
-
-      // Calcular indicadores técnicos
-      const technicalIndicators = this.calculateTechnicalIndicators(candles);
-
-      return {
-        pair,
-        source: 'binance',
-        timestamp: new Date().toISOString(),
-        price: parseFloat(ticker.price),
-        candles,
-        orderBook: {
-          bids: orderBook.bids.map(bid => ({ price: parseFloat(bid[0]), quantity: parseFloat(bid[1]) })),
-          asks: orderBook.asks.map(ask => ({ price: parseFloat(ask[0]), quantity: parseFloat(ask[1]) }))
-        },
-        technicalIndicators,
-        volume: candles[candles.length - 1]?.volume || 0
-      };
-    } catch (error) {
-      console.error(`❌ Erro na API Binance para ${pair}:`, error.message);
-      throw error;
-    }
-  }
+  /**
+   * Busca tudo o que o adaptador sabe fornecer (ou apenas `capabilities`).
+   * Falhas parciais são registradas e o restante dos dados é aproveitado.
+   */
+  async collectFromAdapter(adapter, pair, capabilities = ['candles', 'ticker', 'orderBook', 'metadata']) {
+    const result = { source: adapter.name };
+    const wanted = capabilities.filter(capability => adapter.supports(capability));
+    const intervals = this.getIntervals(pair);
 
-  async collectFromCoinGecko(pair) {
-    try {
-      // Mapear pares para IDs do CoinGecko
-      const coinGeckoId = this.getCoinGeckoId(pair);
-      if (!coinGeckoId) return null;
-
-      const response = await axios.get(`${this.coingeckoApiUrl}/coins/${coinGeckoId}`, {
-        params: {
-          localization: false,
-          tickers: false,
-          market_data: true,
-          community_data: false,
-          developer_data: false,
-          sparkline: false
+    const tasks = wanted.map(async capability => {
+      switch (capability) {
+        case 'candles': {
+          // Um timeframe com falha não descarta os demais
+          const series = await Promise.allSettled(intervals.map(interval => adapter.getCandles(pair, interval, { limit: 100 })));
+          result.timeframes = {};
+          intervals.forEach((interval, index) => {
+            if (series[index].status === 'fulfilled') {
+              result.timeframes[interval] = series[index].value;
+            } else {
+              console.error(`❌ Erro na fonte ${adapter.name} (velas ${interval}) para ${pair}:`, series[index].reason.message);
+            }
+          });
+          break;
         }
-      });
+        case 'ticker':
+          result.ticker = await adapter.getTicker(pair);
+          break;
+        case 'orderBook':
+          result.orderBook = await adapter.getOrderBook(pair, 20);
+          break;
+        case 'metadata':
+          result.metadata = await adapter.getMetadata(pair);
+          break;
+      }
+    });
 
-      const data = response.data;
-      const marketData = data.market_data;
-
-      return {
-        coinGeckoId,
-        marketCap: marketData.market_cap?.usd || 0,
-        totalVolume: marketData.total_volume?.usd || 0,
-        priceChange24h: marketData.price_change_percentage_24h || 0,
-        marketCapRank: data.market_cap_rank || 0,
-        ath: marketData.ath?.usd || 0,
-        athChangePercentage: marketData.ath_change_percentage?.usd || 0,
-        atl: marketData.atl?.usd || 0,
-        atlChangePercentage: marketData.atl_change_percentage?.usd || 0,
-        circulatingSupply: marketData.circulating_supply || 0,
-        totalSupply: marketData.total_supply || 0,
-        maxSupply: marketData.max_supply || 0
-      };
-    } catch (error) {
-      console.error(`❌ Erro na API CoinGecko para ${pair}:`, error.message);
-      return null;
-    }
+    const outcomes = await Promise.allSettled(tasks);
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        console.error(`❌ Erro na fonte ${adapter.name} (${wanted[index]}) para ${pair}:`, outcome.reason.message);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Indicadores do timeframe principal no nível de topo (formato original) e
+   * um resumo por timeframe em `timeframes`, armazenado junto em
+   * `technical_indicators`.
+   */
+  calculateMultiTimeframeIndicators(primaryInterval, timeframes) {
+    const indicators = this.calculateTechnicalIndicators(timeframes[primaryInterval] || []);
+    indicators.interval = primaryInterval;
+    indicators.timeframes = {};
+
+    Object.entries(timeframes).forEach(([interval, candles]) => {
+      indicators.timeframes[interval] = this.calculateTimeframeSummary(candles);
+    });
+
+    return indicators;
   }
 
-  getCoinGeckoId(pair) {
-    const mapping = {
-      'SOLUSDT': 'solana',
-      'ETHUSDT': 'ethereum',
-      'BTCUSDT': 'bitcoin',
-      'ADAUSDT': 'cardano',
-      'DOGEUSDT': 'dogecoin'
+  calculateTimeframeSummary(candles) {
+    if (candles.length < 20) return null;
+
+    const prices = candles.map(c => c.close);
+    const sma20 = indicators.last(indicators.sma(prices, 20));
+    const ema12 = indicators.last(indicators.ema(prices, 12));
+    const ema26 = indicators.last(indicators.ema(prices, 26));
+    const { macdFast, macdSlow, macdSignal } = this.indicatorPeriods;
+    const macd = indicators.lastValues(indicators.macd(prices, macdFast, macdSlow, macdSignal));
+
+    return {
+      close: prices[prices.length - 1],
+      sma20,
+      ema12,
+      ema26,
+      rsi: indicators.last(indicators.rsi(prices, this.indicatorPeriods.rsi)),
+      macd: macd.macdLine !== null ? macd : null,
+      trend: this.calculateTimeframeTrend(prices[prices.length - 1], sma20, ema12, ema26),
+      lastCandleTime: candles[candles.length - 1].timestamp
     };
-    return mapping[pair] || null;
+  }
+
+  calculateTimeframeTrend(close, sma20, ema12, ema26) {
+    if (sma20 === null || ema12 === null || ema26 === null) return 'neutral';
+
+    if (ema12 > ema26 && close > sma20) return 'uptrend';
+    if (ema12 < ema26 && close < sma20) return 'downtrend';
+    return 'sideways';
   }
 
   calculateTechnicalIndicators(candles) {
     if (candles.length < 20) return {};
 
-    const prices = candles.map(c => c.close);
-    const highs = candles.map(c => c.high);
-    const lows = candles.map(c => c.low);
-    const volumes = candles.map(c => c.volume);
+    const series = indicators.calculateSeries(candles, this.indicatorPeriods);
+    const macd = indicators.lastValues(series.macd);
+    const bollingerBands = indicators.lastValues(series.bollingerBands);
+    const stochastic = indicators.lastValues(series.stochastic);
+    const adx = indicators.lastValues(series.adx);
 
     return {
       // Médias móveis
-      sma20: this.calculateSMA(prices, 20),
-      sma50: this.calculateSMA(prices, Math.min(50, prices.length)),
-      ema12: this.calculateEMA(prices, 12),
-      ema26: this.calculateEMA(prices, 26),
+      sma20: indicators.last(series.sma20),
+      sma50: indicators.last(series.sma50),
+      ema12: indicators.last(series.ema12),
+      ema26: indicators.last(series.ema26),
       
-      // RSI
-      rsi: this.calculateRSI(prices, 14),
+      // Osciladores
+      rsi: indicators.last(series.rsi),
+      macd: macd.macdLine !== null ? macd : null,
+      stochastic: stochastic.k !== null ? stochastic : null,
+      cci: indicators.last(series.cci),
+      williamsR: indicators.last(series.williamsR),
       
-      // MACD
-      macd: this.calculateMACD(prices),
-      
-      // Bollinger Bands
-      bollingerBands: this.calculateBollingerBands(prices, 20, 2),
+      // Volatilidade e força da tendência
+      bollingerBands: bollingerBands.middle !== null ? bollingerBands : null,
+      atr: indicators.last(series.atr),
+      adx: adx.plusDI !== null ? adx : null,
       
       // Volume
-      volumeSMA: this.calculateSMA(volumes, 20),
+      volumeSMA: indicators.last(series.volumeSMA),
+      vwap: indicators.last(series.vwap),
+      obv: indicators.last(series.obv),
+      
+      // Fluxo agressor (fração do volume comprada a mercado)
+      takerBuyRatio: this.calculateTakerBuyRatio(candles.slice(-1)),
+      takerBuyRatio5: this.calculateTakerBuyRatio(candles.slice(-5)),
+      
+      // Últimos pontos de cada série (inclinações e cruzamentos)
+      series: indicators.tailSeries(series, this.seriesLength),
+      
+      // Regime de mercado (tendência, lateral, volátil ou parado)
+      regime: this.regimeClassifier.classify(candles, series),
       
       // Price Action
       priceAction: this.analyzePriceAction(candles),
@@ -206,115 +283,33 @@ class DataCollector {
     };
   }
 
-  calculateSMA(prices, period) {
-    if (prices.length < period) return null;
-    const sum = prices.slice(-period).reduce((a, b) => a + b, 0);
-    return sum / period;
-  }
-
-  calculateEMA(prices, period) {
-    if (prices.length < period) return null;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0];
-    
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-    }
-    
-    return ema;
-  }
-
-  calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return null;
-    
-    let gains = 0;
-    let losses = 0;
-    
-    for (let i = 1; i <= period; i++) {
-      const change = prices[i] - prices[i - 1];
-      if (change > 0) gains += change;
-      else losses += Math.abs(change);
-    }
-    
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  }
-
-  calculateMACD(prices) {
-    const ema12 = this.calculateEMA(prices, 12);
-    const ema26 = this.calculateEMA(prices, 26);
-    
-    if (!ema12 || !ema26) return null;
-    
-    const macdLine = ema12 - ema26;
-    const signalLine = this.calculateEMA([macdLine], 9);
-    const histogram = macdLine - (signalLine || 0);
-    
-    return {
-      macdLine,
-      signalLine,
-      histogram
-    };
-  }
-
-  calculateBollingerBands(prices, period = 20, stdDev = 2) {
-    if (prices.length < period) return null;
-    
-    const sma = this.calculateSMA(prices, period);
-    const recentPrices = prices.slice(-period);
-    
-    const variance = recentPrices.reduce((sum, price) => {
-      return sum + Math.pow(price - sma, 2);
-    }, 0) / period;
-    
-    const standardDeviation = Math.sqrt(variance);
-    
-    return {
-      upper: sma + (standardDeviation * stdDev),
-      middle: sma,
-      lower: sma - (standardDeviation * stdDev)
-    };
+  calculateTakerBuyRatio(candles) {
+    const volume = candles.reduce((sum, c) => sum + (c.volume || 0), 0);
+    const takerBuy = candles.reduce((sum, c) => sum + (c.takerBuyBaseVolume || 0), 0);
+    return volume > 0 ? takerBuy / volume : null;
   }
 
+  /**
+   * `patterns` traz os nomes dos padrões em contexto válido na última vela;
+   * `detected` traz todos com direção, força e contexto. `bullishScore` e
+   * `bearishScore` somam a força dos padrões válidos de cada lado (máx. 1).
+   */
   analyzePriceAction(candles) {
     if (candles.length < 3) return null;
     
     const recent = candles.slice(-3);
-    const patterns = [];
-    
-    // Análise de padrões de velas
-    recent.forEach((candle, index) => {
-      const isGreen = candle.close > candle.open;
-      const bodySize = Math.abs(candle.close - candle.open);
-      const totalSize = candle.high - candle.low;
-      const bodyRatio = totalSize > 0 ? bodySize / totalSize : 0;
-      
-      // Doji
-      if (bodyRatio < 0.1) {
-        patterns.push('doji');
-      }
-      // Hammer/Shooting Star
-      else if (bodyRatio < 0.3) {
-        const upperShadow = candle.high - Math.max(candle.open, candle.close);
-        const lowerShadow = Math.min(candle.open, candle.close) - candle.low;
-        
-        if (lowerShadow > bodySize * 2) patterns.push('hammer');
-        if (upperShadow > bodySize * 2) patterns.push('shooting_star');
-      }
-      // Marubozu
-      else if (bodyRatio > 0.8) {
-        patterns.push(isGreen ? 'green_marubozu' : 'red_marubozu');
-      }
-    });
+    const detected = this.patternDetector.detect(candles);
+    const valid = detected.filter(p => p.contextValid);
+    const sideScore = direction => Math.min(1, valid
+      .filter(p => p.direction === direction)
+      .reduce((sum, p) => sum + p.strength, 0));
     
     return {
-      patterns,
+      patterns: valid.map(p => p.name),
+      detected,
+      bullishScore: sideScore('bullish'),
+      bearishScore: sideScore('bearish'),
+      strongest: valid[0] || null,
       recentCandles: recent.map(c => ({
         color: c.close > c.open ? 'GREEN' : 'RED',
         bodySize: Math.abs(c.close - c.open),
@@ -324,67 +319,95 @@ class DataCollector {
     };
   }
 
+  // Swings, impulso e pullback atual (ver SwingDetector)
   analyzePullbacks(candles) {
     if (candles.length < 10) return null;
     
-    const recent = candles.slice(-10);
-    const prices = recent.map(c => c.close);
-    
-    // Encontrar picos e vales
-    const peaks = [];
-    const valleys = [];
-    
-    for (let i = 1; i < prices.length - 1; i++) {
-      if (prices[i] > prices[i-1] && prices[i] > prices[i+1]) {
-        peaks.push({ index: i, price: prices[i] });
-      }
-      if (prices[i] < prices[i-1] && prices[i] < prices[i+1]) {
-        valleys.push({ index: i, price: prices[i] });
-      }
-    }
-    
-    // Analisar pullbacks
-    const pullbacks = [];
-    for (let i = 0; i < peaks.length - 1; i++) {
-      const peak = peaks[i];
-      const nextPeak = peaks[i + 1];
-      const pullbackDepth = (peak.price - nextPeak.price) / peak.price;
-      
-      if (pullbackDepth > 0.02) { // Pullback > 2%
-        pullbacks.push({
-          startIndex: peak.index,
-          endIndex: nextPeak.index,
-          depth: pullbackDepth,
-          strength: 'strong'
-        });
-      }
+    return this.swingDetector.analyze(candles);
+  }
+
+  /**
+   * Zonas de suporte/resistência em `technicalIndicators.supportResistance`.
+   * Depende do histórico de velas; uma falha aqui não descarta a coleta.
+   * `context` substitui o contexto de sessão atual (replay de histórico).
+   */
+  async addSupportResistance(data, context = null) {
+    const technical = data.technicalIndicators;
+    if (!technical || !technical.atr) return data;
+
+    try {
+      context = context || await this.supportResistance.getSessionContext(data.pair);
+      technical.supportResistance = this.supportResistance.analyze({
+        price: data.price,
+        candles: data.candles,
+        atr: technical.atr,
+        windowPivots: this.swingDetector.findPivots(data.candles),
+        context
+      });
+    } catch (error) {
+      console.error(`❌ Erro ao calcular suportes e resistências de ${data.pair}:`, error.message);
     }
-    
-    return {
-      peaks: peaks.length,
-      valleys: valleys.length,
-      pullbacks: pullbacks.length,
-      recentPullbacks: pullbacks,
-      trend: this.calculateTrend(prices)
-    };
+
+    return data;
   }
 
-  calculateTrend(prices) {
-    if (prices.length < 5) return 'neutral';
-    
-    const first = prices[0];
-    const last = prices[prices.length - 1];
-    const change = (last - first) / first;
-    
-    if (change > 0.02) return 'uptrend';
-    if (change < -0.02) return 'downtrend';
-    return 'sideways';
+  // Velas de um período pela primeira fonte do par que fornece velas
+  async fetchCandles(pair, interval, startTime, endTime) {
+    const adapter = this.registry.getAdaptersForPair(pair).find(a => a.supports('candles'));
+    if (!adapter) return [];
+    return adapter.getCandles(pair, interval, { startTime, endTime, limit: 1000 });
   }
 
-  combineDataSources(binanceData, coingeckoData) {
+  /**
+   * Combina os resultados das fontes em ordem de prioridade. Para velas,
+   * preço e order book vale a primeira fonte que os forneceu; os metadados de
+   * todas as fontes são mesclados em `marketData`. `sources` registra de qual
+   * fonte veio cada campo.
+   */
+  combineDataSources(pair, results) {
+    const interval = this.getIntervals(pair)[0];
+    const sources = {};
+
+    const candleSource = results.find(r => r.timeframes?.[interval]?.length > 0);
+    if (!candleSource) {
+      throw new Error(`Nenhuma fonte forneceu velas para ${pair}`);
+    }
+
+    const candles = candleSource.timeframes[interval];
+    sources.candles = candleSource.source;
+
+    const tickerSource = results.find(r => r.ticker);
+    const price = tickerSource ? tickerSource.ticker.price : candles[candles.length - 1].close;
+    sources.price = tickerSource ? tickerSource.source : candleSource.source;
+
+    const orderBookSource = results.find(r => r.orderBook);
+    if (orderBookSource) sources.orderBook = orderBookSource.source;
+
+    let marketData = null;
+    results.forEach(result => {
+      if (!result.metadata) return;
+
+      marketData = marketData || {};
+      Object.entries(result.metadata).forEach(([key, value]) => {
+        if (marketData[key] !== undefined) return;
+        marketData[key] = value;
+        sources[`marketData.${key}`] = result.source;
+      });
+    });
+
     return {
-      ...binanceData,
-      marketData: coingeckoData,
+      pair,
+      source: candleSource.source,
+      timestamp: new Date().toISOString(),
+      price,
+      interval,
+      candles,
+      bookTicker: candleSource.bookTicker || null,
+      orderBook: orderBookSource ? orderBookSource.orderBook : { bids: [], asks: [] },
+      technicalIndicators: this.calculateMultiTimeframeIndicators(interval, candleSource.timeframes),
+      volume: candles[candles.length - 1]?.volume || 0,
+      marketData,
+      sources,
       combinedAt: new Date().toISOString()
     };
   }
@@ -397,6 +420,11 @@ class DataCollector {
       clearInterval(this.collectionInterval);
       this.collectionInterval = null;
     }
+
+    if (this.stream) {
+      await this.stream.stop();
+      this.stream = null;
+    }
     
     console.log('✅ Coleta de dados parada');
   }
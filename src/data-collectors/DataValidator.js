@@ -0,0 +1,196 @@
+const { intervalToMs } = require('../utils/timeframes');
+
+// Códigos de problema e o que fazer com o registro
+const QUALITY_RULES = {
+  INVALID_PRICE: 'quarantine',      // preço ausente, zero ou negativo
+  INVALID_OHLC: 'quarantine',       // high < low, close fora do range etc.
+  CROSSED_BOOK: 'quarantine',       // melhor bid >= melhor ask
+  DUPLICATE_TIMESTAMP: 'flag',      // mesma vela já registrada
+  MISSING_CANDLES: 'flag',          // minutos faltando na janela ou desde o último registro
+  ZERO_VOLUME: 'flag',              // vela sem negociação
+  PRICE_SPIKE: 'flag',              // retorno muito fora da volatilidade recente
+  STALE_DATA: 'flag'                // última vela muito antiga em relação à coleta
+};
+
+/**
+ * Validação dos dados coletados antes de irem para o banco.
+ *
+ * `validate` devolve os problemas encontrados com código e ação: registros
+ * com problemas graves vão para quarentena (`market_data_quarantine`); os
+ * demais são gravados normalmente em `market_data`, com `quality_flags`.
+ * `buildQualityReport` resume a qualidade do que já está armazenado.
+ */
+class DataValidator {
+  constructor(options = {}) {
+    this.spikeThreshold = options.spikeThreshold || parseFloat(process.env.PRICE_SPIKE_THRESHOLD) || 8;
+    this.staleMultiplier = options.staleMultiplier || 3;
+    this.lastRecords = new Map();
+  }
+
+  validate(data) {
+    const issues = [];
+    const add = (code, message) => issues.push({ code, action: QUALITY_RULES[code], message });
+
+    const interval = data.interval || '1m';
+    const intervalMs = intervalToMs(interval);
+    const candles = data.candles || [];
+    const last = candles[candles.length - 1];
+
+    if (!(data.price > 0)) {
+      add('INVALID_PRICE', `Preço inválido: ${data.price}`);
+    }
+
+    if (last) {
+      if (!this.isValidCandle(last)) {
+        add('INVALID_OHLC', `OHLC inconsistente na vela ${new Date(last.timestamp).toISOString()}`);
+      }
+      if (!(last.volume > 0)) {
+        add('ZERO_VOLUME', `Vela ${new Date(last.timestamp).toISOString()} sem volume`);
+      }
+
+      const gaps = this.findGaps(candles, intervalMs);
+      if (gaps > 0) {
+        add('MISSING_CANDLES', `${gaps} velas faltando na janela coletada`);
+      }
+
+      const previous = this.lastRecords.get(data.pair);
+      if (previous) {
+        if (last.timestamp === previous.candleTime) {
+          add('DUPLICATE_TIMESTAMP', `Vela ${new Date(last.timestamp).toISOString()} já registrada`);
+        } else if (last.timestamp - previous.candleTime > intervalMs) {
+          const missing = Math.round((last.timestamp - previous.candleTime) / intervalMs) - 1;
+          add('MISSING_CANDLES', `${missing} velas faltando desde o último registro`);
+        }
+      }
+
+      const spike = this.measureSpike(candles);
+      if (spike !== null && spike > this.spikeThreshold) {
+        add('PRICE_SPIKE', `Retorno de ${spike.toFixed(1)} desvios-padrão na última vela`);
+      }
+
+      const collectedAt = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+      if (collectedAt - last.timestamp > intervalMs * this.staleMultiplier) {
+        add('STALE_DATA', `Última vela de ${Math.round((collectedAt - last.timestamp) / 1000)}s atrás`);
+      }
+    }
+
+    if (this.isCrossedBook(data.orderBook)) {
+      add('CROSSED_BOOK', `Book cruzado: bid ${data.orderBook.bids[0].price} >= ask ${data.orderBook.asks[0].price}`);
+    }
+
+    const quarantine = issues.some(issue => issue.action === 'quarantine');
+    if (!quarantine && last) {
+      this.lastRecords.set(data.pair, { candleTime: last.timestamp, price: data.price });
+    }
+
+    return {
+      valid: issues.length === 0,
+      quarantine,
+      issues
+    };
+  }
+
+  isValidCandle(candle) {
+    const { open, high, low, close } = candle;
+    if (![open, high, low, close].every(value => Number.isFinite(value) && value > 0)) return false;
+    return high >= low && high >= Math.max(open, close) && low <= Math.min(open, close);
+  }
+
+  isCrossedBook(orderBook) {
+    const bestBid = orderBook?.bids?.[0];
+    const bestAsk = orderBook?.asks?.[0];
+    return Boolean(bestBid && bestAsk && bestBid.price >= bestAsk.price);
+  }
+
+  findGaps(candles, intervalMs) {
+    let missing = 0;
+    for (let i = 1; i < candles.length; i++) {
+      const diff = candles[i].timestamp - candles[i - 1].timestamp;
+      if (diff > intervalMs) missing += Math.round(diff / intervalMs) - 1;
+    }
+    return missing;
+  }
+
+  // Retorno da última vela em desvios-padrão dos retornos anteriores
+  measureSpike(candles) {
+    if (candles.length < 21) return null;
+
+    const closes = candles.slice(-21).map(c => c.close);
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+
+    const lastReturn = returns.pop();
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+    const std = Math.sqrt(variance);
+    if (std === 0) return lastReturn === 0 ? 0 : Infinity;
+
+    return Math.abs(lastReturn - mean) / std;
+  }
+
+  /**
+   * Relatório de qualidade de um par a partir das linhas de `market_data`.
+   */
+  buildQualityReport(pair, rows, interval = '1m') {
+    const intervalMs = intervalToMs(interval);
+    const sorted = [...rows].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const report = {
+      pair,
+      records: sorted.length,
+      from: sorted[0]?.timestamp || null,
+      to: sorted[sorted.length - 1]?.timestamp || null,
+      gaps: [],
+      missingIntervals: 0,
+      duplicates: 0,
+      outliers: 0,
+      flagged: 0,
+      flagsByCode: {},
+      stalenessSeconds: sorted.length > 0
+        ? Math.round((Date.now() - new Date(sorted[sorted.length - 1].timestamp).getTime()) / 1000)
+        : null
+    };
+
+    const seen = new Set();
+    for (let i = 0; i < sorted.length; i++) {
+      const row = sorted[i];
+      const time = this.getCandleTime(row, intervalMs);
+
+      if (seen.has(time)) report.duplicates++;
+      seen.add(time);
+
+      if (i > 0) {
+        const previousTime = this.getCandleTime(sorted[i - 1], intervalMs);
+        if (time - previousTime > intervalMs) {
+          const missing = Math.round((time - previousTime) / intervalMs) - 1;
+          report.missingIntervals += missing;
+          report.gaps.push({
+            from: new Date(previousTime + intervalMs).toISOString(),
+            to: new Date(time - intervalMs).toISOString(),
+            missing
+          });
+        }
+      }
+
+      const flags = row.quality_flags || [];
+      if (flags.length > 0) report.flagged++;
+      flags.forEach(flag => {
+        report.flagsByCode[flag.code] = (report.flagsByCode[flag.code] || 0) + 1;
+        if (flag.code === 'PRICE_SPIKE') report.outliers++;
+      });
+    }
+
+    return report;
+  }
+
+  // Horário da vela do registro, alinhado ao intervalo
+  getCandleTime(row, intervalMs) {
+    const time = new Date(row.timestamp).getTime();
+    return Math.floor(time / intervalMs) * intervalMs;
+  }
+}
+
+DataValidator.QUALITY_RULES = QUALITY_RULES;
+
+module.exports = DataValidator;
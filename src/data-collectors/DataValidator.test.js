@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataValidator = require('./DataValidator');
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+// Velas de 1m com leve oscilação, a última aberta em START + (n - 1) min
+function buildCandles(n, start = START) {
+  return Array.from({ length: n }, (_, i) => {
+    const close = 100 + (i % 2 === 0 ? 0.1 : -0.1);
+    return { timestamp: start + i * MINUTE, open: 100, high: close + 0.2, low: close - 0.2, close, volume: 10 };
+  });
+}
+
+function buildData(candles, extra = {}) {
+  const last = candles[candles.length - 1];
+  return {
+    pair: 'SOLUSDT',
+    price: last.close,
+    interval: '1m',
+    timestamp: new Date(last.timestamp + MINUTE).toISOString(),
+    candles,
+    orderBook: { bids: [{ price: 99.9, quantity: 1 }], asks: [{ price: 100.1, quantity: 1 }] },
+    ...extra
+  };
+}
+
+const codes = result => result.issues.map(issue => issue.code).sort();
+
+test('dados consistentes passam sem problemas', () => {
+  const result = new DataValidator().validate(buildData(buildCandles(25)));
+
+  assert.deepEqual(result, { valid: true, quarantine: false, issues: [] });
+});
+
+test('preço, OHLC e book cruzado vão para quarentena', () => {
+  const candles = buildCandles(5);
+  candles[4] = { ...candles[4], high: 90 };
+  const result = new DataValidator().validate(buildData(candles, {
+    price: 0,
+    orderBook: { bids: [{ price: 100.2, quantity: 1 }], asks: [{ price: 100.1, quantity: 1 }] }
+  }));
+
+  assert.equal(result.quarantine, true);
+  assert.deepEqual(codes(result), ['CROSSED_BOOK', 'INVALID_OHLC', 'INVALID_PRICE']);
+  assert.ok(result.issues.every(issue => issue.action === 'quarantine'));
+});
+
+test('lacunas, volume zero, pico e atraso só marcam o registro', () => {
+  const candles = buildCandles(25).filter((_, i) => i !== 10);
+  const last = candles[candles.length - 1];
+  candles[candles.length - 1] = { ...last, close: 110, high: 110.2, volume: 0 };
+  const result = new DataValidator().validate(buildData(candles, {
+    price: 110,
+    timestamp: new Date(last.timestamp + 10 * MINUTE).toISOString()
+  }));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.quarantine, false);
+  assert.deepEqual(codes(result), ['MISSING_CANDLES', 'PRICE_SPIKE', 'STALE_DATA', 'ZERO_VOLUME']);
+  assert.ok(result.issues.every(issue => issue.action === 'flag'));
+});
+
+test('vela repetida ou pulada em relação ao último registro aceito do par', () => {
+  const validator = new DataValidator();
+  const candles = buildCandles(5);
+  validator.validate(buildData(candles));
+
+  assert.deepEqual(codes(validator.validate(buildData(candles))), ['DUPLICATE_TIMESTAMP']);
+
+  const later = buildCandles(5, START + 4 * MINUTE);
+  const result = validator.validate(buildData(later));
+  assert.deepEqual(codes(result), ['MISSING_CANDLES']);
+  assert.match(result.issues[0].message, /^3 velas faltando desde o último registro/);
+});
+
+test('registro em quarentena não vira referência para o próximo', () => {
+  const validator = new DataValidator();
+  const candles = buildCandles(5);
+  validator.validate(buildData(candles, { price: -1 }));
+
+  assert.deepEqual(validator.validate(buildData(candles)).issues, []);
+});
+
+test('relatório de qualidade conta lacunas, duplicatas e flags', () => {
+  const rows = [0, 1, 1, 4, 5].map(minute => ({
+    timestamp: new Date(START + minute * MINUTE + 30000).toISOString(),
+    quality_flags: minute === 5 ? [{ code: 'PRICE_SPIKE', action: 'flag' }] : []
+  }));
+  const report = new DataValidator().buildQualityReport('SOLUSDT', rows);
+
+  assert.equal(report.records, 5);
+  assert.equal(report.duplicates, 1);
+  assert.equal(report.missingIntervals, 2);
+  assert.deepEqual(report.gaps, [{ from: new Date(START + 2 * MINUTE).toISOString(), to: new Date(START + 3 * MINUTE).toISOString(), missing: 2 }]);
+  assert.equal(report.flagged, 1);
+  assert.equal(report.outliers, 1);
+  assert.deepEqual(report.flagsByCode, { PRICE_SPIKE: 1 });
+});
@@ -0,0 +1,173 @@
+const DatabaseManager = require('../utils/DatabaseManager');
+const HttpClient = require('../utils/HttpClient');
+const BinanceAdapter = require('./adapters/BinanceAdapter');
+const { intervalToMs, alignToInterval } = require('../utils/timeframes');
+
+/**
+ * Backfill de velas históricas da Binance.
+ *
+ * Para cada par, detecta as lacunas já existentes na tabela `candles` dentro
+ * do período pedido e pagina `/klines` de trás para frente (`endTime`) até
+ * preencher cada lacuna. As velas são gravadas com upsert, então rodar o job
+ * de novo não duplica nada. O progresso fica salvo em `system_config` e um job
+ * interrompido continua de onde parou.
+ */
+class HistoricalBackfill {
+  constructor(options = {}) {
+    this.databaseManager = options.databaseManager || new DatabaseManager();
+    this.binanceApiUrl = options.binanceApiUrl || process.env.BINANCE_API_URL;
+    this.http = options.httpClient || HttpClient.getDefault();
+    this.pageLimit = options.pageLimit || 1000;
+    this.requestDelay = options.requestDelay ?? 100;
+    this.stopped = false;
+  }
+
+  async run({ pairs, interval = '1m', startTime, endTime = Date.now(), resume = true }) {
+    console.log(`📚 Iniciando backfill de ${pairs.join(', ')} (${interval})`);
+    console.log(`   Período: ${new Date(startTime).toISOString()} → ${new Date(endTime).toISOString()}`);
+
+    const summary = {};
+    for (const pair of pairs) {
+      if (this.stopped) break;
+
+      try {
+        summary[pair] = await this.backfillPair(pair, interval, startTime, endTime, resume);
+        console.log(`✅ Backfill de ${pair}: ${summary[pair].inserted} velas em ${summary[pair].gaps} lacunas`);
+      } catch (error) {
+        console.error(`❌ Erro no backfill de ${pair}:`, error.message);
+        summary[pair] = { error: error.message };
+      }
+    }
+
+    return summary;
+  }
+
+  async backfillPair(pair, interval, startTime, endTime, resume) {
+    const intervalMs = intervalToMs(interval);
+    const from = alignToInterval(startTime, interval);
+    // Apenas velas já fechadas
+    const to = Math.min(alignToInterval(endTime, interval), alignToInterval(Date.now(), interval) - intervalMs);
+
+    // O checkpoint vale para o mesmo início: sem `--to`, o fim muda a cada
+    // execução, então só falta o que vem antes do cursor e depois do fim anterior
+    const checkpointKey = this.getCheckpointKey(pair, interval, from);
+    const checkpoint = resume ? await this.databaseManager.getConfig(checkpointKey) : null;
+    let ranges = [{ start: from, end: to }];
+
+    if (checkpoint) {
+      const cursor = checkpoint.completed ? from - intervalMs : checkpoint.cursor;
+      ranges = [
+        { start: from, end: Math.min(cursor, to) },
+        { start: checkpoint.to + intervalMs, end: to }
+      ].filter(range => range.end >= range.start);
+
+      if (ranges.length === 0) {
+        console.log(`⏭️ Backfill de ${pair} já concluído para este período`);
+        return { inserted: 0, gaps: 0, resumed: true };
+      }
+      if (!checkpoint.completed) {
+        console.log(`🔁 Retomando backfill de ${pair} a partir de ${new Date(cursor).toISOString()}`);
+      }
+    }
+
+    const gaps = [];
+    for (const range of ranges) {
+      gaps.push(...await this.findGaps(pair, interval, range.start, range.end));
+    }
+    const lastTo = Math.max(to, checkpoint?.to ?? to);
+    let inserted = 0;
+
+    // Lacunas mais recentes primeiro, já que paginamos para trás
+    for (const gap of gaps.reverse()) {
+      let cursor = gap.end;
+
+      while (cursor >= gap.start && !this.stopped) {
+        // A Binance devolve as velas a partir de startTime, então cada página
+        // pede exatamente a janela de `pageLimit` velas que termina no cursor
+        const pageStart = Math.max(gap.start, cursor - (this.pageLimit - 1) * intervalMs);
+        const candles = await this.fetchKlines(pair, interval, pageStart, cursor);
+        if (candles.length === 0) break;
+
+        await this.databaseManager.upsertCandles(pair, interval, candles);
+        inserted += candles.length;
+
+        cursor = candles[0].timestamp - intervalMs;
+        await this.saveCheckpoint(checkpointKey, { from, to: lastTo, cursor, completed: false });
+      }
+    }
+
+    if (!this.stopped) {
+      await this.saveCheckpoint(checkpointKey, { from, to: lastTo, cursor: from, completed: true });
+    }
+
+    return { inserted, gaps: gaps.length };
+  }
+
+  /**
+   * Intervalos [start, end] (horários de abertura) sem vela armazenada.
+   */
+  async findGaps(pair, interval, from, to) {
+    if (to < from) return [];
+
+    const intervalMs = intervalToMs(interval);
+    const stored = await this.databaseManager.getCandles(pair, interval, from, to);
+    const gaps = [];
+    let expected = from;
+
+    for (const candle of stored) {
+      if (candle.timestamp > expected) {
+        gaps.push({ start: expected, end: candle.timestamp - intervalMs });
+      }
+      expected = Math.max(expected, candle.timestamp + intervalMs);
+    }
+
+    if (expected <= to) {
+      gaps.push({ start: expected, end: to });
+    }
+
+    return gaps;
+  }
+
+  async fetchKlines(pair, interval, startTime, endTime) {
+    // Orçamento de peso, 429/418 e novas tentativas ficam a cargo do HttpClient
+    const response = await this.http.get(`${this.binanceApiUrl}/klines`, {
+      weight: 2,
+      params: {
+        symbol: pair,
+        interval,
+        startTime,
+        endTime,
+        limit: this.pageLimit
+      }
+    });
+
+    const candles = response.data.map(kline => BinanceAdapter.parseKline(kline));
+
+    if (this.requestDelay > 0) {
+      await this.sleep(this.requestDelay);
+    }
+
+    return candles;
+  }
+
+  getCheckpointKey(pair, interval, from) {
+    return `backfill_checkpoint_${pair}_${interval}_${new Date(from).toISOString()}`;
+  }
+
+  async saveCheckpoint(key, checkpoint) {
+    await this.databaseManager.setConfig(key, {
+      ...checkpoint,
+      updatedAt: new Date().toISOString()
+    }, 'Progresso do backfill de velas históricas');
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = HistoricalBackfill;
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HistoricalBackfill = require('./HistoricalBackfill');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const MINUTE = 60000;
+
+// Banco em memória: velas por abertura e `system_config`
+function createDatabase() {
+  const candles = new Map();
+  const config = new Map();
+  return {
+    candles,
+    async getConfig(key) { return config.get(key) || null; },
+    async setConfig(key, value) { config.set(key, value); },
+    async upsertCandles(pair, interval, rows) { rows.forEach(c => candles.set(c.timestamp, c)); },
+    async getCandles(pair, interval, startTime, endTime) {
+      return [...candles.values()].filter(c => c.timestamp >= startTime && c.timestamp <= endTime).sort((a, b) => a.timestamp - b.timestamp);
+    }
+  };
+}
+
+// `/klines` falso com as velas do período pedido a partir de `listedAt`
+function createHttp(listedAt = 0) {
+  const fetched = [];
+  const requests = [];
+  return {
+    fetched,
+    requests,
+    async get(url, { params }) {
+      requests.push(params);
+      const data = [];
+      for (let t = Math.max(params.startTime, listedAt); t <= params.endTime && data.length < params.limit; t += MINUTE) {
+        fetched.push(t);
+        data.push([t, '1', '2', '0.5', '1.5', '10', t + MINUTE - 1, '15', 3, '5', '7', '0']);
+      }
+      return { data };
+    }
+  };
+}
+
+test('retoma do cursor e busca as velas novas depois do fim anterior', async () => {
+  const now = Math.floor(Date.now() / MINUTE) * MINUTE;
+  const from = now - 60 * MINUTE;
+  const databaseManager = createDatabase();
+  const httpClient = createHttp();
+  const options = { databaseManager, httpClient, pageLimit: 10, requestDelay: 0 };
+
+  // Primeira execução interrompida após a primeira página
+  const interrupted = new HistoricalBackfill(options);
+  const upsert = databaseManager.upsertCandles;
+  databaseManager.upsertCandles = async (...args) => {
+    await upsert(...args);
+    interrupted.stop();
+  };
+  await interrupted.run({ pairs: ['SOLUSDT'], startTime: from, endTime: now - 30 * MINUTE });
+  databaseManager.upsertCandles = upsert;
+  assert.equal(databaseManager.candles.size, 10);
+
+  // Nova execução com um fim mais recente continua de onde parou
+  await new HistoricalBackfill(options).run({ pairs: ['SOLUSDT'], startTime: from, endTime: now - MINUTE });
+
+  const expected = [];
+  for (let t = from; t <= now - MINUTE; t += MINUTE) expected.push(t);
+  assert.deepEqual([...databaseManager.candles.keys()].sort((a, b) => a - b), expected);
+  assert.equal(httpClient.fetched.length, expected.length);
+  assert.equal(new Set(httpClient.fetched).size, expected.length);
+
+  const checkpoint = await databaseManager.getConfig(`backfill_checkpoint_SOLUSDT_1m_${new Date(from).toISOString()}`);
+  assert.equal(checkpoint.completed, true);
+  assert.equal(checkpoint.to, now - MINUTE);
+});
+
+test('período concluído só busca as velas depois do fim anterior', async () => {
+  const now = Math.floor(Date.now() / MINUTE) * MINUTE;
+  const from = now - 30 * MINUTE;
+  const databaseManager = createDatabase();
+  // Par listado depois do início pedido: a lacuna inicial não tem como ser preenchida
+  const httpClient = createHttp(from + 10 * MINUTE);
+  const options = { databaseManager, httpClient, pageLimit: 10, requestDelay: 0 };
+
+  await new HistoricalBackfill(options).run({ pairs: ['SOLUSDT'], startTime: from, endTime: now - 5 * MINUTE });
+  const requests = httpClient.requests.length;
+  const again = await new HistoricalBackfill(options).run({ pairs: ['SOLUSDT'], startTime: from, endTime: now - 5 * MINUTE });
+  assert.equal(again.SOLUSDT.resumed, true);
+  assert.equal(httpClient.requests.length, requests);
+
+  await new HistoricalBackfill(options).run({ pairs: ['SOLUSDT'], startTime: from, endTime: now - MINUTE });
+  const newer = httpClient.requests.slice(requests);
+  assert.deepEqual(newer.map(params => [params.startTime, params.endTime]), [[now - 4 * MINUTE, now - MINUTE]]);
+});
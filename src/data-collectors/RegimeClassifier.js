@@ -0,0 +1,164 @@
+const indicators = require('../indicators');
+
+const REGIMES = ['trending_up', 'trending_down', 'ranging', 'high_volatility', 'dead'];
+
+/**
+ * Regime de mercado do par na janela de velas:
+ * - `high_volatility`: ATR (em % do preço) no percentil `highVolPercentile`
+ *   da janela ou acima e pelo menos `highVolRatio` vezes a mediana;
+ * - `dead`: ATR e largura das Bollinger no percentil `deadPercentile` ou
+ *   abaixo, sem deslocamento eficiente;
+ * - `trending_up`/`trending_down`: ADX ≥ `adxTrend` e movimento eficiente
+ *   (efficiency ratio ≥ `minEfficiency` ou Hurst ≥ `minHurst`), com a
+ *   direção dada pelo DMI;
+ * - `ranging`: o restante.
+ *
+ * Percentis são medidos contra a própria janela, então o mesmo ATR pode ser
+ * alto num par e normal em outro.
+ */
+class RegimeClassifier {
+  constructor(options = {}) {
+    this.adxTrend = options.adxTrend || parseFloat(process.env.REGIME_ADX_TREND) || 25;
+    this.highVolPercentile = options.highVolPercentile || parseFloat(process.env.REGIME_HIGH_VOL_PERCENTILE) || 0.9;
+    this.highVolRatio = options.highVolRatio || 1.5;
+    this.deadPercentile = options.deadPercentile || parseFloat(process.env.REGIME_DEAD_PERCENTILE) || 0.1;
+    this.minEfficiency = options.minEfficiency || 0.3;
+    this.minHurst = options.minHurst || 0.55;
+    this.efficiencyPeriod = options.efficiencyPeriod || 20;
+  }
+
+  /**
+   * `series` são as séries de `indicators.calculateSeries(candles)`, quando
+   * já calculadas.
+   */
+  classify(candles, series = null) {
+    if (candles.length < 30) return null;
+
+    const closes = candles.map(c => c.close);
+    const atr = series ? series.atr : indicators.atr(candles, 14);
+    const bands = series ? series.bollingerBands : indicators.bollingerBands(closes, 20, 2);
+    const adx = indicators.lastValues(series ? series.adx : indicators.adx(candles, 14));
+
+    const atrPct = atr.map((value, i) => (value !== null ? value / closes[i] : null));
+    const metrics = {
+      adx: adx.adx,
+      plusDI: adx.plusDI,
+      minusDI: adx.minusDI,
+      atrPercentile: this.percentileRank(atrPct),
+      atrRatio: this.medianRatio(atrPct),
+      bandwidthPercentile: this.percentileRank(bands.bandwidth),
+      efficiencyRatio: this.efficiencyRatio(closes.slice(-this.efficiencyPeriod - 1)),
+      hurst: this.hurstExponent(closes)
+    };
+
+    return { regime: this.decide(metrics), metrics: this.round(metrics) };
+  }
+
+  decide(m) {
+    if (m.atrPercentile !== null && m.atrPercentile >= this.highVolPercentile && m.atrRatio >= this.highVolRatio) {
+      return 'high_volatility';
+    }
+
+    // Volatilidade baixa com deslocamento eficiente é tendência, não mercado parado
+    if (m.atrPercentile !== null && m.bandwidthPercentile !== null &&
+      m.atrPercentile <= this.deadPercentile && m.bandwidthPercentile <= this.deadPercentile &&
+      m.efficiencyRatio < this.minEfficiency) {
+      return 'dead';
+    }
+
+    const efficient = m.efficiencyRatio >= this.minEfficiency || (m.hurst !== null && m.hurst >= this.minHurst);
+    if (m.adx !== null && m.adx >= this.adxTrend && efficient) {
+      return m.plusDI >= m.minusDI ? 'trending_up' : 'trending_down';
+    }
+
+    return 'ranging';
+  }
+
+  // Fração dos valores da série menores ou iguais ao último
+  percentileRank(values) {
+    const valid = values.filter(v => v !== null && Number.isFinite(v));
+    if (valid.length < 10) return null;
+
+    const current = valid[valid.length - 1];
+    return valid.filter(v => v <= current).length / valid.length;
+  }
+
+  // Último valor dividido pela mediana da série
+  medianRatio(values) {
+    const valid = values.filter(v => v !== null && Number.isFinite(v));
+    if (valid.length < 10) return null;
+
+    const sorted = [...valid].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return median > 0 ? valid[valid.length - 1] / median : null;
+  }
+
+  // Kaufman: deslocamento líquido dividido pelo caminho percorrido
+  efficiencyRatio(closes) {
+    if (closes.length < 2) return 0;
+
+    let path = 0;
+    for (let i = 1; i < closes.length; i++) {
+      path += Math.abs(closes[i] - closes[i - 1]);
+    }
+    return path > 0 ? Math.abs(closes[closes.length - 1] - closes[0]) / path : 0;
+  }
+
+  /**
+   * Expoente de Hurst pelo range reescalado (R/S) dos retornos logarítmicos:
+   * inclinação de log(R/S) contra log(n) para blocos de 8, 16, 32... retornos.
+   * Acima de 0,5 indica persistência (tendência); abaixo, reversão à média.
+   */
+  hurstExponent(closes) {
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i - 1] > 0 && closes[i] > 0) returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+
+    const points = [];
+    for (let size = 8; size <= returns.length / 2; size *= 2) {
+      const ratios = [];
+      for (let start = 0; start + size <= returns.length; start += size) {
+        const rs = this.rescaledRange(returns.slice(start, start + size));
+        if (rs !== null) ratios.push(rs);
+      }
+      if (ratios.length > 0) {
+        points.push([Math.log(size), Math.log(ratios.reduce((a, b) => a + b, 0) / ratios.length)]);
+      }
+    }
+    if (points.length < 2) return null;
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const variance = points.reduce((sum, [x]) => sum + Math.pow(x - meanX, 2), 0);
+    return covariance / variance;
+  }
+
+  rescaledRange(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    let cumulative = 0;
+    let max = -Infinity;
+    let min = Infinity;
+    values.forEach(value => {
+      cumulative += value - mean;
+      max = Math.max(max, cumulative);
+      min = Math.min(min, cumulative);
+    });
+
+    const stdDev = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+    return stdDev > 0 ? (max - min) / stdDev : null;
+  }
+
+  round(metrics) {
+    const rounded = {};
+    Object.entries(metrics).forEach(([key, value]) => {
+      rounded[key] = value !== null ? Math.round(value * 1000) / 1000 : null;
+    });
+    return rounded;
+  }
+}
+
+RegimeClassifier.REGIMES = REGIMES;
+
+module.exports = RegimeClassifier;
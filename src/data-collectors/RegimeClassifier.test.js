@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RegimeClassifier = require('./RegimeClassifier');
+const { createRandom } = require('../ai-engine/metrics');
+
+// Métricas neutras: nenhum regime além de `ranging`
+const BASE = {
+  adx: 15,
+  plusDI: 20,
+  minusDI: 20,
+  atrPercentile: 0.5,
+  atrRatio: 1,
+  bandwidthPercentile: 0.5,
+  efficiencyRatio: 0.1,
+  hurst: 0.5
+};
+
+function decide(overrides) {
+  return new RegimeClassifier().decide({ ...BASE, ...overrides });
+}
+
+// Velas a partir de uma lista de fechamentos, com range proporcional a `spread`
+function buildCandles(closes, spreads = closes.map(() => 0.5)) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return { timestamp: i * 60000, open, high: Math.max(open, close) + spreads[i], low: Math.min(open, close) - spreads[i], close, volume: 10 };
+  });
+}
+
+test('alta volatilidade exige percentil e razão sobre a mediana', () => {
+  assert.equal(decide({ atrPercentile: 0.9, atrRatio: 1.5 }), 'high_volatility');
+  assert.equal(decide({ atrPercentile: 0.9, atrRatio: 1.4 }), 'ranging');
+  assert.equal(decide({ atrPercentile: 0.85, atrRatio: 3 }), 'ranging');
+});
+
+test('mercado parado só sem deslocamento eficiente', () => {
+  assert.equal(decide({ atrPercentile: 0.1, bandwidthPercentile: 0.1, efficiencyRatio: 0.29 }), 'dead');
+  assert.equal(decide({ atrPercentile: 0.1, bandwidthPercentile: 0.2, efficiencyRatio: 0.1 }), 'ranging');
+  assert.equal(decide({ atrPercentile: 0.1, bandwidthPercentile: 0.1, efficiencyRatio: 0.3, adx: 30 }), 'trending_up');
+});
+
+test('tendência pede ADX mínimo e movimento eficiente; a direção vem do DMI', () => {
+  assert.equal(decide({ adx: 25, efficiencyRatio: 0.3, plusDI: 30, minusDI: 10 }), 'trending_up');
+  assert.equal(decide({ adx: 25, efficiencyRatio: 0.3, plusDI: 10, minusDI: 30 }), 'trending_down');
+  assert.equal(decide({ adx: 24.9, efficiencyRatio: 0.9 }), 'ranging');
+  assert.equal(decide({ adx: 40, efficiencyRatio: 0.1, hurst: 0.55 }), 'trending_up');
+  assert.equal(decide({ adx: 40, efficiencyRatio: 0.1, hurst: 0.5 }), 'ranging');
+});
+
+test('limites vêm das opções', () => {
+  const classifier = new RegimeClassifier({ adxTrend: 40 });
+
+  assert.equal(classifier.decide({ ...BASE, adx: 30, efficiencyRatio: 0.5 }), 'ranging');
+});
+
+test('séries de velas: alta constante, lateralidade e pico de volatilidade', () => {
+  const classifier = new RegimeClassifier();
+  const random = createRandom(3);
+
+  const rising = buildCandles(Array.from({ length: 60 }, (_, i) => 100 + i + random() * 0.3));
+  assert.equal(classifier.classify(rising).regime, 'trending_up');
+  assert.equal(classifier.classify(buildCandles(rising.map(c => 300 - c.close))).regime, 'trending_down');
+
+  const sideways = buildCandles(Array.from({ length: 60 }, (_, i) => 100 + (i % 4 < 2 ? 1 : -1) + random() * 0.2));
+  assert.equal(classifier.classify(sideways).regime, 'ranging');
+
+  const closes = sideways.map(c => c.close);
+  const spreads = closes.map((_, i) => (i >= 57 ? 6 : 0.5));
+  const spike = classifier.classify(buildCandles(closes, spreads));
+  assert.equal(spike.regime, 'high_volatility');
+  assert.ok(spike.metrics.atrRatio >= 1.5);
+});
+
+test('efficiency ratio e janela curta', () => {
+  const classifier = new RegimeClassifier();
+
+  assert.equal(classifier.efficiencyRatio([1, 2, 3, 4]), 1);
+  assert.equal(classifier.efficiencyRatio([1, 2, 1, 2, 1]), 0);
+  assert.equal(classifier.classify(buildCandles([1, 2, 3])), null);
+});
@@ -0,0 +1,372 @@
+const DatabaseManager = require('../utils/DatabaseManager');
+const SwingDetector = require('./SwingDetector');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Peso de cada origem de zona na força (somado quando as zonas se sobrepõem)
+const SOURCE_WEIGHTS = {
+  swing: 0.15,
+  poc: 0.4,
+  value_area: 0.25,
+  pivot: 0.3,
+  pivot_r1s1: 0.25,
+  pivot_r2s2: 0.2,
+  pivot_r3s3: 0.15,
+  camarilla_3: 0.3,
+  camarilla_4: 0.25
+};
+
+/**
+ * Zonas de suporte e resistência.
+ *
+ * Origens:
+ * - pivôs de swing agrupados por proximidade (`SR_CLUSTER_ATR` ATRs);
+ * - pivôs clássicos e Camarilla da sessão anterior (dia UTC);
+ * - perfil de volume das últimas `SR_PROFILE_HOURS` horas: POC e value area
+ *   (70% do volume).
+ *
+ * O contexto de sessão (pivôs e perfil) vem da tabela `candles` e é
+ * recarregado a cada hora; sem velas armazenadas, usa `fetchCandles`.
+ *
+ * Zonas que se sobrepõem são unidas: a força soma os pesos das origens e os
+ * toques (`touches`: pivôs do cluster ou rejeições de pavio), limitada a 1.
+ */
+class SupportResistanceAnalyzer {
+  constructor(options = {}) {
+    this.databaseManager = options.databaseManager || new DatabaseManager();
+    this.fetchCandles = options.fetchCandles || null;
+    this.swingDetector = options.swingDetector || new SwingDetector();
+    this.profileInterval = options.profileInterval || process.env.SR_PROFILE_INTERVAL || '1m';
+    this.fallbackInterval = options.fallbackInterval || '15m';
+    this.profileHours = options.profileHours || parseInt(process.env.SR_PROFILE_HOURS) || 24;
+    this.profileBins = options.profileBins || 50;
+    this.valueAreaShare = options.valueAreaShare || 0.7;
+    this.clusterAtr = options.clusterAtr || parseFloat(process.env.SR_CLUSTER_ATR) || 0.5;
+    this.maxZones = options.maxZones || 8;
+    this.contextTtl = options.contextTtl || HOUR;
+    this.contexts = new Map();
+  }
+
+  async getSessionContext(pair) {
+    const now = Date.now();
+    const dayStart = Math.floor(now / DAY) * DAY;
+    const cached = this.contexts.get(pair);
+    if (cached && cached.dayStart === dayStart && now - cached.loadedAt < this.contextTtl) {
+      return cached;
+    }
+
+    const from = this.getContextStart(now);
+    let candles = await this.databaseManager.getCandles(pair, this.profileInterval, from, now);
+    if (candles.length === 0 && this.fetchCandles) {
+      candles = await this.fetchCandles(pair, this.fallbackInterval, from, now);
+    }
+
+    const context = this.buildSessionContext(candles, now);
+    this.contexts.set(pair, context);
+    return context;
+  }
+
+  // Início das velas necessárias: sessão anterior e janela do perfil de volume
+  getContextStart(now) {
+    const dayStart = Math.floor(now / DAY) * DAY;
+    return Math.min(dayStart - DAY, now - this.profileHours * HOUR);
+  }
+
+  // Pivôs da sessão anterior, perfil de volume e swings das velas até `now`
+  buildSessionContext(candles, now) {
+    const dayStart = Math.floor(now / DAY) * DAY;
+    const previous = candles.filter(c => c.timestamp >= dayStart - DAY && c.timestamp < dayStart);
+    const profileCandles = candles.filter(c => c.timestamp >= now - this.profileHours * HOUR);
+    const session = previous.length > 0 ? {
+      high: Math.max(...previous.map(c => c.high)),
+      low: Math.min(...previous.map(c => c.low)),
+      close: previous[previous.length - 1].close
+    } : null;
+
+    return {
+      dayStart,
+      loadedAt: now,
+      classic: session ? this.calculateClassicPivots(session) : null,
+      camarilla: session ? this.calculateCamarillaPivots(session) : null,
+      volumeProfile: this.calculateVolumeProfile(profileCandles),
+      pivots: candles.length > 0
+        ? this.swingDetector.findPivots(candles).map(p => ({ type: p.type, price: p.price, timestamp: p.timestamp }))
+        : []
+    };
+  }
+
+  calculateClassicPivots({ high, low, close }) {
+    const pivot = (high + low + close) / 3;
+    const range = high - low;
+    return {
+      pivot,
+      r1: 2 * pivot - low,
+      s1: 2 * pivot - high,
+      r2: pivot + range,
+      s2: pivot - range,
+      r3: high + 2 * (pivot - low),
+      s3: low - 2 * (high - pivot)
+    };
+  }
+
+  calculateCamarillaPivots({ high, low, close }) {
+    const range = high - low;
+    return {
+      h3: close + range * 1.1 / 4,
+      h4: close + range * 1.1 / 2,
+      l3: close - range * 1.1 / 4,
+      l4: close - range * 1.1 / 2
+    };
+  }
+
+  /**
+   * Volume por faixa de preço (volume de cada vela distribuído pelo seu
+   * range). A value area cresce a partir do POC até `valueAreaShare` do total.
+   */
+  calculateVolumeProfile(candles) {
+    if (candles.length === 0) return null;
+
+    const low = Math.min(...candles.map(c => c.low));
+    const high = Math.max(...candles.map(c => c.high));
+    if (high <= low) return null;
+
+    const binSize = (high - low) / this.profileBins;
+    const bins = new Array(this.profileBins).fill(0);
+    const binOf = price => Math.min(this.profileBins - 1, Math.floor((price - low) / binSize));
+
+    candles.forEach(candle => {
+      const first = binOf(candle.low);
+      const last = binOf(candle.high);
+      const share = (candle.volume || 0) / (last - first + 1);
+      for (let i = first; i <= last; i++) bins[i] += share;
+    });
+
+    const total = bins.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+
+    const pocBin = bins.indexOf(Math.max(...bins));
+    let lowBin = pocBin;
+    let highBin = pocBin;
+    let covered = bins[pocBin];
+
+    while (covered < total * this.valueAreaShare && (lowBin > 0 || highBin < this.profileBins - 1)) {
+      const below = lowBin > 0 ? bins[lowBin - 1] : -1;
+      const above = highBin < this.profileBins - 1 ? bins[highBin + 1] : -1;
+      if (above >= below) covered += bins[++highBin];
+      else covered += bins[--lowBin];
+    }
+
+    const binMid = i => low + (i + 0.5) * binSize;
+    return {
+      poc: binMid(pocBin),
+      valueAreaHigh: low + (highBin + 1) * binSize,
+      valueAreaLow: low + lowBin * binSize,
+      binSize,
+      // Fração do volume por faixa, para a força das zonas
+      volumeAt: price => (price < low || price > high ? 0 : bins[binOf(price)] / total)
+    };
+  }
+
+  /**
+   * Zonas ao redor de `price` e a interação da última vela com a mais
+   * próxima. `windowPivots` são os pivôs do `SwingDetector` na janela atual.
+   */
+  analyze({ price, candles, atr, windowPivots = [], context = null }) {
+    if (!price || candles.length === 0) return null;
+
+    // Pivôs da janela atual que também estão no histórico contam uma vez só
+    const pivots = new Map();
+    [...(context?.pivots || []), ...windowPivots].forEach(pivot => {
+      pivots.set(`${pivot.type}:${pivot.timestamp}`, pivot);
+    });
+
+    const width = (atr || price * 0.001) * this.clusterAtr;
+    const zones = this.mergeZones([
+      ...this.buildSwingZones([...pivots.values()], width),
+      ...this.buildLevelZones(context, width)
+    ], context?.volumeProfile);
+
+    zones.forEach(zone => {
+      zone.touches += this.countRejections(candles, zone);
+      zone.strength = Math.min(1, zone.strength + 0.05 * Math.min(zone.touches, 6));
+      zone.strength = Math.round(zone.strength * 100) / 100;
+      zone.type = zone.mid < price ? 'support' : 'resistance';
+    });
+
+    const nearest = type => zones
+      .filter(zone => zone.type === type)
+      .sort((a, b) => Math.abs(a.mid - price) - Math.abs(b.mid - price))[0] || null;
+    const support = nearest('support');
+    const resistance = nearest('resistance');
+
+    const describe = zone => zone ? {
+      low: zone.low,
+      high: zone.high,
+      mid: zone.mid,
+      strength: zone.strength,
+      touches: zone.touches,
+      sources: zone.sources,
+      distancePct: Math.abs(price - zone.mid) / price,
+      distanceAtr: atr ? Math.abs(price - zone.mid) / atr : null
+    } : null;
+
+    const profile = context?.volumeProfile;
+    return {
+      price,
+      zones: [...zones]
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, this.maxZones)
+        .map(({ low, high, mid, type, strength, touches, sources }) => ({ low, high, mid, type, strength, touches, sources })),
+      nearestSupport: describe(support),
+      nearestResistance: describe(resistance),
+      interaction: this.classifyInteraction(candles, support, resistance),
+      volumeProfile: profile ? {
+        poc: profile.poc,
+        valueAreaHigh: profile.valueAreaHigh,
+        valueAreaLow: profile.valueAreaLow
+      } : null,
+      classicPivots: context?.classic || null,
+      camarillaPivots: context?.camarilla || null
+    };
+  }
+
+  // Pivôs próximos (dentro de `width`) viram uma zona
+  buildSwingZones(pivots, width) {
+    const sorted = [...pivots].sort((a, b) => a.price - b.price);
+    const clusters = [];
+
+    sorted.forEach(pivot => {
+      const cluster = clusters[clusters.length - 1];
+      if (cluster && pivot.price - cluster.high <= width) {
+        cluster.high = pivot.price;
+        cluster.prices.push(pivot.price);
+      } else {
+        clusters.push({ low: pivot.price, high: pivot.price, prices: [pivot.price] });
+      }
+    });
+
+    return clusters.map(cluster => this.createZone(
+      cluster.low - width / 2,
+      cluster.high + width / 2,
+      ['swing'],
+      cluster.prices.length
+    ));
+  }
+
+  buildLevelZones(context, width) {
+    if (!context) return [];
+    const zones = [];
+    const add = (price, source, name) => {
+      if (Number.isFinite(price)) zones.push(this.createZone(price - width / 2, price + width / 2, [source], 0, name));
+    };
+
+    if (context.classic) {
+      const c = context.classic;
+      add(c.pivot, 'pivot', 'P');
+      add(c.r1, 'pivot_r1s1', 'R1');
+      add(c.s1, 'pivot_r1s1', 'S1');
+      add(c.r2, 'pivot_r2s2', 'R2');
+      add(c.s2, 'pivot_r2s2', 'S2');
+      add(c.r3, 'pivot_r3s3', 'R3');
+      add(c.s3, 'pivot_r3s3', 'S3');
+    }
+    if (context.camarilla) {
+      const c = context.camarilla;
+      add(c.h3, 'camarilla_3', 'H3');
+      add(c.l3, 'camarilla_3', 'L3');
+      add(c.h4, 'camarilla_4', 'H4');
+      add(c.l4, 'camarilla_4', 'L4');
+    }
+    if (context.volumeProfile) {
+      const vp = context.volumeProfile;
+      add(vp.poc, 'poc', 'POC');
+      add(vp.valueAreaHigh, 'value_area', 'VAH');
+      add(vp.valueAreaLow, 'value_area', 'VAL');
+    }
+
+    return zones;
+  }
+
+  createZone(low, high, sources, touches, name = null) {
+    return {
+      low,
+      high,
+      mid: (low + high) / 2,
+      sources: name ? [name] : sources,
+      touches,
+      strength: sources.reduce((sum, source) => sum + SOURCE_WEIGHTS[source], 0) +
+        (sources.includes('swing') ? 0.1 * Math.min(touches - 1, 4) : 0)
+    };
+  }
+
+  // Une zonas sobrepostas (confluência) e soma o peso do volume negociado nelas
+  mergeZones(zones, volumeProfile) {
+    const sorted = [...zones].sort((a, b) => a.low - b.low);
+    const merged = [];
+
+    sorted.forEach(zone => {
+      const last = merged[merged.length - 1];
+      if (last && zone.low <= last.high) {
+        last.high = Math.max(last.high, zone.high);
+        last.mid = (last.low + last.high) / 2;
+        last.sources = [...new Set([...last.sources, ...zone.sources])];
+        last.touches += zone.touches;
+        last.strength += zone.strength;
+      } else {
+        merged.push({ ...zone });
+      }
+    });
+
+    if (volumeProfile) {
+      merged.forEach(zone => {
+        zone.strength += Math.min(0.2, volumeProfile.volumeAt(zone.mid) * 2);
+      });
+    }
+
+    return merged;
+  }
+
+  // Velas cujo pavio entrou na zona mas fecharam fora dela
+  countRejections(candles, zone) {
+    return candles.filter(c => {
+      const fromAbove = c.low <= zone.high && c.close > zone.high && c.open > zone.high;
+      const fromBelow = c.high >= zone.low && c.close < zone.low && c.open < zone.low;
+      return fromAbove || fromBelow;
+    }).length;
+  }
+
+  /**
+   * Interação da última vela com o suporte/resistência mais próximos:
+   * `rejecting` (pavio entrou na zona e o fechamento voltou), `breaking`
+   * (fechou do outro lado da zona), `testing` (fechou dentro) ou `none`.
+   */
+  classifyInteraction(candles, support, resistance) {
+    const last = candles[candles.length - 1];
+    const previous = candles[candles.length - 2] || last;
+
+    const check = (zone, type) => {
+      if (!zone) return null;
+      const touched = last.low <= zone.high && last.high >= zone.low;
+      const crossedUp = previous.close < zone.low && last.close > zone.high;
+      const crossedDown = previous.close > zone.high && last.close < zone.low;
+      if (!touched && !crossedUp && !crossedDown) return null;
+
+      let state;
+      if ((type === 'support' && crossedUp) || (type === 'resistance' && crossedDown)) state = 'breaking';
+      else if (last.close >= zone.low && last.close <= zone.high) state = 'testing';
+      else if (type === 'support' && last.close > zone.high) state = 'rejecting';
+      else if (type === 'resistance' && last.close < zone.low) state = 'rejecting';
+      else state = 'breaking';
+
+      return { zone: type, state, strength: zone.strength };
+    };
+
+    // A zona que a vela tocou; com as duas, vale a mais forte
+    const candidates = [check(support, 'support'), check(resistance, 'resistance')].filter(Boolean);
+    if (candidates.length === 0) return { zone: null, state: 'none', strength: 0 };
+    return candidates.sort((a, b) => b.strength - a.strength)[0];
+  }
+}
+
+module.exports = SupportResistanceAnalyzer;
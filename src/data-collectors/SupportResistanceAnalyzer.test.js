@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SupportResistanceAnalyzer = require('./SupportResistanceAnalyzer');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const TODAY = Date.UTC(2024, 0, 2);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+function createAnalyzer(options = {}) {
+  return new SupportResistanceAnalyzer({ databaseManager: { getCandles: async () => [] }, ...options });
+}
+
+function candle(timestamp, open, high, low, closePrice, volume = 10) {
+  return { timestamp, open, high, low, close: closePrice, volume };
+}
+
+test('pivôs clássicos e Camarilla da sessão anterior', () => {
+  const analyzer = createAnalyzer();
+  const session = { high: 110, low: 100, close: 105 };
+  const classic = analyzer.calculateClassicPivots(session);
+  const camarilla = analyzer.calculateCamarillaPivots(session);
+
+  assert.deepEqual(classic, { pivot: 105, r1: 110, s1: 100, r2: 115, s2: 95, r3: 120, s3: 90 });
+  close(camarilla.h3, 107.75);
+  close(camarilla.h4, 110.5);
+  close(camarilla.l3, 102.25);
+  close(camarilla.l4, 99.5);
+});
+
+test('POC na faixa de maior volume e value area ao redor dele', () => {
+  const analyzer = createAnalyzer({ profileBins: 10 });
+  const profile = analyzer.calculateVolumeProfile([
+    candle(0, 100, 101, 100, 101, 5),
+    candle(1, 104, 104.9, 104.1, 104.5, 100),
+    candle(2, 109, 110, 109, 110, 5)
+  ]);
+
+  close(profile.binSize, 1);
+  close(profile.poc, 104.5);
+  assert.ok(profile.valueAreaLow <= 104 && profile.valueAreaHigh >= 105);
+  assert.ok(profile.valueAreaHigh - profile.valueAreaLow < 10);
+  assert.ok(profile.volumeAt(104.5) > 0.8);
+  assert.equal(profile.volumeAt(120), 0);
+});
+
+test('pivôs de swing próximos viram uma zona só, com os toques somados', () => {
+  const analyzer = createAnalyzer();
+  const lows = [100, 100.2, 100.4].map((price, i) => ({ type: 'low', price, timestamp: i }));
+  const highs = [{ type: 'high', price: 105, timestamp: 10 }];
+  const candles = [candle(20, 102, 102.5, 101.5, 102)];
+  const result = analyzer.analyze({ price: 102, candles, atr: 1, windowPivots: [...lows, ...highs] });
+
+  assert.equal(result.zones.length, 2);
+  close(result.nearestSupport.low, 99.75);
+  close(result.nearestSupport.high, 100.65);
+  assert.equal(result.nearestSupport.touches, 3);
+  assert.deepEqual(result.nearestSupport.sources, ['swing']);
+  close(result.nearestResistance.mid, 105);
+  assert.ok(result.nearestSupport.strength > result.nearestResistance.strength);
+  close(result.nearestSupport.distanceAtr, 102 - 100.2);
+});
+
+test('pivô e swing no mesmo preço se unem e somam a força', () => {
+  const analyzer = createAnalyzer();
+  const context = {
+    classic: { pivot: 100.1 },
+    camarilla: null,
+    volumeProfile: null,
+    pivots: [{ type: 'low', price: 100, timestamp: 1 }]
+  };
+  const result = analyzer.analyze({ price: 103, candles: [candle(2, 103, 103.2, 102.8, 103)], atr: 1, context });
+
+  assert.deepEqual(result.nearestSupport.sources.sort(), ['P', 'swing']);
+  // swing 0.15 + pivô 0.3 + 0.05 pelo toque do swing
+  close(result.nearestSupport.strength, 0.5);
+});
+
+test('interação da última vela: rejeição, teste e rompimento', () => {
+  const analyzer = createAnalyzer();
+  const pivots = [{ type: 'low', price: 100, timestamp: 1 }];
+  const analyze = (previousClose, last) => analyzer.analyze({
+    price: last.close,
+    candles: [candle(2, previousClose, previousClose, previousClose, previousClose), last],
+    atr: 1,
+    windowPivots: pivots
+  }).interaction;
+
+  // Zona do suporte: [99.75, 100.25]
+  assert.equal(analyze(101, candle(3, 101, 101.2, 100, 100.8)).state, 'rejecting');
+  assert.equal(analyze(101, candle(3, 101, 101.2, 100, 100.8)).zone, 'support');
+  assert.equal(analyze(101, candle(3, 101, 101, 99.9, 100.1)).state, 'testing');
+  const broken = analyze(101, candle(3, 101, 101, 99, 99.5));
+  assert.equal(broken.zone, 'resistance');
+  assert.equal(broken.state, 'breaking');
+  assert.equal(analyze(101, candle(3, 101, 101.5, 100.8, 101.2)).state, 'none');
+});
+
+test('contexto de sessão vem das velas salvas, com fallback e cache', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: TODAY + 12 * HOUR });
+  const yesterday = [
+    candle(TODAY - DAY, 100, 110, 100, 105),
+    candle(TODAY - HOUR, 105, 106, 101, 104)
+  ];
+  const calls = [];
+  const analyzer = createAnalyzer({
+    databaseManager: { getCandles: async (...args) => { calls.push(['db', ...args]); return []; } },
+    fetchCandles: async (...args) => { calls.push(['rest', ...args]); return yesterday; }
+  });
+
+  const context = await analyzer.getSessionContext('SOLUSDT');
+  await analyzer.getSessionContext('SOLUSDT');
+
+  assert.deepEqual(calls.map(call => [call[0], call[2]]), [['db', '1m'], ['rest', '15m']]);
+  assert.equal(calls[0][3], TODAY - DAY);
+  close(context.classic.pivot, (110 + 100 + 104) / 3);
+  assert.ok(context.volumeProfile);
+});
@@ -0,0 +1,250 @@
+const { ATR } = require('../indicators');
+
+const FIB_LEVELS = [0.236, 0.382, 0.5, 0.618, 0.786];
+
+/**
+ * Detector de swings e pullbacks sobre máximas/mínimas.
+ *
+ * Os pivôs vêm de um ZigZag (reversão mínima em % do preço ou em múltiplos
+ * do ATR, o que for maior) ou de fractais (máxima/mínima maior que as
+ * `fractalWings` velas de cada lado).
+ *
+ * O impulso é a última perna confirmada a favor da tendência dos pivôs; o
+ * pullback é o movimento contrário depois dele, medido como fração
+ * (Fibonacci) do impulso:
+ * - `none`: retração abaixo de `minRetracement`;
+ * - `in_progress`: retração válida e o preço ainda no extremo do pullback;
+ * - `completed`: o preço voltou a andar na direção do impulso;
+ * - `failed`: retração além de `maxRetracement`.
+ */
+class SwingDetector {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.SWING_MODE || 'zigzag';
+    this.reversalPct = options.reversalPct || parseFloat(process.env.SWING_REVERSAL_PCT) || 0.001;
+    this.atrMultiplier = options.atrMultiplier || parseFloat(process.env.SWING_ATR_MULTIPLIER) || 1.5;
+    this.atrPeriod = options.atrPeriod || 14;
+    this.fractalWings = options.fractalWings || parseInt(process.env.SWING_FRACTAL_WINGS) || 2;
+    this.minRetracement = options.minRetracement || parseFloat(process.env.PULLBACK_MIN_RETRACEMENT) || 0.236;
+    this.maxRetracement = options.maxRetracement || parseFloat(process.env.PULLBACK_MAX_RETRACEMENT) || 0.786;
+  }
+
+  analyze(candles) {
+    const empty = {
+      hasValidPullback: false,
+      trend: 'neutral',
+      pivots: [],
+      impulse: null,
+      pullback: null
+    };
+    if (candles.length < 5) return empty;
+
+    const thresholds = this.getThresholds(candles);
+    const pivots = this.findPivots(candles, thresholds);
+
+    const trend = this.determineTrend(pivots);
+    const impulse = this.findImpulse(pivots, trend);
+    if (!impulse) return { ...empty, trend, pivots: pivots.slice(-6) };
+
+    const pullback = this.measurePullback(candles, pivots, impulse, thresholds);
+
+    return {
+      hasValidPullback: pullback.status === 'in_progress' || pullback.status === 'completed',
+      trend,
+      pivots: pivots.slice(-6),
+      impulse,
+      pullback
+    };
+  }
+
+  // Pivôs confirmados, em ordem e alternando topo/fundo
+  findPivots(candles, thresholds = this.getThresholds(candles)) {
+    return this.mode === 'fractal'
+      ? this.findFractalPivots(candles)
+      : this.findZigZagPivots(candles, thresholds);
+  }
+
+  // Reversão mínima em preço para cada vela
+  getThresholds(candles) {
+    const atr = new ATR(this.atrPeriod);
+    return candles.map(candle => {
+      const value = atr.update(candle);
+      const byPct = candle.close * this.reversalPct;
+      return value !== null ? Math.max(byPct, value * this.atrMultiplier) : byPct;
+    });
+  }
+
+  findZigZagPivots(candles, thresholds) {
+    const pivots = [];
+    const pivot = (type, index) => ({
+      type,
+      index,
+      price: type === 'high' ? candles[index].high : candles[index].low,
+      timestamp: candles[index].timestamp
+    });
+
+    let direction = null;
+    let highIndex = 0;
+    let lowIndex = 0;
+    let candidate = null;
+
+    for (let i = 1; i < candles.length; i++) {
+      const candle = candles[i];
+      const threshold = thresholds[i];
+
+      if (direction === null) {
+        if (candle.high > candles[highIndex].high) highIndex = i;
+        if (candle.low < candles[lowIndex].low) lowIndex = i;
+        if (candles[highIndex].high - candles[lowIndex].low >= threshold) {
+          if (highIndex > lowIndex) {
+            pivots.push(pivot('low', lowIndex));
+            candidate = pivot('high', highIndex);
+            direction = 'up';
+          } else {
+            pivots.push(pivot('high', highIndex));
+            candidate = pivot('low', lowIndex);
+            direction = 'down';
+          }
+        }
+      } else if (direction === 'up') {
+        if (candle.high >= candidate.price) {
+          candidate = pivot('high', i);
+        } else if (candidate.price - candle.low >= threshold) {
+          pivots.push(candidate);
+          candidate = pivot('low', i);
+          direction = 'down';
+        }
+      } else if (candle.low <= candidate.price) {
+        candidate = pivot('low', i);
+      } else if (candle.high - candidate.price >= threshold) {
+        pivots.push(candidate);
+        candidate = pivot('high', i);
+        direction = 'up';
+      }
+    }
+
+    return pivots;
+  }
+
+  findFractalPivots(candles) {
+    const wings = this.fractalWings;
+    const pivots = [];
+
+    for (let i = wings; i < candles.length - wings; i++) {
+      const around = [...candles.slice(i - wings, i), ...candles.slice(i + 1, i + wings + 1)];
+      const isHigh = around.every(c => candles[i].high > c.high);
+      const isLow = around.every(c => candles[i].low < c.low);
+
+      if (isHigh) this.addAlternating(pivots, { type: 'high', index: i, price: candles[i].high, timestamp: candles[i].timestamp });
+      if (isLow) this.addAlternating(pivots, { type: 'low', index: i, price: candles[i].low, timestamp: candles[i].timestamp });
+    }
+
+    return pivots;
+  }
+
+  // Dois pivôs seguidos do mesmo tipo: fica o mais extremo
+  addAlternating(pivots, pivot) {
+    const last = pivots[pivots.length - 1];
+    if (!last || last.type !== pivot.type) {
+      pivots.push(pivot);
+      return;
+    }
+    const moreExtreme = pivot.type === 'high' ? pivot.price > last.price : pivot.price < last.price;
+    if (moreExtreme) pivots[pivots.length - 1] = pivot;
+  }
+
+  // Topos e fundos ascendentes/descendentes; sem isso, a perna maior decide
+  determineTrend(pivots) {
+    if (pivots.length < 2) return 'neutral';
+
+    const highs = pivots.filter(p => p.type === 'high').slice(-2);
+    const lows = pivots.filter(p => p.type === 'low').slice(-2);
+
+    if (highs.length === 2 && lows.length === 2) {
+      if (highs[1].price > highs[0].price && lows[1].price > lows[0].price) return 'uptrend';
+      if (highs[1].price < highs[0].price && lows[1].price < lows[0].price) return 'downtrend';
+    }
+
+    const legs = [];
+    for (let i = Math.max(1, pivots.length - 2); i < pivots.length; i++) {
+      legs.push({ size: Math.abs(pivots[i].price - pivots[i - 1].price), up: pivots[i].type === 'high' });
+    }
+    const largest = legs.reduce((a, b) => (b.size > a.size ? b : a));
+    return largest.up ? 'uptrend' : 'downtrend';
+  }
+
+  findImpulse(pivots, trend) {
+    const endType = trend === 'uptrend' ? 'high' : trend === 'downtrend' ? 'low' : null;
+    if (!endType) return null;
+
+    for (let i = pivots.length - 1; i >= 1; i--) {
+      if (pivots[i].type === endType) {
+        const start = pivots[i - 1];
+        const end = pivots[i];
+        return {
+          direction: trend === 'uptrend' ? 'up' : 'down',
+          start,
+          end,
+          size: Math.abs(end.price - start.price),
+          sizePct: Math.abs(end.price - start.price) / start.price
+        };
+      }
+    }
+    return null;
+  }
+
+  measurePullback(candles, pivots, impulse, thresholds) {
+    const up = impulse.direction === 'up';
+    const after = candles.slice(impulse.end.index + 1);
+    const last = candles[candles.length - 1];
+
+    if (after.length === 0) {
+      return { status: 'none', retracement: 0, fibLevel: null, extremePrice: impulse.end.price, depth: 0, candlesSince: 0 };
+    }
+
+    // Extremo do pullback: pivô seguinte ao impulso ou, se ainda não
+    // confirmado, a mínima/máxima desde o fim do impulso
+    const nextPivot = pivots.find(p => p.index > impulse.end.index);
+    let extremeIndex;
+    if (nextPivot) {
+      extremeIndex = nextPivot.index;
+    } else {
+      extremeIndex = impulse.end.index + 1;
+      after.forEach((candle, offset) => {
+        const index = impulse.end.index + 1 + offset;
+        if (up ? candle.low < candles[extremeIndex].low : candle.high > candles[extremeIndex].high) {
+          extremeIndex = index;
+        }
+      });
+    }
+
+    const extremePrice = up ? candles[extremeIndex].low : candles[extremeIndex].high;
+    const retracement = impulse.size > 0 ? Math.abs(impulse.end.price - extremePrice) / impulse.size : 0;
+    const resumed = up
+      ? last.close - extremePrice >= thresholds[thresholds.length - 1]
+      : extremePrice - last.close >= thresholds[thresholds.length - 1];
+
+    let status;
+    if (retracement > this.maxRetracement) status = 'failed';
+    else if (retracement < this.minRetracement) status = 'none';
+    else if (nextPivot || resumed) status = 'completed';
+    else status = 'in_progress';
+
+    return {
+      status,
+      retracement,
+      fibLevel: this.nearestFibLevel(retracement),
+      extremePrice,
+      extremeIndex,
+      depth: Math.abs(impulse.end.price - extremePrice) / impulse.end.price,
+      candlesSince: candles.length - 1 - impulse.end.index
+    };
+  }
+
+  nearestFibLevel(ratio) {
+    return FIB_LEVELS.reduce((best, level) => (Math.abs(level - ratio) < Math.abs(best - ratio) ? level : best));
+  }
+}
+
+SwingDetector.FIB_LEVELS = FIB_LEVELS;
+
+module.exports = SwingDetector;
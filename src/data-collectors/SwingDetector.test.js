@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwingDetector = require('./SwingDetector');
+
+const MINUTE = 60000;
+
+// Velas que andam uma unidade por vela entre os pontos dados. A sombra fica
+// só do lado do movimento, para cada topo/fundo cair numa única vela.
+function buildCandles(waypoints) {
+  const closes = [waypoints[0]];
+  for (let i = 1; i < waypoints.length; i++) {
+    const step = Math.sign(waypoints[i] - waypoints[i - 1]);
+    for (let price = waypoints[i - 1] + step; price !== waypoints[i] + step; price += step) closes.push(price);
+  }
+
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    const up = close >= open;
+    return {
+      timestamp: i * MINUTE,
+      open,
+      high: up ? close + 0.1 : open,
+      low: up ? open : close - 0.1,
+      close,
+      volume: 10
+    };
+  });
+}
+
+const summarize = pivots => pivots.map(p => [p.type, p.index, Math.round(p.price * 10) / 10]);
+
+test('zigzag acha topos e fundos ascendentes e o pullback em andamento', () => {
+  const result = new SwingDetector({ mode: 'zigzag' }).analyze(buildCandles([100, 110, 104, 116, 108]));
+
+  assert.deepEqual(summarize(result.pivots), [['low', 0, 100], ['high', 10, 110.1], ['low', 16, 103.9], ['high', 28, 116.1]]);
+  assert.equal(result.trend, 'uptrend');
+  assert.equal(result.impulse.direction, 'up');
+  assert.equal(result.impulse.start.index, 16);
+  assert.equal(result.impulse.end.index, 28);
+
+  const { pullback } = result;
+  assert.equal(pullback.status, 'in_progress');
+  assert.ok(Math.abs(pullback.retracement - 8.2 / 12.2) < 1e-9);
+  assert.equal(pullback.fibLevel, 0.618);
+  assert.equal(pullback.extremeIndex, 36);
+  assert.equal(pullback.candlesSince, 8);
+  assert.equal(result.hasValidPullback, true);
+});
+
+test('pullback concluído quando o preço volta na direção do impulso', () => {
+  const result = new SwingDetector({ mode: 'zigzag' }).analyze(buildCandles([100, 110, 104, 116, 108, 112]));
+
+  assert.equal(result.pullback.status, 'completed');
+  assert.equal(result.pullback.extremeIndex, 36);
+  assert.equal(result.hasValidPullback, true);
+});
+
+test('retração rasa não conta e além de 78,6% invalida o pullback', () => {
+  const detector = new SwingDetector({ mode: 'zigzag' });
+  const shallow = detector.analyze(buildCandles([100, 110, 104, 130, 127]));
+  const deep = detector.analyze(buildCandles([100, 110, 104, 116, 102]));
+
+  assert.equal(shallow.pullback.status, 'none');
+  assert.equal(shallow.hasValidPullback, false);
+  assert.equal(deep.pullback.status, 'failed');
+  assert.equal(deep.hasValidPullback, false);
+});
+
+test('topos e fundos descendentes dão impulso de baixa', () => {
+  const result = new SwingDetector({ mode: 'zigzag' }).analyze(buildCandles([100, 90, 96, 84, 92]));
+
+  assert.equal(result.trend, 'downtrend');
+  assert.equal(result.impulse.direction, 'down');
+  assert.equal(result.pullback.fibLevel, 0.618);
+  assert.equal(result.pullback.status, 'in_progress');
+});
+
+test('fractais exigem máxima/mínima acima das velas de cada lado', () => {
+  const detector = new SwingDetector({ mode: 'fractal', fractalWings: 2 });
+
+  assert.deepEqual(summarize(detector.findPivots(buildCandles([100, 110, 104, 116, 108]))), [['high', 10, 110.1], ['low', 16, 103.9], ['high', 28, 116.1]]);
+});
+
+test('poucas velas não geram análise', () => {
+  const result = new SwingDetector().analyze(buildCandles([100, 103]));
+
+  assert.equal(result.trend, 'neutral');
+  assert.equal(result.impulse, null);
+  assert.equal(result.hasValidPullback, false);
+});
@@ -0,0 +1,50 @@
+const BinanceAdapter = require('./BinanceAdapter');
+const CoinGeckoAdapter = require('./CoinGeckoAdapter');
+const FileReplayAdapter = require('./FileReplayAdapter');
+
+/**
+ * Registro de adaptadores de fontes de dados.
+ *
+ * As fontes de cada par vêm de `DATA_SOURCES` (padrão `binance,coingecko`) e
+ * podem ser sobrescritas com `DATA_SOURCES_<PAR>`. A ordem define a
+ * prioridade: para cada tipo de dado vale o primeiro adaptador que o fornece.
+ */
+class AdapterRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+    this.defaultSources = (process.env.DATA_SOURCES || 'binance,coingecko').split(',').map(s => s.trim());
+
+    this.register('binance', () => new BinanceAdapter());
+    this.register('coingecko', () => new CoinGeckoAdapter());
+    this.register('file-replay', () => new FileReplayAdapter());
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Fonte de dados desconhecida: ${name}`);
+      }
+      this.instances.set(name, factory());
+    }
+    return this.instances.get(name);
+  }
+
+  getSourceNames(pair) {
+    const override = process.env[`DATA_SOURCES_${pair}`];
+    if (override) return override.split(',').map(s => s.trim());
+    return this.defaultSources;
+  }
+
+  getAdaptersForPair(pair) {
+    return this.getSourceNames(pair).map(name => this.get(name));
+  }
+}
+
+module.exports = AdapterRegistry;
@@ -0,0 +1,88 @@
+const DataSourceAdapter = require('./DataSourceAdapter');
+const HttpClient = require('../../utils/HttpClient');
+
+class BinanceAdapter extends DataSourceAdapter {
+  constructor(options = {}) {
+    super('binance', ['candles', 'ticker', 'orderBook', 'metadata']);
+    this.apiUrl = options.apiUrl || process.env.BINANCE_API_URL;
+    this.http = options.httpClient || HttpClient.getDefault();
+    this.exchangeInfoTtl = options.exchangeInfoTtl || 24 * 60 * 60 * 1000;
+  }
+
+  async getCandles(pair, interval, options = {}) {
+    const response = await this.http.get(`${this.apiUrl}/klines`, {
+      weight: 2,
+      params: {
+        symbol: pair,
+        interval,
+        limit: options.limit || 100,
+        ...(options.startTime && { startTime: options.startTime }),
+        ...(options.endTime && { endTime: options.endTime })
+      }
+    });
+
+    return response.data.map(kline => BinanceAdapter.parseKline(kline));
+  }
+
+  async getTicker(pair) {
+    const response = await this.http.get(`${this.apiUrl}/ticker/price`, {
+      weight: 2,
+      params: { symbol: pair }
+    });
+
+    return { price: parseFloat(response.data.price) };
+  }
+
+  async getOrderBook(pair, depth = 20) {
+    const response = await this.http.get(`${this.apiUrl}/depth`, {
+      weight: 5,
+      params: { symbol: pair, limit: depth }
+    });
+
+    return {
+      bids: response.data.bids.map(bid => ({ price: parseFloat(bid[0]), quantity: parseFloat(bid[1]) })),
+      asks: response.data.asks.map(ask => ({ price: parseFloat(ask[0]), quantity: parseFloat(ask[1]) }))
+    };
+  }
+
+  // Informações do símbolo mudam raramente, então ficam em cache por um dia
+  async getMetadata(pair) {
+    const response = await this.http.get(`${this.apiUrl}/exchangeInfo`, {
+      weight: 20,
+      cacheTtl: this.exchangeInfoTtl,
+      params: { symbol: pair }
+    });
+
+    const symbol = response.data.symbols?.[0];
+    if (!symbol) return null;
+
+    const priceFilter = symbol.filters?.find(f => f.filterType === 'PRICE_FILTER');
+    const lotSize = symbol.filters?.find(f => f.filterType === 'LOT_SIZE');
+    return {
+      baseAsset: symbol.baseAsset,
+      quoteAsset: symbol.quoteAsset,
+      status: symbol.status,
+      tickSize: priceFilter ? parseFloat(priceFilter.tickSize) : null,
+      stepSize: lotSize ? parseFloat(lotSize.stepSize) : null
+    };
+  }
+
+  // Converte o array de kline da Binance (REST) no formato de vela do coletor
+  static parseKline(kline) {
+    return {
+      timestamp: kline[0],
+      open: parseFloat(kline[1]),
+      high: parseFloat(kline[2]),
+      low: parseFloat(kline[3]),
+      close: parseFloat(kline[4]),
+      volume: parseFloat(kline[5]),
+      closeTime: kline[6],
+      quoteVolume: parseFloat(kline[7]),
+      trades: kline[8],
+      takerBuyBaseVolume: parseFloat(kline[9]),
+      takerBuyQuoteVolume: parseFloat(kline[10])
+    };
+  }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,52 @@
+const DataSourceAdapter = require('./DataSourceAdapter');
+const HttpClient = require('../../utils/HttpClient');
+const CoinGeckoIdResolver = require('../CoinGeckoIdResolver');
+
+class CoinGeckoAdapter extends DataSourceAdapter {
+  constructor(options = {}) {
+    super('coingecko', ['metadata']);
+    this.apiUrl = options.apiUrl || process.env.COINGECKO_API_URL;
+    this.http = options.httpClient || HttpClient.getDefault();
+    this.idResolver = options.idResolver || new CoinGeckoIdResolver({ httpClient: this.http });
+    // Dados de mercado mudam pouco e o CoinGecko limita requisições com rigor
+    this.cacheTtl = options.cacheTtl || parseInt(process.env.COINGECKO_CACHE_TTL) || 5 * 60 * 1000;
+  }
+
+  async getMetadata(pair) {
+    // Mapear pares para IDs do CoinGecko
+    const coinGeckoId = await this.idResolver.resolve(pair);
+    if (!coinGeckoId) return null;
+
+    const response = await this.http.get(`${this.apiUrl}/coins/${coinGeckoId}`, {
+      cacheTtl: this.cacheTtl,
+      params: {
+        localization: false,
+        tickers: false,
+        market_data: true,
+        community_data: false,
+        developer_data: false,
+        sparkline: false
+      }
+    });
+
+    const data = response.data;
+    const marketData = data.market_data;
+
+    return {
+      coinGeckoId,
+      marketCap: marketData.market_cap?.usd || 0,
+      totalVolume: marketData.total_volume?.usd || 0,
+      priceChange24h: marketData.price_change_percentage_24h || 0,
+      marketCapRank: data.market_cap_rank || 0,
+      ath: marketData.ath?.usd || 0,
+      athChangePercentage: marketData.ath_change_percentage?.usd || 0,
+      atl: marketData.atl?.usd || 0,
+      atlChangePercentage: marketData.atl_change_percentage?.usd || 0,
+      circulatingSupply: marketData.circulating_supply || 0,
+      totalSupply: marketData.total_supply || 0,
+      maxSupply: marketData.max_supply || 0
+    };
+  }
+}
+
+module.exports = CoinGeckoAdapter;
@@ -0,0 +1,47 @@
+/**
+ * Contrato das fontes de dados usadas pelo `DataCollector`.
+ *
+ * Cada adaptador declara em `capabilities` o que sabe fornecer e implementa
+ * apenas os métodos correspondentes:
+ *
+ * - `candles`:   getCandles(pair, interval, { limit, startTime, endTime }) → [{ timestamp, open, high, low, close, volume, closeTime, ... }]
+ * - `ticker`:    getTicker(pair) → { price }
+ * - `orderBook`: getOrderBook(pair, depth) → { bids: [{ price, quantity }], asks: [...] }
+ * - `metadata`:  getMetadata(pair) → objeto plano com dados de mercado do ativo
+ *
+ * Em `getCandles`, `startTime` e `endTime` (opcionais, em ms) limitam o
+ * horário de abertura das velas, como na Binance: com `startTime`, vêm as
+ * primeiras `limit` velas a partir dele; sem ele, as últimas `limit` até
+ * `endTime`.
+ *
+ * Métodos não suportados lançam erro; o `DataCollector` só chama o que o
+ * adaptador declara.
+ */
+class DataSourceAdapter {
+  constructor(name, capabilities = []) {
+    this.name = name;
+    this.capabilities = capabilities;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  async getCandles(pair, interval, options = {}) {
+    throw new Error(`${this.name} não fornece velas`);
+  }
+
+  async getTicker(pair) {
+    throw new Error(`${this.name} não fornece ticker`);
+  }
+
+  async getOrderBook(pair, depth = 20) {
+    throw new Error(`${this.name} não fornece order book`);
+  }
+
+  async getMetadata(pair) {
+    throw new Error(`${this.name} não fornece metadados`);
+  }
+}
+
+module.exports = DataSourceAdapter;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const DataSourceAdapter = require('./DataSourceAdapter');
+const BinanceAdapter = require('./BinanceAdapter');
+
+/**
+ * Reproduz dados gravados em disco para rodar o sistema offline.
+ *
+ * Arquivos esperados em `REPLAY_DATA_DIR`:
+ * - `<PAR>_<intervalo>.jsonl` (ou `.json`): uma vela por linha, no formato
+ *   do coletor ou como array de kline da Binance;
+ * - `<PAR>_orderbook.jsonl` (opcional): `{ timestamp, bids, asks }` por linha;
+ * - `<PAR>_metadata.json` (opcional): objeto com dados de mercado.
+ *
+ * O relógio de replay começa em `REPLAY_START` (ou logo após as primeiras
+ * `warmupCandles` velas gravadas, para já haver histórico) e avança
+ * `REPLAY_SPEED` vezes mais rápido que o tempo real. Só velas já fechadas no
+ * relógio de replay são devolvidas.
+ */
+class FileReplayAdapter extends DataSourceAdapter {
+  constructor(options = {}) {
+    super('file-replay', ['candles', 'ticker', 'orderBook', 'metadata']);
+    this.dataDir = options.dataDir || process.env.REPLAY_DATA_DIR || './data/replay';
+    this.speed = options.speed || parseFloat(process.env.REPLAY_SPEED) || 1;
+    this.warmupCandles = options.warmupCandles || 100;
+    this.startTime = options.startTime || (process.env.REPLAY_START ? new Date(process.env.REPLAY_START).getTime() : null);
+    this.startedAt = Date.now();
+    this.fixedTime = null;
+    this.cache = new Map();
+  }
+
+  // Permite fixar o relógio (ex.: backtests que avançam vela a vela)
+  setTime(time) {
+    this.fixedTime = time;
+  }
+
+  getReplayTime(pair) {
+    if (this.fixedTime !== null) return this.fixedTime;
+
+    let start = this.startTime;
+    if (start === null) {
+      const first = this.getDefaultStartTime(pair);
+      start = first !== null ? first : this.startedAt;
+    }
+
+    return start + (Date.now() - this.startedAt) * this.speed;
+  }
+
+  async getCandles(pair, interval, options = {}) {
+    const limit = options.limit || 100;
+    const replayTime = this.getReplayTime(pair);
+    const candles = this.loadCandles(pair, interval).filter(c => c.closeTime <= replayTime
+      && (!options.startTime || c.timestamp >= options.startTime)
+      && (!options.endTime || c.timestamp <= options.endTime));
+    return options.startTime ? candles.slice(0, limit) : candles.slice(-limit);
+  }
+
+  async getTicker(pair) {
+    const replayTime = this.getReplayTime(pair);
+    let latest = null;
+
+    this.getRecordedIntervals(pair).forEach(interval => {
+      const closed = this.loadCandles(pair, interval).filter(c => c.closeTime <= replayTime);
+      const last = closed[closed.length - 1];
+      if (last && (!latest || last.closeTime > latest.closeTime)) latest = last;
+    });
+
+    if (!latest) throw new Error(`Sem dados gravados para ${pair} até ${new Date(replayTime).toISOString()}`);
+    return { price: latest.close };
+  }
+
+  async getOrderBook(pair, depth = 20) {
+    const replayTime = this.getReplayTime(pair);
+    const snapshots = this.loadLines(`${pair}_orderbook.jsonl`)
+      .filter(snapshot => snapshot.timestamp <= replayTime);
+    const latest = snapshots[snapshots.length - 1];
+
+    if (!latest) return { bids: [], asks: [] };
+
+    const normalize = levels => (levels || []).slice(0, depth).map(level => Array.isArray(level)
+      ? { price: parseFloat(level[0]), quantity: parseFloat(level[1]) }
+      : { price: parseFloat(level.price), quantity: parseFloat(level.quantity) });
+
+    return { bids: normalize(latest.bids), asks: normalize(latest.asks) };
+  }
+
+  async getMetadata(pair) {
+    const file = path.join(this.dataDir, `${pair}_metadata.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  loadCandles(pair, interval) {
+    const key = `${pair}_${interval}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const rows = this.loadLines(`${key}.jsonl`).concat(this.loadLines(`${key}.json`));
+    const candles = rows
+      .map(row => Array.isArray(row) ? BinanceAdapter.parseKline(row) : row)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    this.cache.set(key, candles);
+    return candles;
+  }
+
+  loadLines(fileName) {
+    const file = path.join(this.dataDir, fileName);
+    if (!fs.existsSync(file)) return [];
+
+    const content = fs.readFileSync(file, 'utf8').trim();
+    if (!content) return [];
+
+    // Arquivos .json podem conter um array único
+    if (content.startsWith('[') && fileName.endsWith('.json')) {
+      return JSON.parse(content);
+    }
+
+    return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  getRecordedIntervals(pair) {
+    if (!fs.existsSync(this.dataDir)) return [];
+
+    const pattern = new RegExp(`^${pair}_(\\d+[mhdw])\\.jsonl?$`);
+    return fs.readdirSync(this.dataDir)
+      .map(file => file.match(pattern))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  getDefaultStartTime(pair) {
+    const times = this.getRecordedIntervals(pair)
+      .map(interval => {
+        const candles = this.loadCandles(pair, interval);
+        return candles[Math.min(this.warmupCandles, candles.length) - 1]?.closeTime;
+      })
+      .filter(time => time !== undefined);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+}
+
+module.exports = FileReplayAdapter;
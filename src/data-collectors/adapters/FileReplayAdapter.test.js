@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileReplayAdapter = require('./FileReplayAdapter');
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+// 10 velas de 1m gravadas em disco; relógio de replay fixo após a 8ª
+function createAdapter(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const lines = Array.from({ length: 10 }, (_, i) => {
+    const timestamp = START + i * MINUTE;
+    return JSON.stringify([timestamp, '1', '2', '0.5', String(i), '10', timestamp + MINUTE - 1, '15', 3, '5', '7', '0']);
+  });
+  fs.writeFileSync(path.join(dataDir, 'SOLUSDT_1m.jsonl'), lines.join('\n'));
+
+  const adapter = new FileReplayAdapter({ dataDir });
+  adapter.setTime(START + 8 * MINUTE - 1);
+  return adapter;
+}
+
+const opens = candles => candles.map(c => (c.timestamp - START) / MINUTE);
+
+test('sem período devolve as últimas velas fechadas', async t => {
+  const adapter = createAdapter(t);
+  assert.deepEqual(opens(await adapter.getCandles('SOLUSDT', '1m', { limit: 3 })), [5, 6, 7]);
+});
+
+test('startTime devolve as primeiras velas a partir dele', async t => {
+  const adapter = createAdapter(t);
+  const candles = await adapter.getCandles('SOLUSDT', '1m', { startTime: START + 2 * MINUTE, limit: 3 });
+  assert.deepEqual(opens(candles), [2, 3, 4]);
+});
+
+test('endTime limita a abertura e nunca passa do relógio de replay', async t => {
+  const adapter = createAdapter(t);
+  assert.deepEqual(opens(await adapter.getCandles('SOLUSDT', '1m', { endTime: START + 4 * MINUTE, limit: 2 })), [3, 4]);
+  assert.deepEqual(opens(await adapter.getCandles('SOLUSDT', '1m', { startTime: START + 6 * MINUTE, endTime: START + 20 * MINUTE })), [6, 7]);
+});
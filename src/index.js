@@ -1,9 +1,14 @@
 const cron = require('node-cron');
 const dotenv = require('dotenv');
 const DataCollector = require('./data-collectors/DataCollector');
+const DataValidator = require('./data-collectors/DataValidator');
 const AIEngine = require('./ai-engine/AIEngine');
+const OnlineLearner = require('./ai-engine/OnlineLearner');
+const DriftMonitor = require('./ai-engine/DriftMonitor');
 const SignalGenerator = require('./signal-generator/SignalGenerator');
+const SignalScheduler = require('./signal-generator/SignalScheduler');
 const DatabaseManager = require('./utils/DatabaseManager');
+const { SETTINGS_KEY, applySystemSettings } = require('./utils/systemSettings');
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -11,9 +16,17 @@ dotenv.config();
 class AITradingSystem {
   constructor() {
     this.dataCollector = new DataCollector();
-    this.aiEngine = new AIEngine();
-    this.signalGenerator = new SignalGenerator();
+    this.aiEngine = new AIEngine({ dataCollector: this.dataCollector });
+    // Mesmo motor do treino, para os sinais usarem o modelo treinado e ajustado
+    this.signalGenerator = new SignalGenerator({ aiEngine: this.aiEngine });
+    this.signalScheduler = new SignalScheduler();
     this.databaseManager = new DatabaseManager();
+    this.onlineLearner = new OnlineLearner({ aiEngine: this.aiEngine, databaseManager: this.databaseManager });
+    this.driftMonitor = new DriftMonitor({ aiEngine: this.aiEngine, databaseManager: this.databaseManager });
+    this.dataValidator = new DataValidator();
+    // Validação própria dos registros coletados na hora do sinal, para não
+    // misturar com a sequência dos gravados (duplicados, velas faltando)
+    this.signalDataValidator = new DataValidator();
     
     this.isRunning = false;
     this.pairs = process.env.TRADING_PAIRS.split(',');
@@ -31,11 +44,24 @@ class AITradingSystem {
       // Inicializar banco de dados
       await this.databaseManager.initialize();
       
+      // Configuração salva pela busca de hiperparâmetros (npm run tune)
+      await this.loadSystemSettings();
+      
       // Iniciar coleta de dados
+      if (this.dataCollector.isStreaming()) {
+        this.dataCollector.on('candleClosed', async (data) => {
+          try {
+            await this.storeValidatedData(data);
+          } catch (error) {
+            console.error(`❌ Erro ao armazenar vela fechada de ${data.pair}:`, error);
+          }
+        });
+      }
       await this.dataCollector.start(this.pairs);
       
-      // Iniciar motor de IA
-      await this.aiEngine.initialize();
+      // Iniciar motor de IA (treina com o histórico)
+      await this.aiEngine.initialize(this.pairs);
+      this.driftMonitor.markRetrained();
       
       // Iniciar gerador de sinais
       await this.signalGenerator.start();
@@ -43,6 +69,13 @@ class AITradingSystem {
       // Configurar atualizações periódicas
       this.setupPeriodicTasks();
       
+      // Sinais alinhados ao fechamento das velas de cada par
+      this.signalScheduler.start(
+        this.pairs,
+        pair => this.dataCollector.getIntervals(pair)[0],
+        (pair, targetCandle) => this.generateSignal(pair, targetCandle)
+      );
+      
       this.isRunning = true;
       console.log('✅ Sistema iniciado com sucesso!');
       
@@ -52,28 +85,35 @@ class AITradingSystem {
     }
   }
 
+  // Valores de `system_settings` valem onde a variável de ambiente não foi definida
+  async loadSystemSettings() {
+    const settings = await this.databaseManager.getConfig(SETTINGS_KEY);
+    const applied = applySystemSettings(settings, this);
+    if (applied.length > 0) {
+      console.log(`⚙️ Configurações de ${SETTINGS_KEY} aplicadas: ${applied.join(', ')}`);
+    }
+  }
+
   setupPeriodicTasks() {
-    // Atualizar dados a cada minuto
+    // Atualizar dados a cada minuto (no modo stream as velas chegam pelo WebSocket)
     cron.schedule('* * * * *', async () => {
-      if (this.isRunning) {
+      if (this.isRunning && !this.dataCollector.isStreaming()) {
         console.log('🔄 Atualizando dados...');
         await this.updateData();
       }
     });
 
-    // Treinar IA a cada 5 minutos
-    cron.schedule('*/5 * * * *', async () => {
+    // Deriva dos modelos a cada 15 minutos; novo treino só quando o monitor pedir
+    cron.schedule('*/15 * * * *', async () => {
       if (this.isRunning) {
-        console.log('🧠 Treinando IA...');
-        await this.trainAI();
+        await this.checkDrift();
       }
     });
 
-    // Gerar sinais a cada 30 segundos
-    cron.schedule('*/30 * * * * *', async () => {
+    // Resultados dos sinais de velas já fechadas alimentam o modelo
+    cron.schedule('* * * * *', async () => {
       if (this.isRunning) {
-        console.log('📡 Gerando sinais...');
-        await this.generateSignals();
+        await this.learnFromSignals();
       }
     });
 
@@ -87,26 +127,55 @@ class AITradingSystem {
   }
 
   async updateData() {
-    try {
-      for (const pair of this.pairs) {
+    // Falha em um par não impede a coleta dos demais
+    for (const pair of this.pairs) {
+      try {
         const data = await this.dataCollector.collectPairData(pair);
-        await this.databaseManager.storeMarketData(data);
+        await this.storeValidatedData(data);
+      } catch (error) {
+        console.error(`❌ Erro ao atualizar dados de ${pair}:`, error);
       }
+    }
+  }
+
+  // Valida antes de gravar: problemas graves vão para quarentena, os demais
+  // são gravados com `quality_flags`
+  async storeValidatedData(data) {
+    const validation = this.dataValidator.validate(data);
+    const codes = validation.issues.map(issue => issue.code).join(', ');
+
+    if (validation.quarantine) {
+      console.warn(`🚫 Dados de ${data.pair} em quarentena: ${codes}`);
+      await this.databaseManager.storeQuarantinedData(data, validation.issues);
+      return;
+    }
+
+    if (!validation.valid) {
+      console.warn(`⚠️ Dados de ${data.pair} sinalizados: ${codes}`);
+    }
+    await this.databaseManager.storeMarketData({ ...data, qualityFlags: validation.issues });
+    await this.storeClosedCandles(data);
+  }
+
+  // Velas fechadas do timeframe principal vão para `candles`, base dos
+  // rótulos do treino (a vela em formação fica para a próxima coleta)
+  async storeClosedCandles(data) {
+    try {
+      const collectedAt = new Date(data.timestamp).getTime();
+      const closed = (data.candles || []).filter(candle => candle.closeTime < collectedAt);
+      await this.databaseManager.upsertCandles(data.pair, data.interval, closed, data.source);
     } catch (error) {
-      console.error('❌ Erro ao atualizar dados:', error);
+      console.error(`❌ Erro ao armazenar velas de ${data.pair}:`, error.message);
     }
   }
 
   async trainAI() {
     try {
-      // Buscar dados históricos para treinamento
-      const historicalData = await this.databaseManager.getHistoricalData();
+      // Histórico de cada par para treinamento
+      const historicalData = await this.aiEngine.loadTrainingData(this.pairs);
       
       // Treinar modelo com foco em pullbacks
-      await this.aiEngine.train(historicalData, {
-        focusOnPullbacks: true,
-        targetAccuracy: 0.95 // 95% de acertividade
-      });
+      await this.aiEngine.train(historicalData, { focusOnPullbacks: true });
       
       console.log('✅ IA treinada com sucesso');
     } catch (error) {
@@ -114,34 +183,76 @@ class AITradingSystem {
     }
   }
 
-  async generateSignals() {
+  async checkDrift() {
+    try {
+      const result = await this.driftMonitor.check(this.pairs);
+      if (result.retrain) {
+        console.log(`🧠 Treinando IA: ${result.reasons.join('; ')}`);
+        await this.trainAI();
+      }
+    } catch (error) {
+      console.error('❌ Erro ao verificar deriva dos modelos:', error);
+    }
+  }
+
+  async learnFromSignals() {
+    try {
+      const resolved = await this.onlineLearner.resolve();
+      if (resolved > 0 && this.onlineLearner.enabled) await this.onlineLearner.update();
+    } catch (error) {
+      console.error('❌ Erro no aprendizado com os sinais:', error);
+    }
+  }
+
+  // Chamado pelo SignalScheduler pouco antes do fechamento da vela do par
+  async generateSignal(pair, targetCandle) {
+    if (!this.isRunning) return;
+
     try {
-      // Buscar dados atuais
-      const currentData = await this.databaseManager.getCurrentData();
+      console.log(`📡 Gerando sinal para ${pair}...`);
+      const current = await this.collectCurrentRecord(pair);
+      if (!current) return;
+      const pairData = [current, ...await this.databaseManager.getCurrentData([pair])];
+
+      const signal = await this.signalGenerator.generateSignal(pair, pairData, targetCandle);
       
-      // Gerar sinais para cada par
-      for (const pair of this.pairs) {
-        const pairData = currentData.filter(d => d.pair === pair);
-        if (pairData.length > 0) {
-          const signal = await this.signalGenerator.generateSignal(pair, pairData);
-          
-          if (signal && signal.confidence >= process.env.SIGNAL_CONFIDENCE_THRESHOLD) {
-            console.log(`🎯 SINAL GERADO para ${pair}:`);
-            console.log(`   Cor: ${signal.color}`);
-            console.log(`   Confiança: ${signal.confidence}%`);
-            console.log(`   Razão: ${signal.reason}`);
-            console.log(`   Timestamp: ${signal.timestamp}`);
-            
-            // Salvar sinal no banco
-            await this.databaseManager.storeSignal(signal);
-          }
+      if (signal && signal.confidence >= this.signalGenerator.confidenceThreshold) {
+        console.log(`🎯 SINAL GERADO para ${pair}:`);
+        console.log(`   Cor: ${signal.color}`);
+        console.log(`   Confiança: ${signal.confidence}%`);
+        console.log(`   Razão: ${signal.reason}`);
+        console.log(`   Vela alvo: ${signal.target.openTime} - ${signal.target.closeTime}`);
+        console.log(`   Entrada até: ${signal.target.entryDeadline}`);
+        console.log(`   Timestamp: ${signal.timestamp}`);
+        
+        // Salvar sinal no banco e registrar para o aprendizado com o resultado
+        const signalId = await this.databaseManager.storeSignal(signal);
+        if (signalId) {
+          await this.onlineLearner.record(signal, signalId, signal.features);
         }
       }
     } catch (error) {
-      console.error('❌ Erro ao gerar sinais:', error);
+      console.error(`❌ Erro ao gerar sinal para ${pair}:`, error);
     }
   }
 
+  /**
+   * Registro da vela em formação, coletado na hora do sinal: o último gravado
+   * pode ter quase uma vela (coleta a cada minuto ou, no modo stream, o
+   * fechamento da vela anterior). Não é gravado, para não duplicar a vela em
+   * `market_data`. Null quando a validação manda os dados para quarentena.
+   */
+  async collectCurrentRecord(pair) {
+    const data = await this.dataCollector.collectPairData(pair);
+    const validation = this.signalDataValidator.validate(data);
+    if (validation.quarantine) {
+      console.warn(`🚫 Dados atuais de ${pair} em quarentena (${validation.issues.map(issue => issue.code).join(', ')}), sinal suspenso`);
+      return null;
+    }
+
+    return this.databaseManager.toMarketDataRow({ ...data, qualityFlags: validation.issues });
+  }
+
   async analyzePerformance() {
     try {
       const performance = await this.databaseManager.getPerformanceStats();
@@ -159,6 +270,7 @@ class AITradingSystem {
     console.log('🛑 Parando sistema...');
     this.isRunning = false;
     
+    this.signalScheduler.stop();
     await this.dataCollector.stop();
     await this.signalGenerator.stop();
     
@@ -0,0 +1,161 @@
+const streaming = require('./streaming');
+
+const { SMA, EMA, RSI, MACD, BollingerBands, ATR, Stochastic, ADX, VWAP, OBV, CCI, WilliamsR } = streaming;
+
+/**
+ * Séries completas dos indicadores, alinhadas com a entrada: a posição `i`
+ * da série corresponde ao preço/vela `i`, com `null` onde ainda não há dados
+ * suficientes. Os cálculos são os mesmos dos indicadores incrementais de
+ * `./streaming`.
+ *
+ * Indicadores com mais de um valor (MACD, Bollinger, Stochastic, ADX)
+ * devolvem um objeto com uma série por componente.
+ */
+function run(indicator, inputs) {
+  return inputs.map(input => indicator.update(input));
+}
+
+// Lista de objetos -> objeto de listas, mantendo `null` nas posições vazias
+function toColumns(values, keys) {
+  const columns = {};
+  keys.forEach(key => {
+    columns[key] = values.map(value => (value ? value[key] : null));
+  });
+  return columns;
+}
+
+function sma(values, period) {
+  return run(new SMA(period), values);
+}
+
+function ema(values, period) {
+  return run(new EMA(period), values);
+}
+
+function rsi(values, period = 14) {
+  return run(new RSI(period), values);
+}
+
+function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  return toColumns(run(new MACD(fastPeriod, slowPeriod, signalPeriod), values), ['macdLine', 'signalLine', 'histogram']);
+}
+
+function bollingerBands(values, period = 20, stdDev = 2) {
+  return toColumns(run(new BollingerBands(period, stdDev), values), ['upper', 'middle', 'lower', 'bandwidth', 'percentB']);
+}
+
+function atr(candles, period = 14) {
+  return run(new ATR(period), candles);
+}
+
+function stochastic(candles, kPeriod = 14, kSmoothing = 1, dPeriod = 3) {
+  return toColumns(run(new Stochastic(kPeriod, kSmoothing, dPeriod), candles), ['k', 'd']);
+}
+
+function adx(candles, period = 14) {
+  return toColumns(run(new ADX(period), candles), ['adx', 'plusDI', 'minusDI']);
+}
+
+function vwap(candles, sessionMs) {
+  return run(new VWAP(sessionMs), candles);
+}
+
+function obv(candles) {
+  return run(new OBV(), candles);
+}
+
+function cci(candles, period = 20) {
+  return run(new CCI(period), candles);
+}
+
+function williamsR(candles, period = 14) {
+  return run(new WilliamsR(period), candles);
+}
+
+function last(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// Último valor de cada componente de um indicador composto
+function lastValues(columns) {
+  const values = {};
+  Object.entries(columns).forEach(([key, series]) => {
+    values[key] = last(series);
+  });
+  return values;
+}
+
+// Períodos padrão dos indicadores de `calculateSeries` (as médias móveis
+// têm o período no nome da série e ficam fixas)
+const DEFAULT_PERIODS = {
+  rsi: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bollinger: 20,
+  bollingerStdDev: 2,
+  atr: 14,
+  stochasticK: 14,
+  stochasticD: 3,
+  adx: 14,
+  cci: 20,
+  williamsR: 14
+};
+
+/**
+ * Todas as séries usadas pelo sistema. `periods` sobrescreve parte de
+ * `DEFAULT_PERIODS`.
+ */
+function calculateSeries(candles, periods = {}) {
+  const closes = candles.map(c => c.close);
+  const volumes = candles.map(c => c.volume);
+  const p = { ...DEFAULT_PERIODS, ...periods };
+
+  return {
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    ema12: ema(closes, 12),
+    ema26: ema(closes, 26),
+    rsi: rsi(closes, p.rsi),
+    macd: macd(closes, p.macdFast, p.macdSlow, p.macdSignal),
+    bollingerBands: bollingerBands(closes, p.bollinger, p.bollingerStdDev),
+    volumeSMA: sma(volumes, 20),
+    atr: atr(candles, p.atr),
+    stochastic: stochastic(candles, p.stochasticK, 1, p.stochasticD),
+    adx: adx(candles, p.adx),
+    vwap: vwap(candles),
+    obv: obv(candles),
+    cci: cci(candles, p.cci),
+    williamsR: williamsR(candles, p.williamsR)
+  };
+}
+
+// Mantém só os últimos `length` pontos de cada série (para armazenar)
+function tailSeries(series, length) {
+  const tail = {};
+  Object.entries(series).forEach(([key, value]) => {
+    tail[key] = Array.isArray(value) ? value.slice(-length) : tailSeries(value, length);
+  });
+  return tail;
+}
+
+module.exports = {
+  ...streaming,
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollingerBands,
+  atr,
+  stochastic,
+  adx,
+  vwap,
+  obv,
+  cci,
+  williamsR,
+  last,
+  lastValues,
+  calculateSeries,
+  tailSeries,
+  DEFAULT_PERIODS
+};
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const indicators = require('./index');
+
+const { SMA, EMA, RSI, MACD, BollingerBands, ATR, Stochastic, ADX, VWAP, OBV, CCI, WilliamsR } = indicators;
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.equal(actual.length, expected.length, label);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) <= tolerance, `${label}[${i}]: ${value} ≠ ${expected[i]}`);
+  });
+}
+
+// Planilhas de exemplo da StockCharts (RSI de 14 e EMA de 10 períodos)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// 45 velas [open, high, low, close]; as referências abaixo vêm do TA-Lib
+const CANDLES = [
+  [100, 100.06, 98.08, 99.06], [99.06, 100.02, 98.65, 99.5], [99.5, 99.74, 98.92, 99.47],
+  [99.47, 100.23, 99.31, 99.97], [99.97, 101.06, 99.77, 100.54], [100.54, 100.83, 99.79, 100.32],
+  [100.32, 101.3, 99.7, 99.95], [99.95, 100.94, 99.81, 100.75], [100.75, 101.04, 99.55, 100.1],
+  [100.1, 100.73, 99.19, 100.66], [100.66, 101.43, 99.98, 100.81], [100.81, 102.4, 99.89, 101.78],
+  [101.78, 102.52, 101.61, 102.48], [102.48, 102.91, 102.21, 102.23], [102.23, 103, 101.08, 101.45],
+  [101.45, 101.92, 100.39, 101.34], [101.34, 102.48, 101.01, 101.79], [101.79, 101.93, 101.41, 101.54],
+  [101.54, 102.73, 101.35, 102.41], [102.41, 103.05, 102.37, 102.71], [102.71, 104.04, 102.16, 103.12],
+  [103.12, 104.47, 102.2, 103.81], [103.81, 104.34, 102.43, 103.08], [103.08, 104.86, 102.24, 103.9],
+  [103.9, 105.09, 102.93, 104.13], [104.13, 105.09, 104.12, 104.27], [104.27, 104.67, 103.55, 104.34],
+  [104.34, 105.24, 103.36, 104.48], [104.48, 105.46, 104.05, 104.64], [104.64, 105.7, 104.09, 104.96],
+  [104.96, 105.2, 104.61, 104.62], [104.62, 105.56, 102.88, 103.71], [103.71, 104.02, 103.09, 104.01],
+  [104.01, 104.96, 103.02, 104.24], [104.24, 105.23, 103.19, 103.84], [103.84, 105.11, 103.01, 104.49],
+  [104.49, 105.48, 103.3, 103.81], [103.81, 104.14, 103.41, 103.98], [103.98, 104.79, 102.58, 103.44],
+  [103.44, 104.61, 102.45, 103.95], [103.95, 104.95, 102.99, 104.21], [104.21, 104.46, 103.63, 104.23],
+  [104.23, 105.71, 104.04, 104.86], [104.86, 105.49, 104.33, 105.01], [105.01, 105.26, 103.97, 104.41]
+].map(([open, high, low, close], i) => ({ timestamp: i * 60000, open, high, low, close, volume: 10 + (i % 7) }));
+const CLOSES = CANDLES.map(c => c.close);
+
+const firstIndex = series => series.findIndex(value => value !== null);
+
+test('RSI de Wilder bate com o TA-Lib na planilha da StockCharts', () => {
+  const series = indicators.rsi(RSI_CLOSES, 14);
+
+  assert.equal(firstIndex(series), 14);
+  assertClose(series.slice(14), [
+    70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+    54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79
+  ], 0.005, 'rsi');
+});
+
+test('EMA começa pela SMA e segue a planilha da StockCharts', () => {
+  const series = indicators.ema(EMA_CLOSES, 10);
+
+  assert.equal(firstIndex(series), 9);
+  // A planilha arredonda os valores intermediários, daí a tolerância de um centavo
+  assertClose(series.slice(9), [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+  ], 0.01, 'ema');
+});
+
+test('MACD é EMA12 - EMA26 com sinal EMA9 da linha (EMAs do TA-Lib)', () => {
+  const { macdLine, signalLine, histogram } = indicators.macd(CLOSES);
+
+  assert.equal(firstIndex(macdLine), 25);
+  assert.equal(firstIndex(signalLine), 33);
+  assertClose(macdLine.slice(-3), [0.6429, 0.6652, 0.6273], 5e-5, 'macd');
+  assertClose(signalLine.slice(-3), [0.7941, 0.7684, 0.7401], 5e-5, 'sinal');
+  assert.ok(Math.abs(histogram.at(-1) - (macdLine.at(-1) - signalLine.at(-1))) < 1e-12);
+});
+
+test('ATR, ADX e DIs de Wilder batem com o TA-Lib', () => {
+  const atr = indicators.atr(CANDLES, 14);
+  const { adx, plusDI, minusDI } = indicators.adx(CANDLES, 14);
+
+  assert.equal(firstIndex(atr), 14);
+  assert.equal(firstIndex(plusDI), 14);
+  assert.equal(firstIndex(adx), 27);
+  assertClose(atr.slice(-3), [1.6212, 1.5882, 1.5669], 5e-5, 'atr');
+  assertClose(adx.slice(-3), [30.2614, 30.3457, 29.8183], 5e-5, 'adx');
+  assertClose(plusDI.slice(-3), [17.6494, 16.7228, 15.7336], 5e-5, '+di');
+  assertClose(minusDI.slice(-3), [9.2058, 8.7225, 9.8574], 5e-5, '-di');
+});
+
+test('estocástico rápido, CCI e Williams %R batem com o TA-Lib', () => {
+  const { k, d } = indicators.stochastic(CANDLES, 14, 1, 3);
+
+  assert.equal(firstIndex(k), 13);
+  assert.equal(firstIndex(d), 15);
+  assertClose(k.slice(-3), [73.9264, 78.5276, 60.1227], 5e-5, '%k');
+  assertClose(d.slice(-3), [60.9498, 69.0744, 70.8589], 5e-5, '%d');
+  assertClose(indicators.cci(CANDLES, 20).slice(-3), [147.4407, 137.2887, 52.6316], 5e-5, 'cci');
+  assertClose(indicators.williamsR(CANDLES, 14).slice(-3), [-26.0736, -21.4724, -39.8773], 5e-5, 'williamsR');
+});
+
+test('update e peek dos incrementais reproduzem as séries completas', () => {
+  const series = indicators.calculateSeries(CANDLES);
+  const cases = [
+    ['sma20', () => new SMA(20), CLOSES, series.sma20],
+    ['ema12', () => new EMA(12), CLOSES, series.ema12],
+    ['rsi', () => new RSI(14), CLOSES, series.rsi],
+    ['macd', () => new MACD(), CLOSES, series.macd.histogram, value => value?.histogram ?? null],
+    ['bollinger', () => new BollingerBands(), CLOSES, series.bollingerBands.percentB, value => value?.percentB ?? null],
+    ['atr', () => new ATR(14), CANDLES, series.atr],
+    ['stochastic', () => new Stochastic(14, 1, 3), CANDLES, series.stochastic.k, value => value?.k ?? null],
+    ['adx', () => new ADX(14), CANDLES, series.adx.adx, value => value?.adx ?? null],
+    ['vwap', () => new VWAP(), CANDLES, series.vwap],
+    ['obv', () => new OBV(), CANDLES, series.obv],
+    ['cci', () => new CCI(20), CANDLES, series.cci],
+    ['williamsR', () => new WilliamsR(14), CANDLES, series.williamsR]
+  ];
+
+  cases.forEach(([label, create, inputs, expected, pick = value => value]) => {
+    const indicator = create();
+    inputs.forEach((input, i) => {
+      // Uma vela em formação qualquer, avaliada e descartada antes da real
+      const forming = typeof input === 'number' ? input * 1.01 : { ...input, close: input.high };
+      indicator.peek(forming);
+
+      const peeked = pick(indicator.peek(input));
+      const updated = pick(indicator.update(input));
+      assert.equal(peeked, updated, `${label}: peek ≠ update na posição ${i}`);
+      assert.equal(updated, expected[i], `${label}: incremental ≠ série na posição ${i}`);
+    });
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * Indicadores incrementais: cada `update` recebe um valor novo (preço ou
+ * vela) e devolve o valor atual do indicador, ou `null` enquanto não há
+ * dados suficientes.
+ *
+ * O cálculo fica em `step(state, input)`, que não altera o estado recebido.
+ * Assim `peek` consegue avaliar a vela ainda aberta sem afetar o histórico,
+ * e os indicadores compostos (MACD, Stochastic) reaproveitam os simples.
+ *
+ * Convenções (as mesmas do TA-Lib):
+ * - EMA começa com a SMA dos primeiros `period` valores;
+ * - RSI, ATR e ADX usam a suavização de Wilder;
+ * - MACD é a diferença das duas EMAs acima, cada uma com a própria semente
+ *   (o MACD do TA-Lib atrasa a semente da rápida para alinhar com a lenta);
+ * - desvio padrão das Bollinger Bands é populacional.
+ */
+class StreamingIndicator {
+  constructor() {
+    this.reset();
+  }
+
+  // O estado inicial é criado no primeiro uso, depois que a subclasse
+  // terminou de configurar seus parâmetros
+  reset() {
+    this.state = null;
+    this.value = null;
+  }
+
+  update(input) {
+    const { state, value } = this.step(this.state || this.initialState(), input);
+    this.state = state;
+    this.value = value;
+    return value;
+  }
+
+  // Valor que o indicador teria com `input`, sem registrá-lo
+  peek(input) {
+    return this.step(this.state || this.initialState(), input).value;
+  }
+}
+
+// Janela deslizante dos últimos `size` valores
+function pushWindow(window, value, size) {
+  const next = window.length >= size ? window.slice(1) : window.slice();
+  next.push(value);
+  return next;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function trueRange(candle, prevClose) {
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - prevClose),
+    Math.abs(candle.low - prevClose)
+  );
+}
+
+class SMA extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { window: [] };
+  }
+
+  step(state, value) {
+    const window = pushWindow(state.window, value, this.period);
+    return {
+      state: { window },
+      value: window.length === this.period ? mean(window) : null
+    };
+  }
+}
+
+class EMA extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+  }
+
+  initialState() {
+    return { count: 0, sum: 0, ema: null };
+  }
+
+  step(state, value) {
+    const count = state.count + 1;
+
+    if (count < this.period) {
+      return { state: { count, sum: state.sum + value, ema: null }, value: null };
+    }
+
+    const ema = count === this.period
+      ? (state.sum + value) / this.period
+      : (value - state.ema) * this.multiplier + state.ema;
+
+    return { state: { count, sum: 0, ema }, value: ema };
+  }
+}
+
+class RSI extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { prev: null, count: 0, avgGain: 0, avgLoss: 0 };
+  }
+
+  step(state, value) {
+    if (state.prev === null) {
+      return { state: { ...state, prev: value }, value: null };
+    }
+
+    const change = value - state.prev;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    const count = state.count + 1;
+
+    let avgGain;
+    let avgLoss;
+    if (count <= this.period) {
+      // Média simples das primeiras variações (guardada como média parcial)
+      avgGain = state.avgGain + gain / this.period;
+      avgLoss = state.avgLoss + loss / this.period;
+    } else {
+      avgGain = (state.avgGain * (this.period - 1) + gain) / this.period;
+      avgLoss = (state.avgLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    const next = { prev: value, count, avgGain, avgLoss };
+    if (count < this.period) return { state: next, value: null };
+
+    let rsi;
+    if (avgLoss === 0) rsi = avgGain === 0 ? 50 : 100;
+    else rsi = 100 - 100 / (1 + avgGain / avgLoss);
+
+    return { state: next, value: rsi };
+  }
+}
+
+class MACD extends StreamingIndicator {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    super();
+    this.fast = new EMA(fastPeriod);
+    this.slow = new EMA(slowPeriod);
+    this.signal = new EMA(signalPeriod);
+  }
+
+  initialState() {
+    return {
+      fast: this.fast.initialState(),
+      slow: this.slow.initialState(),
+      signal: this.signal.initialState()
+    };
+  }
+
+  step(state, value) {
+    const fast = this.fast.step(state.fast, value);
+    const slow = this.slow.step(state.slow, value);
+
+    if (fast.value === null || slow.value === null) {
+      return {
+        state: { fast: fast.state, slow: slow.state, signal: state.signal },
+        value: null
+      };
+    }
+
+    const macdLine = fast.value - slow.value;
+    const signal = this.signal.step(state.signal, macdLine);
+
+    return {
+      state: { fast: fast.state, slow: slow.state, signal: signal.state },
+      value: {
+        macdLine,
+        signalLine: signal.value,
+        histogram: signal.value !== null ? macdLine - signal.value : null
+      }
+    };
+  }
+}
+
+class BollingerBands extends StreamingIndicator {
+  constructor(period = 20, stdDev = 2) {
+    super();
+    this.period = period;
+    this.stdDev = stdDev;
+  }
+
+  initialState() {
+    return { window: [] };
+  }
+
+  step(state, value) {
+    const window = pushWindow(state.window, value, this.period);
+    if (window.length < this.period) return { state: { window }, value: null };
+
+    const middle = mean(window);
+    const deviation = Math.sqrt(window.reduce((sum, v) => sum + Math.pow(v - middle, 2), 0) / this.period);
+    const upper = middle + deviation * this.stdDev;
+    const lower = middle - deviation * this.stdDev;
+
+    return {
+      state: { window },
+      value: {
+        upper,
+        middle,
+        lower,
+        bandwidth: middle !== 0 ? (upper - lower) / middle : 0,
+        percentB: upper !== lower ? (value - lower) / (upper - lower) : 0.5
+      }
+    };
+  }
+}
+
+class ATR extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { prevClose: null, count: 0, atr: 0 };
+  }
+
+  step(state, candle) {
+    if (state.prevClose === null) {
+      return { state: { ...state, prevClose: candle.close }, value: null };
+    }
+
+    const tr = trueRange(candle, state.prevClose);
+    const count = state.count + 1;
+    const atr = count <= this.period
+      ? state.atr + tr / this.period
+      : (state.atr * (this.period - 1) + tr) / this.period;
+
+    return {
+      state: { prevClose: candle.close, count, atr },
+      value: count >= this.period ? atr : null
+    };
+  }
+}
+
+/**
+ * %K = posição do fechamento no range dos últimos `kPeriod` candles,
+ * suavizado por `kSmoothing` (1 = estocástico rápido); %D = SMA de %K.
+ */
+class Stochastic extends StreamingIndicator {
+  constructor(kPeriod = 14, kSmoothing = 1, dPeriod = 3) {
+    super();
+    this.kPeriod = kPeriod;
+    this.kSmooth = new SMA(kSmoothing);
+    this.d = new SMA(dPeriod);
+  }
+
+  initialState() {
+    return { highs: [], lows: [], k: this.kSmooth.initialState(), d: this.d.initialState() };
+  }
+
+  step(state, candle) {
+    const highs = pushWindow(state.highs, candle.high, this.kPeriod);
+    const lows = pushWindow(state.lows, candle.low, this.kPeriod);
+
+    if (highs.length < this.kPeriod) {
+      return { state: { ...state, highs, lows }, value: null };
+    }
+
+    const highest = Math.max(...highs);
+    const lowest = Math.min(...lows);
+    const rawK = highest !== lowest ? ((candle.close - lowest) / (highest - lowest)) * 100 : 50;
+
+    const k = this.kSmooth.step(state.k, rawK);
+    if (k.value === null) {
+      return { state: { highs, lows, k: k.state, d: state.d }, value: null };
+    }
+
+    const d = this.d.step(state.d, k.value);
+    return {
+      state: { highs, lows, k: k.state, d: d.state },
+      value: { k: k.value, d: d.value }
+    };
+  }
+}
+
+/**
+ * ADX com +DI/-DI (Wilder). Os DIs saem após `period` candles e o ADX após
+ * `2 * period - 1`.
+ */
+class ADX extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { prev: null, count: 0, tr: 0, plusDM: 0, minusDM: 0, dxCount: 0, dxSum: 0, adx: null };
+  }
+
+  step(state, candle) {
+    const current = { high: candle.high, low: candle.low, close: candle.close };
+    if (state.prev === null) {
+      return { state: { ...state, prev: current }, value: null };
+    }
+
+    const p = this.period;
+    const upMove = candle.high - state.prev.high;
+    const downMove = state.prev.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const tr = trueRange(candle, state.prev.close);
+    const count = state.count + 1;
+
+    // Soma de Wilder como no TA-Lib: acumula os primeiros `period - 1`
+    // valores e aplica S - S/p + x a partir do `period`-ésimo
+    const smooth = (previous, value) => (count < p ? previous + value : previous - previous / p + value);
+    const next = {
+      prev: current,
+      count,
+      tr: smooth(state.tr, tr),
+      plusDM: smooth(state.plusDM, plusDM),
+      minusDM: smooth(state.minusDM, minusDM),
+      dxCount: state.dxCount,
+      dxSum: state.dxSum,
+      adx: state.adx
+    };
+
+    if (count < p) return { state: next, value: null };
+
+    const plusDI = next.tr > 0 ? (next.plusDM / next.tr) * 100 : 0;
+    const minusDI = next.tr > 0 ? (next.minusDM / next.tr) * 100 : 0;
+    const diSum = plusDI + minusDI;
+    const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+
+    next.dxCount = state.dxCount + 1;
+    if (next.dxCount < p) {
+      next.dxSum = state.dxSum + dx;
+    } else if (next.dxCount === p) {
+      next.adx = (state.dxSum + dx) / p;
+    } else {
+      next.adx = (state.adx * (p - 1) + dx) / p;
+    }
+
+    return { state: next, value: { adx: next.adx, plusDI, minusDI } };
+  }
+}
+
+/**
+ * VWAP pelo preço típico, reiniciado a cada sessão. Com `sessionMs` (padrão
+ * um dia, em UTC) a sessão é definida pelo `timestamp` da vela; `null`
+ * acumula desde o início.
+ */
+class VWAP extends StreamingIndicator {
+  constructor(sessionMs = 24 * 60 * 60 * 1000) {
+    super();
+    this.sessionMs = sessionMs;
+  }
+
+  initialState() {
+    return { session: null, pv: 0, volume: 0 };
+  }
+
+  step(state, candle) {
+    const session = this.sessionMs ? Math.floor(candle.timestamp / this.sessionMs) : 0;
+    const base = session === state.session ? state : { session, pv: 0, volume: 0 };
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const volume = candle.volume || 0;
+    const next = { session, pv: base.pv + typical * volume, volume: base.volume + volume };
+
+    return { state: next, value: next.volume > 0 ? next.pv / next.volume : typical };
+  }
+}
+
+// OBV começando em zero: só a inclinação importa
+class OBV extends StreamingIndicator {
+  initialState() {
+    return { prevClose: null, obv: 0 };
+  }
+
+  step(state, candle) {
+    let obv = state.obv;
+    if (state.prevClose !== null) {
+      if (candle.close > state.prevClose) obv += candle.volume || 0;
+      else if (candle.close < state.prevClose) obv -= candle.volume || 0;
+    }
+    return { state: { prevClose: candle.close, obv }, value: obv };
+  }
+}
+
+class CCI extends StreamingIndicator {
+  constructor(period = 20) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { window: [] };
+  }
+
+  step(state, candle) {
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const window = pushWindow(state.window, typical, this.period);
+    if (window.length < this.period) return { state: { window }, value: null };
+
+    const average = mean(window);
+    const meanDeviation = window.reduce((sum, v) => sum + Math.abs(v - average), 0) / this.period;
+
+    return {
+      state: { window },
+      value: meanDeviation > 0 ? (typical - average) / (0.015 * meanDeviation) : 0
+    };
+  }
+}
+
+class WilliamsR extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { highs: [], lows: [] };
+  }
+
+  step(state, candle) {
+    const highs = pushWindow(state.highs, candle.high, this.period);
+    const lows = pushWindow(state.lows, candle.low, this.period);
+    if (highs.length < this.period) return { state: { highs, lows }, value: null };
+
+    const highest = Math.max(...highs);
+    const lowest = Math.min(...lows);
+
+    return {
+      state: { highs, lows },
+      value: highest !== lowest ? ((highest - candle.close) / (highest - lowest)) * -100 : -50
+    };
+  }
+}
+
+module.exports = {
+  StreamingIndicator,
+  SMA,
+  EMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  Stochastic,
+  ADX,
+  VWAP,
+  OBV,
+  CCI,
+  WilliamsR
+};
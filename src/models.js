@@ -0,0 +1,104 @@
+const dotenv = require('dotenv');
+const DatabaseManager = require('./utils/DatabaseManager');
+const ModelRegistry = require('./ai-engine/ModelRegistry');
+const { parseArgs } = require('./utils/cli');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+/**
+ * Uso:
+ *   node src/models.js list [--pair ALL] [--limit 20]
+ *   node src/models.js promote --version <versão> [--pair ALL]
+ *   node src/models.js rollback [--pair ALL]
+ *   node src/models.js reliability [--version <versão>] [--pair ALL] [--payout 0.85]
+ *
+ * O sistema em execução carrega a versão ativa ao iniciar.
+ */
+async function main() {
+  const command = process.argv[2];
+  const args = parseArgs(process.argv.slice(3));
+  const pair = args.pair || ModelRegistry.GLOBAL_PAIR;
+  const registry = new ModelRegistry(new DatabaseManager());
+
+  switch (command) {
+    case 'list': {
+      const versions = await registry.list(pair, parseInt(args.limit) || 20);
+      console.log(`📦 Versões de modelo de ${pair}:`);
+      versions.forEach(v => {
+        const validation = v.metrics?.validation || {};
+        const accuracy = validation.accuracy !== undefined && validation.accuracy !== null ? `${(validation.accuracy * 100).toFixed(2)}%` : 'n/d';
+        const logLoss = validation.logLoss !== undefined ? validation.logLoss.toFixed(4) : 'n/d';
+        console.log(`   ${v.is_active ? '★' : ' '} ${v.version} ${v.model_type} criado ${v.created_at} | dados ${v.data_from} → ${v.data_to} | acurácia ${accuracy}, log-loss ${logLoss}`);
+      });
+      if (versions.length === 0) console.log('   Nenhuma versão registrada');
+      break;
+    }
+    case 'promote': {
+      if (!args.version || args.version === true) {
+        console.error('❌ Informe a versão com --version');
+        process.exit(1);
+      }
+      const model = await registry.promote(pair, args.version);
+      console.log(`🚀 Versão ${model.version} (${model.modelType}) ativada para ${pair}`);
+      break;
+    }
+    case 'rollback': {
+      const model = await registry.rollback(pair);
+      console.log(`⏪ ${pair} voltou para a versão ${model.version} (${model.modelType})`);
+      break;
+    }
+    case 'reliability': {
+      const model = args.version && args.version !== true
+        ? await registry.databaseManager.getModelVersion(args.version)
+        : await registry.databaseManager.getActiveModel(pair);
+      if (!model) throw new Error(`Versão não encontrada para ${pair}`);
+
+      const calibration = model.metrics?.calibration;
+      if (!calibration) {
+        console.log(`⚠️ Versão ${model.version} não tem relatório de calibração`);
+        break;
+      }
+
+      const payout = parseFloat(args.payout) || parseFloat(process.env.BACKTEST_PAYOUT) || 0.85;
+      const percent = value => `${(value * 100).toFixed(1)}%`;
+      const print = buckets => buckets.forEach(b => {
+        const marker = b.observed >= 1 / (1 + payout) ? '✅' : '  ';
+        console.log(`   ${marker} ${b.from}-${b.to}%: prevista ${percent(b.predicted)}, observada ${percent(b.observed)} (${b.count} previsões)`);
+      });
+
+      console.log(`🎯 Confiabilidade da versão ${model.version} (calibração ${calibration.method}, ${calibration.evaluationSamples} previsões fora da amostra)`);
+      console.log(`   Log-loss: ${calibration.rawLogLoss.toFixed(4)} sem calibração, ${calibration.calibratedLogLoss.toFixed(4)} calibrado`);
+      console.log(`   Empate técnico com payout ${payout}: ${percent(1 / (1 + payout))}`);
+      console.log('   Geral:');
+      print(calibration.buckets);
+      Object.entries(calibration.byPair || {}).forEach(([name, buckets]) => {
+        const own = (calibration.pairCalibrators || []).includes(name) ? 'calibrador próprio' : 'calibrador global';
+        console.log(`   ${name} (${own}):`);
+        print(buckets);
+      });
+
+      // Número comparado com SIGNAL_CONFIDENCE_THRESHOLD: probabilidade calibrada da cor escolhida pelo ensemble
+      const signals = model.metrics?.confidenceReliability;
+      if (signals) {
+        console.log(`🗳️ Confiança dos sinais (cor do ensemble, ${signals.samples} votos fora da amostra):`);
+        print(signals.buckets);
+        Object.entries(signals.byPair || {}).forEach(([name, buckets]) => {
+          console.log(`   ${name}:`);
+          print(buckets);
+        });
+      }
+      break;
+    }
+    default:
+      console.error('❌ Comando inválido: use list, promote, rollback ou reliability');
+      process.exit(1);
+  }
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Erro fatal no registro de modelos:', error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+const dotenv = require('dotenv');
+const DataValidator = require('./data-collectors/DataValidator');
+const DatabaseManager = require('./utils/DatabaseManager');
+const { parseArgs } = require('./utils/cli');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+/**
+ * Uso:
+ *   node src/quality-report.js [--hours 24] [--pairs SOLUSDT,ETHUSDT] [--interval 1m]
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const hours = parseFloat(args.hours) || 24;
+  const pairs = (args.pairs || process.env.TRADING_PAIRS).split(',');
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const databaseManager = new DatabaseManager();
+  const validator = new DataValidator();
+
+  for (const pair of pairs) {
+    const rows = await databaseManager.getMarketDataSince(pair, since);
+    const report = validator.buildQualityReport(pair, rows, args.interval || '1m');
+    report.quarantined = await databaseManager.getQuarantineCounts(pair, since);
+
+    console.log(`📋 Qualidade dos dados de ${pair} (últimas ${hours}h):`);
+    console.log(`   Registros: ${report.records} (${report.flagged} sinalizados, ${report.quarantined.total} em quarentena)`);
+    console.log(`   Intervalos faltando: ${report.missingIntervals} em ${report.gaps.length} lacunas`);
+    console.log(`   Duplicados: ${report.duplicates}`);
+    console.log(`   Outliers: ${report.outliers}`);
+    console.log(`   Último registro: ${report.stalenessSeconds !== null ? `${report.stalenessSeconds}s atrás` : 'nenhum'}`);
+    if (Object.keys(report.flagsByCode).length > 0) {
+      console.log(`   Sinalizações: ${JSON.stringify(report.flagsByCode)}`);
+    }
+    if (report.quarantined.total > 0) {
+      console.log(`   Quarentena: ${JSON.stringify(report.quarantined.byCode)}`);
+    }
+  }
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Erro fatal no relatório de qualidade:', error);
+  process.exit(1);
+});
@@ -1,13 +1,109 @@
 const AIEngine = require('../ai-engine/AIEngine');
+const SwingDetector = require('../data-collectors/SwingDetector');
 const DatabaseManager = require('../utils/DatabaseManager');
+const { getNextCandle } = require('../utils/timeframes');
+
+/**
+ * Estratégias que cada regime de mercado permite e as cores aceitas:
+ * - `pullback_continuation`: retomada do impulso depois de um pullback válido;
+ * - `sr_reversal`: rejeição de suporte (GREEN) ou resistência (RED);
+ * - `sr_breakout`: rompimento de resistência (GREEN) ou suporte (RED).
+ *
+ * As estratégias podem ser sobrescritas por regime com
+ * `REGIME_STRATEGIES_<REGIME>` (ex.: `REGIME_STRATEGIES_RANGING=sr_reversal`).
+ * Registros sem regime (`unknown`) não restringem nada.
+ */
+const REGIME_RULES = {
+  trending_up: { strategies: ['pullback_continuation', 'sr_breakout'], colors: ['GREEN'] },
+  trending_down: { strategies: ['pullback_continuation', 'sr_breakout'], colors: ['RED'] },
+  ranging: { strategies: ['sr_reversal'], colors: ['GREEN', 'RED'] },
+  high_volatility: { strategies: [], colors: [] },
+  dead: { strategies: [], colors: [] },
+  unknown: { strategies: ['pullback_continuation', 'sr_reversal', 'sr_breakout'], colors: ['GREEN', 'RED'] }
+};
+
+// Nomes das features nas razões dos sinais; as demais aparecem pela chave
+const FEATURE_LABELS = {
+  'technical.rsi': 'RSI',
+  'technical.rsiSlope': 'inclinação do RSI',
+  'technical.adx': 'ADX',
+  'technical.adxSlope': 'inclinação do ADX',
+  'technical.plusDI': '+DI',
+  'technical.minusDI': '-DI',
+  'technical.stochasticK': 'estocástico %K',
+  'technical.stochasticD': 'estocástico %D',
+  'technical.stochasticCross': 'cruzamento do estocástico',
+  'technical.cci': 'CCI',
+  'technical.williamsR': 'Williams %R',
+  'technical.vwapDistance': 'distância da VWAP',
+  'technical.priceToSma20': 'preço/SMA20',
+  'technical.priceToSma50': 'preço/SMA50',
+  'technical.emaSpread': 'spread EMA12/EMA26',
+  'technical.emaCross': 'cruzamento das EMAs',
+  'technical.macd': 'MACD',
+  'technical.macdCross': 'cruzamento do MACD',
+  'technical.macdHistogramPct': 'histograma do MACD',
+  'technical.macdHistogramSlope': 'inclinação do histograma do MACD',
+  'technical.bollingerPercentB': 'Bollinger %B',
+  'technical.bollingerBandwidth': 'largura das Bollinger',
+  'technical.atrPct': 'ATR/preço',
+  'priceAction.bodyRatio': 'corpo da vela',
+  'priceAction.bullishPatternScore': 'padrões de alta',
+  'priceAction.bearishPatternScore': 'padrões de baixa',
+  'priceAction.strongestPatternStrength': 'força do padrão',
+  'priceAction.patterns': 'padrão',
+  'pullback.trend': 'tendência',
+  'pullback.hasValidPullback': 'pullback válido',
+  'pullback.status': 'pullback',
+  'pullback.retracement': 'retração do pullback',
+  'pullback.fibLevel': 'Fibonacci do pullback',
+  'pullback.candlesSince': 'velas desde o pivô',
+  'pullback.impulseSizePct': 'tamanho do impulso',
+  'supportResistance.interaction': 'interação com S/R',
+  'supportResistance.interactionZone': 'zona de S/R',
+  'supportResistance.supportDistanceAtr': 'distância do suporte (ATR)',
+  'supportResistance.resistanceDistanceAtr': 'distância da resistência (ATR)',
+  'regime.regime': 'regime',
+  'regime.atrPercentile': 'percentil do ATR',
+  'regime.bandwidthPercentile': 'percentil da largura das Bollinger',
+  'regime.efficiencyRatio': 'efficiency ratio',
+  'regime.hurst': 'expoente de Hurst',
+  'multiTimeframe.htfTrend': 'tendência no timeframe maior',
+  'multiTimeframe.htfRsi': 'RSI no timeframe maior',
+  'orderFlow.imbalance5': 'desequilíbrio do book',
+  'orderFlow.micropriceOffsetBps': 'microprice (bps)',
+  'orderFlow.bidWallDistanceBps': 'muro de compra (bps)',
+  'orderFlow.askWallDistanceBps': 'muro de venda (bps)',
+  'orderFlow.takerBuyRatio': 'agressão compradora',
+  'orderFlow.takerBuyRatio5': 'agressão compradora (5 velas)',
+  'market.priceChange24h': 'variação em 24h',
+  'market.volatility': 'volatilidade em 24h',
+  'derived.priceMomentum': 'momentum',
+  'derived.volumeTrend': 'tendência do volume',
+  'derived.priceVolatility': 'volatilidade',
+  'derived.trendStrength': 'força da tendência'
+};
 
 class SignalGenerator {
-  constructor() {
-    this.aiEngine = new AIEngine();
+  /**
+   * `aiEngine` permite compartilhar um motor já treinado (ex.: backtest);
+   * `logger` recebe as mensagens de rejeição de cada sinal.
+   */
+  constructor(options = {}) {
+    this.aiEngine = options.aiEngine || new AIEngine();
     this.databaseManager = new DatabaseManager();
+    this.logger = options.logger || console;
     this.isRunning = false;
     this.confidenceThreshold = parseInt(process.env.SIGNAL_CONFIDENCE_THRESHOLD) || 85;
     this.pullbackAnalysisDepth = parseInt(process.env.PULLBACK_ANALYSIS_DEPTH) || 20;
+    this.excludeFlaggedData = process.env.EXCLUDE_FLAGGED_DATA === 'true';
+    // Zona contrária mais forte que isso, a menos de meio ATR, bloqueia o sinal
+    this.blockingZoneStrength = parseFloat(process.env.SR_BLOCKING_STRENGTH) || 0.6;
+    this.swingDetector = new SwingDetector();
+    // Segundos depois da abertura da vela alvo em que a entrada ainda vale
+    this.entryGraceSeconds = parseInt(process.env.SIGNAL_ENTRY_GRACE_SECONDS) || 0;
+    // Abertura da última vela alvo com sinal, por par
+    this.signalTargets = new Map();
   }
 
   async start() {
@@ -22,47 +118,100 @@ class SignalGenerator {
     console.log('✅ Gerador de sinais parado');
   }
 
-  async generateSignal(pair, marketData) {
+  /**
+   * `targetCandle` é a vela em que a entrada vale (ver SignalScheduler); sem
+   * ela, vale a próxima vela do timeframe dos dados. Cada par recebe no
+   * máximo um sinal por vela alvo. `now` é o horário da decisão (o relógio
+   * simulado no backtest).
+   */
+  async generateSignal(pair, marketData, targetCandle = null, now = Date.now()) {
     try {
       if (!this.isRunning) {
-        console.log('⚠️ Gerador de sinais não está rodando');
+        this.logger.log('⚠️ Gerador de sinais não está rodando');
+        return null;
+      }
+
+      // Modelo do par suspenso por deriva (ver DriftMonitor)
+      const suspension = this.aiEngine.getSuspension(pair);
+      if (suspension) {
+        this.logger.log(`⏸️ Sinais de ${pair} suspensos com o modelo ${suspension.version}: ${suspension.reason}`);
+        return null;
+      }
+
+      const target = this.buildTarget(targetCandle || this.getDefaultTarget(marketData, now));
+      if (this.signalTargets.get(pair) === target.openTime) {
+        this.logger.log(`⚠️ ${pair} já tem sinal para a vela de ${target.openTime}`);
         return null;
       }
 
       // Verificar se há dados suficientes
       if (!marketData || marketData.length < this.pullbackAnalysisDepth) {
-        console.log(`⚠️ Dados insuficientes para ${pair}`);
+        this.logger.log(`⚠️ Dados insuficientes para ${pair}`);
         return null;
       }
 
-      // Analisar pullbacks primeiro (foco principal)
-      const pullbackAnalysis = this.analyzePullbacks(marketData);
-      if (!pullbackAnalysis.hasValidPullback) {
-        console.log(`⚠️ Nenhum pullback válido encontrado para ${pair}`);
+      if (this.excludeFlaggedData && this.hasFlaggedData(marketData)) {
+        this.logger.log(`⚠️ Dados recentes de ${pair} sinalizados pela validação, sinal suspenso`);
+        return null;
+      }
+
+      // Regime atual decide quais estratégias podem gerar sinal
+      const regime = this.getCurrentRegime(marketData);
+      const rules = this.getRegimeRules(regime);
+      if (rules.strategies.length === 0) {
+        this.logger.log(`⚠️ Regime ${regime} em ${pair}: sinais suspensos`);
         return null;
       }
 
+      // Analisar pullbacks primeiro (foco principal)
+      const pullbackAnalysis = this.analyzePullbacks(marketData);
+
       // Extrair features para IA
-      const features = this.extractSignalFeatures(marketData, pullbackAnalysis);
+      const features = this.extractSignalFeatures(marketData);
+      if (!features) {
+        this.logger.log(`⚠️ Não foi possível extrair features para ${pair}`);
+        return null;
+      }
       
-      // Obter predição da IA
-      const prediction = this.aiEngine.predict(features);
-      const confidence = await this.aiEngine.getConfidence(features);
+      // Setups presentes entre as estratégias permitidas
+      const setups = this.findSetups(rules, pullbackAnalysis, features);
+      if (setups.length === 0) {
+        this.logger.log(`⚠️ Nenhum setup permitido no regime ${regime} para ${pair}`);
+        return null;
+      }
+      
+      // Obter predição da IA (votos do modelo do par e das heurísticas)
+      const decision = this.aiEngine.vote(features, pair);
+      const prediction = decision.color;
+      const confidence = decision.confidence;
       
       // Verificar se a confiança é suficiente
       if (confidence < this.confidenceThreshold) {
-        console.log(`⚠️ Confiança insuficiente para ${pair}: ${confidence}%`);
+        this.logger.log(`⚠️ Confiança insuficiente para ${pair}: ${confidence}%`);
+        return null;
+      }
+      
+      // A predição precisa seguir um dos setups
+      const setup = setups.find(s => s.color === prediction);
+      if (!setup) {
+        this.logger.log(`⚠️ Predição ${prediction} sem setup correspondente para ${pair} (regime ${regime})`);
         return null;
       }
 
+      // Features que mais pesaram na previsão
+      const explanation = this.aiEngine.explain(features, pair);
+      const model = this.aiEngine.getModel(pair);
+
       // Gerar sinal
       const signal = {
         pair,
         type: 'NEXT_CANDLE_COLOR',
         color: prediction,
         confidence,
-        reason: this.generateReason(pullbackAnalysis, features, prediction),
+        reason: this.generateReason(explanation, prediction),
         technicalAnalysis: {
+          strategy: setup.strategy,
+          regime,
           pullbackAnalysis,
           features: this.sanitizeFeatures(features),
           indicators: this.extractIndicators(marketData)
@@ -70,18 +219,39 @@ class SignalGenerator {
         aiAnalysis: {
           prediction,
           confidence,
-          weights: this.aiEngine.weights,
-          modelVersion: this.aiEngine.model?.version || '1.0.0'
+          modelType: model?.type || 'rules',
+          modelVersion: model?.version || 'rules',
+          // Par do modelo usado; `ALL` é o global
+          modelPair: model?.pair || null,
+          calibration: model?.calibrator?.method || 'none',
+          // Ajuste online aplicado sobre a versão (ver OnlineLearner)
+          onlineUpdate: model?.online?.updatedAt || null,
+          // Voto de cada estratégia, com a acurácia no par e o peso na decisão
+          ensemble: {
+            probability: Math.round(decision.probability * 10000) / 10000,
+            votes: decision.votes
+          },
+          explanation
         },
-        timestamp: new Date().toISOString()
+        // Features sem arredondamento, para o registro de aprendizado
+        features,
+        target,
+        timestamp: new Date(now).toISOString()
       };
 
+      // O pipeline pode ter passado do prazo de entrada
+      if (now > new Date(target.entryDeadline).getTime()) {
+        this.logger.log(`⚠️ Sinal de ${pair} passou do prazo de entrada (${target.entryDeadline})`);
+        return null;
+      }
+
       // Validar sinal com regras adicionais
-      if (this.validateSignal(signal, marketData)) {
-        console.log(`🎯 Sinal gerado para ${pair}: ${prediction} (${confidence}%)`);
+      if (this.validateSignal(signal, marketData, now)) {
+        this.signalTargets.set(pair, target.openTime);
+        this.logger.log(`🎯 Sinal gerado para ${pair}: ${prediction} (${confidence}%) para a vela de ${target.openTime}`);
         return signal;
       } else {
-        console.log(`❌ Sinal rejeitado pela validação para ${pair}`);
+        this.logger.log(`❌ Sinal rejeitado pela validação para ${pair}`);
         return null;
       }
 
@@ -91,216 +261,135 @@ class SignalGenerator {
     }
   }
 
-  analyzePullbacks(marketData) {
-    const prices = marketData.map(d => d.price);
-    const volumes = marketData.map(d => d.volume || 0);
-    
-    // Encontrar picos e vales
-    const peaks = this.findPeaks(prices);
-    const valleys = this.findValleys(prices);
-    
-    // Analisar pullbacks
-    const pullbacks = this.identifyPullbacks(peaks, valleys, prices);
-    
-    // Calcular métricas de pullback
-    const metrics = this.calculatePullbackMetrics(pullbacks, prices, volumes);
-    
+  // Verifica a janela mais recente usada na análise
+  hasFlaggedData(marketData) {
+    const recent = [...marketData]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, this.pullbackAnalysisDepth);
+    return recent.some(item => item.is_flagged);
+  }
+
+  getDefaultTarget(marketData, now = Date.now()) {
+    const interval = this.getLatestRecord(marketData)?.technical_indicators?.interval || '1m';
+    return getNextCandle(now, interval);
+  }
+
+  // Vela alvo com horários em ISO e o prazo para a entrada
+  buildTarget(candle) {
     return {
-      hasValidPullback: pullbacks.length > 0 && metrics.avgDepth > 0.02, // > 2%
-      pullbacks,
-      metrics,
-      peaks: peaks.length,
-      valleys: valleys.length,
-      trend: this.determineTrend(prices),
-      strength: this.calculatePullbackStrength(pullbacks, prices)
+      interval: candle.interval,
+      openTime: new Date(candle.openTime).toISOString(),
+      closeTime: new Date(candle.closeTime).toISOString(),
+      entryDeadline: new Date(candle.openTime + this.entryGraceSeconds * 1000).toISOString()
     };
   }
 
-  findPeaks(prices) {
-    const peaks = [];
-    for (let i = 1; i < prices.length - 1; i++) {
-      if (prices[i] > prices[i-1] && prices[i] > prices[i+1]) {
-        peaks.push({ index: i, price: prices[i] });
-      }
-    }
-    return peaks;
+  getLatestRecord(marketData) {
+    return [...marketData].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
   }
 
-  findValleys(prices) {
-    const valleys = [];
-    for (let i = 1; i < prices.length - 1; i++) {
-      if (prices[i] < prices[i-1] && prices[i] < prices[i+1]) {
-        valleys.push({ index: i, price: prices[i] });
-      }
-    }
-    return valleys;
+  // Regime do registro mais recente
+  getCurrentRegime(marketData) {
+    const latest = this.getLatestRecord(marketData);
+    return latest?.regime || latest?.technical_indicators?.regime?.regime || 'unknown';
   }
 
-  identifyPullbacks(peaks, valleys, prices) {
-    const pullbacks = [];
-    
-    for (let i = 0; i < peaks.length - 1; i++) {
-      const peak = peaks[i];
-      const nextPeak = peaks[i + 1];
-      
-      // Encontrar vale entre os picos
-      const valleyBetween = valleys.find(v => v.index > peak.index && v.index < nextPeak.index);
-      
-      if (valleyBetween) {
-        const pullbackDepth = (peak.price - valleyBetween.price) / peak.price;
-        const recovery = (nextPeak.price - valleyBetween.price) / valleyBetween.price;
-        
-        pullbacks.push({
-          startIndex: peak.index,
-          valleyIndex: valleyBetween.index,
-          endIndex: nextPeak.index,
-          peakPrice: peak.price,
-          valleyPrice: valleyBetween.price,
-          nextPeakPrice: nextPeak.price,
-          depth: pullbackDepth,
-          recovery: recovery,
-          strength: this.calculatePullbackStrength([{
-            startIndex: peak.index,
-            valleyIndex: valleyBetween.index,
-            endIndex: nextPeak.index
-          }], prices)
-        });
-      }
-    }
-    
-    return pullbacks;
+  getRegimeRules(regime) {
+    const rules = REGIME_RULES[regime] || REGIME_RULES.unknown;
+    const override = process.env[`REGIME_STRATEGIES_${regime.toUpperCase()}`];
+    if (!override) return rules;
+    return { ...rules, strategies: override.split(',').map(s => s.trim()).filter(Boolean) };
   }
 
-  calculatePullbackMetrics(pullbacks, prices, volumes) {
-    if (pullbacks.length === 0) {
-      return {
-        avgDepth: 0,
-        avgRecovery: 0,
-        maxDepth: 0,
-        minDepth: 0,
-        successRate: 0
-      };
-    }
-
-    const depths = pullbacks.map(p => p.depth);
-    const recoveries = pullbacks.map(p => p.recovery);
-    
-    return {
-      avgDepth: depths.reduce((a, b) => a + b, 0) / depths.length,
-      avgRecovery: recoveries.reduce((a, b) => a + b, 0) / recoveries.length,
-      maxDepth: Math.max(...depths),
-      minDepth: Math.min(...depths),
-      successRate: recoveries.filter(r => r > 0.5).length / recoveries.length
+  /**
+   * Estratégias permitidas cujo setup está presente, com a cor que cada uma
+   * pede. Setups de cor não aceita pelo regime são descartados.
+   */
+  findSetups(rules, pullbackAnalysis, features) {
+    const sr = features.supportResistance || {};
+    const colorOf = strategy => {
+      switch (strategy) {
+        case 'pullback_continuation':
+          if (!pullbackAnalysis.hasValidPullback) return null;
+          return pullbackAnalysis.impulse.direction === 'up' ? 'GREEN' : 'RED';
+        case 'sr_reversal':
+          if (sr.interaction !== 'rejecting') return null;
+          return sr.interactionZone === 'support' ? 'GREEN' : 'RED';
+        case 'sr_breakout':
+          if (sr.interaction !== 'breaking') return null;
+          return sr.interactionZone === 'resistance' ? 'GREEN' : 'RED';
+        default:
+          return null;
+      }
     };
+
+    return rules.strategies
+      .map(strategy => ({ strategy, color: colorOf(strategy) }))
+      .filter(setup => setup.color && rules.colors.includes(setup.color));
   }
 
-  calculatePullbackStrength(pullbacks, prices) {
-    if (pullbacks.length === 0) return 0;
-    
-    const strengths = pullbacks.map(pullback => {
-      const startPrice = prices[pullback.startIndex];
-      const valleyPrice = prices[pullback.valleyIndex];
-      const endPrice = prices[pullback.endIndex];
-      
-      const depth = (startPrice - valleyPrice) / startPrice;
-      const recovery = (endPrice - valleyPrice) / valleyPrice;
-      
-      return depth * recovery; // Força = Profundidade × Recuperação
-    });
+  /**
+   * Mesmo detector de swings da coleta, aplicado à sequência de registros
+   * (uma vela por registro, com a máxima/mínima armazenada).
+   */
+  analyzePullbacks(marketData) {
+    const candles = [...marketData]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(d => ({
+        timestamp: new Date(d.timestamp).getTime(),
+        open: parseFloat(d.open ?? d.price),
+        high: parseFloat(d.high ?? d.price),
+        low: parseFloat(d.low ?? d.price),
+        close: parseFloat(d.close ?? d.price),
+        volume: parseFloat(d.volume || 0)
+      }));
     
-    return strengths.reduce((a, b) => a + b, 0) / strengths.length;
+    return this.swingDetector.analyze(candles);
   }
 
-  determineTrend(prices) {
-    if (prices.length < 10) return 'neutral';
-    
-    const first = prices[0];
-    const last = prices[prices.length - 1];
-    const change = (last - first) / first;
-    
-    if (change > 0.05) return 'strong_uptrend';
-    if (change > 0.02) return 'uptrend';
-    if (change < -0.05) return 'strong_downtrend';
-    if (change < -0.02) return 'downtrend';
-    return 'sideways';
+  // Mesmas features do treinamento, sobre a janela mais recente em ordem cronológica
+  extractSignalFeatures(marketData) {
+    const sequence = [...marketData]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-this.aiEngine.sequenceLength);
+    return this.aiEngine.featurePipeline.extract(sequence);
   }
 
-  extractSignalFeatures(marketData, pullbackAnalysis) {
-    const latest = marketData[marketData.length - 1];
-    const features = {
-      pullback: pullbackAnalysis,
-      technical: {},
-      priceAction: {},
-      market: {}
-    };
+  /**
+   * Razão do sinal a partir da explicação do `AIEngine`: as features que
+   * mais pesaram a favor da cor prevista e, se houver, contra ela, com a
+   * contribuição de cada uma na direção da previsão.
+   */
+  generateReason(explanation, prediction) {
+    const toward = c => (prediction === 'GREEN' ? c.contribution : -c.contribution);
+    const describe = c => `${this.describeFeature(c.feature, c.value)} (${toward(c) > 0 ? '+' : ''}${toward(c).toFixed(2)})`;
+    const favoring = explanation.contributors.filter(c => c.favors === prediction);
+    const against = explanation.contributors.filter(c => c.favors !== prediction);
 
-    // Extrair indicadores técnicos
-    if (latest.technical_indicators) {
-      features.technical = {
-        rsi: latest.technical_indicators.rsi || 50,
-        macd: latest.technical_indicators.macd || {},
-        bollingerBands: latest.technical_indicators.bollingerBands || {},
-        sma: latest.technical_indicators.sma20 || 0,
-        ema: latest.technical_indicators.ema12 || 0
-      };
-    }
+    const parts = [];
+    if (favoring.length > 0) parts.push(`A favor de ${prediction}: ${favoring.map(describe).join(', ')}`);
+    if (against.length > 0) parts.push(`contra: ${against.map(describe).join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'Análise técnica geral';
+  }
 
-    // Extrair price action
-    if (latest.technical_indicators?.priceAction) {
-      features.priceAction = {
-        patterns: latest.technical_indicators.priceAction.patterns || [],
-        recentCandles: latest.technical_indicators.priceAction.recentCandles || []
-      };
-    }
+  // `regime.regime=ranging` -> `regime ranging`; `technical.rsi` -> `RSI 28.4`
+  describeFeature(feature, value) {
+    const [path, category] = feature.split('=');
+    const label = FEATURE_LABELS[path] || path;
 
-    // Extrair dados de mercado
-    if (latest.market_data) {
-      features.market = {
-        marketCap: latest.market_data.marketCap || 0,
-        volume24h: latest.market_data.totalVolume || 0,
-        priceChange24h: latest.market_data.priceChange24h || 0
-      };
+    if (category !== undefined) {
+      const name = path === 'priceAction.patterns' ? this.formatPatternName(category) : category;
+      return value ? `${label} ${name}` : `${label} não ${name}`;
     }
-
-    return features;
+    if (typeof value === 'number') return `${label} ${Number(value.toPrecision(3))}`;
+    if (typeof value === 'boolean') return value ? label : `sem ${label}`;
+    if (typeof value === 'string') return `${label} ${value}`;
+    return label;
   }
 
-  generateReason(pullbackAnalysis, features, prediction) {
-    const reasons = [];
-    
-    // Razões baseadas em pullbacks
-    if (pullbackAnalysis.hasValidPullback) {
-      reasons.push(`Pullback detectado (${(pullbackAnalysis.metrics.avgDepth * 100).toFixed(1)}% de profundidade)`);
-    }
-    
-    // Razões baseadas em indicadores técnicos
-    if (features.technical.rsi) {
-      if (prediction === 'GREEN' && features.technical.rsi < 30) {
-        reasons.push('RSI oversold');
-      } else if (prediction === 'RED' && features.technical.rsi > 70) {
-        reasons.push('RSI overbought');
-      }
-    }
-    
-    // Razões baseadas em price action
-    if (features.priceAction.patterns) {
-      if (prediction === 'GREEN' && features.priceAction.patterns.includes('hammer')) {
-        reasons.push('Padrão Hammer detectado');
-      } else if (prediction === 'RED' && features.priceAction.patterns.includes('shooting_star')) {
-        reasons.push('Padrão Shooting Star detectado');
-      }
-    }
-    
-    // Razões baseadas em tendência
-    if (pullbackAnalysis.trend) {
-      if (prediction === 'GREEN' && pullbackAnalysis.trend.includes('uptrend')) {
-        reasons.push('Tendência de alta');
-      } else if (prediction === 'RED' && pullbackAnalysis.trend.includes('downtrend')) {
-        reasons.push('Tendência de baixa');
-      }
-    }
-    
-    return reasons.length > 0 ? reasons.join(', ') : 'Análise técnica geral';
+  // bullish_engulfing -> Bullish Engulfing
+  formatPatternName(name) {
+    return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
   }
 
   sanitizeFeatures(features) {
@@ -320,7 +409,7 @@ class SignalGenerator {
   }
 
   extractIndicators(marketData) {
-    const latest = marketData[marketData.length - 1];
+    const latest = this.getLatestRecord(marketData);
     const indicators = {};
     
     if (latest.technical_indicators) {
@@ -329,12 +418,21 @@ class SignalGenerator {
       indicators.bollingerBands = latest.technical_indicators.bollingerBands;
       indicators.sma20 = latest.technical_indicators.sma20;
       indicators.ema12 = latest.technical_indicators.ema12;
+      indicators.atr = latest.technical_indicators.atr;
+      indicators.adx = latest.technical_indicators.adx;
+      indicators.stochastic = latest.technical_indicators.stochastic;
+      indicators.cci = latest.technical_indicators.cci;
+      indicators.williamsR = latest.technical_indicators.williamsR;
+      indicators.vwap = latest.technical_indicators.vwap;
+      indicators.obv = latest.technical_indicators.obv;
+      indicators.supportResistance = latest.technical_indicators.supportResistance;
     }
     
     return indicators;
   }
 
-  validateSignal(signal, marketData) {
+  // `marketData` pode vir em qualquer ordem (getCurrentData traz os mais recentes primeiro)
+  validateSignal(signal, marketData, now = Date.now()) {
     try {
       // Validação 1: Confiança mínima
       if (signal.confidence < this.confidenceThreshold) {
@@ -342,32 +440,73 @@ class SignalGenerator {
       }
       
       // Validação 2: Dados recentes
-      const latestData = marketData[marketData.length - 1];
-      const dataAge = Date.now() - new Date(latestData.timestamp).getTime();
+      const latestData = this.getLatestRecord(marketData);
+      const dataAge = now - new Date(latestData.timestamp).getTime();
       if (dataAge > 300000) { // 5 minutos
-        console.log('⚠️ Dados muito antigos para validação');
+        this.logger.log('⚠️ Dados muito antigos para validação');
         return false;
       }
       
       // Validação 3: Volume mínimo
       if (latestData.volume && latestData.volume < 1000) {
-        console.log('⚠️ Volume muito baixo');
+        this.logger.log('⚠️ Volume muito baixo');
         return false;
       }
       
       // Validação 4: Volatilidade adequada
-      const prices = marketData.slice(-10).map(d => d.price);
+      const prices = [...marketData]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-10)
+        .map(d => d.price);
       const volatility = this.calculateVolatility(prices);
       if (volatility < 0.001) { // Muito baixa volatilidade
-        console.log('⚠️ Volatilidade muito baixa');
+        this.logger.log('⚠️ Volatilidade muito baixa');
         return false;
       }
       
-      // Validação 5: Consistência com pullbacks
-      if (signal.technicalAnalysis.pullbackAnalysis) {
+      // Validação 5: Consistência com pullbacks (sinais de continuação)
+      if (signal.technicalAnalysis.strategy === 'pullback_continuation') {
         const pb = signal.technicalAnalysis.pullbackAnalysis;
         if (!pb.hasValidPullback) {
-          console.log('⚠️ Nenhum pullback válido');
+          this.logger.log('⚠️ Nenhum pullback válido');
+          return false;
+        }
+        
+        // O sinal deve apostar na retomada do impulso, não no pullback
+        const impulseColor = pb.impulse?.direction === 'up' ? 'GREEN' : 'RED';
+        if (signal.color !== impulseColor) {
+          this.logger.log('⚠️ Sinal contra o impulso do pullback');
+          return false;
+        }
+      }
+      
+      // Validação 6: Nunca contra a tendência do timeframe maior; pullbacks
+      // exigem que ela exista e concorde (lateral só serve às outras estratégias)
+      const mtf = signal.technicalAnalysis.features?.multiTimeframe;
+      if (mtf?.htfInterval) {
+        const direction = signal.color === 'GREEN' ? 1 : -1;
+        if (mtf.htfTrend === -direction) {
+          this.logger.log(`⚠️ Sinal contra a tendência do ${mtf.htfInterval}`);
+          return false;
+        }
+        if (signal.technicalAnalysis.strategy === 'pullback_continuation' && mtf.htfTrend !== direction) {
+          this.logger.log(`⚠️ Pullback sem tendência a favor no ${mtf.htfInterval}`);
+          return false;
+        }
+      }
+      
+      // Validação 7: Zona forte logo à frente, ainda não rompida
+      const sr = signal.technicalAnalysis.features?.supportResistance;
+      if (sr) {
+        const blocked = signal.color === 'GREEN'
+          ? sr.resistanceDistanceAtr !== null && sr.resistanceDistanceAtr < 0.5 &&
+            sr.resistanceStrength >= this.blockingZoneStrength &&
+            !(sr.interactionZone === 'resistance' && sr.interaction === 'breaking')
+          : sr.supportDistanceAtr !== null && sr.supportDistanceAtr < 0.5 &&
+            sr.supportStrength >= this.blockingZoneStrength &&
+            !(sr.interactionZone === 'support' && sr.interaction === 'breaking');
+        if (blocked) {
+          this.logger.log(`⚠️ ${signal.color === 'GREEN' ? 'Resistência' : 'Suporte'} forte logo à frente`);
           return false;
         }
       }
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Só o cliente do Supabase é criado; nenhum teste consulta o banco
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+const SignalGenerator = require('./SignalGenerator');
+
+const NOW = Date.UTC(2024, 0, 1, 12);
+const MINUTE = 60000;
+
+// Dez registros de 1m com volume e volatilidade suficientes
+const marketData = Array.from({ length: 10 }, (_, i) => ({
+  timestamp: new Date(NOW - (10 - i) * MINUTE).toISOString(),
+  price: 100 + (i % 2 === 0 ? 1 : -1),
+  volume: 5000
+}));
+
+function createSignal(color, strategy, htfTrend) {
+  return {
+    color,
+    confidence: 90,
+    technicalAnalysis: {
+      strategy,
+      pullbackAnalysis: { hasValidPullback: true, impulse: { direction: color === 'GREEN' ? 'up' : 'down' } },
+      features: { multiTimeframe: { htfInterval: '15m', htfTrend } }
+    }
+  };
+}
+
+function createGenerator() {
+  return new SignalGenerator({ aiEngine: {}, logger: { log() {} } });
+}
+
+test('rejeita sinais contra a tendência do timeframe maior', () => {
+  const generator = createGenerator();
+
+  assert.equal(generator.validateSignal(createSignal('GREEN', 'sr_reversal', -1), marketData, NOW), false);
+  assert.equal(generator.validateSignal(createSignal('RED', 'sr_breakout', 1), marketData, NOW), false);
+  assert.equal(generator.validateSignal(createSignal('GREEN', 'sr_breakout', 1), marketData, NOW), true);
+});
+
+test('timeframe maior lateral não silencia reversões, só pullbacks', () => {
+  const generator = createGenerator();
+
+  assert.equal(generator.validateSignal(createSignal('GREEN', 'sr_reversal', 0), marketData, NOW), true);
+  assert.equal(generator.validateSignal(createSignal('RED', 'sr_reversal', 0), marketData, NOW), true);
+  assert.equal(generator.validateSignal(createSignal('GREEN', 'pullback_continuation', 0), marketData, NOW), false);
+  assert.equal(generator.validateSignal(createSignal('GREEN', 'pullback_continuation', 1), marketData, NOW), true);
+});
+
+test('regime decide as estratégias e as cores aceitas', () => {
+  const generator = createGenerator();
+  const pullbackUp = { hasValidPullback: true, impulse: { direction: 'up' } };
+  const pullbackDown = { hasValidPullback: true, impulse: { direction: 'down' } };
+  const rejectingSupport = { supportResistance: { interaction: 'rejecting', interactionZone: 'support' } };
+  const setups = (regime, pullback, features = {}) => generator
+    .findSetups(generator.getRegimeRules(regime), pullback, features)
+    .map(setup => `${setup.strategy}:${setup.color}`);
+
+  assert.deepEqual(setups('trending_up', pullbackUp), ['pullback_continuation:GREEN']);
+  assert.deepEqual(setups('trending_up', pullbackDown), []);
+  assert.deepEqual(setups('trending_down', pullbackDown), ['pullback_continuation:RED']);
+  assert.deepEqual(setups('ranging', pullbackUp, rejectingSupport), ['sr_reversal:GREEN']);
+  assert.deepEqual(generator.getRegimeRules('high_volatility').strategies, []);
+  assert.deepEqual(generator.getRegimeRules('dead').strategies, []);
+  assert.deepEqual(setups('unknown', pullbackUp, rejectingSupport), ['pullback_continuation:GREEN', 'sr_reversal:GREEN']);
+});
+
+test('estratégias do regime podem ser sobrescritas pelo ambiente', t => {
+  process.env.REGIME_STRATEGIES_RANGING = 'sr_breakout, sr_reversal';
+  t.after(() => { delete process.env.REGIME_STRATEGIES_RANGING; });
+
+  assert.deepEqual(createGenerator().getRegimeRules('ranging').strategies, ['sr_breakout', 'sr_reversal']);
+});
+
+test('regime vem do registro mais recente', () => {
+  const records = [
+    { timestamp: new Date(NOW - 2 * MINUTE).toISOString(), technical_indicators: { regime: { regime: 'dead' } } },
+    { timestamp: new Date(NOW - MINUTE).toISOString(), technical_indicators: { regime: { regime: 'ranging' } } }
+  ];
+
+  assert.equal(createGenerator().getCurrentRegime(records), 'ranging');
+  assert.equal(createGenerator().getCurrentRegime([{ timestamp: new Date(NOW).toISOString() }]), 'unknown');
+});
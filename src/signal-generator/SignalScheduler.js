@@ -0,0 +1,66 @@
+const { intervalToMs, getNextCandle } = require('../utils/timeframes');
+
+/**
+ * Executa o pipeline de sinais de cada par `leadSeconds` antes do fechamento
+ * da vela do seu timeframe principal, uma vez por vela.
+ *
+ * O handler recebe `(pair, targetCandle)`, onde `targetCandle` é a vela
+ * seguinte (`{ interval, openTime, closeTime }`, em ms): é nela que a
+ * entrada vale. Execuções lentas não se acumulam; a próxima é agendada para
+ * o fechamento seguinte ao fim da atual.
+ */
+class SignalScheduler {
+  constructor(options = {}) {
+    this.leadSeconds = options.leadSeconds || parseInt(process.env.SIGNAL_LEAD_SECONDS) || 10;
+    this.timers = new Map();
+    this.isRunning = false;
+  }
+
+  start(pairs, getInterval, handler) {
+    this.isRunning = true;
+    pairs.forEach(pair => {
+      const interval = getInterval(pair);
+      if (this.leadSeconds * 1000 >= intervalToMs(interval)) {
+        console.error(`❌ SIGNAL_LEAD_SECONDS (${this.leadSeconds}s) não cabe no intervalo ${interval} de ${pair}`);
+        return;
+      }
+      this.schedule(pair, interval, handler);
+      console.log(`⏰ Sinais de ${pair} agendados ${this.leadSeconds}s antes do fechamento de cada vela ${interval}`);
+    });
+  }
+
+  // Próxima execução: fechamento da vela atual menos a antecedência. Se esse
+  // momento já passou, fica para a vela seguinte.
+  getNextRun(interval, now = Date.now()) {
+    const leadMs = this.leadSeconds * 1000;
+    let target = getNextCandle(now, interval);
+    if (target.openTime - leadMs <= now) {
+      target = getNextCandle(target.openTime, interval);
+    }
+    return { runAt: target.openTime - leadMs, target };
+  }
+
+  schedule(pair, interval, handler) {
+    if (!this.isRunning) return;
+
+    const { runAt, target } = this.getNextRun(interval);
+    const timer = setTimeout(async () => {
+      try {
+        await handler(pair, target);
+      } catch (error) {
+        console.error(`❌ Erro no pipeline de sinais de ${pair}:`, error.message);
+      }
+      this.schedule(pair, interval, handler);
+    }, runAt - Date.now());
+
+    this.timers.set(pair, timer);
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = SignalScheduler;
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SignalScheduler = require('./SignalScheduler');
+const { intervalToMs } = require('../utils/timeframes');
+
+['log', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const START = Date.UTC(2024, 0, 1);
+const SECOND = 1000;
+
+test('roda 10s antes do fechamento da vela atual e mira a vela seguinte', () => {
+  const scheduler = new SignalScheduler({ leadSeconds: 10 });
+
+  ['1m', '5m', '1h'].forEach(interval => {
+    const ms = intervalToMs(interval);
+    const { runAt, target } = scheduler.getNextRun(interval, START + 5 * SECOND);
+
+    assert.equal(runAt, START + ms - 10 * SECOND);
+    assert.deepEqual(target, { interval, openTime: START + ms, closeTime: START + 2 * ms - 1 });
+  });
+});
+
+test('com o horário da execução já passado, fica para a vela seguinte', () => {
+  const scheduler = new SignalScheduler({ leadSeconds: 10 });
+
+  ['1m', '5m', '1h'].forEach(interval => {
+    const ms = intervalToMs(interval);
+    const { runAt, target } = scheduler.getNextRun(interval, START + ms - 10 * SECOND);
+
+    assert.equal(runAt, START + 2 * ms - 10 * SECOND);
+    assert.equal(target.openTime, START + 2 * ms);
+  });
+});
+
+test('chama o handler com a vela alvo e reagenda para a vela seguinte', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START + 5 * SECOND });
+  const scheduler = new SignalScheduler({ leadSeconds: 10 });
+  const calls = [];
+  scheduler.start(['SOLUSDT'], () => '1m', async (pair, target) => { calls.push([pair, target.openTime, Date.now()]); });
+
+  t.mock.timers.tick(45 * SECOND);
+  await new Promise(resolve => setImmediate(resolve));
+  t.mock.timers.tick(60 * SECOND);
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.stop();
+
+  assert.deepEqual(calls, [
+    ['SOLUSDT', START + 60 * SECOND, START + 50 * SECOND],
+    ['SOLUSDT', START + 120 * SECOND, START + 110 * SECOND]
+  ]);
+});
+
+test('antecedência maior que o intervalo não agenda o par', () => {
+  const scheduler = new SignalScheduler({ leadSeconds: 60 });
+  scheduler.start(['SOLUSDT'], () => '1m', async () => {});
+
+  assert.equal(scheduler.timers.size, 0);
+  scheduler.stop();
+});
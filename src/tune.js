@@ -0,0 +1,131 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const HyperparameterTuner = require('./backtesting/HyperparameterTuner');
+const { parseArgs } = require('./utils/cli');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+/**
+ * Uso:
+ *   node src/tune.js --from 2024-01-01 [--to 2024-01-15] [--pairs SOLUSDT,ETHUSDT]
+ *     [--objective expectancy|accuracy|pnl] [--min-coverage 0.02] [--min-signals 30]
+ *     [--trials 20] [--seed 1] [--source candles|market_data] [--mode rolling|expanding]
+ *     [--train-hours 72] [--test-hours 24] [--purge-candles 20] [--holdout-hours 48]
+ *     [--payout 0.85] [--top 20] [--output tuning.csv] [--save]
+ *
+ * As últimas `--holdout-hours` horas ficam fora da busca e avaliam só a melhor
+ * linha elegível. `--save` grava essa linha como `system_settings`, usada pelo
+ * sistema na próxima inicialização, se ela também for elegível nesse período.
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from) {
+    console.error('❌ Informe o início do período com --from (ex.: --from 2024-01-01)');
+    process.exit(1);
+  }
+
+  const startTime = new Date(args.from).getTime();
+  const endTime = args.to ? new Date(args.to).getTime() : Date.now();
+  if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+    console.error('❌ Período inválido');
+    process.exit(1);
+  }
+
+  const source = args.source || 'candles';
+  const mode = args.mode || 'rolling';
+  const objective = args.objective || 'expectancy';
+  if (!['market_data', 'candles'].includes(source) || !['rolling', 'expanding'].includes(mode)) {
+    console.error('❌ Use --source candles|market_data e --mode rolling|expanding');
+    process.exit(1);
+  }
+  if (!HyperparameterTuner.OBJECTIVES.includes(objective)) {
+    console.error(`❌ Use --objective ${HyperparameterTuner.OBJECTIVES.join('|')}`);
+    process.exit(1);
+  }
+
+  const tuner = new HyperparameterTuner({
+    objective,
+    trials: parseInt(args.trials) || 20,
+    seed: parseInt(args.seed) || 1,
+    minSignals: args['min-signals'] !== undefined ? parseInt(args['min-signals']) : 30,
+    minCoverage: parseFloat(args['min-coverage']) || 0,
+    payout: parseFloat(args.payout) || null
+  });
+
+  const result = await tuner.run({
+    pairs: (args.pairs || process.env.TRADING_PAIRS).split(','),
+    startTime,
+    endTime,
+    source,
+    mode,
+    trainHours: parseFloat(args['train-hours']) || 72,
+    testHours: parseFloat(args['test-hours']) || 24,
+    purgeCandles: args['purge-candles'] !== undefined ? parseInt(args['purge-candles']) : 20,
+    holdoutHours: args['holdout-hours'] !== undefined ? parseFloat(args['holdout-hours']) : 48
+  });
+
+  const percent = value => (value === null ? 'n/d' : `${(value * 100).toFixed(2)}%`);
+  const periods = settings => Object.entries(settings.indicator_periods)
+    .filter(([name, value]) => value !== result.baseline.indicator_periods[name])
+    .map(([name, value]) => `${name}=${value}`)
+    .join(' ') || 'padrão';
+
+  const { config, holdout } = result;
+  console.log(`🏁 Busca ${config.objective} de ${config.from} a ${config.searchTo} (${config.trials} tentativas, ${config.source}, purga de ${config.purgeCandles} velas)`);
+  console.log(`   Elegível: ≥ ${config.minSignals} sinais e cobertura ≥ ${percent(config.minCoverage)}`);
+  result.rows.slice(0, parseInt(args.top) || 20).forEach(row => {
+    const s = row.settings;
+    console.log(`   ${row.eligible ? ' ' : '✗'}${String(row.rank).padStart(3)}. tentativa ${row.trial}, limiar ${s.confidence_threshold}%: ${config.objective} ${tuner.formatScore(row.score)} (pior janela ${tuner.formatScore(row.worstFold)}), ${row.summary.signals} sinais, cobertura ${percent(row.summary.coverage)}, acurácia ${percent(row.summary.accuracy)}, P&L ${row.summary.pnl.toFixed(2)} | lr ${s.learning_rate}, épocas ${s.epochs}, lote ${s.batch_size}, profundidade ${s.pullback_analysis_depth}, períodos ${periods(s)}`);
+  });
+
+  if (holdout) {
+    console.log(`🔒 Período reservado (${config.searchTo} a ${config.to}), tentativa ${holdout.trial} com limiar ${holdout.settings.confidence_threshold}%:`);
+    console.log(`   ${holdout.eligible ? '✅' : '✗'} ${config.objective} ${tuner.formatScore(holdout.score)} (na busca ${tuner.formatScore(holdout.searchScore)}), ${holdout.summary.signals} sinais, cobertura ${percent(holdout.summary.coverage)}, acurácia ${percent(holdout.summary.accuracy)}, P&L ${holdout.summary.pnl.toFixed(2)}`);
+  }
+
+  if (args.output) {
+    fs.writeFileSync(args.output, toCsv(result.rows));
+    console.log(`💾 Ranking completo salvo em ${args.output}`);
+  }
+
+  if (args.save) {
+    if (!holdout) {
+      console.error('❌ Nenhuma linha avaliada no período reservado (sem linha elegível ou --holdout-hours 0)');
+      process.exit(1);
+    }
+    if (!holdout.eligible) {
+      console.error('❌ A melhor linha da busca não é elegível no período reservado; nada foi salvo');
+      process.exit(1);
+    }
+    await tuner.save(result);
+    console.log(`⚙️ Tentativa ${holdout.trial} com limiar ${holdout.settings.confidence_threshold}% salva como system_settings`);
+  }
+}
+
+// Uma linha por tentativa e limiar, com os períodos em colunas
+function toCsv(rows) {
+  const periodNames = Object.keys(rows[0]?.settings.indicator_periods || {});
+  const header = [
+    'rank', 'trial', 'eligible', 'score', 'worst_fold', 'signals', 'coverage', 'accuracy', 'roi', 'pnl', 'max_losing_streak',
+    'confidence_threshold', 'learning_rate', 'epochs', 'batch_size', 'pullback_analysis_depth',
+    ...periodNames.map(name => `period_${name}`)
+  ];
+  const lines = rows.map(row => [
+    row.rank, row.trial, row.eligible, row.score, row.worstFold, row.summary.signals, row.summary.coverage,
+    row.summary.accuracy, row.summary.roi, row.summary.pnl, row.summary.maxLosingStreak,
+    row.settings.confidence_threshold, row.settings.learning_rate, row.settings.epochs, row.settings.batch_size,
+    row.settings.pullback_analysis_depth,
+    ...periodNames.map(name => row.settings.indicator_periods[name])
+  ].map(value => (value === null ? '' : value)).join(','));
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('💥 Erro fatal na busca de hiperparâmetros:', error);
+  process.exit(1);
+});
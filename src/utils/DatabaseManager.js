@@ -38,6 +38,27 @@ class DatabaseManager {
         technical_indicators JSONB,
         order_book JSONB,
         market_data JSONB,
+        data_sources JSONB,
+        quality_flags JSONB DEFAULT '[]',
+        is_flagged BOOLEAN DEFAULT FALSE,
+        regime VARCHAR(20),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )`,
+      
+      // Colunas adicionadas depois da criação original das tabelas
+      `ALTER TABLE market_data ADD COLUMN IF NOT EXISTS data_sources JSONB`,
+      `ALTER TABLE market_data ADD COLUMN IF NOT EXISTS quality_flags JSONB DEFAULT '[]'`,
+      `ALTER TABLE market_data ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN DEFAULT FALSE`,
+      `ALTER TABLE market_data ADD COLUMN IF NOT EXISTS regime VARCHAR(20)`,
+      
+      // Registros rejeitados pela validação de qualidade
+      `CREATE TABLE IF NOT EXISTS market_data_quarantine (
+        id SERIAL PRIMARY KEY,
+        pair VARCHAR(20) NOT NULL,
+        source VARCHAR(50),
+        reason_codes TEXT[] NOT NULL,
+        issues JSONB NOT NULL,
+        payload JSONB NOT NULL,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )`,
       
@@ -54,8 +75,16 @@ class DatabaseManager {
         timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         executed BOOLEAN DEFAULT FALSE,
         result VARCHAR(20),
+        target_open_time TIMESTAMP WITH TIME ZONE,
+        target_close_time TIMESTAMP WITH TIME ZONE,
+        entry_deadline TIMESTAMP WITH TIME ZONE,
+        model_version VARCHAR(64),
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )`,
+      `ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS target_open_time TIMESTAMP WITH TIME ZONE`,
+      `ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS target_close_time TIMESTAMP WITH TIME ZONE`,
+      `ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS entry_deadline TIMESTAMP WITH TIME ZONE`,
+      `ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS model_version VARCHAR(64)`,
       
       // Tabela para performance do sistema
       `CREATE TABLE IF NOT EXISTS system_performance (
@@ -79,6 +108,68 @@ class DatabaseManager {
         actual_result VARCHAR(10),
         confidence DECIMAL(5,2),
         is_correct BOOLEAN,
+        signal_id INTEGER,
+        interval VARCHAR(5),
+        target_open_time TIMESTAMP WITH TIME ZONE,
+        target_close_time TIMESTAMP WITH TIME ZONE,
+        model_version VARCHAR(64),
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS signal_id INTEGER`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS interval VARCHAR(5)`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS target_open_time TIMESTAMP WITH TIME ZONE`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS target_close_time TIMESTAMP WITH TIME ZONE`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS model_version VARCHAR(64)`,
+      `ALTER TABLE ai_training_data ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE`,
+      
+      // Tabela para velas históricas (open_time/close_time em ms, como na Binance)
+      `CREATE TABLE IF NOT EXISTS candles (
+        id SERIAL PRIMARY KEY,
+        pair VARCHAR(20) NOT NULL,
+        interval VARCHAR(5) NOT NULL,
+        open_time BIGINT NOT NULL,
+        close_time BIGINT NOT NULL,
+        open DECIMAL(20,8) NOT NULL,
+        high DECIMAL(20,8) NOT NULL,
+        low DECIMAL(20,8) NOT NULL,
+        close DECIMAL(20,8) NOT NULL,
+        volume DECIMAL(30,8),
+        quote_volume DECIMAL(30,8),
+        trades INTEGER,
+        taker_buy_base_volume DECIMAL(30,8),
+        taker_buy_quote_volume DECIMAL(30,8),
+        source VARCHAR(50) DEFAULT 'binance',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (pair, interval, open_time)
+      )`,
+      
+      // Versões de modelos treinados (id derivado do conteúdo); uma ativa por par
+      `CREATE TABLE IF NOT EXISTS model_registry (
+        id SERIAL PRIMARY KEY,
+        version VARCHAR(64) UNIQUE NOT NULL,
+        pair VARCHAR(20) NOT NULL,
+        model_type VARCHAR(20) NOT NULL,
+        parameters JSONB NOT NULL,
+        feature_schema JSONB NOT NULL,
+        calibration JSONB,
+        data_from TIMESTAMP WITH TIME ZONE,
+        data_to TIMESTAMP WITH TIME ZONE,
+        metrics JSONB,
+        is_active BOOLEAN DEFAULT FALSE,
+        activated_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )`,
+      `ALTER TABLE model_registry ADD COLUMN IF NOT EXISTS calibration JSONB`,
+      
+      // Deriva detectada pelo DriftMonitor e a resposta a ela
+      `CREATE TABLE IF NOT EXISTS drift_events (
+        id SERIAL PRIMARY KEY,
+        pair VARCHAR(20) NOT NULL,
+        model_version VARCHAR(64),
+        drift_type VARCHAR(30) NOT NULL,
+        details JSONB,
+        action VARCHAR(20) NOT NULL,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )`,
       
@@ -112,7 +203,18 @@ class DatabaseManager {
       'CREATE INDEX IF NOT EXISTS idx_market_data_pair_timestamp ON market_data(pair, timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_trading_signals_pair_timestamp ON trading_signals(pair, timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_system_performance_date_pair ON system_performance(date, pair)',
-      'CREATE INDEX IF NOT EXISTS idx_ai_training_data_pair_created ON ai_training_data(pair, created_at)'
+      'CREATE INDEX IF NOT EXISTS idx_ai_training_data_pair_created ON ai_training_data(pair, created_at)',
+      // Registros de sinais aguardando o fechamento da vela alvo
+      'CREATE INDEX IF NOT EXISTS idx_ai_training_data_pending ON ai_training_data(target_close_time) WHERE actual_result IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_ai_training_data_target ON ai_training_data(target_open_time)',
+      'CREATE INDEX IF NOT EXISTS idx_candles_pair_interval_open_time ON candles(pair, interval, open_time)',
+      'CREATE INDEX IF NOT EXISTS idx_market_data_quarantine_pair_created ON market_data_quarantine(pair, created_at)',
+      // Um sinal por par e vela alvo
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_trading_signals_pair_target ON trading_signals(pair, target_open_time)',
+      // Uma versão ativa por par
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_model_registry_active_pair ON model_registry(pair) WHERE is_active',
+      'CREATE INDEX IF NOT EXISTS idx_model_registry_pair_created ON model_registry(pair, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_drift_events_pair_created ON drift_events(pair, created_at)'
     ];
 
     for (const index of indexes) {
@@ -131,33 +233,145 @@ class DatabaseManager {
     try {
       const { error } = await this.supabase
         .from('market_data')
+        .insert(this.toMarketDataRow(data));
+
+      if (error) {
+        console.error('❌ Erro ao armazenar dados de mercado:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('❌ Erro ao armazenar dados de mercado:', error);
+      throw error;
+    }
+  }
+
+  // Dados coletados no formato das linhas de `market_data`
+  toMarketDataRow(data) {
+    const last = data.candles?.[data.candles.length - 1];
+    return {
+      pair: data.pair,
+      source: data.source,
+      timestamp: data.timestamp,
+      price: data.price,
+      volume: data.volume,
+      high: last?.high,
+      low: last?.low,
+      open: last?.open,
+      close: last?.close,
+      technical_indicators: data.technicalIndicators,
+      order_book: data.orderBook,
+      market_data: data.marketData,
+      data_sources: data.sources,
+      quality_flags: data.qualityFlags || [],
+      is_flagged: (data.qualityFlags || []).length > 0,
+      regime: data.technicalIndicators?.regime?.regime || null
+    };
+  }
+
+  async storeQuarantinedData(data, issues) {
+    try {
+      const { error } = await this.supabase
+        .from('market_data_quarantine')
         .insert({
           pair: data.pair,
           source: data.source,
-          price: data.price,
-          volume: data.volume,
-          high: data.candles?.[data.candles.length - 1]?.high,
-          low: data.candles?.[data.candles.length - 1]?.low,
-          open: data.candles?.[data.candles.length - 1]?.open,
-          close: data.candles?.[data.candles.length - 1]?.close,
-          technical_indicators: data.technicalIndicators,
-          order_book: data.orderBook,
-          market_data: data.marketData
+          reason_codes: issues.map(issue => issue.code),
+          issues,
+          payload: data
         });
 
       if (error) {
-        console.error('❌ Erro ao armazenar dados de mercado:', error);
+        console.error('❌ Erro ao armazenar dados em quarentena:', error);
         throw error;
       }
     } catch (error) {
-      console.error('❌ Erro ao armazenar dados de mercado:', error);
+      console.error('❌ Erro ao armazenar dados em quarentena:', error);
       throw error;
     }
   }
 
+  async getMarketDataSince(pair, since) {
+    try {
+      const { data, error } = await this.supabase
+        .from('market_data')
+        .select('pair, timestamp, price, quality_flags, is_flagged')
+        .eq('pair', pair)
+        .gte('timestamp', since.toISOString())
+        .order('timestamp', { ascending: true });
+
+      if (error) {
+        console.error('❌ Erro ao buscar dados de mercado:', error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Erro ao buscar dados de mercado:', error);
+      return [];
+    }
+  }
+
+  // Registros completos do par no período, em ordem cronológica (paginado)
+  async getMarketDataBetween(pair, startTime, endTime, pageSize = 1000) {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('market_data')
+          .select('*')
+          .eq('pair', pair)
+          .gte('timestamp', new Date(startTime).toISOString())
+          .lte('timestamp', new Date(endTime).toISOString())
+          .order('timestamp', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          console.error('❌ Erro ao buscar dados de mercado:', error);
+          throw error;
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      return rows;
+    } catch (error) {
+      console.error('❌ Erro ao buscar dados de mercado:', error);
+      return [];
+    }
+  }
+
+  async getQuarantineCounts(pair, since) {
+    try {
+      const { data, error } = await this.supabase
+        .from('market_data_quarantine')
+        .select('reason_codes')
+        .eq('pair', pair)
+        .gte('created_at', since.toISOString());
+
+      if (error) {
+        console.error('❌ Erro ao buscar dados em quarentena:', error);
+        throw error;
+      }
+
+      const counts = {};
+      (data || []).forEach(row => {
+        row.reason_codes.forEach(code => {
+          counts[code] = (counts[code] || 0) + 1;
+        });
+      });
+      return { total: (data || []).length, byCode: counts };
+    } catch (error) {
+      console.error('❌ Erro ao buscar dados em quarentena:', error);
+      return { total: 0, byCode: {} };
+    }
+  }
+
+  // Id do sinal gravado, ou false se a vela alvo já tinha sinal
   async storeSignal(signal) {
     try {
-      const { error } = await this.supabase
+      const { data, error } = await this.supabase
         .from('trading_signals')
         .insert({
           pair: signal.pair,
@@ -166,13 +380,27 @@ class DatabaseManager {
           confidence: signal.confidence,
           reason: signal.reason,
           technical_analysis: signal.technicalAnalysis,
-          ai_analysis: signal.aiAnalysis
-        });
+          ai_analysis: signal.aiAnalysis,
+          target_open_time: signal.target?.openTime,
+          target_close_time: signal.target?.closeTime,
+          entry_deadline: signal.target?.entryDeadline,
+          model_version: signal.aiAnalysis?.modelVersion
+        })
+        .select('id')
+        .single();
+
+      // Violação do índice único: já existe sinal para essa vela
+      if (error && error.code === '23505') {
+        console.warn(`⚠️ Sinal de ${signal.pair} para ${signal.target?.openTime} já registrado`);
+        return false;
+      }
 
       if (error) {
         console.error('❌ Erro ao armazenar sinal:', error);
         throw error;
       }
+
+      return data.id;
     } catch (error) {
       console.error('❌ Erro ao armazenar sinal:', error);
       throw error;
@@ -254,7 +482,12 @@ class DatabaseManager {
     }
   }
 
-  async storeTrainingData(pair, inputFeatures, targetOutput, actualResult = null, confidence = null) {
+  /**
+   * `details` liga o registro ao sinal: `signalId`, `interval`, `targetOpenTime`,
+   * `targetCloseTime` e `modelVersion`. Sem `actualResult`, o registro fica
+   * pendente até a vela alvo fechar (ver `resolveTrainingData`).
+   */
+  async storeTrainingData(pair, inputFeatures, targetOutput, actualResult = null, confidence = null, details = {}) {
     try {
       const isCorrect = actualResult ? targetOutput === actualResult : null;
 
@@ -266,7 +499,13 @@ class DatabaseManager {
           target_output: targetOutput,
           actual_result: actualResult,
           confidence,
-          is_correct: isCorrect
+          is_correct: isCorrect,
+          signal_id: details.signalId || null,
+          interval: details.interval || null,
+          target_open_time: details.targetOpenTime || null,
+          target_close_time: details.targetCloseTime || null,
+          model_version: details.modelVersion || null,
+          resolved_at: actualResult ? new Date().toISOString() : null
         });
 
       if (error) {
@@ -305,6 +544,389 @@ class DatabaseManager {
     }
   }
 
+  // Registros sem resultado cuja vela alvo fechou antes de `before` (ms)
+  async getPendingTrainingData(before, limit = 500) {
+    try {
+      const { data, error } = await this.supabase
+        .from('ai_training_data')
+        .select('*')
+        .is('actual_result', null)
+        .lt('target_close_time', new Date(before).toISOString())
+        .order('target_close_time', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error('❌ Erro ao buscar dados de treinamento pendentes:', error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Erro ao buscar dados de treinamento pendentes:', error);
+      return [];
+    }
+  }
+
+  // `isCorrect` fica null em empates e velas não encontradas
+  async resolveTrainingData(id, actualResult, isCorrect) {
+    try {
+      const { error } = await this.supabase
+        .from('ai_training_data')
+        .update({
+          actual_result: actualResult,
+          is_correct: isCorrect,
+          resolved_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+      if (error) {
+        console.error('❌ Erro ao registrar resultado do treinamento:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('❌ Erro ao registrar resultado do treinamento:', error);
+      throw error;
+    }
+  }
+
+  // Registros com resultado e vela alvo a partir de `since` (ms), em ordem cronológica
+  async getResolvedTrainingData(since, pageSize = 1000) {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('ai_training_data')
+          .select('*')
+          .in('actual_result', ['GREEN', 'RED'])
+          .gte('target_open_time', new Date(since).toISOString())
+          .order('target_open_time', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          console.error('❌ Erro ao buscar resultados de sinais:', error);
+          throw error;
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      return rows;
+    } catch (error) {
+      console.error('❌ Erro ao buscar resultados de sinais:', error);
+      return [];
+    }
+  }
+
+  async upsertCandles(pair, interval, candles, source = 'binance') {
+    if (candles.length === 0) return;
+
+    try {
+      const rows = candles.map(candle => ({
+        pair,
+        interval,
+        open_time: candle.timestamp,
+        close_time: candle.closeTime,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+        quote_volume: candle.quoteVolume,
+        trades: candle.trades,
+        taker_buy_base_volume: candle.takerBuyBaseVolume,
+        taker_buy_quote_volume: candle.takerBuyQuoteVolume,
+        source
+      }));
+
+      const { error } = await this.supabase
+        .from('candles')
+        .upsert(rows, { onConflict: 'pair,interval,open_time' });
+
+      if (error) {
+        console.error('❌ Erro ao armazenar velas:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('❌ Erro ao armazenar velas:', error);
+      throw error;
+    }
+  }
+
+  async getCandles(pair, interval, startTime, endTime, pageSize = 1000) {
+    try {
+      const candles = [];
+
+      // O Supabase limita o número de linhas por consulta, então paginamos
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('candles')
+          .select('*')
+          .eq('pair', pair)
+          .eq('interval', interval)
+          .gte('open_time', startTime)
+          .lte('open_time', endTime)
+          .order('open_time', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          console.error('❌ Erro ao buscar velas:', error);
+          throw error;
+        }
+
+        candles.push(...(data || []).map(row => ({
+          timestamp: Number(row.open_time),
+          open: parseFloat(row.open),
+          high: parseFloat(row.high),
+          low: parseFloat(row.low),
+          close: parseFloat(row.close),
+          volume: parseFloat(row.volume),
+          closeTime: Number(row.close_time),
+          quoteVolume: parseFloat(row.quote_volume),
+          trades: row.trades,
+          takerBuyBaseVolume: parseFloat(row.taker_buy_base_volume),
+          takerBuyQuoteVolume: parseFloat(row.taker_buy_quote_volume)
+        })));
+
+        if (!data || data.length < pageSize) break;
+      }
+
+      return candles;
+    } catch (error) {
+      console.error('❌ Erro ao buscar velas:', error);
+      return [];
+    }
+  }
+
+  // Grava uma versão de modelo; se a versão já existe, nada muda
+  async storeModelVersion(model) {
+    try {
+      const { error } = await this.supabase
+        .from('model_registry')
+        .upsert({
+          version: model.version,
+          pair: model.pair,
+          model_type: model.modelType,
+          parameters: model.parameters,
+          feature_schema: model.featureSchema,
+          calibration: model.calibration,
+          data_from: model.dataFrom,
+          data_to: model.dataTo,
+          metrics: model.metrics
+        }, { onConflict: 'version', ignoreDuplicates: true });
+
+      if (error) {
+        console.error('❌ Erro ao registrar modelo:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('❌ Erro ao registrar modelo:', error);
+      throw error;
+    }
+  }
+
+  async getModelVersion(version) {
+    try {
+      const { data, error } = await this.supabase
+        .from('model_registry')
+        .select('*')
+        .eq('version', version)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`❌ Erro ao buscar modelo ${version}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error(`❌ Erro ao buscar modelo ${version}:`, error);
+      return null;
+    }
+  }
+
+  async getActiveModel(pair) {
+    try {
+      const { data, error } = await this.supabase
+        .from('model_registry')
+        .select('*')
+        .eq('pair', pair)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`❌ Erro ao buscar modelo ativo de ${pair}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error(`❌ Erro ao buscar modelo ativo de ${pair}:`, error);
+      return null;
+    }
+  }
+
+  async getActiveModels() {
+    try {
+      const { data, error } = await this.supabase
+        .from('model_registry')
+        .select('*')
+        .eq('is_active', true);
+
+      if (error) {
+        console.error('❌ Erro ao buscar modelos ativos:', error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Erro ao buscar modelos ativos:', error);
+      return [];
+    }
+  }
+
+  // Versões do par, das mais recentes para as mais antigas (sem os parâmetros)
+  async listModelVersions(pair, limit = 20) {
+    try {
+      const { data, error } = await this.supabase
+        .from('model_registry')
+        .select('version, pair, model_type, data_from, data_to, metrics, is_active, activated_at, created_at')
+        .eq('pair', pair)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error(`❌ Erro ao listar modelos de ${pair}:`, error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error(`❌ Erro ao listar modelos de ${pair}:`, error);
+      return [];
+    }
+  }
+
+  // Última versão já ativada entre as criadas antes de `createdBefore`
+  async getPreviousActiveModel(pair, createdBefore) {
+    try {
+      const { data, error } = await this.supabase
+        .from('model_registry')
+        .select('*')
+        .eq('pair', pair)
+        .eq('is_active', false)
+        .not('activated_at', 'is', null)
+        .lt('created_at', createdBefore)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        console.error(`❌ Erro ao buscar modelo anterior de ${pair}:`, error);
+        throw error;
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      console.error(`❌ Erro ao buscar modelo anterior de ${pair}:`, error);
+      return null;
+    }
+  }
+
+  // Desativa a versão atual do par antes de ativar a nova (índice único parcial)
+  async setActiveModel(pair, version) {
+    try {
+      const { error: deactivateError } = await this.supabase
+        .from('model_registry')
+        .update({ is_active: false })
+        .eq('pair', pair)
+        .eq('is_active', true);
+
+      if (deactivateError) {
+        console.error(`❌ Erro ao desativar modelo de ${pair}:`, deactivateError);
+        throw deactivateError;
+      }
+
+      const { error } = await this.supabase
+        .from('model_registry')
+        .update({ is_active: true, activated_at: new Date().toISOString() })
+        .eq('pair', pair)
+        .eq('version', version);
+
+      if (error) {
+        console.error(`❌ Erro ao ativar modelo ${version}:`, error);
+        throw error;
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao ativar modelo ${version}:`, error);
+      throw error;
+    }
+  }
+
+  async getConfig(configKey) {
+    try {
+      const { data, error } = await this.supabase
+        .from('system_config')
+        .select('config_value')
+        .eq('config_key', configKey)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`❌ Erro ao buscar configuração ${configKey}:`, error);
+        throw error;
+      }
+
+      return data ? data.config_value : null;
+    } catch (error) {
+      console.error(`❌ Erro ao buscar configuração ${configKey}:`, error);
+      return null;
+    }
+  }
+
+  async setConfig(configKey, configValue, description = null) {
+    try {
+      const { error } = await this.supabase
+        .from('system_config')
+        .upsert({
+          config_key: configKey,
+          config_value: configValue,
+          description,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'config_key' });
+
+      if (error) {
+        console.error(`❌ Erro ao salvar configuração ${configKey}:`, error);
+        throw error;
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao salvar configuração ${configKey}:`, error);
+      throw error;
+    }
+  }
+
+  // `event`: `{ pair, modelVersion, type, details, action }` (ver DriftMonitor)
+  async storeDriftEvent(event) {
+    try {
+      const { error } = await this.supabase
+        .from('drift_events')
+        .insert({
+          pair: event.pair,
+          model_version: event.modelVersion,
+          drift_type: event.type,
+          details: event.details,
+          action: event.action
+        });
+
+      if (error) {
+        console.error('❌ Erro ao armazenar evento de deriva:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('❌ Erro ao armazenar evento de deriva:', error);
+      throw error;
+    }
+  }
+
   async updateSignalResult(signalId, result) {
     try {
       const { error } = await this.supabase
@@ -0,0 +1,266 @@
+const axios = require('axios');
+
+/**
+ * Cliente HTTP compartilhado pelos coletores.
+ *
+ * - Orçamento de requisições por host, por minuto. Para a Binance o peso usado
+ *   vem do cabeçalho `X-MBX-USED-WEIGHT-1M`; para os demais hosts conta-se o
+ *   número de requisições.
+ *   O peso é reservado antes do envio, então requisições concorrentes não
+ *   passam juntas do limite.
+ * - Timeout por requisição (`HTTP_TIMEOUT`).
+ * - Novas tentativas com backoff exponencial e jitter em 429, 418, 5xx e
+ *   erros de rede, respeitando `Retry-After` até `maxRetryAfter`; uma espera
+ *   maior (ex.: banimento 418) abre o circuito pelo tempo pedido.
+ * - Circuit breaker por host: após falhas seguidas, as requisições falham na
+ *   hora (ou devolvem o último valor em cache) até o fim do tempo de espera.
+ * - Cache com TTL para respostas GET (`cacheTtl` em ms).
+ */
+class HttpClient {
+  constructor(options = {}) {
+    this.axios = options.axios || axios;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 30000;
+    this.timeout = options.timeout || parseInt(process.env.HTTP_TIMEOUT) || 10000;
+    this.maxRetryAfter = options.maxRetryAfter || this.maxDelay;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldown = options.cooldown || 60000;
+    this.budgets = options.budgets || this.getDefaultBudgets();
+
+    this.hosts = new Map();
+    this.cache = new Map();
+  }
+
+  static getDefault() {
+    if (!HttpClient.instance) {
+      HttpClient.instance = new HttpClient();
+    }
+    return HttpClient.instance;
+  }
+
+  getDefaultBudgets() {
+    const budgets = {};
+    const binanceHost = this.getHost(process.env.BINANCE_API_URL);
+    const coingeckoHost = this.getHost(process.env.COINGECKO_API_URL);
+
+    if (binanceHost) {
+      budgets[binanceHost] = {
+        perMinute: parseInt(process.env.BINANCE_MAX_WEIGHT) || 1000,
+        weightHeader: 'x-mbx-used-weight-1m'
+      };
+    }
+    if (coingeckoHost) {
+      budgets[coingeckoHost] = {
+        perMinute: parseInt(process.env.COINGECKO_MAX_REQUESTS) || 25
+      };
+    }
+    return budgets;
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        used: 0,
+        windowStart: this.currentWindow(),
+        failures: 0,
+        openUntil: 0
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  currentWindow() {
+    return Math.floor(Date.now() / 60000) * 60000;
+  }
+
+  /**
+   * GET com cache, orçamento, novas tentativas e circuit breaker.
+   * Opções: `params`, `cacheTtl`, `weight` (peso estimado da requisição).
+   */
+  async get(url, options = {}) {
+    const { params, cacheTtl = 0, weight = 1 } = options;
+    const cacheKey = `${url}?${JSON.stringify(params || {})}`;
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.response;
+    }
+
+    const host = this.getHost(url);
+    const state = this.getHostState(host);
+
+    if (this.isCircuitOpen(state)) {
+      if (cached) {
+        console.warn(`⚠️ Circuito aberto para ${host}, usando resposta em cache`);
+        return cached.response;
+      }
+      const error = new Error(`Circuito aberto para ${host}`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    try {
+      const response = await this.requestWithRetry(url, params, host, state, weight);
+      this.recordSuccess(state);
+
+      if (cacheTtl > 0) {
+        this.cache.set(cacheKey, { response, expiresAt: Date.now() + cacheTtl });
+      }
+      return response;
+    } catch (error) {
+      // Erros do cliente (ex.: 400 por símbolo inválido) não indicam host instável
+      if (this.isRetryable(error)) this.recordFailure(host, state);
+
+      // Melhor um dado um pouco antigo do que nenhum
+      if (cached) {
+        console.warn(`⚠️ Falha em ${host}, usando resposta em cache: ${error.message}`);
+        return cached.response;
+      }
+      throw error;
+    }
+  }
+
+  async requestWithRetry(url, params, host, state, weight) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(host, state, weight);
+
+      try {
+        const response = await this.axios.get(url, { params, timeout: this.timeout });
+        this.updateUsage(host, state, response.headers);
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        if (error.response) this.updateUsage(host, state, error.response.headers);
+
+        if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']) * 1000;
+        if (retryAfter > this.maxRetryAfter) {
+          // Espera longa demais para segurar quem chamou: o host fica suspenso
+          this.openCircuit(host, state, retryAfter, `Retry-After de ${retryAfter / 1000}s`);
+          throw error;
+        }
+        const delay = !isNaN(retryAfter) ? retryAfter : this.getBackoffDelay(attempt);
+        console.warn(`⚠️ ${host} respondeu ${status || error.code}, nova tentativa em ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (error.code === 'WEIGHT_OVER_BUDGET') return false;
+    if (!error.response) return true; // Erro de rede ou timeout
+    return status === 429 || status === 418 || status >= 500;
+  }
+
+  // Backoff exponencial com "full jitter"
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  async waitForBudget(host, state, weight) {
+    const budget = this.budgets[host];
+    if (!budget) return;
+
+    // Nenhuma janela comporta a requisição: esperar seria para sempre
+    if (weight > budget.perMinute) {
+      const error = new Error(`Peso ${weight} acima do orçamento de ${host} (${budget.perMinute}/min)`);
+      error.code = 'WEIGHT_OVER_BUDGET';
+      throw error;
+    }
+
+    // Verificar e reservar no mesmo passo; quem acorda volta a verificar,
+    // já que outras requisições podem ter usado a janela nova
+    for (;;) {
+      this.resetWindowIfNeeded(state);
+      if (state.used + weight <= budget.perMinute) {
+        state.used += weight;
+        return;
+      }
+
+      const wait = state.windowStart + 60000 - Date.now() + 1000;
+      console.log(`⏳ Orçamento de ${host} esgotado (${state.used}/${budget.perMinute}), aguardando ${Math.ceil(wait / 1000)}s...`);
+      await this.sleep(wait);
+    }
+  }
+
+  updateUsage(host, state, headers = {}) {
+    const budget = this.budgets[host];
+    if (!budget?.weightHeader) return;
+
+    // O peso informado não conta as requisições ainda em andamento, que já
+    // estão reservadas
+    const used = parseInt(headers[budget.weightHeader]);
+    if (!isNaN(used)) {
+      this.resetWindowIfNeeded(state);
+      state.used = Math.max(state.used, used);
+    }
+  }
+
+  resetWindowIfNeeded(state) {
+    const window = this.currentWindow();
+    if (state.windowStart !== window) {
+      state.windowStart = window;
+      state.used = 0;
+    }
+  }
+
+  isCircuitOpen(state) {
+    // Depois do tempo de espera o circuito fica semiaberto: a próxima
+    // requisição passa e decide se ele fecha ou abre de novo
+    return state.openUntil > Date.now();
+  }
+
+  recordSuccess(state) {
+    state.failures = 0;
+    state.openUntil = 0;
+  }
+
+  recordFailure(host, state) {
+    state.failures++;
+    if (state.failures >= this.failureThreshold) {
+      this.openCircuit(host, state, this.cooldown, `${state.failures} falhas`);
+    }
+  }
+
+  // Nunca encurta uma suspensão já em vigor (ex.: a de um Retry-After longo)
+  openCircuit(host, state, duration, reason) {
+    const openUntil = Date.now() + duration;
+    if (openUntil <= state.openUntil) return;
+
+    state.openUntil = openUntil;
+    console.warn(`⚠️ Circuito aberto para ${host} por ${Math.ceil(duration / 1000)}s após ${reason}`);
+  }
+
+  getStatus() {
+    const status = {};
+    this.hosts.forEach((state, host) => {
+      status[host] = {
+        used: state.used,
+        budget: this.budgets[host]?.perMinute || null,
+        failures: state.failures,
+        circuitOpen: this.isCircuitOpen(state)
+      };
+    });
+    return status;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = HttpClient;
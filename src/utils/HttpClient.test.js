@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HttpClient = require('./HttpClient');
+
+['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+
+const KLINES_URL = 'https://api.test/v1/klines';
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+// axios falso: cada chamada consome a próxima resposta (ou erro) da lista
+function createAxios(responses) {
+  const calls = [];
+  return {
+    calls,
+    async get(url, config) {
+      calls.push({ url, config, at: Date.now() });
+      const next = responses.shift() ?? { status: 200, headers: {}, data: [] };
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+}
+
+// Cliente sem orçamento e com as esperas registradas em vez de dormir
+function createClient(responses, options = {}) {
+  const axios = createAxios(responses);
+  const client = new HttpClient({ axios, budgets: {}, ...options });
+  client.delays = [];
+  client.sleep = async ms => { client.delays.push(ms); };
+  return { client, axios };
+}
+
+test('repete 5xx com backoff exponencial e envia o timeout', async () => {
+  const { client, axios } = createClient([httpError(503), httpError(502), { status: 200, headers: {}, data: 'ok' }], { baseDelay: 100, timeout: 2500 });
+
+  const response = await client.get(KLINES_URL, { params: { symbol: 'SOLUSDT' } });
+
+  assert.equal(response.data, 'ok');
+  assert.equal(axios.calls.length, 3);
+  assert.ok(axios.calls.every(call => call.config.timeout === 2500));
+  assert.equal(client.delays.length, 2);
+  client.delays.forEach((delay, attempt) => assert.ok(delay >= 0 && delay <= 100 * 2 ** attempt));
+});
+
+test('desiste após maxRetries e conta a falha do host', async () => {
+  const { client, axios } = createClient([httpError(500), httpError(500), httpError(500)], { maxRetries: 2 });
+
+  await assert.rejects(client.get(KLINES_URL), /500/);
+  assert.equal(axios.calls.length, 3);
+  assert.equal(client.getStatus()['api.test'].failures, 1);
+});
+
+test('erro do cliente não é repetido nem conta como falha', async () => {
+  const { client, axios } = createClient([httpError(400)]);
+
+  await assert.rejects(client.get(KLINES_URL), /400/);
+  assert.equal(axios.calls.length, 1);
+  assert.equal(client.getStatus()['api.test'].failures, 0);
+});
+
+test('Retry-After curto é respeitado', async () => {
+  const { client } = createClient([httpError(429, { 'retry-after': '2' })]);
+
+  await client.get(KLINES_URL);
+  assert.deepEqual(client.delays, [2000]);
+});
+
+test('Retry-After longo abre o circuito pelo tempo pedido sem esperar', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const { client, axios } = createClient([httpError(418, { 'retry-after': '120' })], { failureThreshold: 1, cooldown: 60000 });
+
+  await assert.rejects(client.get(KLINES_URL), /418/);
+  assert.deepEqual(client.delays, []);
+
+  // A falha contada pelo circuit breaker não encurta a suspensão
+  t.mock.timers.tick(90000);
+  await assert.rejects(client.get(KLINES_URL), error => error.code === 'CIRCUIT_OPEN');
+  assert.equal(axios.calls.length, 1);
+
+  t.mock.timers.tick(30000);
+  await client.get(KLINES_URL);
+  assert.equal(axios.calls.length, 2);
+});
+
+test('circuito abre após falhas seguidas e fecha com o sucesso após a espera', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const { client, axios } = createClient([httpError(500), httpError(500)], { maxRetries: 0, failureThreshold: 2, cooldown: 5000 });
+
+  await assert.rejects(client.get(KLINES_URL), /500/);
+  await assert.rejects(client.get(KLINES_URL), /500/);
+  await assert.rejects(client.get(KLINES_URL), error => error.code === 'CIRCUIT_OPEN');
+  assert.equal(axios.calls.length, 2);
+
+  // Semiaberto: a próxima requisição passa e, com sucesso, fecha o circuito
+  t.mock.timers.tick(5000);
+  await client.get(KLINES_URL);
+  assert.equal(client.getStatus()['api.test'].circuitOpen, false);
+  assert.equal(client.getStatus()['api.test'].failures, 0);
+});
+
+test('circuito aberto devolve a última resposta em cache', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const { client } = createClient([{ status: 200, headers: {}, data: 'antigo' }, httpError(500)], { maxRetries: 0, failureThreshold: 1 });
+
+  await client.get(KLINES_URL, { cacheTtl: 1000 });
+  t.mock.timers.tick(2000);
+  assert.equal((await client.get(KLINES_URL, { cacheTtl: 1000 })).data, 'antigo');
+  assert.equal((await client.get(KLINES_URL, { cacheTtl: 1000 })).data, 'antigo');
+});
+
+test('requisições concorrentes não passam do orçamento da janela', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2024, 0, 1) });
+  const axios = createAxios([]);
+  const client = new HttpClient({ axios, budgets: { 'api.test': { perMinute: 4 } } });
+
+  const requests = Array.from({ length: 6 }, () => client.get(KLINES_URL, { weight: 2 }));
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  // Janela 1: 2 requisições; as outras 4 esperam a próxima e só 2 cabem nela
+  await settle();
+  assert.equal(axios.calls.length, 2);
+  t.mock.timers.tick(61000);
+  await settle();
+  assert.equal(axios.calls.length, 4);
+  t.mock.timers.tick(60000);
+  await settle();
+  await Promise.all(requests);
+
+  const perWindow = {};
+  axios.calls.forEach(call => {
+    const window = Math.floor(call.at / 60000);
+    perWindow[window] = (perWindow[window] || 0) + 2;
+  });
+  assert.deepEqual(Object.values(perWindow), [4, 4, 4]);
+});
+
+test('peso acima do orçamento por minuto falha na hora, sem esperar nem contar falha', async () => {
+  const { client, axios } = createClient([], { budgets: { 'api.test': { perMinute: 4 } } });
+
+  await assert.rejects(client.get(KLINES_URL, { weight: 5 }), error => {
+    assert.equal(error.code, 'WEIGHT_OVER_BUDGET');
+    assert.match(error.message, /Peso 5 acima do orçamento de api\.test \(4\/min\)/);
+    return true;
+  });
+  assert.equal(axios.calls.length, 0);
+  assert.deepEqual(client.delays, []);
+  assert.equal(client.getHostState('api.test').failures, 0);
+});
@@ -0,0 +1,75 @@
+const { DEFAULT_PERIODS } = require('../indicators');
+
+// Chave em `system_config` com as configurações ativas
+const SETTINGS_KEY = 'system_settings';
+
+/**
+ * Configurações ajustáveis pela busca de hiperparâmetros: a chave em
+ * `system_settings`, a variável de ambiente equivalente e onde o valor é
+ * lido e aplicado (`components`: `aiEngine`, `signalGenerator`,
+ * `dataCollector`).
+ */
+const TUNABLE_SETTINGS = {
+  learning_rate: {
+    env: 'AI_LEARNING_RATE',
+    read: c => c.aiEngine.learningRate,
+    apply: (c, value) => { c.aiEngine.learningRate = value; }
+  },
+  epochs: {
+    env: 'AI_EPOCHS',
+    read: c => c.aiEngine.epochs,
+    apply: (c, value) => { c.aiEngine.epochs = value; }
+  },
+  batch_size: {
+    env: 'AI_BATCH_SIZE',
+    read: c => c.aiEngine.batchSize,
+    apply: (c, value) => { c.aiEngine.batchSize = value; }
+  },
+  confidence_threshold: {
+    env: 'SIGNAL_CONFIDENCE_THRESHOLD',
+    read: c => c.signalGenerator.confidenceThreshold,
+    apply: (c, value) => { c.signalGenerator.confidenceThreshold = value; }
+  },
+  pullback_analysis_depth: {
+    env: 'PULLBACK_ANALYSIS_DEPTH',
+    read: c => c.signalGenerator.pullbackAnalysisDepth,
+    apply: (c, value) => { c.signalGenerator.pullbackAnalysisDepth = value; }
+  },
+  indicator_periods: {
+    env: null,
+    read: c => ({ ...c.dataCollector.indicatorPeriods }),
+    apply: (c, value) => { c.dataCollector.indicatorPeriods = { ...DEFAULT_PERIODS, ...value }; }
+  }
+};
+
+/**
+ * Aplica as chaves conhecidas de `settings` nos componentes e devolve as
+ * aplicadas. Variável de ambiente definida tem prioridade sobre o valor
+ * salvo, a menos que `overrideEnv` seja true.
+ */
+function applySystemSettings(settings, components, { overrideEnv = false } = {}) {
+  const applied = [];
+
+  Object.entries(TUNABLE_SETTINGS).forEach(([key, setting]) => {
+    const value = settings?.[key];
+    if (value === undefined || value === null) return;
+    if (!overrideEnv && setting.env && process.env[setting.env]) return;
+
+    setting.apply(components, value);
+    applied.push(key);
+  });
+
+  return applied;
+}
+
+// Valores em uso de todas as configurações ajustáveis
+function readSystemSettings(components) {
+  return Object.fromEntries(Object.entries(TUNABLE_SETTINGS).map(([key, setting]) => [key, setting.read(components)]));
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  TUNABLE_SETTINGS,
+  applySystemSettings,
+  readSystemSettings
+};
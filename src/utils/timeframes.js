@@ -0,0 +1,36 @@
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Converte um intervalo da Binance ('1m', '15m', '1h', '1d') em milissegundos
+function intervalToMs(interval) {
+  const value = parseInt(interval);
+  const unit = INTERVAL_UNITS[interval.slice(-1)];
+  if (!value || !unit) {
+    throw new Error(`Intervalo inválido: ${interval}`);
+  }
+  return value * unit;
+}
+
+// Horário de abertura da vela que contém `time`
+function alignToInterval(time, interval) {
+  const ms = intervalToMs(interval);
+  return Math.floor(time / ms) * ms;
+}
+
+// Abertura e fechamento da vela seguinte à que contém `time`; como na
+// Binance e na tabela `candles`, o fechamento é o último ms da vela
+function getNextCandle(time, interval) {
+  const ms = intervalToMs(interval);
+  const openTime = alignToInterval(time, interval) + ms;
+  return { interval, openTime, closeTime: openTime + ms - 1 };
+}
+
+module.exports = {
+  intervalToMs,
+  alignToInterval,
+  getNextCandle
+};
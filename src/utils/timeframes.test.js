@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { intervalToMs, alignToInterval, getNextCandle } = require('./timeframes');
+
+const START = Date.UTC(2024, 0, 1);
+const SECOND = 1000;
+
+test('converte intervalos da Binance e rejeita os inválidos', () => {
+  assert.equal(intervalToMs('1m'), 60 * SECOND);
+  assert.equal(intervalToMs('15m'), 15 * 60 * SECOND);
+  assert.equal(intervalToMs('4h'), 4 * 3600 * SECOND);
+  assert.equal(intervalToMs('1d'), 86400 * SECOND);
+  assert.throws(() => intervalToMs('1x'), /Intervalo inválido: 1x/);
+});
+
+test('vela seguinte termina no último ms, como na Binance', () => {
+  [['1m', 60 * SECOND], ['5m', 300 * SECOND], ['1h', 3600 * SECOND]].forEach(([interval, ms]) => {
+    const time = START + 2 * ms + 123;
+
+    assert.equal(alignToInterval(time, interval), START + 2 * ms);
+    assert.deepEqual(getNextCandle(time, interval), { interval, openTime: START + 3 * ms, closeTime: START + 4 * ms - 1 });
+    // Na abertura exata a vela que contém `time` é ela mesma
+    assert.equal(getNextCandle(START + 3 * ms, interval).openTime, START + 4 * ms);
+  });
+});